@@ -0,0 +1,147 @@
+const EventEmitter = require('events');
+const { ACCOUNTS } = require('../services/ledger');
+const { logger } = require('../services/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Daily returns accrual. For every active investment it credits one journal
+ * per full day elapsed since the start date, keyed `accrual:<investment>:<day>`
+ * so re-running the job (after a crash, a restart or simply every hour) never
+ * credits the same day twice. Once the maturity date passes, the principal is
+ * released back to the user's wallet, the investment is marked `matured` and
+ * `investment.matured` is emitted on `events`. Newly credited days are
+ * announced with `returns.credited` once the investment records them.
+ *
+ * `now` is injectable so a whole plan can be fast-forwarded in a test.
+ */
+const createAccrualJob = ({
+    db,
+    ledger,
+    intervalMs = Number(process.env.ACCRUAL_INTERVAL_MS) || 60 * 60 * 1000,
+    now = () => new Date()
+}) => {
+    const events = new EventEmitter();
+    let timer = null;
+    let lastRun = Promise.resolve();
+    let running = false;
+
+    const accrueInvestment = async (investment, asOf) => {
+        const start = new Date(investment.startDate).getTime();
+        const elapsedDays = Math.floor((asOf.getTime() - start) / DAY_MS);
+        const dueDays = Math.min(elapsedDays, investment.durationDays);
+        const dailyReturn = Math.round(investment.principal * investment.dailyReturnRate / 100);
+        let credited = 0;
+
+        for (let day = (investment.accruedDays || 0) + 1; day <= dueDays; day++) {
+            await ledger.post({
+                idempotencyKey: `accrual:${investment.id}:${day}`,
+                type: 'accrual',
+                userId: investment.userId,
+                description: `Day ${day} return on ${investment.planName} plan`,
+                lines: [
+                    { account: ACCOUNTS.RETURNS_EXPENSE, debit: dailyReturn },
+                    { account: ACCOUNTS.WALLET, credit: dailyReturn }
+                ],
+                effectiveDate: new Date(start + day * DAY_MS),
+                metadata: { investmentId: investment.id, day }
+            });
+            credited++;
+        }
+
+        const changes = {};
+        if (dueDays > (investment.accruedDays || 0)) {
+            changes.accruedDays = dueDays;
+            changes.lastAccruedAt = asOf.toISOString();
+        }
+
+        if (asOf >= new Date(investment.maturityDate) && dueDays >= investment.durationDays) {
+            await ledger.post({
+                idempotencyKey: `maturity:${investment.id}`,
+                type: 'maturity',
+                userId: investment.userId,
+                description: `Principal returned from matured ${investment.planName} plan`,
+                lines: [
+                    { account: ACCOUNTS.PRINCIPAL, debit: investment.principal },
+                    { account: ACCOUNTS.WALLET, credit: investment.principal }
+                ],
+                effectiveDate: new Date(investment.maturityDate),
+                metadata: { investmentId: investment.id }
+            });
+            changes.status = 'matured';
+            changes.maturedAt = asOf.toISOString();
+        }
+
+        const updated = Object.keys(changes).length > 0
+            ? await db.investments.update(investment.id, changes)
+            : investment;
+
+        // Only announced once the investment shows the credited days; a failed update
+        // leaves them to be credited (idempotently) and announced on the next run
+        if (credited > 0) {
+            events.emit('returns.credited', {
+                investment: updated,
+                days: credited,
+                amount: credited * dailyReturn,
+                accruedDays: dueDays
+            });
+        }
+        if (changes.status === 'matured') events.emit('investment.matured', updated);
+
+        return { credited, matured: changes.status === 'matured' };
+    };
+
+    // Accrue every active investment up to `asOf` (defaults to the clock)
+    const runOnce = async (asOf = now()) => {
+        if (running) return null;
+        running = true;
+
+        const summary = { investments: 0, daysCredited: 0, matured: [] };
+        try {
+            const active = await db.investments.findByStatus('active');
+
+            for (const investment of active) {
+                try {
+                    const { credited, matured } = await accrueInvestment(investment, asOf);
+                    summary.investments++;
+                    summary.daysCredited += credited;
+                    if (matured) summary.matured.push(investment.id);
+                } catch (error) {
+                    logger.error('Accrual failed', { investmentId: investment.id, error });
+                }
+            }
+        } finally {
+            running = false;
+        }
+
+        if (summary.daysCredited > 0 || summary.matured.length > 0) {
+            logger.info('Accrual run complete', { daysCredited: summary.daysCredited, matured: summary.matured.length });
+        }
+        return summary;
+    };
+
+    // Remember runs that may still be under way so stop() can wait for them
+    const track = (run) => {
+        lastRun = Promise.all([lastRun, run]).then(() => {});
+    };
+
+    const start = () => {
+        if (timer) return;
+        track(runOnce().catch(error => logger.error('Accrual job error', { error })));
+        timer = setInterval(() => {
+            track(runOnce().catch(error => logger.error('Accrual job error', { error })));
+        }, intervalMs);
+        timer.unref();
+    };
+
+    // Stop scheduling runs; resolves once a run already under way has finished
+    const stop = () => {
+        clearInterval(timer);
+        timer = null;
+        return lastRun;
+    };
+
+    return { events, start, stop, runOnce, accrueInvestment };
+};
+
+module.exports = createAccrualJob;
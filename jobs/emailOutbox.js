@@ -0,0 +1,62 @@
+const { logger } = require('../services/logger');
+
+/**
+ * Background sender for the email outbox: sends messages as soon as they are
+ * queued, retries messages whose backoff has elapsed and picks up messages
+ * left mid-send by a crash.
+ */
+const createEmailOutboxJob = ({
+    outbox,
+    intervalMs = Number(process.env.EMAIL_OUTBOX_INTERVAL_MS) || 30 * 1000
+}) => {
+    let timer = null;
+    let lastRun = Promise.resolve();
+    let running = false;
+    let runAgain = false;
+
+    const runOnce = async () => {
+        // A message queued during a run is sent by another pass once it finishes
+        if (running) {
+            runAgain = true;
+            return;
+        }
+        running = true;
+
+        try {
+            do {
+                runAgain = false;
+                await outbox.processDue();
+            } while (runAgain);
+        } finally {
+            running = false;
+        }
+    };
+
+    // Remember runs that may still be under way so stop() can wait for them
+    const track = (run) => {
+        lastRun = Promise.all([lastRun, run]).then(() => {});
+    };
+
+    const runInBackground = () => {
+        track(runOnce().catch(error => logger.error('Email outbox error', { error })));
+    };
+
+    const start = () => {
+        if (timer) return;
+        outbox.events.on('email.queued', runInBackground);
+        timer = setInterval(runInBackground, intervalMs);
+        timer.unref();
+    };
+
+    // Stop scheduling runs; resolves once a run already under way has finished
+    const stop = () => {
+        outbox.events.off('email.queued', runInBackground);
+        clearInterval(timer);
+        timer = null;
+        return lastRun;
+    };
+
+    return { start, stop, runOnce };
+};
+
+module.exports = createEmailOutboxJob;
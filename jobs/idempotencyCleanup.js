@@ -0,0 +1,54 @@
+const { logger } = require('../services/logger');
+
+/**
+ * Purges Idempotency-Key records once their replay window has passed, along
+ * with keys a crashed request left claimed, so the table does not grow with
+ * every payment and withdrawal ever made.
+ */
+const createIdempotencyCleanupJob = ({
+    db,
+    intervalMs = Number(process.env.IDEMPOTENCY_CLEANUP_INTERVAL_MS) || 60 * 60 * 1000,
+    now = () => new Date()
+}) => {
+    let timer = null;
+    let lastRun = Promise.resolve();
+
+    const runOnce = async () => {
+        const asOf = now();
+        const expired = await db.idempotencyKeys.list(record => new Date(record.expiresAt) <= asOf);
+
+        for (const record of expired) {
+            await db.idempotencyKeys.remove(record.id);
+        }
+
+        if (expired.length > 0) {
+            logger.info('Purged expired idempotency keys', { purged: expired.length });
+        }
+        return expired.length;
+    };
+
+    // Remember runs that may still be under way so stop() can wait for them
+    const track = (run) => {
+        lastRun = Promise.all([lastRun, run]).then(() => {});
+    };
+
+    const start = () => {
+        if (timer) return;
+        track(runOnce().catch(error => logger.error('Idempotency cleanup error', { error })));
+        timer = setInterval(() => {
+            track(runOnce().catch(error => logger.error('Idempotency cleanup error', { error })));
+        }, intervalMs);
+        timer.unref();
+    };
+
+    // Stop scheduling runs; resolves once a run already under way has finished
+    const stop = () => {
+        clearInterval(timer);
+        timer = null;
+        return lastRun;
+    };
+
+    return { start, stop, runOnce };
+};
+
+module.exports = createIdempotencyCleanupJob;
@@ -0,0 +1,102 @@
+const { previousMonth } = require('../services/statements');
+const { logger } = require('../services/logger');
+
+/**
+ * Emails each user last month's statement, with the PDF attached, once the
+ * month is over. Each user records the last month sent
+ * (`lastStatementPeriod`, e.g. "2024-09"), so the job can run every hour and
+ * after restarts without sending a statement twice.
+ *
+ * Unverified and suspended accounts, accounts with no activity up to the end
+ * of the month, and users who turned off email for the `statements`
+ * notification category are skipped.
+ */
+const createMonthlyStatementJob = ({
+    db,
+    statements,
+    emailOutbox,
+    notifications,
+    intervalMs = Number(process.env.STATEMENT_JOB_INTERVAL_MS) || 60 * 60 * 1000,
+    now = () => new Date()
+}) => {
+    let timer = null;
+    let lastRun = Promise.resolve();
+    let running = false;
+
+    const sendStatement = async (user, period) => {
+        const statement = await statements.build(user, period);
+        if (statement.entries.length === 0 && statement.openingBalance === 0) {
+            return false;
+        }
+
+        await emailOutbox.sendToUser(user, 'monthlyStatement', {
+            statement,
+            statementUrl: `${process.env.FRONTEND_URL}/statements?month=${period.key}`
+        }, {
+            attachments: [{
+                filename: `star-investments-statement-${period.key}.pdf`,
+                contentType: 'application/pdf',
+                content: statements.toPdf(statement)
+            }]
+        });
+        return true;
+    };
+
+    const runOnce = async () => {
+        if (running) return 0;
+        running = true;
+
+        try {
+            const period = previousMonth(now());
+            const users = await db.users.list({ isVerified: true });
+            let sent = 0;
+
+            for (const user of users) {
+                if (user.isSuspended || user.lastStatementPeriod >= period.key) continue;
+
+                try {
+                    const wantsEmail = notifications.getPreferences(user).statements.includes('email');
+                    if (wantsEmail && await sendStatement(user, period)) {
+                        sent++;
+                    }
+                    await db.users.update(user.id, { lastStatementPeriod: period.key });
+                } catch (error) {
+                    // Left unmarked, so the next run tries this user again
+                    logger.error('Monthly statement error', { userId: user.id, period: period.key, error });
+                }
+            }
+
+            if (sent > 0) {
+                logger.info('Monthly statements sent', { period: period.key, sent });
+            }
+            return sent;
+        } finally {
+            running = false;
+        }
+    };
+
+    // Remember runs that may still be under way so stop() can wait for them
+    const track = (run) => {
+        lastRun = Promise.all([lastRun, run]).then(() => {});
+    };
+
+    const start = () => {
+        if (timer) return;
+        track(runOnce().catch(error => logger.error('Monthly statement job error', { error })));
+        timer = setInterval(() => {
+            track(runOnce().catch(error => logger.error('Monthly statement job error', { error })));
+        }, intervalMs);
+        timer.unref();
+    };
+
+    // Stop scheduling runs; resolves once a run already under way has finished
+    const stop = () => {
+        clearInterval(timer);
+        timer = null;
+        return lastRun;
+    };
+
+    return { start, stop, runOnce };
+};
+
+module.exports = createMonthlyStatementJob;
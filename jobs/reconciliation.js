@@ -0,0 +1,60 @@
+const { logger } = require('../services/logger');
+
+/**
+ * Background reconciliation of payments whose webhook never arrived. Every
+ * `intervalMs` it runs the reconciliation service over transactions stuck in
+ * `processing`, which settles, expires or backs off each one and stores a
+ * report of what changed and of any discrepancies with the provider.
+ */
+const createReconciliationJob = ({
+    reconciliation,
+    intervalMs = Number(process.env.RECONCILE_INTERVAL_MS || process.env.PAYMENT_POLL_INTERVAL_MS) || 60 * 1000
+}) => {
+    let timer = null;
+    let lastRun = Promise.resolve();
+    let running = false;
+
+    const runOnce = async () => {
+        if (running) return null;
+        running = true;
+
+        try {
+            const report = await reconciliation.run();
+            if (report.changes.length > 0) {
+                logger.info('Reconciliation settled transactions', {
+                    successful: report.successful,
+                    failed: report.failed,
+                    expired: report.expired,
+                    needsReview: report.needsReview
+                });
+            }
+            return report;
+        } finally {
+            running = false;
+        }
+    };
+
+    // Remember runs that may still be under way so stop() can wait for them
+    const track = (run) => {
+        lastRun = Promise.all([lastRun, run]).then(() => {});
+    };
+
+    const start = () => {
+        if (timer) return;
+        timer = setInterval(() => {
+            track(runOnce().catch(error => logger.error('Reconciliation job error', { error })));
+        }, intervalMs);
+        timer.unref();
+    };
+
+    // Stop scheduling runs; resolves once a run already under way has finished
+    const stop = () => {
+        clearInterval(timer);
+        timer = null;
+        return lastRun;
+    };
+
+    return { start, stop, runOnce };
+};
+
+module.exports = createReconciliationJob;
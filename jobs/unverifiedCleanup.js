@@ -0,0 +1,76 @@
+const { logger } = require('../services/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Purges registrations that were never verified within `maxAgeDays`, freeing
+ * up their phone number and email for a fresh sign-up. Their sessions,
+ * refresh tokens and phone codes go with them, and are removed first so a run
+ * that stops half way leaves the user to be purged again next time.
+ */
+const createUnverifiedCleanupJob = ({
+    db,
+    maxAgeDays = Number(process.env.UNVERIFIED_ACCOUNT_TTL_DAYS) || 7,
+    intervalMs = Number(process.env.UNVERIFIED_CLEANUP_INTERVAL_MS) || 6 * 60 * 60 * 1000,
+    now = () => new Date()
+}) => {
+    let timer = null;
+    let lastRun = Promise.resolve();
+
+    const purge = async (user) => {
+        for (const session of await db.sessions.findByUserId(user.id)) {
+            for (const token of await db.sessions.findRefreshTokensBySessionId(session.id)) {
+                await db.sessions.removeRefreshToken(token.id);
+            }
+            await db.sessions.remove(session.id);
+        }
+
+        for (const otp of await db.phoneOtps.findByPhone(user.phone)) {
+            if (otp.userId === user.id) await db.phoneOtps.remove(otp.id);
+        }
+
+        await db.users.remove(user.id);
+    };
+
+    const runOnce = async () => {
+        const cutoff = now().getTime() - maxAgeDays * DAY_MS;
+        const unverified = await db.users.list({ isVerified: false });
+        let purged = 0;
+
+        for (const user of unverified) {
+            if (new Date(user.createdAt).getTime() > cutoff) continue;
+            await purge(user);
+            purged++;
+        }
+
+        if (purged > 0) {
+            logger.info('Purged unverified registrations', { purged, maxAgeDays });
+        }
+        return purged;
+    };
+
+    // Remember runs that may still be under way so stop() can wait for them
+    const track = (run) => {
+        lastRun = Promise.all([lastRun, run]).then(() => {});
+    };
+
+    const start = () => {
+        if (timer) return;
+        track(runOnce().catch(error => logger.error('Unverified cleanup error', { error })));
+        timer = setInterval(() => {
+            track(runOnce().catch(error => logger.error('Unverified cleanup error', { error })));
+        }, intervalMs);
+        timer.unref();
+    };
+
+    // Stop scheduling runs; resolves once a run already under way has finished
+    const stop = () => {
+        clearInterval(timer);
+        timer = null;
+        return lastRun;
+    };
+
+    return { start, stop, runOnce };
+};
+
+module.exports = createUnverifiedCleanupJob;
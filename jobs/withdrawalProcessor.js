@@ -0,0 +1,49 @@
+const { logger } = require('../services/logger');
+
+/**
+ * Background processor for withdrawals: retries sends that failed to reach
+ * the payment provider and polls the status of payouts that are still processing.
+ */
+const createWithdrawalProcessor = ({
+    withdrawals,
+    intervalMs = Number(process.env.WITHDRAWAL_POLL_INTERVAL_MS) || 60 * 1000
+}) => {
+    let timer = null;
+    let lastRun = Promise.resolve();
+    let running = false;
+
+    const runOnce = async () => {
+        if (running) return;
+        running = true;
+
+        try {
+            await withdrawals.processDue();
+        } finally {
+            running = false;
+        }
+    };
+
+    // Remember runs that may still be under way so stop() can wait for them
+    const track = (run) => {
+        lastRun = Promise.all([lastRun, run]).then(() => {});
+    };
+
+    const start = () => {
+        if (timer) return;
+        timer = setInterval(() => {
+            track(runOnce().catch(error => logger.error('Withdrawal processor error', { error })));
+        }, intervalMs);
+        timer.unref();
+    };
+
+    // Stop scheduling runs; resolves once a run already under way has finished
+    const stop = () => {
+        clearInterval(timer);
+        timer = null;
+        return lastRun;
+    };
+
+    return { start, stop, runOnce };
+};
+
+module.exports = createWithdrawalProcessor;
@@ -0,0 +1,38 @@
+// Helper function to name the route that handled a request (its pattern, not the
+// concrete path, so ids in the URL do not create a metric series each)
+const routeName = (req) => {
+    if (!req.route) return 'unmatched';
+    return req.baseUrl && req.route.path === '/' ? req.baseUrl : `${req.baseUrl}${req.route.path}`;
+};
+
+/**
+ * Log each finished request and record its latency. Use after the
+ * requestId middleware so the entry carries the request id.
+ */
+const createAccessLog = ({ logger, requestDuration }) => (req, res, next) => {
+    const started = process.hrtime.bigint();
+    // Routers rewrite req.url while they run, so take the path up front
+    const path = req.path;
+
+    res.on('finish', () => {
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        const route = routeName(req);
+
+        requestDuration.observe({ method: req.method, route, status: res.statusCode }, seconds);
+
+        const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+        logger[level]('Request completed', {
+            requestId: req.id,
+            method: req.method,
+            route,
+            path,
+            status: res.statusCode,
+            durationMs: Math.round(seconds * 1000),
+            userId: req.user ? req.user.id : undefined
+        });
+    });
+
+    next();
+};
+
+module.exports = createAccessLog;
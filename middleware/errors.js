@@ -0,0 +1,66 @@
+const { logger } = require('../services/logger');
+
+// Helper function to send the standard error envelope:
+// { success: false, code, message, details?, data? }
+const sendError = (res, status, code, message, details, data) => {
+    return res.status(status).json({
+        success: false,
+        code,
+        message,
+        ...(details && { details }),
+        ...(data && { data })
+    });
+};
+
+/**
+ * An expected error for the central handler to answer, e.g.
+ * `return next(httpError(404, 'NOT_FOUND', 'User not found'))`. `details`
+ * (per-field problems) and `data` are sent alongside the message; a
+ * `data.retryAfter` (seconds) also sets the Retry-After header.
+ */
+const httpError = (status, code, message, { details, data } = {}) => {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    if (details) error.details = details;
+    if (data) error.data = data;
+    return error;
+};
+
+// Answer requests for routes that do not exist
+const notFound = (req, res) => {
+    sendError(res, 404, 'NOT_FOUND', `Cannot ${req.method} ${req.path}`);
+};
+
+/**
+ * Central error handler, mounted after every route. Errors passed to
+ * `next(error)` that carry an HTTP `status` and a `code` (`httpError`s and
+ * validation failures) are sent as they are; malformed or oversized JSON
+ * bodies get their own codes; anything else is logged and reported as a
+ * generic 500 so no internals leak to the client. Express only treats a
+ * middleware as an error handler when it takes all four arguments.
+ */
+const errorHandler = (error, req, res, next) => {
+    if (res.headersSent) {
+        return next(error);
+    }
+
+    if (error.type === 'entity.parse.failed') {
+        return sendError(res, 400, 'INVALID_JSON', 'Request body is not valid JSON');
+    }
+    if (error.type === 'entity.too.large' || error.type === 'parameters.too.many') {
+        return sendError(res, 413, 'PAYLOAD_TOO_LARGE', 'Request body is too large');
+    }
+
+    if (error.status && error.status < 500 && error.code) {
+        if (error.data && error.data.retryAfter) {
+            res.set('Retry-After', String(error.data.retryAfter));
+        }
+        return sendError(res, error.status, error.code, error.message, error.details, error.data);
+    }
+
+    logger.error('Unhandled error', { error });
+    sendError(res, 500, 'INTERNAL_ERROR', 'Something went wrong. Please try again.');
+};
+
+module.exports = { notFound, errorHandler, sendError, httpError };
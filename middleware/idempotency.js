@@ -0,0 +1,112 @@
+const crypto = require('crypto');
+const { logger } = require('../services/logger');
+const { httpError } = require('./errors');
+
+// Helper function to fingerprint a request body so a reused key can be detected
+const fingerprint = (body) => {
+    return crypto.createHash('sha256').update(JSON.stringify(body || {})).digest('hex');
+};
+
+/**
+ * Honour the `Idempotency-Key` header on routes that move money. The first
+ * request with a key runs normally and its response is stored; repeats with
+ * the same key (per user and route) within `windowMs` get that response
+ * replayed instead of running again. A repeat that arrives while the first is
+ * still running gets a 409, and reusing a key with a different body gets a 422.
+ * Server errors and 429 refusals are not cached so the client can safely
+ * retry them. Expired keys are purged by jobs/idempotencyCleanup.js.
+ *
+ * Use after requireAuth and before any rate limiter, so replays are answered
+ * without counting against the limit.
+ */
+const createIdempotency = ({
+    db,
+    windowMs = (Number(process.env.IDEMPOTENCY_WINDOW_HOURS) || 24) * 60 * 60 * 1000,
+    now = () => new Date()
+}) => async (req, res, next) => {
+    const key = req.get('Idempotency-Key');
+    if (!key) return next();
+
+    if (key.length > 255) {
+        return next(httpError(400, 'INVALID_IDEMPOTENCY_KEY', 'Idempotency-Key must be at most 255 characters'));
+    }
+
+    try {
+        const scopedKey = `${req.user.id}:${req.method}:${req.baseUrl}${req.path}:${key}`;
+        const requestHash = fingerprint(req.body);
+        const existing = await db.idempotencyKeys.findByScopedKey(scopedKey);
+
+        if (existing && new Date(existing.expiresAt) > now()) {
+            if (existing.requestHash !== requestHash) {
+                return next(httpError(422, 'IDEMPOTENCY_KEY_REUSED', 'Idempotency-Key was already used with a different request'));
+            }
+
+            if (existing.state === 'in_progress') {
+                return next(httpError(409, 'REQUEST_IN_PROGRESS', 'A request with this Idempotency-Key is still being processed'));
+            }
+
+            res.set('Idempotent-Replayed', 'true');
+            return res.status(existing.responseStatus).json(existing.responseBody);
+        }
+
+        // Claim the key, or reclaim an expired one only while it is still the record we read;
+        // losing the race to a concurrent request means it is in progress
+        const claim = {
+            scopedKey,
+            userId: req.user.id,
+            requestHash,
+            state: 'in_progress',
+            responseStatus: null,
+            responseBody: null,
+            createdAt: now().toISOString(),
+            expiresAt: new Date(now().getTime() + windowMs).toISOString()
+        };
+
+        let record;
+        try {
+            record = existing
+                ? await db.idempotencyKeys.updateIf(existing.id, { expiresAt: existing.expiresAt }, claim)
+                : await db.idempotencyKeys.create(claim);
+        } catch (error) {
+            if (error.code !== 'UNIQUE_VIOLATION') throw error;
+        }
+        if (!record) {
+            return next(httpError(409, 'REQUEST_IN_PROGRESS', 'A request with this Idempotency-Key is still being processed'));
+        }
+
+        // Capture the response so repeats can be answered from storage
+        const json = res.json.bind(res);
+        let captured = false;
+        res.json = (body) => {
+            captured = true;
+            const save = res.statusCode >= 500 || res.statusCode === 429
+                ? db.idempotencyKeys.remove(record.id)
+                : db.idempotencyKeys.update(record.id, {
+                    state: 'completed',
+                    responseStatus: res.statusCode,
+                    responseBody: body
+                });
+
+            save.catch(error => logger.error('Idempotency record error', { error }));
+            return json(body);
+        };
+
+        // Release the key if the handler ended without a JSON response
+        res.on('close', () => {
+            if (!captured) {
+                db.idempotencyKeys.remove(record.id)
+                    .catch(error => logger.error('Idempotency record error', { error }));
+            }
+        });
+
+        next();
+    } catch (error) {
+        logger.error('Idempotency error', { error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to process Idempotency-Key'
+        });
+    }
+};
+
+module.exports = createIdempotency;
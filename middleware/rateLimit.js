@@ -0,0 +1,98 @@
+const { logger } = require('../services/logger');
+const { httpError } = require('./errors');
+
+const UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000 };
+
+// Helper function to parse a rule such as "10/15m" (10 requests per 15 minutes)
+const parseRule = (value) => {
+    const match = String(value || '').trim().match(/^(\d+)\s*\/\s*(\d+)\s*([smh])$/);
+    if (!match) {
+        throw new Error(`Invalid rate limit rule "${value}". Expected e.g. "10/15m"`);
+    }
+    return { max: Number(match[1]), windowMs: Number(match[2]) * UNITS[match[3]] };
+};
+
+/**
+ * Fixed-window hit counter kept in process memory. A shared backend (Redis,
+ * a database table) can replace it by implementing the same two methods:
+ *
+ *   increment(key, windowMs) -> { count, resetAt }   resetAt in epoch ms
+ *   reset(key)
+ *
+ * Counts only hold per process, so use a shared store when running more than
+ * one instance.
+ */
+const createMemoryRateLimitStore = ({ now = () => Date.now() } = {}) => {
+    const windows = new Map();
+    let calls = 0;
+
+    // Drop expired windows now and then so idle keys do not pile up
+    const sweep = () => {
+        const current = now();
+        for (const [key, entry] of windows) {
+            if (entry.resetAt <= current) windows.delete(key);
+        }
+    };
+
+    return {
+        increment: async (key, windowMs) => {
+            if (++calls % 1000 === 0) sweep();
+
+            const current = now();
+            let entry = windows.get(key);
+            if (!entry || entry.resetAt <= current) {
+                entry = { count: 0, resetAt: current + windowMs };
+                windows.set(key, entry);
+            }
+            entry.count += 1;
+            return { count: entry.count, resetAt: entry.resetAt };
+        },
+
+        reset: async (key) => {
+            windows.delete(key);
+        }
+    };
+};
+
+/**
+ * Express middleware allowing `max` requests per `windowMs` for each value of
+ * `key(req)`; requests for which `key` returns nothing are not counted. Over
+ * the limit it answers 429 with a Retry-After header. `rule` ("10/15m") can be
+ * given instead of `max` and `windowMs`.
+ */
+const createRateLimiter = ({
+    store,
+    name,
+    rule,
+    max = rule && parseRule(rule).max,
+    windowMs = rule && parseRule(rule).windowMs,
+    key = (req) => req.ip,
+    message = 'Too many requests. Please try again later.',
+    now = () => Date.now()
+}) => async (req, res, next) => {
+    try {
+        const id = key(req);
+        if (!id) return next();
+
+        const { count, resetAt } = await store.increment(`${name}:${String(id).toLowerCase()}`, windowMs);
+        const retryAfter = Math.max(Math.ceil((resetAt - now()) / 1000), 1);
+
+        res.set({
+            'RateLimit-Limit': String(max),
+            'RateLimit-Remaining': String(Math.max(max - count, 0)),
+            'RateLimit-Reset': String(retryAfter)
+        });
+
+        if (count > max) {
+            return next(httpError(429, 'RATE_LIMITED', message, { data: { retryAfter } }));
+        }
+
+        next();
+    } catch (error) {
+        // An unavailable limiter store should not take the API down with it
+        logger.error('Rate limiter error', { limiter: name, error });
+        next();
+    }
+};
+
+module.exports = { createRateLimiter, createMemoryRateLimitStore, parseRule };
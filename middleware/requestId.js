@@ -0,0 +1,21 @@
+const { v4: uuidv4 } = require('uuid');
+const { requestContext } = require('../services/logger');
+
+// Incoming ids are accepted only when they look like an id, so they are safe to log and echo
+const VALID_REQUEST_ID = /^[A-Za-z0-9._-]{1,100}$/;
+
+/**
+ * Give every request an id: the caller's `X-Request-Id` when it is a
+ * plausible id, otherwise a new UUID. The id is echoed in the response
+ * header, stored on `req.id` and kept in the request context so log lines
+ * and calls to the payment provider carry it.
+ */
+const requestId = (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    req.id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : uuidv4();
+    res.set('X-Request-Id', req.id);
+
+    requestContext.run({ requestId: req.id }, next);
+};
+
+module.exports = requestId;
@@ -0,0 +1,44 @@
+const cors = require('cors');
+
+// Local development front ends, allowed only when no allow-list is configured outside production
+const LOCAL_ORIGIN = /^https?:\/\/(localhost|127\.0\.0\.1)(:\d+)?$/;
+
+// The API only returns JSON and file downloads, so pages may not load or frame anything from it
+const CONTENT_SECURITY_POLICY = "default-src 'none'; frame-ancestors 'none'; base-uri 'none'; form-action 'none'";
+
+/**
+ * CORS for browser front ends. Only origins on the allow-list get CORS
+ * headers (credentials included); other browser origins are refused by the
+ * browser, while requests without an Origin (mobile apps, webhooks, curl)
+ * are unaffected. With an empty list, `allowLocalhost` admits local
+ * development servers; the server refuses to start that way in production.
+ */
+const createCorsPolicy = ({ origins, allowLocalhost = false }) => cors({
+    origin: (origin, callback) => {
+        callback(null, Boolean(origin) && (origins.includes(origin) || (allowLocalhost && LOCAL_ORIGIN.test(origin))));
+    },
+    credentials: true,
+    maxAge: 600
+});
+
+/**
+ * Security headers on every response: no MIME sniffing, no framing, no
+ * referrer, a locked-down Content-Security-Policy for anything rendered as
+ * HTML and, with `hstsMaxAge`, Strict-Transport-Security so browsers only
+ * reach the API over HTTPS.
+ */
+const createSecurityHeaders = ({ hstsMaxAge = 0 } = {}) => (req, res, next) => {
+    res.set({
+        'X-Content-Type-Options': 'nosniff',
+        'X-Frame-Options': 'DENY',
+        'Referrer-Policy': 'no-referrer',
+        'Cross-Origin-Opener-Policy': 'same-origin',
+        'Content-Security-Policy': CONTENT_SECURITY_POLICY
+    });
+    if (hstsMaxAge > 0) {
+        res.set('Strict-Transport-Security', `max-age=${hstsMaxAge}; includeSubDomains`);
+    }
+    next();
+};
+
+module.exports = { createCorsPolicy, createSecurityHeaders };
@@ -0,0 +1,68 @@
+const LOCATIONS = ['params', 'query', 'body'];
+
+// Helper function to build the error sent for a request that fails validation.
+// `details` lists each failing field as { location, field, code, message }.
+const validationError = (details) => {
+    const error = new Error(details[0].message);
+    error.status = 400;
+    error.code = 'VALIDATION_FAILED';
+    error.details = details;
+    return error;
+};
+
+// Empty query string values (?status=) count as missing
+const isMissing = (value, location) => {
+    return value === undefined || value === null || (location === 'query' && value === '');
+};
+
+/**
+ * Validate `req.params`, `req.query` and `req.body` against a schema of
+ * field builders from schemas/fields, e.g.
+ *
+ *   validate({ body: { phone: phone({ required: true }) } })
+ *
+ * Each location that has a schema is replaced by the coerced, normalised
+ * values of its declared fields (undeclared fields are dropped), so handlers
+ * only ever see checked input. Every failing field is reported at once
+ * through the error handler as VALIDATION_FAILED.
+ */
+const validate = (schema) => (req, res, next) => {
+    const details = [];
+
+    for (const location of LOCATIONS) {
+        if (!schema[location]) continue;
+
+        const input = req[location] && typeof req[location] === 'object' ? req[location] : {};
+        const output = {};
+
+        for (const [name, definition] of Object.entries(schema[location])) {
+            const label = definition.label || name;
+            const value = input[name];
+
+            if (isMissing(value, location)) {
+                if (definition.required) {
+                    details.push({ location, field: name, code: 'REQUIRED', message: `${label} is required` });
+                } else if (definition.default !== undefined) {
+                    output[name] = definition.default;
+                }
+                continue;
+            }
+
+            try {
+                output[name] = definition.parse(value, input, label);
+            } catch (error) {
+                if (!error.code) throw error;
+                details.push({ location, field: name, code: error.code, message: error.message });
+            }
+        }
+
+        req[location] = output;
+    }
+
+    if (details.length > 0) {
+        return next(validationError(details));
+    }
+    next();
+};
+
+module.exports = { validate, validationError };
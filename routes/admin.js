@@ -0,0 +1,661 @@
+const express = require('express');
+const { requireRole } = require('../middleware/auth');
+const { validate, validationError } = require('../middleware/validate');
+const { httpError } = require('../middleware/errors');
+const schemas = require('../schemas/admin');
+const { toCsv } = require('../services/csv');
+const { logger } = require('../services/logger');
+
+// Helper function to strip secrets from a user record before returning it
+const sanitizeUser = (user) => {
+    const {
+        password,
+        verificationTokenHash,
+        verificationTokenIssuedAt,
+        verificationTokenExpiresAt,
+        unlockTokenHash,
+        twoFactorSecret,
+        twoFactorPendingSecret,
+        twoFactorBackupCodes,
+        ...rest
+    } = user;
+    return rest;
+};
+
+const newestFirst = (a, b) => b.createdAt.localeCompare(a.createdAt);
+
+// Columns of the transaction export, in the order finance reconciles them against MarzPay
+const TRANSACTION_EXPORT_COLUMNS = [
+    { header: 'Created at', value: transaction => transaction.createdAt },
+    { header: 'Settled at', value: transaction => transaction.settledAt },
+    { header: 'Reference', value: transaction => transaction.reference },
+    { header: 'Provider', value: transaction => transaction.provider },
+    { header: 'Provider transaction id', value: transaction => transaction.providerTransactionId },
+    { header: 'Status', value: transaction => transaction.status },
+    { header: 'Provider status', value: transaction => transaction.providerStatus },
+    { header: 'Amount (UGX)', value: transaction => transaction.amount },
+    { header: 'Phone', value: transaction => transaction.phone },
+    { header: 'User id', value: transaction => transaction.userId },
+    { header: 'Plan', value: transaction => transaction.planName }
+];
+
+// HTTP status for each expected KYC review error
+const KYC_REVIEW_ERROR_STATUS = {
+    SUBMISSION_NOT_FOUND: 404,
+    SUBMISSION_NOT_PENDING: 409
+};
+
+/**
+ * Back-office API for operations staff. Support staff can look things up and
+ * confirm verifications; suspending accounts, changing roles, resetting
+ * two-factor authentication, deciding KYC submissions and reconciling,
+ * resolving or exporting payments is limited to admins. Every request is
+ * written to the audit log.
+ */
+const createAdminRouter = ({ db, requireAuth, audit, tokens, payments, reconciliation, investments, ledger, kyc, twoFactor }) => {
+    const router = express.Router();
+    const adminOnly = requireRole('admin');
+
+    router.use(requireAuth, requireRole('admin', 'support'));
+
+    // Helper function to load the :id user or pass a 404 on to the error handler
+    const loadUser = async (req, next) => {
+        const user = await db.users.findById(req.params.id);
+        if (!user) {
+            next(httpError(404, 'NOT_FOUND', 'User not found'));
+        }
+        return user;
+    };
+
+    // List and search users by phone or email
+    router.get('/users', validate(schemas.listUsers), async (req, res) => {
+        try {
+            const { q, limit, offset } = req.query;
+
+            const users = (await db.users.list(user => {
+                return !q || user.phone.includes(q) || user.email.toLowerCase().includes(q);
+            })).sort(newestFirst);
+
+            await audit.record(req, 'users.search', { details: { q } });
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    users: users.slice(offset, offset + limit).map(sanitizeUser),
+                    pagination: { total: users.length, limit, offset }
+                }
+            });
+
+        } catch (error) {
+            logger.error('Admin list users error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get users'
+            });
+        }
+    });
+
+    // Get a user with their balance
+    router.get('/users/:id', validate(schemas.user), async (req, res, next) => {
+        try {
+            const user = await loadUser(req, next);
+            if (!user) return;
+
+            await audit.record(req, 'users.view', { targetType: 'user', targetId: user.id });
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    user: sanitizeUser(user),
+                    balance: await ledger.getBalance(user.id)
+                }
+            });
+
+        } catch (error) {
+            logger.error('Admin get user error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get user'
+            });
+        }
+    });
+
+    // Get a user's transactions
+    router.get('/users/:id/transactions', validate(schemas.user), async (req, res, next) => {
+        try {
+            const user = await loadUser(req, next);
+            if (!user) return;
+
+            await audit.record(req, 'users.view_transactions', { targetType: 'user', targetId: user.id });
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    transactions: (await db.transactions.findByUserId(user.id)).sort(newestFirst)
+                }
+            });
+
+        } catch (error) {
+            logger.error('Admin get user transactions error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get transactions'
+            });
+        }
+    });
+
+    // Get a user's investments
+    router.get('/users/:id/investments', validate(schemas.user), async (req, res, next) => {
+        try {
+            const user = await loadUser(req, next);
+            if (!user) return;
+
+            await audit.record(req, 'users.view_investments', { targetType: 'user', targetId: user.id });
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    investments: await investments.listForUser(user.id)
+                }
+            });
+
+        } catch (error) {
+            logger.error('Admin get user investments error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get investments'
+            });
+        }
+    });
+
+    // Manually mark a user's email as verified
+    router.post('/users/:id/verify', validate(schemas.user), async (req, res, next) => {
+        try {
+            const user = await loadUser(req, next);
+            if (!user) return;
+
+            if (user.isVerified) {
+                return next(httpError(400, 'ALREADY_VERIFIED', 'User is already verified'));
+            }
+
+            const updated = await db.users.update(user.id, {
+                isVerified: true,
+                verificationTokenHash: null,
+                verificationTokenIssuedAt: null,
+                verificationTokenExpiresAt: null,
+                verifiedAt: new Date().toISOString(),
+                verifiedBy: req.user.id
+            });
+
+            await audit.record(req, 'users.verify', { targetType: 'user', targetId: user.id });
+
+            res.status(200).json({
+                success: true,
+                message: 'User marked as verified',
+                data: { user: sanitizeUser(updated) }
+            });
+
+        } catch (error) {
+            logger.error('Admin verify user error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to verify user'
+            });
+        }
+    });
+
+    // Suspend an account and sign it out everywhere
+    router.post('/users/:id/suspend', adminOnly, validate(schemas.suspend), async (req, res, next) => {
+        try {
+            const user = await loadUser(req, next);
+            if (!user) return;
+
+            if (user.id === req.user.id) {
+                return next(httpError(400, 'CANNOT_SUSPEND_SELF', 'You cannot suspend your own account'));
+            }
+
+            const reason = req.body.reason || null;
+            const updated = await db.users.update(user.id, {
+                isSuspended: true,
+                suspendedAt: new Date().toISOString(),
+                suspendedBy: req.user.id,
+                suspensionReason: reason
+            });
+            await tokens.revokeAllSessions(user.id, 'suspended');
+
+            await audit.record(req, 'users.suspend', { targetType: 'user', targetId: user.id, details: { reason } });
+
+            res.status(200).json({
+                success: true,
+                message: 'User suspended',
+                data: { user: sanitizeUser(updated) }
+            });
+
+        } catch (error) {
+            logger.error('Admin suspend user error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to suspend user'
+            });
+        }
+    });
+
+    // Lift a suspension
+    router.post('/users/:id/unsuspend', adminOnly, validate(schemas.user), async (req, res, next) => {
+        try {
+            const user = await loadUser(req, next);
+            if (!user) return;
+
+            const updated = await db.users.update(user.id, {
+                isSuspended: false,
+                suspendedAt: null,
+                suspendedBy: null,
+                suspensionReason: null
+            });
+
+            await audit.record(req, 'users.unsuspend', { targetType: 'user', targetId: user.id });
+
+            res.status(200).json({
+                success: true,
+                message: 'User unsuspended',
+                data: { user: sanitizeUser(updated) }
+            });
+
+        } catch (error) {
+            logger.error('Admin unsuspend user error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to unsuspend user'
+            });
+        }
+    });
+
+    // Turn off two-factor authentication for a user who has lost their authenticator
+    // app and backup codes (only after confirming their identity another way)
+    router.post('/users/:id/2fa/reset', adminOnly, validate(schemas.resetTwoFactor), async (req, res, next) => {
+        try {
+            const user = await loadUser(req, next);
+            if (!user) return;
+
+            if (!twoFactor.isEnabled(user)) {
+                return next(httpError(409, 'TWO_FACTOR_NOT_ENABLED', 'Two-factor authentication is not enabled for this user'));
+            }
+
+            const updated = await twoFactor.disable(user, { by: req.user.id });
+
+            await audit.record(req, 'users.reset_2fa', {
+                targetType: 'user',
+                targetId: user.id,
+                details: { reason: req.body.reason }
+            });
+
+            res.status(200).json({
+                success: true,
+                message: 'Two-factor authentication reset',
+                data: { user: sanitizeUser(updated) }
+            });
+
+        } catch (error) {
+            logger.error('Admin reset two-factor error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to reset two-factor authentication'
+            });
+        }
+    });
+
+    // Change a user's role
+    router.post('/users/:id/role', adminOnly, validate(schemas.setRole), async (req, res, next) => {
+        try {
+            const { role } = req.body;
+
+            const user = await loadUser(req, next);
+            if (!user) return;
+
+            const updated = await db.users.update(user.id, { role });
+
+            await audit.record(req, 'users.set_role', {
+                targetType: 'user',
+                targetId: user.id,
+                details: { from: user.role, to: role }
+            });
+
+            res.status(200).json({
+                success: true,
+                message: 'Role updated',
+                data: { user: sanitizeUser(updated) }
+            });
+
+        } catch (error) {
+            logger.error('Admin set role error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to update role'
+            });
+        }
+    });
+
+    // Export every transaction created in a date range as CSV, oldest first,
+    // for reconciliation against MarzPay settlement reports
+    router.get('/transactions/export', adminOnly, validate(schemas.exportTransactions), async (req, res, next) => {
+        try {
+            const { from, to, status } = req.query;
+
+            if (from > to) {
+                return next(validationError([
+                    { location: 'query', field: 'to', code: 'TOO_SMALL', message: 'to must not be before from' }
+                ]));
+            }
+
+            const transactions = (await db.transactions.list(status ? { status } : {}))
+                .filter(transaction => new Date(transaction.createdAt) >= from && new Date(transaction.createdAt) <= to)
+                .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+            await audit.record(req, 'transactions.export', {
+                details: { from: from.toISOString(), to: to.toISOString(), status: status || null, count: transactions.length }
+            });
+
+            const filename = `transactions-${from.toISOString().slice(0, 10)}-to-${to.toISOString().slice(0, 10)}.csv`;
+            res.set('Content-Type', 'text/csv; charset=utf-8');
+            res.set('Content-Disposition', `attachment; filename="${filename}"`);
+            res.set('Cache-Control', 'no-store');
+            res.status(200).send(toCsv(TRANSACTION_EXPORT_COLUMNS, transactions));
+
+        } catch (error) {
+            logger.error('Admin transaction export error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to export transactions'
+            });
+        }
+    });
+
+    // Re-check a stuck transaction against the payment provider and apply its status
+    router.post('/transactions/:id/reconcile', adminOnly, validate(schemas.transaction), async (req, res, next) => {
+        try {
+            const transaction = await db.transactions.findById(req.params.id);
+
+            if (!transaction) {
+                return next(httpError(404, 'NOT_FOUND', 'Transaction not found'));
+            }
+
+            const previousStatus = transaction.status;
+            const { transaction: updated, changed, providerResult } = await payments.refreshFromProvider(transaction);
+
+            await audit.record(req, 'transactions.reconcile', {
+                targetType: 'transaction',
+                targetId: transaction.id,
+                details: { from: previousStatus, to: updated.status, providerStatus: providerResult.providerStatus }
+            });
+
+            res.status(200).json({
+                success: true,
+                message: changed ? `Transaction updated to ${updated.status}` : 'Transaction status unchanged',
+                data: {
+                    transaction: updated,
+                    provider: {
+                        name: providerResult.provider,
+                        providerTransactionId: providerResult.providerTransactionId,
+                        status: providerResult.status,
+                        providerStatus: providerResult.providerStatus
+                    }
+                }
+            });
+
+        } catch (error) {
+            logger.error('Admin reconcile transaction error', { error });
+            res.status(error.retryable === undefined ? 500 : 502).json({
+                success: false,
+                message: error.retryable === undefined ? 'Failed to reconcile transaction' : error.message
+            });
+        }
+    });
+
+    // Settle a payment held for review because its amount differed from the provider's,
+    // once finance has checked what was actually collected; the payer is notified as usual
+    router.post('/transactions/:id/resolve', adminOnly, validate(schemas.resolveTransaction), async (req, res, next) => {
+        try {
+            const { status, note } = req.body;
+            const transaction = await db.transactions.findById(req.params.id);
+
+            if (!transaction) {
+                return next(httpError(404, 'NOT_FOUND', 'Transaction not found'));
+            }
+
+            let updated;
+            try {
+                updated = await payments.resolveReview(transaction, status, { reviewerId: req.user.id, note });
+            } catch (error) {
+                if (error.code !== 'PAYMENT_NOT_IN_REVIEW') throw error;
+                return next(httpError(409, error.code, error.message));
+            }
+
+            await audit.record(req, 'transactions.resolve', {
+                targetType: 'transaction',
+                targetId: transaction.id,
+                details: { from: transaction.status, to: status, note, providerAmount: transaction.providerAmount ?? null }
+            });
+
+            res.status(200).json({
+                success: true,
+                message: `Transaction resolved as ${status}`,
+                data: { transaction: updated }
+            });
+
+        } catch (error) {
+            logger.error('Admin resolve transaction error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to resolve transaction'
+            });
+        }
+    });
+
+    // Reports of the payment reconciliation job and CLI, newest first: what each
+    // run settled or expired and where our records disagree with the provider
+    router.get('/reconciliation/reports', adminOnly, validate(schemas.reconciliationReports), async (req, res) => {
+        try {
+            const { limit, offset } = req.query;
+            const { total, reports } = await reconciliation.listReports({ limit, offset });
+
+            await audit.record(req, 'reconciliation.view_reports');
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    reports,
+                    pagination: { total, limit, offset }
+                }
+            });
+
+        } catch (error) {
+            logger.error('Admin reconciliation reports error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get reconciliation reports'
+            });
+        }
+    });
+
+    // List KYC submissions by status (?status=pending by default), oldest first so the queue is worked in order
+    router.get('/kyc', validate(schemas.listKyc), async (req, res) => {
+        try {
+            const { status, limit, offset } = req.query;
+
+            const submissions = (await db.kycSubmissions.list({ status }))
+                .sort((a, b) => a.submittedAt.localeCompare(b.submittedAt));
+
+            await audit.record(req, 'kyc.search', { details: { status } });
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    submissions: submissions.slice(offset, offset + limit),
+                    pagination: { total: submissions.length, limit, offset }
+                }
+            });
+
+        } catch (error) {
+            logger.error('Admin list KYC error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get KYC submissions'
+            });
+        }
+    });
+
+    // Helper function to load the :id submission or pass a 404 on to the error handler
+    const loadSubmission = async (req, next) => {
+        const submission = await db.kycSubmissions.findById(req.params.id);
+        if (!submission) {
+            next(httpError(404, 'SUBMISSION_NOT_FOUND', 'KYC submission not found'));
+        }
+        return submission;
+    };
+
+    // Get a KYC submission with its user and document details
+    router.get('/kyc/:id', validate(schemas.kycSubmission), async (req, res, next) => {
+        try {
+            const submission = await loadSubmission(req, next);
+            if (!submission) return;
+
+            const [user, document] = await Promise.all([
+                db.users.findById(submission.userId),
+                db.kycDocuments.findById(submission.documentId)
+            ]);
+
+            await audit.record(req, 'kyc.view', { targetType: 'kyc_submission', targetId: submission.id });
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    submission,
+                    user: user ? sanitizeUser(user) : null,
+                    document: document
+                        ? { id: document.id, contentType: document.contentType, size: document.size, sha256: document.sha256, uploadedAt: document.uploadedAt }
+                        : null
+                }
+            });
+
+        } catch (error) {
+            logger.error('Admin get KYC error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get KYC submission'
+            });
+        }
+    });
+
+    // Download the identity document attached to a submission
+    router.get('/kyc/:id/document', validate(schemas.kycSubmission), async (req, res, next) => {
+        try {
+            const submission = await loadSubmission(req, next);
+            if (!submission) return;
+
+            const document = await db.kycDocuments.findById(submission.documentId);
+            if (!document) {
+                return next(httpError(404, 'DOCUMENT_NOT_FOUND', 'Document not found'));
+            }
+
+            await audit.record(req, 'kyc.view_document', { targetType: 'kyc_submission', targetId: submission.id });
+
+            res.set({
+                'Content-Type': document.contentType,
+                'Content-Disposition': 'inline',
+                'Cache-Control': 'no-store',
+                'X-Content-Type-Options': 'nosniff'
+            });
+            res.sendFile(kyc.documentPath(document), (error) => {
+                if (error && !res.headersSent) {
+                    logger.error('Admin KYC document error', { error });
+                    next(httpError(404, 'DOCUMENT_NOT_FOUND', 'Document file is missing'));
+                }
+            });
+
+        } catch (error) {
+            logger.error('Admin KYC document error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get document'
+            });
+        }
+    });
+
+    // Helper function to approve or reject a pending submission and answer the request
+    const reviewKyc = async (req, res, next, decision) => {
+        const reason = decision === 'reject' ? req.body.reason : null;
+
+        let submission;
+        try {
+            submission = await kyc.review(req.params.id, { decision, reviewerId: req.user.id, reason });
+        } catch (error) {
+            if (!KYC_REVIEW_ERROR_STATUS[error.code]) throw error;
+            return next(httpError(KYC_REVIEW_ERROR_STATUS[error.code], error.code, error.message));
+        }
+
+        await audit.record(req, `kyc.${decision}`, {
+            targetType: 'kyc_submission',
+            targetId: submission.id,
+            details: { userId: submission.userId, ...(reason && { reason }) }
+        });
+
+        res.status(200).json({
+            success: true,
+            message: decision === 'approve' ? 'KYC submission approved' : 'KYC submission rejected',
+            data: { submission }
+        });
+    };
+
+    // Approve a pending submission, moving its user to the verified tier
+    router.post('/kyc/:id/approve', adminOnly, validate(schemas.kycSubmission), async (req, res, next) => {
+        try {
+            await reviewKyc(req, res, next, 'approve');
+        } catch (error) {
+            logger.error('Admin approve KYC error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to approve KYC submission'
+            });
+        }
+    });
+
+    // Reject a pending submission; the reason is shown to the user
+    router.post('/kyc/:id/reject', adminOnly, validate(schemas.rejectKyc), async (req, res, next) => {
+        try {
+            await reviewKyc(req, res, next, 'reject');
+        } catch (error) {
+            logger.error('Admin reject KYC error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to reject KYC submission'
+            });
+        }
+    });
+
+    // Read the audit log
+    router.get('/audit-log', adminOnly, validate(schemas.auditLog), async (req, res) => {
+        try {
+            const { actorId, targetId, action, limit, offset } = req.query;
+            const { total, entries } = await audit.list({ actorId, targetId, action, limit, offset });
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    entries,
+                    pagination: { total, limit, offset }
+                }
+            });
+
+        } catch (error) {
+            logger.error('Admin audit log error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get audit log'
+            });
+        }
+    });
+
+    return router;
+};
+
+module.exports = createAdminRouter;
@@ -0,0 +1,89 @@
+const express = require('express');
+const { validate } = require('../middleware/validate');
+const { httpError } = require('../middleware/errors');
+const schemas = require('../schemas/notifications');
+const { logger } = require('../services/logger');
+
+/**
+ * In-app notification inbox for the signed-in user, with read/unread state.
+ */
+const createNotificationRouter = ({ requireAuth, notifications }) => {
+    const router = express.Router();
+
+    router.use(requireAuth);
+
+    // List notifications (newest first); ?unread=true for unread only
+    router.get('/', validate(schemas.list), async (req, res) => {
+        try {
+            const { unread, limit, offset } = req.query;
+
+            const { total, unreadCount, notifications: items } = await notifications.list(req.user.id, {
+                unreadOnly: unread,
+                limit,
+                offset
+            });
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    notifications: items,
+                    unreadCount,
+                    pagination: { total, limit, offset }
+                }
+            });
+
+        } catch (error) {
+            logger.error('List notifications error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get notifications'
+            });
+        }
+    });
+
+    // Mark every notification as read
+    router.post('/read-all', async (req, res) => {
+        try {
+            const count = await notifications.markAllRead(req.user.id);
+
+            res.status(200).json({
+                success: true,
+                message: `${count} notification(s) marked as read`,
+                data: { count }
+            });
+
+        } catch (error) {
+            logger.error('Mark all notifications read error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to update notifications'
+            });
+        }
+    });
+
+    // Mark one notification as read
+    router.post('/:id/read', validate(schemas.markRead), async (req, res, next) => {
+        try {
+            const notification = await notifications.markRead(req.user.id, req.params.id);
+
+            res.status(200).json({
+                success: true,
+                data: { notification }
+            });
+
+        } catch (error) {
+            if (error.code === 'NOTIFICATION_NOT_FOUND') {
+                return next(httpError(404, error.code, error.message));
+            }
+            logger.error('Mark notification read error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to update notification'
+            });
+        }
+    });
+
+    return router;
+};
+
+module.exports = createNotificationRouter;
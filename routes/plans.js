@@ -0,0 +1,209 @@
+const express = require('express');
+const { requireRole } = require('../middleware/auth');
+const { validate, validationError } = require('../middleware/validate');
+const { httpError } = require('../middleware/errors');
+const schemas = require('../schemas/plans');
+const { logger } = require('../services/logger');
+
+// Helper function to check the amount range of a plan as it will be saved;
+// returns a validation error or null
+const checkAmountRange = (plan) => {
+    if (plan.minAmount > plan.maxAmount) {
+        return validationError([{
+            location: 'body',
+            field: 'minAmount',
+            code: 'TOO_LARGE',
+            message: 'Plan amounts must satisfy 500 <= minAmount <= maxAmount <= 10,000,000 UGX'
+        }]);
+    }
+    return null;
+};
+
+/**
+ * Investment plan catalogue. Anyone can browse active plans; creating,
+ * editing and retiring plans is limited to admins. `dailyReturnRate` is a
+ * percentage of the principal credited per day.
+ */
+const createPlanRouter = ({ db, requireAuth, audit }) => {
+    const router = express.Router();
+    const adminOnly = [requireAuth, requireRole('admin')];
+
+    // List active plans
+    router.get('/', async (req, res) => {
+        try {
+            const plans = await db.plans.list({ isActive: true });
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    plans: plans.sort((a, b) => a.minAmount - b.minAmount)
+                }
+            });
+
+        } catch (error) {
+            logger.error('List plans error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get plans'
+            });
+        }
+    });
+
+    // List every plan, including retired ones
+    router.get('/all', adminOnly, async (req, res) => {
+        try {
+            const plans = await db.plans.list();
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    plans: plans.sort((a, b) => a.minAmount - b.minAmount)
+                }
+            });
+
+        } catch (error) {
+            logger.error('List all plans error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get plans'
+            });
+        }
+    });
+
+    // Get a single plan
+    router.get('/:id', validate(schemas.get), async (req, res, next) => {
+        try {
+            const plan = await db.plans.findById(req.params.id);
+
+            if (!plan || !plan.isActive) {
+                return next(httpError(404, 'PLAN_NOT_FOUND', 'Plan not found'));
+            }
+
+            res.status(200).json({
+                success: true,
+                data: { plan }
+            });
+
+        } catch (error) {
+            logger.error('Get plan error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get plan'
+            });
+        }
+    });
+
+    // Create a plan
+    router.post('/', adminOnly, validate(schemas.create), async (req, res, next) => {
+        try {
+            const fields = req.body;
+            const rangeError = checkAmountRange(fields);
+
+            if (rangeError) {
+                return next(rangeError);
+            }
+
+            if (await db.plans.findByName(fields.name)) {
+                return next(httpError(409, 'PLAN_NAME_IN_USE', 'A plan with this name already exists'));
+            }
+
+            const plan = await db.plans.create({
+                ...fields,
+                createdBy: req.user.id,
+                createdAt: new Date().toISOString()
+            });
+
+            await audit.record(req, 'plans.create', { targetType: 'plan', targetId: plan.id, details: fields });
+
+            res.status(201).json({
+                success: true,
+                message: 'Plan created successfully',
+                data: { plan }
+            });
+
+        } catch (error) {
+            logger.error('Create plan error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to create plan'
+            });
+        }
+    });
+
+    // Update a plan (existing investments keep the terms they started with)
+    router.put('/:id', adminOnly, validate(schemas.update), async (req, res, next) => {
+        try {
+            const plan = await db.plans.findById(req.params.id);
+
+            if (!plan) {
+                return next(httpError(404, 'PLAN_NOT_FOUND', 'Plan not found'));
+            }
+
+            const fields = req.body;
+            const rangeError = checkAmountRange({ ...plan, ...fields });
+
+            if (rangeError) {
+                return next(rangeError);
+            }
+
+            const sameName = fields.name && await db.plans.findByName(fields.name);
+            if (sameName && sameName.id !== plan.id) {
+                return next(httpError(409, 'PLAN_NAME_IN_USE', 'A plan with this name already exists'));
+            }
+
+            const updated = await db.plans.update(plan.id, {
+                ...fields,
+                updatedAt: new Date().toISOString()
+            });
+
+            await audit.record(req, 'plans.update', { targetType: 'plan', targetId: plan.id, details: fields });
+
+            res.status(200).json({
+                success: true,
+                message: 'Plan updated successfully',
+                data: { plan: updated }
+            });
+
+        } catch (error) {
+            logger.error('Update plan error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to update plan'
+            });
+        }
+    });
+
+    // Retire a plan. Plans are never hard-deleted because investments refer to them.
+    router.delete('/:id', adminOnly, validate(schemas.get), async (req, res, next) => {
+        try {
+            const plan = await db.plans.findById(req.params.id);
+
+            if (!plan) {
+                return next(httpError(404, 'PLAN_NOT_FOUND', 'Plan not found'));
+            }
+
+            await db.plans.update(plan.id, {
+                isActive: false,
+                updatedAt: new Date().toISOString()
+            });
+
+            await audit.record(req, 'plans.retire', { targetType: 'plan', targetId: plan.id });
+
+            res.status(200).json({
+                success: true,
+                message: 'Plan retired successfully'
+            });
+
+        } catch (error) {
+            logger.error('Delete plan error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to retire plan'
+            });
+        }
+    });
+
+    return router;
+};
+
+module.exports = createPlanRouter;
@@ -0,0 +1,176 @@
+const express = require('express');
+const bcrypt = require('bcryptjs');
+const { validate } = require('../middleware/validate');
+const { httpError } = require('../middleware/errors');
+const schemas = require('../schemas/auth');
+const { logger } = require('../services/logger');
+
+const ERROR_STATUS = {
+    TWO_FACTOR_ALREADY_ENABLED: 409,
+    TWO_FACTOR_NOT_ENABLED: 409,
+    TWO_FACTOR_NOT_STARTED: 409,
+    TWO_FACTOR_INVALID_CODE: 400
+};
+
+// Helper function to turn an expected two-factor service error into a response error
+const twoFactorHttpError = (error) => httpError(ERROR_STATUS[error.code], error.code, error.message);
+
+// Helper function to build the refusal for a request whose password re-check failed
+const wrongPasswordError = () => httpError(401, 'INVALID_PASSWORD', 'Password is incorrect');
+
+/**
+ * Two-factor authentication settings for the signed-in user: enrolment,
+ * step-up verification for sensitive actions, backup codes and disabling.
+ */
+const createTwoFactorRouter = ({ requireAuth, twoFactor, rateLimit }) => {
+    const router = express.Router();
+
+    router.use(requireAuth);
+
+    // Whether 2FA is on and how many backup codes are left
+    router.get('/', async (req, res) => {
+        try {
+            res.status(200).json({
+                success: true,
+                data: twoFactor.status(req.user)
+            });
+
+        } catch (error) {
+            logger.error('Two-factor status error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get two-factor status'
+            });
+        }
+    });
+
+    // Start enrolment: returns the secret and an otpauth:// URI to show as a QR code
+    router.post('/setup', rateLimit, validate(schemas.twoFactorSetup), async (req, res, next) => {
+        try {
+            if (!await bcrypt.compare(req.body.password, req.user.password)) {
+                return next(wrongPasswordError());
+            }
+
+            const { secret, otpauthUrl } = await twoFactor.beginEnrolment(req.user);
+
+            res.status(200).json({
+                success: true,
+                message: 'Scan the QR code with your authenticator app, then enter the code it shows',
+                data: { secret, otpauthUrl }
+            });
+
+        } catch (error) {
+            if (ERROR_STATUS[error.code]) {
+                return next(twoFactorHttpError(error));
+            }
+            logger.error('Two-factor setup error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to start two-factor setup'
+            });
+        }
+    });
+
+    // Finish enrolment with a code from the app; the backup codes are only shown here
+    router.post('/enable', rateLimit, validate(schemas.twoFactorCode), async (req, res, next) => {
+        try {
+            const { backupCodes } = await twoFactor.confirmEnrolment(req.user, req.body.code);
+            const stepUpExpiresAt = await twoFactor.markStepUp(req.session);
+
+            res.status(200).json({
+                success: true,
+                message: 'Two-factor authentication enabled. Store your backup codes somewhere safe.',
+                data: { backupCodes, stepUpExpiresAt }
+            });
+
+        } catch (error) {
+            if (ERROR_STATUS[error.code]) {
+                return next(twoFactorHttpError(error));
+            }
+            logger.error('Two-factor enable error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to enable two-factor authentication'
+            });
+        }
+    });
+
+    // Step-up: confirm a code so this session may perform sensitive actions for a while
+    router.post('/verify', rateLimit, validate(schemas.twoFactorCode), async (req, res, next) => {
+        try {
+            const { method, backupCodesRemaining } = await twoFactor.verifyCode(req.user, req.body.code);
+            const stepUpExpiresAt = await twoFactor.markStepUp(req.session);
+
+            res.status(200).json({
+                success: true,
+                message: 'Code accepted',
+                data: { method, backupCodesRemaining, stepUpExpiresAt }
+            });
+
+        } catch (error) {
+            if (ERROR_STATUS[error.code]) {
+                return next(twoFactorHttpError(error));
+            }
+            logger.error('Two-factor verify error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to verify code'
+            });
+        }
+    });
+
+    // Replace the backup codes (confirmed with a current code)
+    router.post('/backup-codes', rateLimit, validate(schemas.twoFactorCode), async (req, res, next) => {
+        try {
+            await twoFactor.verifyCode(req.user, req.body.code);
+            const backupCodes = await twoFactor.regenerateBackupCodes(req.user);
+
+            res.status(200).json({
+                success: true,
+                message: 'New backup codes generated. Your old codes no longer work.',
+                data: { backupCodes }
+            });
+
+        } catch (error) {
+            if (ERROR_STATUS[error.code]) {
+                return next(twoFactorHttpError(error));
+            }
+            logger.error('Two-factor backup codes error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to generate backup codes'
+            });
+        }
+    });
+
+    // Turn 2FA off (needs both the password and a current code)
+    router.post('/disable', rateLimit, validate(schemas.twoFactorDisable), async (req, res, next) => {
+        try {
+            if (!await bcrypt.compare(req.body.password, req.user.password)) {
+                return next(wrongPasswordError());
+            }
+
+            await twoFactor.verifyCode(req.user, req.body.code);
+            await twoFactor.disable(req.user);
+
+            res.status(200).json({
+                success: true,
+                message: 'Two-factor authentication disabled'
+            });
+
+        } catch (error) {
+            if (ERROR_STATUS[error.code]) {
+                return next(twoFactorHttpError(error));
+            }
+            logger.error('Two-factor disable error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to disable two-factor authentication'
+            });
+        }
+    });
+
+    return router;
+};
+
+module.exports = createTwoFactorRouter;
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const express = require('express');
+const { logger } = require('../services/logger');
+const { httpError } = require('../middleware/errors');
+
+/**
+ * Webhook receivers for payment providers. The active provider posts
+ * collection and payout results to /api/webhooks/<provider name>; deliveries
+ * are authenticated by the provider and de-duplicated so a retried callback
+ * never settles a transaction twice. A collection result whose provider
+ * transaction id differs from ours is refused before it can settle anything
+ * (one for a payment we have no provider id for yet supplies it); one whose
+ * amount differs holds the payment for review. An event is only
+ * recorded once it has been applied, so a payout result that arrives before
+ * the send is recorded gets a 409 and is delivered again later.
+ */
+const createWebhookRouter = ({ db, provider, payments, withdrawals }) => {
+    const router = express.Router();
+
+    router.post('/:providerName', async (req, res, next) => {
+        try {
+            if (req.params.providerName !== provider.name) {
+                return next(httpError(404, 'NOT_FOUND', 'Unknown payment provider'));
+            }
+
+            if (!provider.verifyWebhook(req)) {
+                logger.warn('Rejected webhook with invalid signature', { provider: provider.name });
+                return next(httpError(401, 'INVALID_SIGNATURE', 'Invalid webhook signature'));
+            }
+
+            const { eventId, reference, providerTransactionId, status, providerStatus, amount } = provider.parseWebhook(req);
+
+            if (!reference || !status) {
+                return next(httpError(400, 'INVALID_PAYLOAD', 'Webhook payload is missing reference or status'));
+            }
+
+            // Use the provider's event id when it sends one, else the payload itself
+            const eventKey = eventId ||
+                crypto.createHash('sha256').update(req.rawBody).digest('hex');
+
+            const recordEvent = () => db.webhookEvents.create({
+                eventKey,
+                provider: provider.name,
+                reference,
+                status: providerStatus,
+                receivedAt: new Date().toISOString()
+            });
+
+            if (await db.webhookEvents.findByEventKey(eventKey)) {
+                return res.status(200).json({
+                    success: true,
+                    message: 'Webhook already processed'
+                });
+            }
+
+            let transaction = await db.transactions.findByReference(reference);
+
+            // Not a collection, so it may be the result of a withdrawal payout
+            if (!transaction) {
+                const withdrawal = await withdrawals.applyStatusByReference(reference, status, providerStatus);
+
+                // The result beat our record of the send; leave the event unrecorded so the provider retries it
+                if (withdrawal && withdrawal.status === 'approved') {
+                    logger.warn('Payout result arrived before the send was recorded', { reference, status });
+                    return next(httpError(409, 'WITHDRAWAL_NOT_PROCESSING', 'Withdrawal is not processing yet, retry later'));
+                }
+
+                if (withdrawal) {
+                    await recordEvent();
+
+                    return res.status(200).json({
+                        success: true,
+                        message: 'Withdrawal updated',
+                        data: { status: withdrawal.status }
+                    });
+                }
+
+                return next(httpError(404, 'NOT_FOUND', 'Transaction not found'));
+            }
+
+            const expectedId = transaction.providerTransactionId;
+            if (providerTransactionId && expectedId && providerTransactionId !== expectedId) {
+                logger.error('Webhook transaction does not match', {
+                    provider: provider.name,
+                    providerTransactionId,
+                    transactionId: transaction.id
+                });
+                return next(httpError(422, 'TRANSACTION_MISMATCH', 'Webhook transaction does not match the reference'));
+            }
+
+            // The result beat the provider's answer to our collect call (or followed one we never got)
+            if (providerTransactionId && !expectedId) {
+                transaction = await db.transactions.update(transaction.id, { providerTransactionId });
+            }
+
+            // A different amount is held for review (and acknowledged) like reconciliation would
+            const result = await payments.applyProviderResult(transaction, { status, providerStatus, amount });
+
+            await recordEvent();
+
+            res.status(200).json({
+                success: true,
+                message: result.changed ? 'Transaction updated' : 'No change',
+                data: { status: result.transaction.status }
+            });
+
+        } catch (error) {
+            // A concurrent delivery of the same event got there first
+            if (error.code === 'UNIQUE_VIOLATION') {
+                return res.status(200).json({
+                    success: true,
+                    message: 'Webhook already processed'
+                });
+            }
+            logger.error('Payment webhook error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to process webhook'
+            });
+        }
+    });
+
+    return router;
+};
+
+module.exports = createWebhookRouter;
@@ -0,0 +1,278 @@
+const express = require('express');
+const { requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { httpError } = require('../middleware/errors');
+const schemas = require('../schemas/withdrawals');
+const { logger } = require('../services/logger');
+
+const ERROR_STATUS = {
+    INSUFFICIENT_FUNDS: 400,
+    INVALID_STATE: 409,
+    WITHDRAWAL_NOT_FOUND: 404,
+    OTP_INVALID: 400,
+    OTP_EXPIRED: 410,
+    OTP_ATTEMPTS_EXCEEDED: 429,
+    OTP_COOLDOWN: 429
+};
+
+// Helper function to turn an expected withdrawal service or verification code error into a response error
+const withdrawalHttpError = (error) => httpError(ERROR_STATUS[error.code], error.code, error.message, {
+    ...(error.retryAfter && { data: { retryAfter: error.retryAfter } })
+});
+
+/**
+ * Withdrawal endpoints. Users request and track payouts to their registered
+ * phone number, confirming each request with a code texted to that number
+ * (and, with two-factor authentication on, a recent step-up); admins approve
+ * or reject requests above the approval threshold and resolve sends whose
+ * outcome the provider never confirmed.
+ */
+const createWithdrawalRouter = ({ db, requireAuth, requireStepUp, idempotency, withdrawals, phoneVerification, audit }) => {
+    const router = express.Router();
+    const adminOnly = [requireAuth, requireRole('admin')];
+
+    // Text the user a code to confirm their next withdrawal request
+    router.post('/otp', requireAuth, async (req, res, next) => {
+        try {
+            const otp = await phoneVerification.issue({
+                userId: req.user.id,
+                phone: req.user.phone,
+                purpose: 'withdrawal',
+                locale: req.user.language
+            });
+
+            res.status(200).json({
+                success: true,
+                message: 'Verification code sent',
+                data: { expiresAt: otp.expiresAt }
+            });
+
+        } catch (error) {
+            if (ERROR_STATUS[error.code]) {
+                return next(withdrawalHttpError(error));
+            }
+            logger.error('Withdrawal code error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to send verification code'
+            });
+        }
+    });
+
+    // Request a withdrawal (with the code from POST /otp)
+    router.post('/', requireAuth, requireStepUp, validate(schemas.request), idempotency, async (req, res, next) => {
+        try {
+            const { amount, otp } = req.body;
+
+            if (!req.user.isVerified) {
+                return next(httpError(403, 'ACCOUNT_NOT_VERIFIED', 'Please verify your account before withdrawing'));
+            }
+
+            if (!otp) {
+                return next(httpError(403, 'OTP_REQUIRED', 'Enter the verification code sent to your phone to confirm this withdrawal'));
+            }
+
+            // The code is only used up once the request has been accepted
+            const withdrawal = await withdrawals.request(req.user, { amount }, {
+                confirm: () => phoneVerification.verify({
+                    userId: req.user.id,
+                    phone: req.user.phone,
+                    purpose: 'withdrawal',
+                    code: otp
+                })
+            });
+
+            res.status(201).json({
+                success: true,
+                message: withdrawal.status === 'pending_approval'
+                    ? 'Withdrawal requested and awaiting approval'
+                    : 'Withdrawal requested successfully',
+                data: { withdrawal }
+            });
+
+        } catch (error) {
+            if (ERROR_STATUS[error.code]) {
+                return next(withdrawalHttpError(error));
+            }
+            logger.error('Withdrawal request error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Withdrawal request failed'
+            });
+        }
+    });
+
+    // List the user's withdrawals
+    router.get('/', requireAuth, async (req, res) => {
+        try {
+            res.status(200).json({
+                success: true,
+                data: {
+                    withdrawals: await withdrawals.listForUser(req.user.id)
+                }
+            });
+
+        } catch (error) {
+            logger.error('List withdrawals error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get withdrawals'
+            });
+        }
+    });
+
+    // List withdrawals awaiting approval
+    router.get('/pending', adminOnly, async (req, res) => {
+        try {
+            const pending = await db.withdrawals.findByStatus('pending_approval');
+
+            res.status(200).json({
+                success: true,
+                data: {
+                    withdrawals: pending.sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+                }
+            });
+
+        } catch (error) {
+            logger.error('List pending withdrawals error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get pending withdrawals'
+            });
+        }
+    });
+
+    // Get a single withdrawal
+    router.get('/:id', requireAuth, validate(schemas.byId), async (req, res, next) => {
+        try {
+            const withdrawal = await db.withdrawals.findById(req.params.id);
+
+            if (!withdrawal || (withdrawal.userId !== req.user.id && req.user.role !== 'admin')) {
+                return next(httpError(404, 'WITHDRAWAL_NOT_FOUND', 'Withdrawal not found'));
+            }
+
+            res.status(200).json({
+                success: true,
+                data: { withdrawal }
+            });
+
+        } catch (error) {
+            logger.error('Get withdrawal error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to get withdrawal'
+            });
+        }
+    });
+
+    // Cancel a withdrawal that is still awaiting approval
+    router.post('/:id/cancel', requireAuth, validate(schemas.byId), async (req, res, next) => {
+        try {
+            const withdrawal = await withdrawals.cancel(req.params.id, req.user);
+
+            res.status(200).json({
+                success: true,
+                message: 'Withdrawal cancelled',
+                data: { withdrawal }
+            });
+
+        } catch (error) {
+            if (ERROR_STATUS[error.code]) {
+                return next(withdrawalHttpError(error));
+            }
+            logger.error('Cancel withdrawal error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to cancel withdrawal'
+            });
+        }
+    });
+
+    // Approve a withdrawal and send it to MarzPay
+    router.post('/:id/approve', adminOnly, validate(schemas.byId), async (req, res, next) => {
+        try {
+            const withdrawal = await withdrawals.approve(req.params.id, req.user);
+
+            await audit.record(req, 'withdrawals.approve', { targetType: 'withdrawal', targetId: withdrawal.id });
+
+            res.status(200).json({
+                success: true,
+                message: 'Withdrawal approved',
+                data: { withdrawal }
+            });
+
+        } catch (error) {
+            if (ERROR_STATUS[error.code]) {
+                return next(withdrawalHttpError(error));
+            }
+            logger.error('Approve withdrawal error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to approve withdrawal'
+            });
+        }
+    });
+
+    // Reject a withdrawal and release the held funds
+    router.post('/:id/reject', adminOnly, validate(schemas.reject), async (req, res, next) => {
+        try {
+            const withdrawal = await withdrawals.reject(req.params.id, req.user, req.body.reason);
+
+            await audit.record(req, 'withdrawals.reject', {
+                targetType: 'withdrawal',
+                targetId: withdrawal.id,
+                details: { reason: req.body.reason || null }
+            });
+
+            res.status(200).json({
+                success: true,
+                message: 'Withdrawal rejected',
+                data: { withdrawal }
+            });
+
+        } catch (error) {
+            if (ERROR_STATUS[error.code]) {
+                return next(withdrawalHttpError(error));
+            }
+            logger.error('Reject withdrawal error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to reject withdrawal'
+            });
+        }
+    });
+
+    // Settle a withdrawal held for review once its outcome is known
+    router.post('/:id/resolve', adminOnly, validate(schemas.resolve), async (req, res, next) => {
+        try {
+            const { status, note } = req.body;
+            const withdrawal = await withdrawals.resolveReview(req.params.id, req.user, status, note);
+
+            await audit.record(req, 'withdrawals.resolve', {
+                targetType: 'withdrawal',
+                targetId: withdrawal.id,
+                details: { to: status, note }
+            });
+
+            res.status(200).json({
+                success: true,
+                message: 'Withdrawal resolved',
+                data: { withdrawal }
+            });
+
+        } catch (error) {
+            if (ERROR_STATUS[error.code]) {
+                return next(withdrawalHttpError(error));
+            }
+            logger.error('Resolve withdrawal error', { error });
+            res.status(500).json({
+                success: false,
+                message: 'Failed to resolve withdrawal'
+            });
+        }
+    });
+
+    return router;
+};
+
+module.exports = createWithdrawalRouter;
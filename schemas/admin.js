@@ -0,0 +1,96 @@
+const { string, oneOf, date } = require('./fields');
+const { pagination, id } = require('./common');
+
+const ROLES = ['user', 'support', 'admin'];
+
+const KYC_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Request schemas for /api/admin
+module.exports = {
+    ROLES,
+
+    listUsers: {
+        query: {
+            q: string({ max: 100, default: '', lowercase: true, label: 'q' }),
+            ...pagination(50, 200)
+        }
+    },
+
+    user: {
+        params: { id: id() }
+    },
+
+    suspend: {
+        params: { id: id() },
+        body: {
+            reason: string({ max: 500, label: 'reason' })
+        }
+    },
+
+    resetTwoFactor: {
+        params: { id: id() },
+        body: {
+            reason: string({ required: true, min: 3, max: 500, label: 'Reason' })
+        }
+    },
+
+    setRole: {
+        params: { id: id() },
+        body: {
+            role: oneOf(ROLES, { required: true, label: 'Role' })
+        }
+    },
+
+    transaction: {
+        params: { id: id() }
+    },
+
+    exportTransactions: {
+        query: {
+            from: date({ required: true, label: 'from' }),
+            to: date({ required: true, endOfDay: true, label: 'to' }),
+            status: oneOf(['processing', 'successful', 'failed', 'expired', 'needs_review'], { label: 'status' })
+        }
+    },
+
+    resolveTransaction: {
+        params: { id: id() },
+        body: {
+            status: oneOf(['successful', 'failed'], { required: true, label: 'Status' }),
+            note: string({ required: true, min: 3, max: 500, label: 'Note' })
+        }
+    },
+
+    reconciliationReports: {
+        query: {
+            ...pagination(20, 100)
+        }
+    },
+
+    listKyc: {
+        query: {
+            status: oneOf(KYC_STATUSES, { default: 'pending', label: 'status' }),
+            ...pagination(50, 200)
+        }
+    },
+
+    kycSubmission: {
+        params: { id: id() }
+    },
+
+    rejectKyc: {
+        params: { id: id() },
+        body: {
+            reason: string({ required: true, min: 3, max: 500, label: 'Reason' })
+        }
+    },
+
+    auditLog: {
+        query: {
+            actorId: string({ max: 100, label: 'actorId' }),
+            targetId: string({ max: 100, label: 'targetId' }),
+            action: string({ max: 100, label: 'action' }),
+            ...pagination(50, 200)
+        }
+    }
+};
@@ -0,0 +1,152 @@
+const { string, boolean, oneOf, phone, email } = require('./fields');
+const { otpCode } = require('./common');
+const { SUPPORTED_LOCALES } = require('../services/templates');
+const { createPasswordPolicy } = require('../services/passwordPolicy');
+
+const passwordPolicy = createPasswordPolicy();
+
+// Passwords are taken exactly as typed, never trimmed
+const password = (options) => string({ trim: false, max: 128, ...options });
+
+// A password being set, which must meet the password policy (at sign-up also
+// checked against the phone number and email given with it); `matches` is the
+// field that must repeat it
+const newPassword = (label) => password({
+    required: true,
+    label,
+    check: (text, input) => passwordPolicy.check(text, { phone: input.phone, email: input.email })
+});
+const confirmation = (matches) => password({
+    required: true,
+    equals: matches,
+    label: 'Password confirmation',
+    message: 'Passwords do not match'
+});
+
+// Single-use tokens from emailed links
+const token = (label) => string({ required: true, max: 200, label });
+
+// A code from an authenticator app, or a backup code such as "abcd-2345"
+const twoFactorCode = () => string({
+    required: true,
+    pattern: /^([0-9]{6}|[a-z0-9]{4}-?[a-z0-9]{4})$/i,
+    message: 'Enter the 6-digit code from your authenticator app or one of your backup codes',
+    label: 'Authentication code'
+});
+
+// Request schemas for /api/auth
+module.exports = {
+    passwordPolicy,
+
+    register: {
+        body: {
+            phone: phone({ required: true }),
+            email: email({ required: true }),
+            password: newPassword('Password'),
+            confirmPassword: confirmation('password'),
+            referralCode: string({ max: 32, uppercase: true, label: 'Referral code' }),
+            language: oneOf(SUPPORTED_LOCALES, { label: 'Language' })
+        }
+    },
+
+    verifyEmail: {
+        query: {
+            token: token('Verification token')
+        }
+    },
+
+    login: {
+        body: {
+            phone: phone({ required: true }),
+            password: password({ required: true, label: 'Password' })
+        }
+    },
+
+    loginTwoFactor: {
+        body: {
+            challengeToken: token('Challenge token'),
+            code: twoFactorCode()
+        }
+    },
+
+    unlock: {
+        body: {
+            token: token('Unlock token')
+        }
+    },
+
+    verifyPhone: {
+        body: {
+            phone: phone({ required: true }),
+            code: otpCode({ required: true })
+        }
+    },
+
+    resendPhoneCode: {
+        body: {
+            phone: phone({ required: true })
+        }
+    },
+
+    resendVerification: {
+        body: {
+            email: email({ required: true })
+        }
+    },
+
+    refresh: {
+        body: {
+            refreshToken: string({ required: true, max: 1000, label: 'Refresh token' })
+        }
+    },
+
+    logout: {
+        body: {
+            allDevices: boolean({ default: false, label: 'allDevices' })
+        }
+    },
+
+    // Either field identifies the account; the handler checks one was given
+    forgotPassword: {
+        body: {
+            phone: phone(),
+            email: email()
+        }
+    },
+
+    resetPassword: {
+        body: {
+            token: token('Reset token'),
+            password: newPassword('Password'),
+            confirmPassword: confirmation('password')
+        }
+    },
+
+    changePassword: {
+        body: {
+            currentPassword: password({ required: true, label: 'Current password' }),
+            newPassword: newPassword('New password'),
+            confirmPassword: confirmation('newPassword')
+        }
+    },
+
+    // Setup and disabling re-check the password so a left-open session is not enough
+    twoFactorSetup: {
+        body: {
+            password: password({ required: true, label: 'Password' })
+        }
+    },
+
+    twoFactorCode: {
+        body: {
+            code: twoFactorCode()
+        }
+    },
+
+    twoFactorDisable: {
+        body: {
+            password: password({ required: true, label: 'Password' }),
+            code: twoFactorCode()
+        }
+    }
+};
@@ -0,0 +1,20 @@
+const { string, integer } = require('./fields');
+
+// ?limit=&offset= paging, with the default and largest page size for the list
+const pagination = (defaultLimit, maxLimit) => ({
+    limit: integer({ min: 1, max: maxLimit, default: defaultLimit }),
+    offset: integer({ min: 0, default: 0 })
+});
+
+// A record id taken from the URL
+const id = (label = 'id') => string({ required: true, max: 100, label });
+
+// A numeric code texted to the user
+const otpCode = (options = {}) => string({
+    label: 'Verification code',
+    pattern: /^[0-9]{4,8}$/,
+    message: 'Verification code must be the digits sent to your phone',
+    ...options
+});
+
+module.exports = { pagination, id, otpCode };
@@ -0,0 +1,163 @@
+// Helper function to build the error a field parser throws for a bad value
+const fieldError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+// Uganda mobile numbers: +256 followed by 9 digits
+const PHONE_PATTERN = /^\+256[0-9]{9}$/;
+
+// Bring a Ugandan number given as 07xxxxxxxx, 256xxxxxxxxx or +256 xxx xxx xxx to +256xxxxxxxxx
+const normalisePhone = (value) => {
+    const digits = String(value).trim().replace(/[\s().-]/g, '');
+
+    if (/^\+256[0-9]{9}$/.test(digits)) return digits;
+    if (/^256[0-9]{9}$/.test(digits)) return `+${digits}`;
+    if (/^0[0-9]{9}$/.test(digits)) return `+256${digits.slice(1)}`;
+    return digits;
+};
+
+const normaliseEmail = (value) => String(value).trim().toLowerCase();
+
+/**
+ * Field builders for request schemas. Each returns `{ required, default,
+ * label, parse(value, input, label) }`; `parse` gets a value that is present
+ * and returns it coerced and normalised, or throws an error with a `code`
+ * (INVALID_TYPE, INVALID_FORMAT, TOO_SHORT, TOO_LONG, TOO_SMALL, TOO_LARGE,
+ * NOT_ALLOWED, MISMATCH or WEAK_PASSWORD). `input` is the whole object being
+ * validated, for fields that must agree with another one.
+ */
+const field = ({ required = false, default: defaultValue, label }, parse) => ({
+    required,
+    default: defaultValue,
+    label,
+    parse
+});
+
+// Text, trimmed unless `trim: false`; `equals` names another field it must match and
+// `check(text, input)` can refuse the value by returning `{ code, message }`
+const string = (options = {}) => field(options, (value, input, label) => {
+    if (typeof value !== 'string') {
+        throw fieldError('INVALID_TYPE', `${label} must be text`);
+    }
+
+    let text = options.trim === false ? value : value.trim();
+    if (options.lowercase) text = text.toLowerCase();
+    if (options.uppercase) text = text.toUpperCase();
+
+    if (options.min !== undefined && text.length < options.min) {
+        throw fieldError('TOO_SHORT', `${label} must be at least ${options.min} characters long`);
+    }
+    if (options.max !== undefined && text.length > options.max) {
+        throw fieldError('TOO_LONG', `${label} must be at most ${options.max} characters long`);
+    }
+    if (options.pattern && !options.pattern.test(text)) {
+        throw fieldError('INVALID_FORMAT', options.message || `${label} is not in a valid format`);
+    }
+    if (options.equals && text !== input[options.equals]) {
+        throw fieldError('MISMATCH', options.message || `${label} does not match`);
+    }
+    if (options.check) {
+        const problem = options.check(text, input);
+        if (problem) throw fieldError(problem.code, `${label} ${problem.message}`);
+    }
+    return text;
+});
+
+// A number; numeric strings such as "1000" are converted, anything else is refused
+const number = (options = {}) => field(options, (value, input, label) => {
+    let parsed = value;
+    if (typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim())) {
+        parsed = Number(value.trim());
+    }
+
+    if (typeof parsed !== 'number' || !Number.isFinite(parsed)) {
+        throw fieldError('INVALID_TYPE', `${label} must be a number`);
+    }
+    if (options.integer && !Number.isInteger(parsed)) {
+        throw fieldError('INVALID_TYPE', `${label} must be a whole number`);
+    }
+    if (options.positive && parsed <= 0) {
+        throw fieldError('TOO_SMALL', `${label} must be greater than 0`);
+    }
+    if (options.min !== undefined && parsed < options.min) {
+        throw fieldError('TOO_SMALL', options.message || `${label} must be at least ${options.min.toLocaleString('en-US')}`);
+    }
+    if (options.max !== undefined && parsed > options.max) {
+        throw fieldError('TOO_LARGE', options.message || `${label} must be at most ${options.max.toLocaleString('en-US')}`);
+    }
+    return parsed;
+});
+
+const integer = (options = {}) => number({ ...options, integer: true });
+
+// true/false, also accepting "true"/"false"/"1"/"0" from query strings
+const boolean = (options = {}) => field(options, (value, input, label) => {
+    if (typeof value === 'boolean') return value;
+    if (['true', '1'].includes(value)) return true;
+    if (['false', '0'].includes(value)) return false;
+    throw fieldError('INVALID_TYPE', `${label} must be true or false`);
+});
+
+// One of a fixed list of values
+const oneOf = (values, options = {}) => field(options, (value, input, label) => {
+    if (!values.includes(value)) {
+        throw fieldError('NOT_ALLOWED', `${label} must be one of: ${values.join(', ')}`);
+    }
+    return value;
+});
+
+// A Ugandan phone number, normalised to +256xxxxxxxxx
+const phone = (options = {}) => field({ label: 'Phone number', ...options }, (value, input, label) => {
+    const normalised = normalisePhone(value);
+    if (typeof value !== 'string' || !PHONE_PATTERN.test(normalised)) {
+        throw fieldError('INVALID_FORMAT', `Invalid ${label.toLowerCase()} format. Use format: +256xxxxxxxxx`);
+    }
+    return normalised;
+});
+
+// An email address, trimmed and lowercased
+const email = (options = {}) => field({ label: 'Email', ...options }, (value, input, label) => {
+    const normalised = typeof value === 'string' ? normaliseEmail(value) : '';
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalised) || normalised.length > 254) {
+        throw fieldError('INVALID_FORMAT', `Invalid ${label.toLowerCase()} format`);
+    }
+    return normalised;
+});
+
+// A date or date-time, returned as a Date
+const date = (options = {}) => field(options, (value, input, label) => {
+    const parsed = typeof value === 'string' ? new Date(value) : new Date(NaN);
+    if (isNaN(parsed)) {
+        throw fieldError('INVALID_FORMAT', `${label} must be a valid date`);
+    }
+    // With `endOfDay`, a date without a time (2024-01-31) covers that whole day
+    if (options.endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value.trim())) {
+        parsed.setUTCHours(23, 59, 59, 999);
+    }
+    return parsed;
+});
+
+// A plain object; its contents are left for the handler or service to check
+const object = (options = {}) => field(options, (value, input, label) => {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw fieldError('INVALID_TYPE', `${label} must be an object`);
+    }
+    return value;
+});
+
+module.exports = {
+    string,
+    number,
+    integer,
+    boolean,
+    oneOf,
+    phone,
+    email,
+    date,
+    object,
+    normalisePhone,
+    normaliseEmail,
+    PHONE_PATTERN
+};
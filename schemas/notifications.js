@@ -0,0 +1,18 @@
+const { boolean } = require('./fields');
+const { pagination, id } = require('./common');
+
+// Request schemas for /api/user/notifications
+module.exports = {
+    list: {
+        query: {
+            unread: boolean({ default: false, label: 'unread' }),
+            ...pagination(50, 200)
+        }
+    },
+
+    markRead: {
+        params: {
+            id: id()
+        }
+    }
+};
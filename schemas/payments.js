@@ -0,0 +1,28 @@
+const { string, integer, phone } = require('./fields');
+const { id } = require('./common');
+
+// Request schemas for /api/payment
+module.exports = {
+    // Either planId or planName picks the plan; the handler checks one was given
+    initiate: {
+        body: {
+            amount: integer({
+                required: true,
+                min: 500,
+                max: 10000000,
+                label: 'Amount',
+                message: 'Amount must be between 500 and 10,000,000 UGX'
+            }),
+            planId: string({ max: 100, label: 'planId' }),
+            planName: string({ max: 100, label: 'planName' }),
+            description: string({ max: 200, label: 'Description' }),
+            phone: phone()
+        }
+    },
+
+    status: {
+        params: {
+            transactionId: id('transactionId')
+        }
+    }
+};
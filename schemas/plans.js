@@ -0,0 +1,29 @@
+const { string, number, integer, boolean } = require('./fields');
+const { id } = require('./common');
+
+// The editable plan fields; every one is optional on update
+const planFields = (create) => ({
+    name: string({ required: create, min: 1, max: 60, label: 'Plan name' }),
+    description: string({ max: 500, label: 'description', ...(create && { default: '' }) }),
+    minAmount: integer({ required: create, min: 500, max: 10000000, label: 'minAmount' }),
+    maxAmount: integer({ required: create, min: 500, max: 10000000, label: 'maxAmount' }),
+    dailyReturnRate: number({ required: create, positive: true, max: 100, label: 'dailyReturnRate' }),
+    durationDays: integer({ required: create, min: 1, max: 3650, label: 'durationDays' }),
+    isActive: boolean({ label: 'isActive', ...(create && { default: true }) })
+});
+
+// Request schemas for /api/plans
+module.exports = {
+    get: {
+        params: { id: id() }
+    },
+
+    create: {
+        body: planFields(true)
+    },
+
+    update: {
+        params: { id: id() },
+        body: planFields(false)
+    }
+};
@@ -0,0 +1,102 @@
+const { string, oneOf, phone, email, date, object } = require('./fields');
+const { pagination, otpCode } = require('./common');
+const { SUPPORTED_LOCALES } = require('../services/templates');
+
+const TRANSACTION_STATUSES = ['processing', 'successful', 'failed'];
+
+const STATEMENT_FORMATS = ['json', 'csv', 'pdf'];
+
+// Ugandan national ID number (NIN): CM or CF followed by 12 letters and digits
+const NATIONAL_ID_PATTERN = /^C[MF][A-Z0-9]{12}$/;
+
+// Request schemas for /api/user
+module.exports = {
+    investments: {
+        params: {
+            phone: phone({ required: true })
+        }
+    },
+
+    transactions: {
+        query: {
+            status: oneOf(TRANSACTION_STATUSES, { label: 'status' }),
+            from: date({ label: 'from' }),
+            to: date({ label: 'to' }),
+            ...pagination(20, 100)
+        }
+    },
+
+    ledger: {
+        query: pagination(50, 200)
+    },
+
+    // Defaults to the current month so far; the handler checks the range
+    statement: {
+        query: {
+            from: date({ label: 'from' }),
+            to: date({ endOfDay: true, label: 'to' }),
+            format: oneOf(STATEMENT_FORMATS, { default: 'json', label: 'format' })
+        }
+    },
+
+    updateProfile: {
+        body: {
+            displayName: string({ min: 1, max: 60, label: 'Display name' })
+        }
+    },
+
+    changeEmail: {
+        body: {
+            email: email({ required: true }),
+            password: string({ required: true, trim: false, max: 128, label: 'Password' })
+        }
+    },
+
+    submitKyc: {
+        body: {
+            fullName: string({
+                required: true,
+                min: 3,
+                max: 100,
+                pattern: /^[\p{L}' .-]+$/u,
+                message: 'Full name may only contain letters, spaces, apostrophes and hyphens',
+                label: 'Full name'
+            }),
+            nationalId: string({
+                required: true,
+                uppercase: true,
+                pattern: NATIONAL_ID_PATTERN,
+                message: 'National ID number must be the 14-character NIN on your national ID card',
+                label: 'National ID number'
+            }),
+            documentId: string({ required: true, max: 100, label: 'Document id' })
+        }
+    },
+
+    // Category channels are checked by the notification service
+    updatePreferences: {
+        body: {
+            language: oneOf(SUPPORTED_LOCALES, { label: 'Language' }),
+            notifications: object({ label: 'Notifications' })
+        }
+    },
+
+    addMobileMoneyNumber: {
+        body: {
+            phone: phone({ required: true })
+        }
+    },
+
+    removeMobileMoneyNumber: {
+        params: {
+            phone: phone({ required: true })
+        }
+    },
+
+    confirmMobileMoneyNumber: {
+        body: {
+            phone: phone({ required: true }),
+            code: otpCode({ required: true })
+        }
+    }
+};
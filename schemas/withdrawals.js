@@ -0,0 +1,38 @@
+const { string, integer, oneOf } = require('./fields');
+const { id, otpCode } = require('./common');
+
+// Request schemas for /api/withdrawals
+module.exports = {
+    // The handler asks for `otp` itself so a missing code is reported as OTP_REQUIRED
+    request: {
+        body: {
+            amount: integer({
+                required: true,
+                min: 500,
+                max: 10000000,
+                label: 'Amount',
+                message: 'Amount must be a whole number between 500 and 10,000,000 UGX'
+            }),
+            otp: otpCode()
+        }
+    },
+
+    byId: {
+        params: { id: id() }
+    },
+
+    reject: {
+        params: { id: id() },
+        body: {
+            reason: string({ max: 500, label: 'reason' })
+        }
+    },
+
+    resolve: {
+        params: { id: id() },
+        body: {
+            status: oneOf(['successful', 'failed'], { required: true, label: 'Status' }),
+            note: string({ required: true, min: 3, max: 500, label: 'Note' })
+        }
+    }
+};
@@ -0,0 +1,101 @@
+require('dotenv').config();
+
+// The JSON report is the only thing written to stdout, so it can be piped
+process.env.LOG_OUTPUT = 'stderr';
+
+const { createStorage } = require('../storage');
+const { logger } = require('../services/logger');
+const createEmailOutbox = require('../services/emailOutbox');
+const { createNotificationService } = require('../services/notifications');
+const { createSmsGateway } = require('../services/sms');
+const { createPaymentProvider } = require('../services/providers');
+const { createPaymentService } = require('../services/payments');
+const { createReconciliationService } = require('../services/reconciliation');
+const { handleSettledPayments } = require('../services/settlement');
+const { createLedgerService } = require('../services/ledger');
+const createInvestmentService = require('../services/investments');
+const createReferralService = require('../services/referrals');
+
+const USAGE = `Usage: npm run reconcile -- [--dry-run] [--since=YYYY-MM-DD]
+
+Reconciles payments stuck in "processing" with the payment provider now,
+ignoring the backoff of the background job, and prints the report as JSON on
+stdout (logs go to stderr).
+
+  --dry-run             look up and report, but change and store nothing
+  --since=YYYY-MM-DD    also audit payments settled since that date
+
+Exits with 0 when the provider agrees with our records, 2 when the report
+lists discrepancies or lookups that failed, and 1 when the run itself fails.
+With the file storage driver only one process may write the data file, so
+this refuses to run while the API server is using it; stop the server first.
+A --dry-run only reads the file and works while the server is running.`;
+
+// Helper function to read the command line options, or null when they are not valid
+const parseArgs = (args) => {
+    const options = { dryRun: false, since: null };
+
+    for (const arg of args) {
+        const [name, value] = arg.split('=');
+        if (name === '--dry-run' && value === undefined) {
+            options.dryRun = true;
+        } else if (name === '--since' && /^\d{4}-\d{2}-\d{2}$/.test(value || '')) {
+            options.since = new Date(`${value}T00:00:00.000Z`);
+        } else {
+            return null;
+        }
+    }
+    return options;
+};
+
+/**
+ * One-off payment reconciliation, e.g. after a provider outage while the API
+ * server is down. (A running server reconciles on its own schedule, see
+ * jobs/reconciliation.js.) Uses the same services as the API server, so
+ * settling a payment here funds its investment and notifies the payer exactly
+ * as a webhook would.
+ */
+const main = async () => {
+    const options = parseArgs(process.argv.slice(2));
+    if (!options) {
+        console.error(USAGE);
+        return 1;
+    }
+
+    const db = createStorage({ readOnly: options.dryRun });
+    try {
+        await db.init();
+    } catch (error) {
+        if (error.code !== 'STORE_LOCKED') throw error;
+        console.error(`${error.message}. Stop the API server first, or use --dry-run.`);
+        return 1;
+    }
+
+    let report;
+    try {
+        const emailOutbox = createEmailOutbox({ db });
+        const notifications = createNotificationService({ db, emailOutbox, sms: createSmsGateway() });
+        const provider = createPaymentProvider();
+        const payments = createPaymentService({ db, provider });
+        const ledger = createLedgerService({ db });
+        const investments = createInvestmentService({ db, ledger });
+        const referrals = createReferralService({ db, ledger });
+        const settlement = handleSettledPayments({ payments, investments, referrals, notifications });
+        const reconciliation = createReconciliationService({ db, provider, payments });
+
+        report = await reconciliation.run({ ...options, ignoreBackoff: true, trigger: 'cli' });
+        await settlement.drain();
+    } finally {
+        await db.close();
+    }
+
+    console.log(JSON.stringify(report, null, 2));
+    return report.discrepancies.length > 0 || report.errors > 0 ? 2 : 0;
+};
+
+main()
+    .then((code) => process.exit(code))
+    .catch((error) => {
+        logger.error('Reconciliation CLI error', { error });
+        process.exit(1);
+    });
@@ -1,237 +1,441 @@
 require('dotenv').config();
 const express = require('express');
-const cors = require('cors');
 const bcrypt = require('bcryptjs');
 const { v4: uuidv4 } = require('uuid');
-const axios = require('axios');
-const nodemailer = require('nodemailer');
+const { createStorage } = require('./storage');
+const { logger } = require('./services/logger');
+const { createMetricsRegistry } = require('./services/metrics');
+const { createHealthService, requireEnv } = require('./services/health');
+const { parseOrigins, checkStartupConfig } = require('./services/config');
+const { transporter } = require('./services/email');
+const createTokenService = require('./services/tokens');
+const createEmailOutbox = require('./services/emailOutbox');
+const { createNotificationService } = require('./services/notifications');
+const { createSmsGateway } = require('./services/sms');
+const { DEFAULT_LOCALE } = require('./services/templates');
+const { createPaymentProvider, configuredProviderName } = require('./services/providers');
+const { createPaymentService } = require('./services/payments');
+const { createReconciliationService } = require('./services/reconciliation');
+const { handleSettledPayments } = require('./services/settlement');
+const createInvestmentService = require('./services/investments');
+const { createLedgerService } = require('./services/ledger');
+const { createStatementService, monthOf } = require('./services/statements');
+const createWithdrawalService = require('./services/withdrawals');
+const createReferralService = require('./services/referrals');
+const createPasswordResetService = require('./services/passwordResets');
+const createEmailVerificationService = require('./services/emailVerification');
+const { createPhoneVerificationService } = require('./services/phoneVerification');
+const { createKycService, DOCUMENT_TYPES } = require('./services/kyc');
+const createLoginLockoutService = require('./services/loginLockout');
+const { createTwoFactorService } = require('./services/twoFactor');
+const createAuditLog = require('./services/audit');
+const createReconciliationJob = require('./jobs/reconciliation');
+const createAccrualJob = require('./jobs/accrual');
+const createWithdrawalProcessor = require('./jobs/withdrawalProcessor');
+const createUnverifiedCleanupJob = require('./jobs/unverifiedCleanup');
+const createIdempotencyCleanupJob = require('./jobs/idempotencyCleanup');
+const createEmailOutboxJob = require('./jobs/emailOutbox');
+const createMonthlyStatementJob = require('./jobs/monthlyStatements');
+const { createRequireAuth, createRequireStepUp } = require('./middleware/auth');
+const requestId = require('./middleware/requestId');
+const createAccessLog = require('./middleware/accessLog');
+const createIdempotency = require('./middleware/idempotency');
+const { createRateLimiter, createMemoryRateLimitStore } = require('./middleware/rateLimit');
+const { validate, validationError } = require('./middleware/validate');
+const { notFound, errorHandler, httpError } = require('./middleware/errors');
+const { createCorsPolicy, createSecurityHeaders } = require('./middleware/security');
+const authSchemas = require('./schemas/auth');
+const paymentSchemas = require('./schemas/payments');
+const userSchemas = require('./schemas/user');
+const createWebhookRouter = require('./routes/webhooks');
+const createPlanRouter = require('./routes/plans');
+const createWithdrawalRouter = require('./routes/withdrawals');
+const createAdminRouter = require('./routes/admin');
+const createNotificationRouter = require('./routes/notifications');
+const createTwoFactorRouter = require('./routes/twoFactor');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const isProduction = process.env.NODE_ENV === 'production';
+
+app.disable('x-powered-by');
+
+// Behind a load balancer, TRUST_PROXY makes req.ip the client address (needed for rate limits)
+if (process.env.TRUST_PROXY) {
+    const trustProxy = process.env.TRUST_PROXY;
+    app.set('trust proxy', /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy === 'true' || trustProxy);
+}
+
+// Prometheus metrics, served on /metrics
+const metrics = createMetricsRegistry();
+const appMetrics = {
+    requestDuration: metrics.histogram('http_request_duration_seconds', 'HTTP request latency in seconds', ['method', 'route', 'status']),
+    paymentInitiations: metrics.counter('payment_initiations_total', 'Payment collections requested, by outcome', ['provider', 'outcome']),
+    paymentsSettled: metrics.counter('payments_settled_total', 'Payments that reached a final status', ['provider', 'status']),
+    emails: metrics.counter('emails_total', 'Email send attempts, by template and outcome', ['template', 'outcome'])
+};
+metrics.gauge('process_uptime_seconds', 'Seconds since the process started', () => Math.round(process.uptime()));
+metrics.gauge('process_resident_memory_bytes', 'Resident memory size in bytes', () => process.memoryUsage().rss);
+metrics.gauge('nodejs_heap_used_bytes', 'V8 heap in use in bytes', () => process.memoryUsage().heapUsed);
+
+// Middleware: request ids and access logging first so every later step is covered
+app.use(requestId);
+app.use(createAccessLog({ logger, requestDuration: appMetrics.requestDuration }));
+
+// Set once SIGTERM arrives; responses then close their connection so keep-alive clients move on
+let shuttingDown = false;
+app.use((req, res, next) => {
+    if (shuttingDown) res.set('Connection', 'close');
+    next();
+});
 
-// Middleware
-app.use(cors({
-    origin: process.env.FRONTEND_URL || '*',
-    credentials: true
+// Security headers, with HSTS for HSTS_MAX_AGE seconds (180 days by default in production)
+app.use(createSecurityHeaders({
+    hstsMaxAge: process.env.HSTS_MAX_AGE !== undefined ? Number(process.env.HSTS_MAX_AGE) : (isProduction ? 180 * 24 * 60 * 60 : 0)
 }));
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
 
-// In-memory user storage (in production, use a database)
-const users = [];
-const transactions = [];
+// Browser origins allowed to call the API: CORS_ORIGINS (comma separated), else
+// FRONTEND_URL. Without either, local development servers only; production refuses to start.
+const corsOrigins = parseOrigins(process.env.CORS_ORIGINS || process.env.FRONTEND_URL);
+app.use(createCorsPolicy({
+    origins: corsOrigins.origins,
+    allowLocalhost: !isProduction && corsOrigins.origins.length === 0
+}));
 
-// Email transporter setup
-const transporter = nodemailer.createTransport({
-    host: process.env.EMAIL_HOST,
-    port: process.env.EMAIL_PORT,
-    secure: false, // true for 465, false for other ports
-    auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASSWORD
+// Request bodies are capped at REQUEST_BODY_LIMIT; KYC document uploads have their own limit
+const BODY_LIMIT = process.env.REQUEST_BODY_LIMIT || '50kb';
+app.use(express.json({
+    limit: BODY_LIMIT,
+    // Keep the raw body so webhook signatures can be verified
+    verify: (req, res, buf) => {
+        req.rawBody = buf;
     }
+}));
+app.use(express.urlencoded({ extended: true, limit: BODY_LIMIT, parameterLimit: 100 }));
+
+// Refuse to start without the secrets we need or with an unsafe configuration
+const REQUIRED_SECRETS = [
+    'JWT_SECRET',
+    ...(configuredProviderName() === 'marzpay' ? ['MARZPAY_AUTH_HEADER', 'MARZPAY_API_SECRET'] : []),
+    ...(configuredProviderName() === 'simulator' && !['development', 'test'].includes(process.env.NODE_ENV || 'development')
+        ? ['SIMULATOR_WEBHOOK_SECRET']
+        : [])
+];
+const configProblems = checkStartupConfig({ requiredSecrets: REQUIRED_SECRETS, cors: corsOrigins });
+if (configProblems.length > 0) {
+    logger.error('Invalid configuration, refusing to start', { problems: configProblems });
+    process.exit(1);
+}
+
+// Persistent storage (file-backed by default, STORAGE_DRIVER=memory for tests)
+const db = createStorage();
+
+// Access/refresh token issuing and the middleware guarding private routes
+const tokens = createTokenService({ db });
+const requireAuth = createRequireAuth({ db, tokens });
+const passwordResets = createPasswordResetService({ db });
+
+// Optional TOTP two-factor authentication, and the step-up check guarding sensitive actions
+const twoFactor = createTwoFactorService({ db });
+const requireStepUp = createRequireStepUp({ twoFactor });
+
+// Idempotency-Key handling for routes that move money, and the purge of expired keys
+const idempotency = createIdempotency({ db });
+const idempotencyCleanup = createIdempotencyCleanupJob({ db });
+
+// Request throttling and lockout after repeated failed logins.
+// Each limit can be overridden with RATE_LIMIT_<NAME>, e.g. RATE_LIMIT_LOGIN_IP=20/15m
+const loginLockout = createLoginLockoutService({ db });
+const rateLimitStore = createMemoryRateLimitStore();
+const limit = (name, rule, key) => createRateLimiter({
+    store: rateLimitStore,
+    name,
+    rule: process.env[`RATE_LIMIT_${name.toUpperCase()}`] || rule,
+    key
 });
+const rateLimits = {
+    login: [
+        limit('login_ip', '20/15m'),
+        limit('login_phone', '10/15m', req => req.body.phone)
+    ],
+    loginTwoFactor: [
+        limit('login_2fa_ip', '20/15m')
+    ],
+    twoFactor: [
+        limit('two_factor_user', '10/15m', req => req.user.id)
+    ],
+    register: [
+        limit('register_ip', '5/1h')
+    ],
+    resendVerification: [
+        limit('resend_verification_ip', '5/1h'),
+        limit('resend_verification_email', '3/1h', req => req.body.email)
+    ],
+    forgotPassword: [
+        limit('forgot_password_ip', '5/1h'),
+        limit('forgot_password_account', '3/1h', req => req.body.phone || req.body.email)
+    ],
+    unlock: [
+        limit('unlock_ip', '10/15m')
+    ],
+    phoneCode: [
+        limit('phone_code_ip', '10/1h'),
+        limit('phone_code_phone', '5/1h', req => req.body.phone)
+    ],
+    verifyPhone: [
+        limit('verify_phone_ip', '20/15m')
+    ],
+    changeEmail: [
+        limit('change_email_user', '5/1h', req => req.user.id)
+    ],
+    kycUpload: [
+        limit('kyc_upload_user', '10/1h', req => req.user.id)
+    ],
+    paymentInitiate: [
+        limit('payment_initiate_ip', '30/10m'),
+        limit('payment_initiate_user', '10/10m', req => req.user.id)
+    ]
+};
 
-// Helper function to send email
-const sendEmail = async (to, subject, html) => {
-    try {
-        const info = await transporter.sendMail({
-            from: process.env.EMAIL_FROM || 'Star Investments <noreply@starinvest.com>',
-            to: to,
-            subject: subject,
-            html: html
-        });
-        console.log('Email sent:', info.messageId);
-        return true;
-    } catch (error) {
-        console.error('Email error:', error);
-        return false;
+// Transactional email: templated messages sent through a durable outbox
+const emailOutbox = createEmailOutbox({ db });
+const emailOutboxJob = createEmailOutboxJob({ outbox: emailOutbox });
+
+// Account notifications over email, SMS (SMS_PROVIDER) and the in-app inbox
+const sms = createSmsGateway();
+const notifications = createNotificationService({ db, emailOutbox, sms });
+
+// Email verification tokens, SMS codes proving control of a phone number
+// and the purge of stale unverified sign-ups
+const emailVerification = createEmailVerificationService({ db });
+const phoneVerification = createPhoneVerificationService({ db, sms });
+const unverifiedCleanup = createUnverifiedCleanupJob({ db });
+
+// Identity verification (KYC) and the payment limits of each tier
+const kyc = createKycService({ db });
+
+// Payment provider (PAYMENT_PROVIDER=marzpay|simulator), settlement and the
+// reconciliation of payments whose callback never arrived
+const provider = createPaymentProvider();
+const payments = createPaymentService({ db, provider });
+const reconciliation = createReconciliationService({ db, provider, payments });
+const reconciliationJob = createReconciliationJob({ reconciliation });
+
+// Ledger, investments funded by settled payments and their daily returns
+const ledger = createLedgerService({ db });
+const investments = createInvestmentService({ db, ledger });
+const accrualJob = createAccrualJob({ db, ledger });
+
+// Account statements (JSON, CSV and PDF) and the monthly statement email
+const statements = createStatementService({ db });
+const monthlyStatements = createMonthlyStatementJob({ db, statements, emailOutbox, notifications });
+
+// Withdrawals paid out through the payment provider
+const withdrawals = createWithdrawalService({ db, ledger, provider });
+const withdrawalProcessor = createWithdrawalProcessor({ withdrawals });
+
+// Referral codes and commissions
+const referrals = createReferralService({ db, ledger });
+
+// Investments, commissions and notifications that follow a settled payment
+const settlement = handleSettledPayments({ payments, investments, referrals, notifications });
+
+// Audit trail for staff actions
+const audit = createAuditLog({ db });
+
+// Background jobs, started once storage is ready and drained on shutdown
+const backgroundJobs = [reconciliationJob, accrualJob, withdrawalProcessor, unverifiedCleanup, idempotencyCleanup, emailOutboxJob, monthlyStatements];
+
+// Settings the API cannot work without; MarzPay credentials only matter when MarzPay is in use
+const REQUIRED_ENV = [
+    'JWT_SECRET',
+    'FRONTEND_URL',
+    'BACKEND_URL',
+    'EMAIL_HOST',
+    'EMAIL_PORT',
+    'EMAIL_USER',
+    'EMAIL_PASSWORD',
+    ...(provider.name === 'marzpay' ? ['MARZPAY_API_BASE_URL', 'MARZPAY_AUTH_HEADER', 'MARZPAY_API_SECRET'] : [])
+];
+
+// Readiness checks behind /api/health/ready, each given HEALTH_CHECK_TIMEOUT_MS to answer
+const HEALTH_CHECK_TIMEOUT_MS = Number(process.env.HEALTH_CHECK_TIMEOUT_MS) || 3000;
+const health = createHealthService({
+    timeoutMs: HEALTH_CHECK_TIMEOUT_MS,
+    checks: {
+        config: requireEnv(REQUIRED_ENV),
+        storage: () => db.check(),
+        smtp: () => transporter.verify(),
+        paymentProvider: () => provider.ping({ timeout: HEALTH_CHECK_TIMEOUT_MS })
     }
-};
+});
 
 // Helper function to find user by phone
 const findUserByPhone = (phone) => {
-    return users.find(user => user.phone === phone);
+    return db.users.findByPhone(phone);
 };
 
 // Helper function to find user by email
 const findUserByEmail = (email) => {
-    return users.find(user => user.email === email);
+    return db.users.findByEmail(email);
 };
 
-// Helper function to validate phone number format
-const validatePhoneNumber = (phone) => {
-    // Uganda phone number format: +256 followed by 9 digits
-    const phoneRegex = /^\+256[0-9]{9}$/;
-    return phoneRegex.test(phone);
-};
+// Phone numbers listed in ADMIN_PHONES are given the admin role
+const adminPhones = (process.env.ADMIN_PHONES || '').split(',').map(phone => phone.trim()).filter(Boolean);
 
-// Helper function to validate email format
-const validateEmail = (email) => {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
+// Helper function to promote existing users listed in ADMIN_PHONES
+const bootstrapAdmins = async () => {
+    for (const phone of adminPhones) {
+        const user = await findUserByPhone(phone);
+        if (user && user.role !== 'admin') {
+            await db.users.update(user.id, { role: 'admin' });
+            logger.info('Granted admin role', { phone });
+        }
+    }
 };
 
-// Helper function to validate password
-const validatePassword = (password) => {
-    // Minimum 6 characters
-    return password && password.length >= 6;
+// HTTP status for each expected phone verification code error
+const OTP_ERROR_STATUS = {
+    OTP_INVALID: 400,
+    OTP_EXPIRED: 410,
+    OTP_ATTEMPTS_EXCEEDED: 429,
+    OTP_COOLDOWN: 429
 };
 
-// ==================== AUTHENTICATION ENDPOINTS ====================
+// Helper function to turn an expected phone verification code error into a response error
+const otpHttpError = (error) => httpError(OTP_ERROR_STATUS[error.code], error.code, error.message, {
+    ...(error.retryAfter && { data: { retryAfter: error.retryAfter } })
+});
 
-// Register endpoint
-app.post('/api/auth/register', async (req, res) => {
+// Helper function to text a user a code confirming their login number; false if it could not be sent now
+const sendPhoneVerificationCode = async (user) => {
     try {
-        const { phone, email, password, confirmPassword, referralCode } = req.body;
+        await phoneVerification.issue({
+            userId: user.id,
+            phone: user.phone,
+            purpose: 'verify_phone',
+            locale: user.language
+        });
+        return true;
+    } catch (error) {
+        if (error.code !== 'OTP_COOLDOWN') {
+            logger.error('Phone verification code failed', { userId: user.id, error });
+        }
+        return false;
+    }
+};
 
-        console.log('Registration attempt:', { phone, email });
+// Collections for the same user, plan and amount inside this window are treated as duplicates
+const DUPLICATE_PAYMENT_WINDOW_MS = (Number(process.env.DUPLICATE_PAYMENT_WINDOW_MINUTES) || 5) * 60 * 1000;
 
-        // Validation
-        if (!phone || !email || !password) {
-            return res.status(400).json({
-                success: false,
-                message: 'Phone number, email, and password are required'
-            });
-        }
+// Payments currently being sent to the provider, keyed by user, plan and amount
+const paymentsInFlight = new Set();
 
-        // Validate phone number format
-        if (!validatePhoneNumber(phone)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid phone number format. Use format: +256xxxxxxxxx'
-            });
-        }
+// Helper function to check a user may be charged on a mobile money number:
+// their own login number, or an extra number they have confirmed
+const canPayFrom = (user, phone) => {
+    return phone === user.phone || (user.mobileMoneyNumbers || [])
+        .some(number => number.phone === phone && number.confirmedAt);
+};
 
-        // Validate email format
-        if (!validateEmail(email)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid email format'
-            });
-        }
+// ==================== AUTHENTICATION ENDPOINTS ====================
 
-        // Validate password length
-        if (!validatePassword(password)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Password must be at least 6 characters long'
-            });
-        }
+// The existing-account error for each unique user field a racing registration can take first
+const REGISTRATION_CONFLICTS = {
+    phone: ['PHONE_IN_USE', 'An account with this phone number already exists'],
+    email: ['EMAIL_IN_USE', 'An account with this email already exists']
+};
 
-        // Check if passwords match
-        if (password !== confirmPassword) {
-            return res.status(400).json({
-                success: false,
-                message: 'Passwords do not match'
-            });
-        }
+// Register endpoint
+app.post('/api/auth/register', rateLimits.register, validate(authSchemas.register), async (req, res, next) => {
+    try {
+        const { phone, email, password, referralCode, language } = req.body;
+
+        logger.info('Registration attempt', { phone, email });
 
         // Check if user already exists by phone
-        const existingUserByPhone = findUserByPhone(phone);
+        const existingUserByPhone = await findUserByPhone(phone);
         if (existingUserByPhone) {
-            return res.status(409).json({
-                success: false,
-                message: 'An account with this phone number already exists'
-            });
+            return next(httpError(409, ...REGISTRATION_CONFLICTS.phone));
         }
 
         // Check if user already exists by email
-        const existingUserByEmail = findUserByEmail(email);
+        const existingUserByEmail = await findUserByEmail(email);
         if (existingUserByEmail) {
-            return res.status(409).json({
-                success: false,
-                message: 'An account with this email already exists'
-            });
+            return next(httpError(409, ...REGISTRATION_CONFLICTS.email));
+        }
+
+        // Resolve the referrer, if a referral code was given
+        let referrer = null;
+        if (referralCode) {
+            referrer = await referrals.findReferrer(referralCode);
+            if (!referrer) {
+                return next(httpError(400, 'INVALID_REFERRAL_CODE', 'Invalid referral code'));
+            }
         }
 
         // Hash password
         const hashedPassword = await bcrypt.hash(password, 10);
 
         // Generate verification token
-        const verificationToken = uuidv4();
+        const { token: verificationToken, fields: verificationFields } = emailVerification.generate();
 
         // Create new user
-        const newUser = {
+        const newUser = await db.users.create({
             id: uuidv4(),
             phone,
             email,
             password: hashedPassword,
-            referralCode: referralCode || null,
-            verificationToken: verificationToken,
+            referralCode: await referrals.generateCode(),
+            referredBy: referrer ? referrer.id : null,
+            role: adminPhones.includes(phone) ? 'admin' : 'user',
+            ...verificationFields,
             isVerified: false,
-            createdAt: new Date().toISOString(),
-            investments: []
-        };
-
-        // Save user
-        users.push(newUser);
-
-        // Send confirmation email
-        const verificationUrl = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
-        const emailHtml = `
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <style>
-                    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-                    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-                    .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
-                    .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
-                    .button { display: inline-block; padding: 15px 30px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
-                    .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
-                </style>
-            </head>
-            <body>
-                <div class="container">
-                    <div class="header">
-                        <h1>⭐ Star Investments</h1>
-                        <p>Welcome to Smart Investments, Daily Returns</p>
-                    </div>
-                    <div class="content">
-                        <h2>Confirm Your Email Address</h2>
-                        <p>Thank you for registering with Star Investments!</p>
-                        <p>Please click the button below to verify your email address and activate your account:</p>
-                        <center>
-                            <a href="${verificationUrl}" class="button">Verify Email Address</a>
-                        </center>
-                        <p>Or copy and paste this link into your browser:</p>
-                        <p style="word-break: break-all; color: #667eea;">${verificationUrl}</p>
-                        <p><strong>Note:</strong> This verification link will expire in 24 hours.</p>
-                        <p>If you did not create an account with Star Investments, please ignore this email.</p>
-                    </div>
-                    <div class="footer">
-                        <p>&copy; 2024 Star Investments. All rights reserved.</p>
-                        <p>This is an automated email, please do not reply.</p>
-                    </div>
-                </div>
-            </body>
-            </html>
-        `;
-
-        const emailSent = await sendEmail(email, 'Confirm Your Email - Star Investments', emailHtml);
-
-        if (!emailSent) {
-            console.log('Warning: Email failed to send, but user was created');
-        }
+            phoneVerified: false,
+            phoneVerifiedAt: null,
+            isSuspended: false,
+            twoFactorEnabled: false,
+            lastStatementPeriod: null,
+            mobileMoneyNumbers: [],
+            language: language || DEFAULT_LOCALE,
+            ...loginLockout.clearedFields(),
+            createdAt: new Date().toISOString()
+        });
+
+        // Queue the confirmation email; the outbox sends it in the background
+        await emailOutbox.sendToUser(newUser, 'verifyEmail', {
+            verificationUrl: `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`,
+            ttlHours: emailVerification.ttlHours
+        });
+
+        // Text a code to confirm the phone number (it can be re-sent if this fails)
+        const phoneCodeSent = await sendPhoneVerificationCode(newUser);
 
         res.status(201).json({
             success: true,
-            message: 'Registration successful! Please check your email to verify your account.',
+            message: 'Registration successful! Please check your email to verify your account and enter the code sent to your phone.',
             data: {
                 user: {
                     id: newUser.id,
                     phone: newUser.phone,
                     email: newUser.email,
+                    referralCode: newUser.referralCode,
                     isVerified: newUser.isVerified,
+                    phoneVerified: newUser.phoneVerified,
+                    language: newUser.language,
                     createdAt: newUser.createdAt
                 },
-                emailSent: emailSent
+                emailQueued: true,
+                phoneCodeSent
             }
         });
 
     } catch (error) {
-        console.error('Registration error:', error);
+        // Another registration with the same phone or email was created after our checks
+        if (error.code === 'UNIQUE_VIOLATION' && REGISTRATION_CONFLICTS[error.field]) {
+            return next(httpError(409, ...REGISTRATION_CONFLICTS[error.field]));
+        }
+        logger.error('Registration error', { error });
         res.status(500).json({
             success: false,
             message: 'Registration failed. Please try again.'
@@ -239,48 +443,58 @@ app.post('/api/auth/register', async (req, res) => {
     }
 });
 
+// HTTP status for each expected email verification error
+const VERIFICATION_ERROR_STATUS = {
+    INVALID_VERIFICATION_TOKEN: 404,
+    VERIFICATION_TOKEN_EXPIRED: 410,
+    EMAIL_IN_USE: 409
+};
+
 // Verify email endpoint
-app.get('/api/auth/verify-email', async (req, res) => {
+app.get('/api/auth/verify-email', validate(authSchemas.verifyEmail), async (req, res, next) => {
     try {
         const { token } = req.query;
 
-        if (!token) {
-            return res.status(400).json({
-                success: false,
-                message: 'Verification token is required'
-            });
+        // Check the token and mark its user as verified (or move them to their new address)
+        let user;
+        let emailChange;
+        try {
+            ({ user, emailChange } = await emailVerification.verify(token));
+        } catch (error) {
+            if (!error.code) throw error;
+            return next(httpError(VERIFICATION_ERROR_STATUS[error.code] || 404, error.code, error.message));
         }
 
-        // Find user by verification token
-        const userIndex = users.findIndex(user => user.verificationToken === token);
-        
-        if (userIndex === -1) {
-            return res.status(404).json({
-                success: false,
-                message: 'Invalid or expired verification token'
-            });
+        // Let the old address know it is no longer on the account
+        if (emailChange) {
+            try {
+                await emailOutbox.enqueue({
+                    to: emailChange.from,
+                    userId: user.id,
+                    template: 'emailChanged',
+                    locale: user.language,
+                    data: { newEmail: emailChange.to, time: new Date() }
+                });
+            } catch (error) {
+                logger.warn('Email change notice could not be queued', { userId: user.id, error });
+            }
         }
 
-        // Mark user as verified
-        users[userIndex].isVerified = true;
-        users[userIndex].verificationToken = null;
-        users[userIndex].verifiedAt = new Date().toISOString();
-
         res.status(200).json({
             success: true,
-            message: 'Email verified successfully! You can now login.',
+            message: emailChange ? 'Email address changed successfully.' : 'Email verified successfully! You can now login.',
             data: {
                 user: {
-                    id: users[userIndex].id,
-                    phone: users[userIndex].phone,
-                    email: users[userIndex].email,
-                    isVerified: users[userIndex].isVerified
+                    id: user.id,
+                    phone: user.phone,
+                    email: user.email,
+                    isVerified: user.isVerified
                 }
             }
         });
 
     } catch (error) {
-        console.error('Email verification error:', error);
+        logger.error('Email verification error', { error });
         res.status(500).json({
             success: false,
             message: 'Email verification failed'
@@ -288,174 +502,242 @@ app.get('/api/auth/verify-email', async (req, res) => {
     }
 });
 
-// Login endpoint
-app.post('/api/auth/login', async (req, res) => {
-    try {
-        const { phone, password } = req.body;
+// Helper function to start a session for a user who has passed every login check
+// and send their profile with its tokens
+const completeLogin = async (req, res, user, { twoFactorVerified = false } = {}) => {
+    // Warn the user when an account that has signed in before is used from an unfamiliar device
+    const userAgent = req.get('user-agent') || null;
+    const previousSessions = await db.sessions.findByUserId(user.id);
+    const isNewDevice = previousSessions.length > 0 &&
+        !previousSessions.some(session => session.userAgent === userAgent);
+
+    // Start a session and return user data with its tokens; a code entered
+    // while logging in also counts as step-up for the new session
+    const sessionTokens = await tokens.issueSession(user, {
+        userAgent,
+        ip: req.ip,
+        stepUpAt: twoFactorVerified ? new Date().toISOString() : null
+    });
 
-        // Validation
-        if (!phone || !password) {
-            return res.status(400).json({
-                success: false,
-                message: 'Phone number and password are required'
-            });
-        }
+    if (isNewDevice) {
+        notifications.notify(user, 'new_device_login', {
+            device: userAgent || 'Unknown device',
+            ip: req.ip,
+            time: new Date().toISOString()
+        }).catch(error => logger.error('New device notification error', { error }));
+    }
 
-        // Validate phone number format
-        if (!validatePhoneNumber(phone)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid phone number format'
-            });
+    res.status(200).json({
+        success: true,
+        message: 'Login successful',
+        data: {
+            user: {
+                id: user.id,
+                phone: user.phone,
+                email: user.email,
+                referralCode: user.referralCode,
+                isVerified: user.isVerified,
+                phoneVerified: user.phoneVerified,
+                twoFactorEnabled: twoFactor.isEnabled(user),
+                language: user.language,
+                createdAt: user.createdAt
+            },
+            tokens: sessionTokens
         }
+    });
+};
 
-        // Validate password length
-        if (!validatePassword(password)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Password must be at least 6 characters long'
-            });
-        }
+// Login endpoint
+app.post('/api/auth/login', validate(authSchemas.login), rateLimits.login, async (req, res, next) => {
+    try {
+        const { phone, password } = req.body;
 
         // Find user
-        const user = findUserByPhone(phone);
+        const user = await findUserByPhone(phone);
         if (!user) {
-            return res.status(401).json({
-                success: false,
-                message: 'Invalid phone number or password'
-            });
+            return next(httpError(401, 'INVALID_CREDENTIALS', 'Invalid phone number or password'));
         }
 
         // Check if email is verified
         if (!user.isVerified) {
-            return res.status(403).json({
-                success: false,
-                message: 'Please verify your email address before logging in'
-            });
+            return next(httpError(403, 'EMAIL_NOT_VERIFIED', 'Please verify your email address before logging in'));
+        }
+
+        // Refuse locked accounts without checking the password
+        const lockedFor = loginLockout.lockedFor(user);
+        if (lockedFor > 0) {
+            return next(httpError(
+                429,
+                'ACCOUNT_LOCKED',
+                'Too many failed login attempts. Try again later or use the unlock link sent to your email.',
+                { data: { retryAfter: lockedFor } }
+            ));
         }
 
         // Verify password
         const isPasswordValid = await bcrypt.compare(password, user.password);
         if (!isPasswordValid) {
-            return res.status(401).json({
-                success: false,
-                message: 'Invalid phone number or password'
+            const failure = await loginLockout.recordFailure(user);
+
+            if (failure.locked) {
+                await emailOutbox.sendToUser(user, 'accountLocked', {
+                    unlockUrl: `${process.env.FRONTEND_URL}/unlock-account?token=${failure.unlockToken}`,
+                    minutes: failure.minutes
+                });
+            }
+
+            return next(httpError(401, 'INVALID_CREDENTIALS', 'Invalid phone number or password'));
+        }
+
+        await loginLockout.recordSuccess(user);
+
+        // Check if the account is suspended
+        if (user.isSuspended) {
+            return next(httpError(403, 'ACCOUNT_SUSPENDED', 'Your account has been suspended. Please contact support.'));
+        }
+
+        // The phone number must be confirmed before the first login; send a fresh code
+        if (!user.phoneVerified) {
+            const phoneCodeSent = await sendPhoneVerificationCode(user);
+            return next(httpError(
+                403,
+                'PHONE_NOT_VERIFIED',
+                'Please verify your phone number with the code sent to it by SMS',
+                { data: { phoneCodeSent } }
+            ));
+        }
+
+        // With two-factor authentication on, the password only gets the user as far as a code prompt
+        if (twoFactor.isEnabled(user)) {
+            const challenge = await twoFactor.startChallenge(user, {
+                userAgent: req.get('user-agent'),
+                ip: req.ip
             });
+
+            return res.status(200).json({
+                success: true,
+                message: 'Enter the code from your authenticator app to finish signing in',
+                data: { twoFactorRequired: true, ...challenge }
+            });
+        }
+
+        await completeLogin(req, res, user);
+
+    } catch (error) {
+        logger.error('Login error', { error });
+        res.status(500).json({
+            success: false,
+            message: 'Login failed. Please try again.'
+        });
+    }
+});
+
+// HTTP status for each expected error finishing a two-step login
+const LOGIN_TWO_FACTOR_ERROR_STATUS = {
+    TWO_FACTOR_CHALLENGE_INVALID: 401,
+    TWO_FACTOR_CHALLENGE_EXPIRED: 401,
+    TWO_FACTOR_ATTEMPTS_EXCEEDED: 429,
+    TWO_FACTOR_INVALID_CODE: 401,
+    TWO_FACTOR_NOT_ENABLED: 401
+};
+
+// Second login step for accounts with two-factor authentication
+app.post('/api/auth/login/2fa', rateLimits.loginTwoFactor, validate(authSchemas.loginTwoFactor), async (req, res, next) => {
+    try {
+        const { challengeToken, code } = req.body;
+
+        let user;
+        try {
+            ({ user } = await twoFactor.completeChallenge(challengeToken, code));
+        } catch (error) {
+            if (!LOGIN_TWO_FACTOR_ERROR_STATUS[error.code]) throw error;
+            return next(httpError(LOGIN_TWO_FACTOR_ERROR_STATUS[error.code], error.code, error.message, {
+                ...(error.attemptsRemaining && { data: { attemptsRemaining: error.attemptsRemaining } })
+            }));
+        }
+
+        // The account may have been suspended since the password was checked
+        if (user.isSuspended) {
+            return next(httpError(403, 'ACCOUNT_SUSPENDED', 'Your account has been suspended. Please contact support.'));
+        }
+
+        await completeLogin(req, res, user, { twoFactorVerified: true });
+
+    } catch (error) {
+        logger.error('Two-factor login error', { error });
+        res.status(500).json({
+            success: false,
+            message: 'Login failed. Please try again.'
+        });
+    }
+});
+
+// Unlock an account locked after failed logins (link from the lockout email)
+app.post('/api/auth/unlock', rateLimits.unlock, validate(authSchemas.unlock), async (req, res, next) => {
+    try {
+        const { token } = req.body;
+
+        try {
+            await loginLockout.unlock(token);
+        } catch (error) {
+            if (!error.code) throw error;
+            return next(httpError(400, error.code, error.message));
         }
 
-        // Return user data (in production, generate JWT token)
         res.status(200).json({
             success: true,
-            message: 'Login successful',
-            data: {
-                user: {
-                    id: user.id,
-                    phone: user.phone,
-                    email: user.email,
-                    isVerified: user.isVerified,
-                    createdAt: user.createdAt
-                }
-            }
+            message: 'Your account has been unlocked. You can now login.'
         });
 
     } catch (error) {
-        console.error('Login error:', error);
+        logger.error('Account unlock error', { error });
         res.status(500).json({
             success: false,
-            message: 'Login failed. Please try again.'
+            message: 'Account unlock failed'
         });
     }
 });
 
 // Resend verification email
-app.post('/api/auth/resend-verification', async (req, res) => {
+app.post('/api/auth/resend-verification', validate(authSchemas.resendVerification), rateLimits.resendVerification, async (req, res, next) => {
     try {
         const { email } = req.body;
 
-        if (!email) {
-            return res.status(400).json({
-                success: false,
-                message: 'Email is required'
-            });
-        }
-
         // Find user by email
-        const userIndex = users.findIndex(user => user.email === email);
-        
-        if (userIndex === -1) {
-            return res.status(404).json({
-                success: false,
-                message: 'User not found'
-            });
+        const user = await findUserByEmail(email);
+
+        if (!user) {
+            return next(httpError(404, 'NOT_FOUND', 'User not found'));
         }
 
         // Check if already verified
-        if (users[userIndex].isVerified) {
-            return res.status(400).json({
-                success: false,
-                message: 'Email is already verified'
-            });
+        if (user.isVerified) {
+            return next(httpError(400, 'ALREADY_VERIFIED', 'Email is already verified'));
         }
 
-        // Generate new verification token
-        const verificationToken = uuidv4();
-        users[userIndex].verificationToken = verificationToken;
-
-        // Send verification email
-        const verificationUrl = `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`;
-        const emailHtml = `
-            <!DOCTYPE html>
-            <html>
-            <head>
-                <style>
-                    body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-                    .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-                    .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
-                    .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
-                    .button { display: inline-block; padding: 15px 30px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
-                    .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
-                </style>
-            </head>
-            <body>
-                <div class="container">
-                    <div class="header">
-                        <h1>⭐ Star Investments</h1>
-                        <p>Welcome to Smart Investments, Daily Returns</p>
-                    </div>
-                    <div class="content">
-                        <h2>Confirm Your Email Address</h2>
-                        <p>Please click the button below to verify your email address:</p>
-                        <center>
-                            <a href="${verificationUrl}" class="button">Verify Email Address</a>
-                        </center>
-                        <p>Or copy and paste this link into your browser:</p>
-                        <p style="word-break: break-all; color: #667eea;">${verificationUrl}</p>
-                    </div>
-                    <div class="footer">
-                        <p>&copy; 2024 Star Investments. All rights reserved.</p>
-                    </div>
-                </div>
-            </body>
-            </html>
-        `;
-
-        const emailSent = await sendEmail(email, 'Confirm Your Email - Star Investments', emailHtml);
-
-        if (!emailSent) {
-            return res.status(500).json({
-                success: false,
-                message: 'Failed to send verification email'
-            });
+        // Generate new verification token (subject to the resend cooldown)
+        let verificationToken;
+        try {
+            verificationToken = await emailVerification.reissue(user);
+        } catch (error) {
+            if (error.code !== 'RESEND_COOLDOWN') throw error;
+            return next(httpError(429, error.code, error.message, { data: { retryAfter: error.retryAfter } }));
         }
 
+        // Queue the verification email; the outbox sends it in the background
+        await emailOutbox.sendToUser(user, 'verifyEmail', {
+            verificationUrl: `${process.env.FRONTEND_URL}/verify-email?token=${verificationToken}`,
+            ttlHours: emailVerification.ttlHours
+        });
+
         res.status(200).json({
             success: true,
-            message: 'Verification email sent successfully',
-            data: { emailSent: true }
+            message: 'Verification email sent. It will arrive shortly.',
+            data: { emailQueued: true }
         });
 
     } catch (error) {
-        console.error('Resend verification error:', error);
+        logger.error('Resend verification error', { error });
         res.status(500).json({
             success: false,
             message: 'Failed to resend verification email'
@@ -463,172 +745,1267 @@ app.post('/api/auth/resend-verification', async (req, res) => {
     }
 });
 
-// ==================== PAYMENT ENDPOINTS ====================
-
-// Initiate payment
-app.post('/api/payment/initiate', async (req, res) => {
+// Confirm the phone number with the code sent by SMS at registration or login
+app.post('/api/auth/verify-phone', rateLimits.verifyPhone, validate(authSchemas.verifyPhone), async (req, res, next) => {
     try {
-        const { phone, amount, planName, description } = req.body;
+        const { phone, code } = req.body;
 
-        // Validation
-        if (!phone || !amount || !planName) {
-            return res.status(400).json({
-                success: false,
-                message: 'Phone number, amount, and plan name are required'
-            });
+        // An unknown number gets the same answer as a wrong code
+        const user = await findUserByPhone(phone);
+        if (!user) {
+            return next(httpError(400, 'OTP_INVALID', 'Invalid verification code'));
         }
 
-        // Validate phone number format
-        if (!validatePhoneNumber(phone)) {
-            return res.status(400).json({
-                success: false,
-                message: 'Invalid phone number format'
-            });
+        if (user.phoneVerified) {
+            return next(httpError(400, 'ALREADY_VERIFIED', 'Phone number is already verified'));
         }
 
-        // Validate amount
-        if (amount < 500 || amount > 10000000) {
-            return res.status(400).json({
-                success: false,
-                message: 'Amount must be between 500 and 10,000,000 UGX'
-            });
+        try {
+            await phoneVerification.verify({ userId: user.id, phone, purpose: 'verify_phone', code });
+        } catch (error) {
+            if (!OTP_ERROR_STATUS[error.code]) throw error;
+            return next(otpHttpError(error));
         }
 
-        // Generate unique reference
-        const reference = uuidv4();
-
-        // Prepare payment data for MarzPay
-        const paymentData = {
-            amount: amount,
-            phone_number: phone,
-            country: 'UG',
-            reference: reference,
-            description: description || `Investment: ${planName} Plan`,
-            callback_url: `${process.env.FRONTEND_URL}/payment-callback`
-        };
-
-        // Make API call to MarzPay
-        const response = await axios.post(
-            `${process.env.MARZPAY_API_BASE_URL}/collect-money`,
-            paymentData,
-            {
-                headers: {
-                    'Authorization': `Basic ${process.env.MARZPAY_AUTH_HEADER}`,
-                    'Content-Type': 'application/x-www-form-urlencoded'
-                }
-            }
-        );
-
-        // Store transaction
-        const transaction = {
-            id: response.data.data.transaction.uuid,
-            reference: reference,
-            phone: phone,
-            amount: amount,
-            planName: planName,
-            status: 'processing',
-            createdAt: new Date().toISOString()
-        };
-        transactions.push(transaction);
+        const updatedUser = await db.users.update(user.id, {
+            phoneVerified: true,
+            phoneVerifiedAt: new Date().toISOString()
+        });
 
         res.status(200).json({
             success: true,
-            message: 'Payment initiated successfully',
+            message: updatedUser.isVerified
+                ? 'Phone number verified successfully! You can now login.'
+                : 'Phone number verified successfully! Please also verify your email address.',
             data: {
-                transaction: response.data.data.transaction,
-                collection: response.data.data.collection
+                user: {
+                    id: updatedUser.id,
+                    phone: updatedUser.phone,
+                    isVerified: updatedUser.isVerified,
+                    phoneVerified: updatedUser.phoneVerified
+                }
             }
         });
 
     } catch (error) {
-        console.error('Payment initiation error:', error);
+        logger.error('Phone verification error', { error });
         res.status(500).json({
             success: false,
-            message: error.response?.data?.message || 'Payment initiation failed'
+            message: 'Phone verification failed'
         });
     }
 });
 
-// Check payment status
-app.get('/api/payment/status/:transactionId', async (req, res) => {
+// Resend the phone verification code
+app.post('/api/auth/resend-phone-code', validate(authSchemas.resendPhoneCode), rateLimits.phoneCode, async (req, res, next) => {
     try {
-        const { transactionId } = req.params;
+        const { phone } = req.body;
 
-        // Make API call to MarzPay
-        const response = await axios.get(
-            `${process.env.MARZPAY_API_BASE_URL}/collect-money/${transactionId}`,
-            {
-                headers: {
-                    'Authorization': `Basic ${process.env.MARZPAY_AUTH_HEADER}`
-                }
-            }
-        );
+        const user = await findUserByPhone(phone);
 
-        // Update transaction status in our records
-        const transactionIndex = transactions.findIndex(t => t.id === transactionId);
-        if (transactionIndex !== -1) {
-            transactions[transactionIndex].status = response.data.data.transaction.status;
-            transactions[transactionIndex].updatedAt = new Date().toISOString();
+        if (!user) {
+            return next(httpError(404, 'NOT_FOUND', 'User not found'));
+        }
+
+        if (user.phoneVerified) {
+            return next(httpError(400, 'ALREADY_VERIFIED', 'Phone number is already verified'));
+        }
+
+        // Send a new code (subject to the resend cooldown)
+        let otp;
+        try {
+            otp = await phoneVerification.issue({
+                userId: user.id,
+                phone: user.phone,
+                purpose: 'verify_phone',
+                locale: user.language
+            });
+        } catch (error) {
+            if (!OTP_ERROR_STATUS[error.code]) throw error;
+            return next(otpHttpError(error));
         }
 
         res.status(200).json({
             success: true,
-            data: response.data.data
+            message: 'Verification code sent',
+            data: { expiresAt: otp.expiresAt }
         });
 
     } catch (error) {
-        console.error('Payment status check error:', error);
+        logger.error('Resend phone code error', { error });
         res.status(500).json({
             success: false,
-            message: 'Failed to check payment status'
+            message: 'Failed to send verification code'
         });
     }
 });
 
-// ==================== USER ENDPOINTS ====================
+// Refresh tokens endpoint
+app.post('/api/auth/refresh', validate(authSchemas.refresh), async (req, res, next) => {
+    try {
+        const { refreshToken } = req.body;
 
-// Get user investments
-app.get('/api/user/investments/:phone', (req, res) => {
+        const { tokens: sessionTokens } = await tokens.rotate(refreshToken);
+
+        res.status(200).json({
+            success: true,
+            message: 'Token refreshed',
+            data: { tokens: sessionTokens }
+        });
+
+    } catch (error) {
+        if (error.code) {
+            return next(httpError(401, error.code, error.message));
+        }
+        logger.error('Token refresh error', { error });
+        res.status(500).json({
+            success: false,
+            message: 'Token refresh failed'
+        });
+    }
+});
+
+// Logout endpoint (revokes the current session and its refresh tokens)
+app.post('/api/auth/logout', requireAuth, validate(authSchemas.logout), async (req, res) => {
     try {
-        const { phone } = req.params;
-        const user = findUserByPhone(phone);
+        const { allDevices } = req.body;
 
-        if (!user) {
-            return res.status(404).json({
-                success: false,
-                message: 'User not found'
+        if (allDevices) {
+            await tokens.revokeAllSessions(req.user.id, 'logout_all');
+        } else {
+            await tokens.revokeSession(req.session.id, 'logout');
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+
+    } catch (error) {
+        logger.error('Logout error', { error });
+        res.status(500).json({
+            success: false,
+            message: 'Logout failed'
+        });
+    }
+});
+
+// Forgot password endpoint (accepts phone or email)
+app.post('/api/auth/forgot-password', validate(authSchemas.forgotPassword), rateLimits.forgotPassword, async (req, res, next) => {
+    try {
+        const { phone, email } = req.body;
+
+        if (!phone && !email) {
+            return next(validationError([
+                { location: 'body', field: 'phone', code: 'REQUIRED', message: 'Phone number or email is required' }
+            ]));
+        }
+
+        const user = phone ? await findUserByPhone(phone) : await findUserByEmail(email);
+
+        // Only send when the account exists, but always answer the same way
+        if (user) {
+            const resetToken = await passwordResets.issue(user);
+            await emailOutbox.sendToUser(user, 'passwordReset', {
+                resetUrl: `${process.env.FRONTEND_URL}/reset-password?token=${resetToken}`,
+                ttlMinutes: passwordResets.ttlMinutes
             });
         }
 
         res.status(200).json({
             success: true,
-            data: {
-                investments: user.investments
-            }
+            message: 'If an account matches, a password reset link has been sent to its email address.'
         });
 
     } catch (error) {
-        console.error('Get investments error:', error);
+        logger.error('Forgot password error', { error });
         res.status(500).json({
             success: false,
-            message: 'Failed to get investments'
+            message: 'Failed to process password reset request'
         });
     }
 });
 
-// ==================== HEALTH CHECK ====================
+// Reset password endpoint
+app.post('/api/auth/reset-password', validate(authSchemas.resetPassword), async (req, res, next) => {
+    try {
+        const { token, password } = req.body;
+
+        let user;
+        try {
+            user = await passwordResets.lookup(token);
+        } catch (error) {
+            if (!error.code) throw error;
+            return next(httpError(400, error.code, error.message));
+        }
 
-app.get('/api/health', (req, res) => {
-    res.status(200).json({
-        success: true,
-        message: 'Server is running',
-        timestamp: new Date().toISOString()
-    });
+        // The schema cannot see the account, so the phone and email check happens here.
+        // It runs before the token is used so the link still works for a better password.
+        const problem = authSchemas.passwordPolicy.check(password, user);
+        if (problem) {
+            return next(validationError([
+                { location: 'body', field: 'password', code: problem.code, message: `Password ${problem.message}` }
+            ]));
+        }
+
+        try {
+            user = await passwordResets.consume(token);
+        } catch (error) {
+            if (!error.code) throw error;
+            return next(httpError(400, error.code, error.message));
+        }
+
+        // A new password also lifts any failed-login lockout
+        await db.users.update(user.id, {
+            password: await bcrypt.hash(password, 10),
+            passwordChangedAt: new Date().toISOString(),
+            ...loginLockout.clearedFields()
+        });
+
+        // Sign the account out everywhere in case the old password was compromised
+        await tokens.revokeAllSessions(user.id, 'password_reset');
+
+        res.status(200).json({
+            success: true,
+            message: 'Password reset successfully. Please login with your new password.'
+        });
+
+    } catch (error) {
+        logger.error('Reset password error', { error });
+        res.status(500).json({
+            success: false,
+            message: 'Password reset failed'
+        });
+    }
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`🚀 Server running on port ${PORT}`);
-    console.log(`📝 Environment: ${process.env.NODE_ENV}`);
-    console.log(`🔗 Frontend URL: ${process.env.FRONTEND_URL}`);
-});
\ No newline at end of file
+// Change password endpoint (requires the current password)
+app.post('/api/auth/change-password', requireAuth, requireStepUp, validate(authSchemas.changePassword), async (req, res, next) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        const isPasswordValid = await bcrypt.compare(currentPassword, req.user.password);
+        if (!isPasswordValid) {
+            return next(httpError(401, 'INVALID_PASSWORD', 'Current password is incorrect'));
+        }
+
+        // The schema cannot see the account, so the phone and email check happens here
+        const problem = authSchemas.passwordPolicy.check(newPassword, req.user);
+        if (problem) {
+            return next(validationError([
+                { location: 'body', field: 'newPassword', code: problem.code, message: `New password ${problem.message}` }
+            ]));
+        }
+
+        await db.users.update(req.user.id, {
+            password: await bcrypt.hash(newPassword, 10),
+            passwordChangedAt: new Date().toISOString()
+        });
+
+        // Keep this session, sign out every other device
+        const sessions = await db.sessions.findByUserId(req.user.id);
+        for (const session of sessions.filter(session => session.id !== req.session.id)) {
+            await tokens.revokeSession(session.id, 'password_change');
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Password changed successfully'
+        });
+
+    } catch (error) {
+        logger.error('Change password error', { error });
+        res.status(500).json({
+            success: false,
+            message: 'Password change failed'
+        });
+    }
+});
+
+// Two-factor authentication settings
+app.use('/api/auth/2fa', createTwoFactorRouter({ requireAuth, twoFactor, rateLimit: rateLimits.twoFactor }));
+
+// ==================== PAYMENT ENDPOINTS ====================
+
+// Initiate payment
+app.post('/api/payment/initiate', requireAuth, validate(paymentSchemas.initiate), idempotency, rateLimits.paymentInitiate, async (req, res, next) => {
+    try {
+        const { amount, planId, planName, description } = req.body;
+        const phone = req.body.phone || req.user.phone;
+
+        if (!planId && !planName) {
+            return next(validationError([
+                { location: 'body', field: 'planId', code: 'REQUIRED', message: 'planId or planName is required' }
+            ]));
+        }
+
+        // Only verified accounts can invest
+        if (!req.user.isVerified) {
+            return next(httpError(403, 'ACCOUNT_NOT_VERIFIED', 'Please verify your account before making a payment'));
+        }
+
+        // Only charge numbers that belong to this account
+        if (!canPayFrom(req.user, phone)) {
+            return next(httpError(403, 'NUMBER_NOT_CONFIRMED', 'This mobile money number has not been confirmed on your account'));
+        }
+
+        // Larger payments need a verified identity
+        try {
+            kyc.assertPaymentAllowed(req.user, amount);
+        } catch (error) {
+            if (error.code !== 'KYC_LIMIT_EXCEEDED') throw error;
+            return next(httpError(403, error.code, error.message, { data: kyc.limitsFor(req.user) }));
+        }
+
+        // Check the plan exists and the amount fits its limits
+        let plan;
+        try {
+            plan = await investments.resolvePlanForPayment({ planId, planName, amount });
+        } catch (error) {
+            if (!error.code) throw error;
+            return next(httpError(error.code === 'PLAN_NOT_FOUND' ? 404 : 400, error.code, error.message));
+        }
+
+        // Refuse a second collection while an identical one is still pending
+        const duplicateKey = `${req.user.id}:${plan.id}:${amount}`;
+        const recentCutoff = Date.now() - DUPLICATE_PAYMENT_WINDOW_MS;
+        const pendingDuplicate = (await db.transactions.findByUserId(req.user.id)).some(transaction => {
+            return transaction.status === 'processing' &&
+                transaction.planId === plan.id &&
+                Number(transaction.amount) === amount &&
+                new Date(transaction.createdAt).getTime() > recentCutoff;
+        });
+
+        if (pendingDuplicate || paymentsInFlight.has(duplicateKey)) {
+            return next(httpError(
+                409,
+                'DUPLICATE_PAYMENT',
+                'A payment for this plan and amount is already in progress. Please approve or cancel the prompt on your phone.'
+            ));
+        }
+
+        // Generate unique reference
+        const reference = uuidv4();
+
+        // Record the payment before asking the provider to collect it, so a collection
+        // the provider took but never confirmed to us is still tracked and reconciled
+        paymentsInFlight.add(duplicateKey);
+        let transaction;
+        try {
+            transaction = await db.transactions.create({
+                id: uuidv4(),
+                reference: reference,
+                provider: provider.name,
+                providerTransactionId: null,
+                userId: req.user.id,
+                phone: phone,
+                amount: amount,
+                planId: plan.id,
+                planName: plan.name,
+                status: 'processing',
+                reconcileAttempts: 0,
+                nextReconcileAt: null,
+                lastReconciledAt: null,
+                createdAt: new Date().toISOString()
+            });
+        } finally {
+            paymentsInFlight.delete(duplicateKey);
+        }
+
+        let collection;
+        try {
+            collection = await provider.collect({
+                amount: amount,
+                phone: phone,
+                reference: reference,
+                description: description || `Investment: ${plan.name} Plan`,
+                callbackUrl: `${process.env.BACKEND_URL}/api/webhooks/${provider.name}`
+            });
+        } catch (error) {
+            // Refused outright, so nothing will settle it; an unclear failure is left to reconciliation
+            if (error.retryable === false) {
+                await payments.applyStatus(transaction, 'failed', null, { lastError: error.message });
+            }
+            throw error;
+        }
+
+        await db.transactions.update(transaction.id, {
+            provider: collection.provider,
+            providerTransactionId: collection.providerTransactionId,
+            updatedAt: new Date().toISOString()
+        });
+
+        appMetrics.paymentInitiations.inc({ provider: provider.name, outcome: 'accepted' });
+        res.status(200).json({
+            success: true,
+            message: 'Payment initiated successfully',
+            data: {
+                transaction: {
+                    uuid: transaction.id,
+                    reference: reference,
+                    status: collection.status,
+                    providerStatus: collection.providerStatus
+                },
+                collection: collection.raw.collection || null
+            }
+        });
+
+    } catch (error) {
+        logger.error('Payment initiation error', { error });
+        appMetrics.paymentInitiations.inc({ provider: provider.name, outcome: error.retryable === undefined ? 'error' : 'provider_error' });
+        res.status(error.retryable === undefined ? 500 : 502).json({
+            success: false,
+            code: error.code,
+            message: error.retryable === undefined ? 'Payment initiation failed' : error.message
+        });
+    }
+});
+
+// Check payment status
+app.get('/api/payment/status/:transactionId', requireAuth, validate(paymentSchemas.status), async (req, res, next) => {
+    try {
+        const { transactionId } = req.params;
+
+        // Only the owner or staff may look a transaction up
+        const transaction = await db.transactions.findById(transactionId);
+        const isStaff = ['admin', 'support'].includes(req.user.role);
+        if (!transaction || (transaction.userId !== req.user.id && !isStaff)) {
+            return next(httpError(404, 'NOT_FOUND', 'Transaction not found'));
+        }
+
+        // Update transaction status in our records
+        const { transaction: updated, providerResult } = await payments.refreshFromProvider(transaction);
+
+        res.status(200).json({
+            success: true,
+            data: {
+                transaction: updated,
+                provider: {
+                    name: providerResult.provider,
+                    providerTransactionId: providerResult.providerTransactionId,
+                    status: providerResult.status,
+                    providerStatus: providerResult.providerStatus
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error('Payment status check error', { error });
+        res.status(error.retryable === undefined ? 500 : 502).json({
+            success: false,
+            code: error.code,
+            message: error.retryable === undefined ? 'Failed to check payment status' : error.message
+        });
+    }
+});
+
+// Count settled payments and email outcomes for /metrics
+['payment.successful', 'payment.failed', 'payment.expired'].forEach(event => {
+    payments.events.on(event, (transaction) => {
+        appMetrics.paymentsSettled.inc({ provider: transaction.provider, status: transaction.status });
+    });
+});
+
+['sent', 'retrying', 'failed'].forEach(outcome => {
+    emailOutbox.events.on(`email.${outcome}`, (message) => {
+        appMetrics.emails.inc({ template: message.template, outcome });
+    });
+});
+
+// Tell the investor about each day's returns
+accrualJob.events.on('returns.credited', async ({ investment, amount, accruedDays }) => {
+    try {
+        await notifications.notifyUserId(investment.userId, 'returns_credited', { investment, amount, accruedDays }, { investmentId: investment.id });
+    } catch (error) {
+        logger.error('Returns notification error', { error });
+    }
+});
+
+// Tell the investor when a plan matures and their principal is back in the wallet
+accrualJob.events.on('investment.matured', async (investment) => {
+    try {
+        const totalReturns = (await db.journals.findByUserId(investment.userId))
+            .filter(journal => journal.type === 'accrual' && journal.metadata.investmentId === investment.id)
+            .reduce((sum, journal) => sum + journal.amount, 0);
+
+        await notifications.notifyUserId(investment.userId, 'investment_matured', { investment, totalReturns }, { investmentId: investment.id });
+    } catch (error) {
+        logger.error('Investment matured notification error', { error });
+    }
+});
+
+// Report the outcome of a withdrawal once it has been paid out, failed or been rejected
+['withdrawal.successful', 'withdrawal.failed', 'withdrawal.rejected'].forEach(event => {
+    withdrawals.events.on(event, async (withdrawal) => {
+        try {
+            await notifications.notifyUserId(withdrawal.userId, 'withdrawal_processed', { withdrawal }, { withdrawalId: withdrawal.id });
+        } catch (error) {
+            logger.error('Withdrawal notification error', { error });
+        }
+    });
+});
+
+// Tell the user how their identity verification was reviewed
+['kyc.approved', 'kyc.rejected'].forEach(event => {
+    kyc.events.on(event, async ({ submission, user }) => {
+        try {
+            await notifications.notify(user, 'kyc_reviewed', { submission, ...kyc.limitsFor(user) }, { kycSubmissionId: submission.id });
+        } catch (error) {
+            logger.error('KYC notification error', { error });
+        }
+    });
+});
+
+// Tell the user whenever two-factor authentication is turned on or off
+['two_factor.enabled', 'two_factor.disabled'].forEach(event => {
+    twoFactor.events.on(event, async ({ user, by }) => {
+        try {
+            await notifications.notify(user, 'two_factor_changed', {
+                enabled: event === 'two_factor.enabled',
+                byAdmin: Boolean(by),
+                time: new Date().toISOString()
+            });
+        } catch (error) {
+            logger.error('Two-factor notification error', { error });
+        }
+    });
+});
+
+// ==================== PLAN ENDPOINTS ====================
+
+app.use('/api/plans', createPlanRouter({ db, requireAuth, audit }));
+
+// ==================== WEBHOOK ENDPOINTS ====================
+
+app.use('/api/webhooks', createWebhookRouter({ db, provider, payments, withdrawals }));
+
+// ==================== WITHDRAWAL ENDPOINTS ====================
+
+app.use('/api/withdrawals', createWithdrawalRouter({ db, requireAuth, requireStepUp, idempotency, withdrawals, phoneVerification, audit }));
+
+// ==================== ADMIN ENDPOINTS ====================
+
+app.use('/api/admin', createAdminRouter({ db, requireAuth, audit, tokens, payments, reconciliation, investments, ledger, kyc, twoFactor }));
+
+// ==================== USER ENDPOINTS ====================
+
+// Get user investments
+app.get('/api/user/investments/:phone', requireAuth, validate(userSchemas.investments), async (req, res, next) => {
+    try {
+        const { phone } = req.params;
+
+        // Users may only read their own investments
+        if (phone !== req.user.phone) {
+            return next(httpError(403, 'FORBIDDEN', 'You do not have access to this account'));
+        }
+
+        res.status(200).json({
+            success: true,
+            data: {
+                investments: await investments.listForUser(req.user.id)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get investments error', { error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get investments'
+        });
+    }
+});
+
+// Get user transaction history (filter by ?status=&from=&to=, paginate by ?limit=&offset=)
+app.get('/api/user/transactions', requireAuth, validate(userSchemas.transactions), async (req, res) => {
+    try {
+        const { status, from, to, limit, offset } = req.query;
+
+        const transactions = (await db.transactions.findByUserId(req.user.id))
+            .filter(transaction => !status || transaction.status === status)
+            .filter(transaction => !from || new Date(transaction.createdAt) >= from)
+            .filter(transaction => !to || new Date(transaction.createdAt) <= to)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        res.status(200).json({
+            success: true,
+            data: {
+                transactions: transactions.slice(offset, offset + limit),
+                pagination: { total: transactions.length, limit, offset }
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get transactions error', { error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get transactions'
+        });
+    }
+});
+
+// Get user referral code, downline and commissions
+app.get('/api/user/referrals', requireAuth, async (req, res) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: await referrals.getSummary(req.user)
+        });
+
+    } catch (error) {
+        logger.error('Get referrals error', { error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get referrals'
+        });
+    }
+});
+
+// Get user balance
+app.get('/api/user/balance', requireAuth, async (req, res) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: {
+                balance: await ledger.getBalance(req.user.id)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get balance error', { error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get balance'
+        });
+    }
+});
+
+// Get user ledger entries (newest first)
+app.get('/api/user/ledger', requireAuth, validate(userSchemas.ledger), async (req, res) => {
+    try {
+        const { limit, offset } = req.query;
+        const { total, entries } = await ledger.listEntries(req.user.id, { limit, offset });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                entries,
+                pagination: { total, limit, offset }
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get ledger error', { error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get ledger'
+        });
+    }
+});
+
+// Longest period a single statement may cover
+const MAX_STATEMENT_DAYS = 366;
+
+// Account statement for a period (?from=&to=, default this month so far) as
+// JSON, or as a CSV or PDF download with ?format=csv|pdf
+app.get('/api/user/statement', requireAuth, validate(userSchemas.statement), async (req, res, next) => {
+    try {
+        const { format } = req.query;
+        const to = req.query.to || new Date();
+        const from = req.query.from || monthOf(to).from;
+
+        if (from > to) {
+            return next(validationError([
+                { location: 'query', field: 'to', code: 'TOO_SMALL', message: 'to must not be before from' }
+            ]));
+        }
+        if (to - from > MAX_STATEMENT_DAYS * 24 * 60 * 60 * 1000) {
+            return next(validationError([
+                { location: 'query', field: 'from', code: 'TOO_SMALL', message: `A statement can cover at most ${MAX_STATEMENT_DAYS} days` }
+            ]));
+        }
+
+        const statement = await statements.build(req.user, { from, to });
+
+        if (format === 'json') {
+            return res.status(200).json({
+                success: true,
+                data: { statement }
+            });
+        }
+
+        const filename = `star-investments-statement-${from.toISOString().slice(0, 10)}-to-${to.toISOString().slice(0, 10)}.${format}`;
+        res.set('Content-Disposition', `attachment; filename="${filename}"`);
+        res.set('Cache-Control', 'no-store');
+
+        if (format === 'csv') {
+            res.type('text/csv; charset=utf-8').status(200).send(statements.toCsv(statement));
+        } else {
+            res.type('application/pdf').status(200).send(statements.toPdf(statement));
+        }
+
+    } catch (error) {
+        logger.error('Get statement error', { error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get statement'
+        });
+    }
+});
+
+// Helper function to build the account profile returned by /api/user/me
+const toProfile = (user) => ({
+    id: user.id,
+    phone: user.phone,
+    email: user.email,
+    pendingEmail: user.pendingEmail || null,
+    displayName: user.displayName || null,
+    fullName: user.fullName || null,
+    language: user.language,
+    role: user.role,
+    referralCode: user.referralCode,
+    isVerified: user.isVerified,
+    phoneVerified: user.phoneVerified,
+    twoFactorEnabled: twoFactor.isEnabled(user),
+    kyc: {
+        status: user.kycStatus || 'none',
+        ...kyc.limitsFor(user)
+    },
+    mobileMoneyNumbers: user.mobileMoneyNumbers || [],
+    createdAt: user.createdAt
+});
+
+// Get the signed-in user's profile
+app.get('/api/user/me', requireAuth, async (req, res) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: { user: toProfile(req.user) }
+        });
+
+    } catch (error) {
+        logger.error('Get profile error', { error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get profile'
+        });
+    }
+});
+
+// Update the editable parts of the profile. The legal name comes from KYC and
+// the email address is changed through /api/user/me/email.
+app.patch('/api/user/me', requireAuth, validate(userSchemas.updateProfile), async (req, res, next) => {
+    try {
+        const { displayName } = req.body;
+
+        if (displayName === undefined) {
+            return next(validationError([
+                { location: 'body', field: 'displayName', code: 'REQUIRED', message: 'Nothing to update. Send displayName.' }
+            ]));
+        }
+
+        const user = await db.users.update(req.user.id, { displayName });
+
+        res.status(200).json({
+            success: true,
+            message: 'Profile updated',
+            data: { user: toProfile(user) }
+        });
+
+    } catch (error) {
+        logger.error('Update profile error', { error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update profile'
+        });
+    }
+});
+
+// Change the email address. The new address must be confirmed through the
+// emailed verification link; the current one is told about the request.
+app.post('/api/user/me/email', requireAuth, requireStepUp, validate(userSchemas.changeEmail), rateLimits.changeEmail, async (req, res, next) => {
+    try {
+        const { email, password } = req.body;
+
+        const isPasswordValid = await bcrypt.compare(password, req.user.password);
+        if (!isPasswordValid) {
+            return next(httpError(401, 'INVALID_PASSWORD', 'Password is incorrect'));
+        }
+
+        if (email === req.user.email) {
+            return next(httpError(400, 'EMAIL_UNCHANGED', 'This is already your email address'));
+        }
+
+        let confirmationToken;
+        try {
+            confirmationToken = await emailVerification.requestEmailChange(req.user, email);
+        } catch (error) {
+            if (!error.code) throw error;
+            return next(httpError(error.code === 'EMAIL_IN_USE' ? 409 : 429, error.code, error.message, {
+                ...(error.retryAfter && { data: { retryAfter: error.retryAfter } })
+            }));
+        }
+
+        await emailOutbox.enqueue({
+            to: email,
+            userId: req.user.id,
+            template: 'confirmEmailChange',
+            locale: req.user.language,
+            data: {
+                confirmUrl: `${process.env.FRONTEND_URL}/verify-email?token=${confirmationToken}`,
+                ttlHours: emailVerification.ttlHours,
+                email
+            }
+        });
+        await emailOutbox.sendToUser(req.user, 'emailChangeRequested', { newEmail: email, time: new Date() });
+
+        res.status(200).json({
+            success: true,
+            message: `We sent a confirmation link to ${email}. Your email will change once you follow it.`,
+            data: { pendingEmail: email, emailQueued: true }
+        });
+
+    } catch (error) {
+        logger.error('Change email error', { error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to change email'
+        });
+    }
+});
+
+// HTTP status for each expected KYC error
+const KYC_ERROR_STATUS = {
+    UNSUPPORTED_DOCUMENT_TYPE: 415,
+    EMPTY_DOCUMENT: 400,
+    DOCUMENT_TOO_LARGE: 413,
+    DOCUMENT_NOT_FOUND: 404,
+    DOCUMENT_ALREADY_SUBMITTED: 409,
+    KYC_ALREADY_PENDING: 409,
+    KYC_ALREADY_APPROVED: 409,
+    NATIONAL_ID_IN_USE: 409
+};
+
+// Helper function to turn an expected KYC error into a response error
+const kycHttpError = (error) => httpError(KYC_ERROR_STATUS[error.code], error.code, error.message);
+
+// Get the user's KYC status, tier limits and latest submission
+app.get('/api/user/kyc', requireAuth, async (req, res) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: await kyc.getStatus(req.user)
+        });
+
+    } catch (error) {
+        logger.error('Get KYC status error', { error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get verification status'
+        });
+    }
+});
+
+// Upload an identity document: the raw file as the body, with its Content-Type
+// (image/jpeg, image/png or application/pdf). Submit the returned id with POST /api/user/kyc.
+app.post('/api/user/kyc/documents', requireAuth, rateLimits.kycUpload, express.raw({ type: Object.keys(DOCUMENT_TYPES), limit: kyc.maxDocumentBytes }), async (req, res, next) => {
+    try {
+        let document;
+        try {
+            document = await kyc.saveDocument({
+                userId: req.user.id,
+                contentType: req.get('Content-Type'),
+                data: req.body
+            });
+        } catch (error) {
+            if (!KYC_ERROR_STATUS[error.code]) throw error;
+            return next(kycHttpError(error));
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Document uploaded',
+            data: {
+                document: {
+                    id: document.id,
+                    contentType: document.contentType,
+                    size: document.size,
+                    uploadedAt: document.uploadedAt
+                }
+            }
+        });
+
+    } catch (error) {
+        logger.error('KYC document upload error', { error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to upload document'
+        });
+    }
+});
+
+// Submit an uploaded document with the user's legal name and national ID number for review
+app.post('/api/user/kyc', requireAuth, validate(userSchemas.submitKyc), async (req, res, next) => {
+    try {
+        let submission;
+        try {
+            submission = await kyc.submit(req.user, req.body);
+        } catch (error) {
+            if (!KYC_ERROR_STATUS[error.code]) throw error;
+            return next(kycHttpError(error));
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Your details have been submitted for review',
+            data: { submission }
+        });
+
+    } catch (error) {
+        logger.error('KYC submission error', { error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to submit verification'
+        });
+    }
+});
+
+// Get account preferences: message language and notification channels per category
+app.get('/api/user/preferences', requireAuth, async (req, res) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: {
+                language: req.user.language,
+                notifications: notifications.getPreferences(req.user)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get preferences error', { error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get preferences'
+        });
+    }
+});
+
+// Update account preferences; either field may be left out
+app.patch('/api/user/preferences', requireAuth, validate(userSchemas.updatePreferences), async (req, res, next) => {
+    try {
+        const { language, notifications: channelChanges } = req.body;
+
+        if (language === undefined && channelChanges === undefined) {
+            return next(validationError([
+                { location: 'body', field: 'language', code: 'REQUIRED', message: 'Nothing to update. Send language and/or notifications.' }
+            ]));
+        }
+
+        let user = req.user;
+        if (channelChanges !== undefined) {
+            try {
+                await notifications.updatePreferences(user, channelChanges);
+            } catch (error) {
+                if (error.code !== 'INVALID_PREFERENCES') throw error;
+                return next(httpError(400, error.code, error.message));
+            }
+        }
+        user = language !== undefined
+            ? await db.users.update(user.id, { language })
+            : await db.users.findById(user.id);
+
+        res.status(200).json({
+            success: true,
+            message: 'Preferences updated',
+            data: {
+                language: user.language,
+                notifications: notifications.getPreferences(user)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Update preferences error', { error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update preferences'
+        });
+    }
+});
+
+// Extra mobile money numbers a user may pay from, each confirmed by an SMS code
+const MAX_MOBILE_MONEY_NUMBERS = 3;
+
+// List the user's extra mobile money numbers
+app.get('/api/user/mobile-money-numbers', requireAuth, async (req, res) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: { numbers: req.user.mobileMoneyNumbers || [] }
+        });
+
+    } catch (error) {
+        logger.error('List mobile money numbers error', { error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get mobile money numbers'
+        });
+    }
+});
+
+// Add a mobile money number; it can be used once confirmed with the code texted to it
+app.post('/api/user/mobile-money-numbers', requireAuth, requireStepUp, validate(userSchemas.addMobileMoneyNumber), rateLimits.phoneCode, async (req, res, next) => {
+    try {
+        const { phone } = req.body;
+        const numbers = req.user.mobileMoneyNumbers || [];
+
+        if (phone === req.user.phone) {
+            return next(httpError(400, 'NUMBER_ALREADY_ADDED', 'This is already your account phone number'));
+        }
+
+        const existing = numbers.find(number => number.phone === phone);
+        if (existing && existing.confirmedAt) {
+            return next(httpError(409, 'NUMBER_ALREADY_ADDED', 'This number has already been added'));
+        }
+
+        if (!existing && numbers.length >= MAX_MOBILE_MONEY_NUMBERS) {
+            return next(httpError(400, 'NUMBER_LIMIT_REACHED', `You can add at most ${MAX_MOBILE_MONEY_NUMBERS} mobile money numbers`));
+        }
+
+        // Text a code to the new number (subject to the resend cooldown)
+        let otp;
+        try {
+            otp = await phoneVerification.issue({
+                userId: req.user.id,
+                phone,
+                purpose: 'add_number',
+                locale: req.user.language
+            });
+        } catch (error) {
+            if (!OTP_ERROR_STATUS[error.code]) throw error;
+            return next(otpHttpError(error));
+        }
+
+        if (!existing) {
+            await db.users.update(req.user.id, {
+                mobileMoneyNumbers: [...numbers, { phone, addedAt: new Date().toISOString(), confirmedAt: null }]
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Verification code sent to ${phone}`,
+            data: { phone, expiresAt: otp.expiresAt }
+        });
+
+    } catch (error) {
+        logger.error('Add mobile money number error', { error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add mobile money number'
+        });
+    }
+});
+
+// Confirm an added mobile money number with the code texted to it
+app.post('/api/user/mobile-money-numbers/confirm', requireAuth, rateLimits.verifyPhone, validate(userSchemas.confirmMobileMoneyNumber), async (req, res, next) => {
+    try {
+        const { phone, code } = req.body;
+        const numbers = req.user.mobileMoneyNumbers || [];
+
+        const number = numbers.find(candidate => candidate.phone === phone);
+        if (!number) {
+            return next(httpError(404, 'NOT_FOUND', 'Mobile money number not found. Please add it first.'));
+        }
+
+        if (number.confirmedAt) {
+            return next(httpError(400, 'ALREADY_VERIFIED', 'This number is already confirmed'));
+        }
+
+        try {
+            await phoneVerification.verify({ userId: req.user.id, phone, purpose: 'add_number', code });
+        } catch (error) {
+            if (!OTP_ERROR_STATUS[error.code]) throw error;
+            return next(otpHttpError(error));
+        }
+
+        const user = await db.users.update(req.user.id, {
+            mobileMoneyNumbers: numbers.map(candidate => (candidate.phone === phone
+                ? { ...candidate, confirmedAt: new Date().toISOString() }
+                : candidate))
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Mobile money number confirmed',
+            data: { numbers: user.mobileMoneyNumbers }
+        });
+
+    } catch (error) {
+        logger.error('Confirm mobile money number error', { error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to confirm mobile money number'
+        });
+    }
+});
+
+// Remove an extra mobile money number
+app.delete('/api/user/mobile-money-numbers/:phone', requireAuth, requireStepUp, validate(userSchemas.removeMobileMoneyNumber), async (req, res, next) => {
+    try {
+        const { phone } = req.params;
+        const numbers = req.user.mobileMoneyNumbers || [];
+
+        if (!numbers.some(number => number.phone === phone)) {
+            return next(httpError(404, 'NOT_FOUND', 'Mobile money number not found'));
+        }
+
+        const user = await db.users.update(req.user.id, {
+            mobileMoneyNumbers: numbers.filter(number => number.phone !== phone)
+        });
+
+        res.status(200).json({
+            success: true,
+            message: 'Mobile money number removed',
+            data: { numbers: user.mobileMoneyNumbers }
+        });
+
+    } catch (error) {
+        logger.error('Remove mobile money number error', { error });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to remove mobile money number'
+        });
+    }
+});
+
+// In-app notification inbox
+app.use('/api/user/notifications', createNotificationRouter({ requireAuth, notifications }));
+
+// ==================== HEALTH CHECK ====================
+
+// Liveness: the process is up and serving requests. Dependencies are not checked here,
+// so an SMTP or MarzPay outage never gets a healthy instance restarted.
+const liveness = (req, res) => {
+    res.status(200).json({
+        success: true,
+        message: 'Server is running',
+        timestamp: new Date().toISOString()
+    });
+};
+
+app.get('/api/health', liveness);
+app.get('/api/health/live', liveness);
+
+// Readiness: configuration, storage, SMTP and the payment provider are all usable.
+// Answers 503 while any of them is down and once shutdown has begun.
+app.get('/api/health/ready', async (req, res) => {
+    try {
+        if (shuttingDown) {
+            return res.status(503).json({
+                success: false,
+                message: 'Server is shutting down'
+            });
+        }
+
+        const { ready, checks } = await health.readiness();
+
+        res.status(ready ? 200 : 503).json({
+            success: ready,
+            message: ready ? 'Server is ready' : 'Server is not ready',
+            data: {
+                checks,
+                timestamp: new Date().toISOString()
+            }
+        });
+    } catch (error) {
+        logger.error('Readiness check error', { error });
+        res.status(503).json({
+            success: false,
+            message: 'Readiness check failed'
+        });
+    }
+});
+
+// Prometheus scrape endpoint; METRICS_TOKEN (required in production) is asked for as a bearer token
+app.get('/metrics', (req, res, next) => {
+    const token = process.env.METRICS_TOKEN;
+    if (token && req.headers.authorization !== `Bearer ${token}`) {
+        return next(httpError(401, 'UNAUTHORIZED', 'Metrics token required'));
+    }
+
+    res.set('Content-Type', metrics.contentType).send(metrics.render());
+});
+
+// ==================== ERROR HANDLING ====================
+
+// Unknown routes, validation failures and unhandled errors all get the standard error envelope
+app.use(notFound);
+app.use(errorHandler);
+
+// ==================== STARTUP AND SHUTDOWN ====================
+
+// How long in-flight requests and job runs get to finish before the process exits anyway
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 25 * 1000;
+
+let server = null;
+
+// Helper function to stop the HTTP server. Connections kept alive after their
+// last request would hold it open, so they are closed as soon as they go idle.
+const closeServer = () => new Promise((resolve) => {
+    const closeIdle = setInterval(() => server.closeIdleConnections(), 250);
+    server.close(() => {
+        clearInterval(closeIdle);
+        resolve();
+    });
+});
+
+// Stop accepting connections, let in-flight requests and job runs finish,
+// make sure storage writes are on disk and release the data file, then exit
+const shutdown = async (signal) => {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    logger.info('Shutting down', { signal });
+
+    const forceExit = setTimeout(() => {
+        logger.error('Shutdown timed out, closing remaining connections', { timeoutMs: SHUTDOWN_TIMEOUT_MS });
+        if (server) server.closeAllConnections();
+        process.exit(1);
+    }, SHUTDOWN_TIMEOUT_MS);
+    forceExit.unref();
+
+    try {
+        await Promise.all([
+            server ? closeServer() : null,
+            ...backgroundJobs.map(job => job.stop())
+        ]);
+        await settlement.drain();
+        await db.close();
+
+        logger.info('Shutdown complete');
+        process.exit(0);
+    } catch (error) {
+        logger.error('Shutdown error', { error });
+        process.exit(1);
+    }
+};
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+// Start server once storage is ready
+db.init()
+    .then(bootstrapAdmins)
+    .then(() => {
+        backgroundJobs.forEach(job => job.start());
+
+        server = app.listen(PORT, () => {
+            logger.info('Server running', {
+                port: PORT,
+                environment: process.env.NODE_ENV,
+                frontendUrl: process.env.FRONTEND_URL
+            });
+        });
+    })
+    .catch((error) => {
+        logger.error('Failed to initialise storage', { error });
+        process.exit(1);
+    });
\ No newline at end of file
@@ -0,0 +1,38 @@
+/**
+ * Audit trail for staff actions. Entries are append-only and record who did
+ * what to which record, from where.
+ */
+const createAuditLog = ({ db, now = () => new Date() }) => {
+    const record = (req, action, { targetType = null, targetId = null, details = {} } = {}) => {
+        return db.auditLogs.create({
+            actorId: req.user ? req.user.id : null,
+            actorRole: req.user ? req.user.role : null,
+            action,
+            targetType,
+            targetId,
+            details,
+            ip: req.ip,
+            createdAt: now().toISOString()
+        });
+    };
+
+    // Newest entries first, optionally filtered by actor, target or action
+    const list = async ({ actorId, targetId, action, limit = 50, offset = 0 } = {}) => {
+        const filter = {};
+        if (actorId) filter.actorId = actorId;
+        if (targetId) filter.targetId = targetId;
+        if (action) filter.action = action;
+
+        const entries = (await db.auditLogs.list(filter))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+        return {
+            total: entries.length,
+            entries: entries.slice(offset, offset + limit)
+        };
+    };
+
+    return { record, list };
+};
+
+module.exports = createAuditLog;
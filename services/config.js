@@ -0,0 +1,78 @@
+// Values copied from example configs that must never reach a real deployment
+const PLACEHOLDER_VALUES = ['secret', 'changeme', 'change-me', 'your-secret-key', 'your_secret_key', 'your-jwt-secret', 'your_jwt_secret', 'jwt_secret', 'supersecret', 'password', 'simulator-secret'];
+
+// Keys that sign or encrypt our own data, and so must be long enough to resist guessing in production
+const SIGNING_KEYS = ['JWT_SECRET', 'TWO_FACTOR_ENCRYPTION_KEY'];
+const MIN_SIGNING_KEY_LENGTH = 32;
+
+// Helper function to read a comma separated list of URLs (e.g. CORS_ORIGINS) as
+// exact origins such as "https://app.example.com"; entries that are not http(s) URLs come back in `invalid`
+const parseOrigins = (value = '') => {
+    const origins = [];
+    const invalid = [];
+
+    for (const entry of value.split(',').map(item => item.trim()).filter(Boolean)) {
+        try {
+            const url = new URL(entry);
+            if (!['http:', 'https:'].includes(url.protocol)) throw new Error('Not a web origin');
+            origins.push(url.origin);
+        } catch (error) {
+            invalid.push(entry);
+        }
+    }
+    return { origins, invalid };
+};
+
+/**
+ * Configuration the server refuses to start without. Returns a list of
+ * problems (empty when the configuration is usable):
+ *
+ *   - a required secret is unset or still an example value
+ *   - a CORS origin is not a valid URL
+ *   - in production: a signing key shorter than 32 characters, no CORS
+ *     allow-list at all, the offline payment simulator as the provider, or
+ *     no METRICS_TOKEN to keep /metrics private
+ */
+const checkStartupConfig = ({
+    requiredSecrets,
+    cors,
+    env = process.env,
+    production = env.NODE_ENV === 'production'
+}) => {
+    const problems = [];
+
+    for (const key of requiredSecrets) {
+        if (!env[key]) {
+            problems.push(`${key} is not set`);
+        } else if (PLACEHOLDER_VALUES.includes(env[key].toLowerCase())) {
+            problems.push(`${key} still has an example value`);
+        }
+    }
+
+    for (const entry of cors.invalid) {
+        problems.push(`CORS origin "${entry}" is not a valid http(s) URL`);
+    }
+
+    if (production) {
+        for (const key of SIGNING_KEYS) {
+            if (env[key] && env[key].length < MIN_SIGNING_KEY_LENGTH) {
+                problems.push(`${key} must be at least ${MIN_SIGNING_KEY_LENGTH} characters long`);
+            }
+        }
+        if (cors.origins.length === 0) {
+            problems.push('CORS_ORIGINS (or FRONTEND_URL) must list the front-end origins allowed to call the API');
+        }
+        if (env.PAYMENT_PROVIDER === 'simulator') {
+            problems.push('PAYMENT_PROVIDER=simulator only takes pretend payments and cannot be used in production');
+        }
+        if (!env.METRICS_TOKEN) {
+            problems.push('METRICS_TOKEN must be set so /metrics is not public');
+        } else if (PLACEHOLDER_VALUES.includes(env.METRICS_TOKEN.toLowerCase())) {
+            problems.push('METRICS_TOKEN still has an example value');
+        }
+    }
+
+    return problems;
+};
+
+module.exports = { parseOrigins, checkStartupConfig };
@@ -0,0 +1,28 @@
+// Text that a spreadsheet would run as a formula (=, +, -, @, tab or carriage return first)
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+// Helper function to quote one CSV field (RFC 4180). Text that looks like a
+// formula is prefixed with ' so opening an export in Excel cannot run it.
+const formatField = (value) => {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'number') return String(value);
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (FORMULA_START.test(text)) text = `'${text}`;
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV document. `columns` is a list of `{ header, value(row) }`;
+ * lines end in CRLF, as spreadsheet and accounting tools expect.
+ */
+const toCsv = (columns, rows) => {
+    const lines = [
+        columns.map(column => formatField(column.header)),
+        ...rows.map(row => columns.map(column => formatField(column.value(row))))
+    ];
+    return lines.map(fields => fields.join(',')).join('\r\n') + '\r\n';
+};
+
+module.exports = { toCsv };
@@ -0,0 +1,29 @@
+const nodemailer = require('nodemailer');
+
+// Email transporter setup
+const transporter = nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port: process.env.EMAIL_PORT,
+    secure: false, // true for 465, false for other ports
+    auth: {
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASSWORD
+    }
+});
+
+// Helper function to send one email; resolves with the SMTP message id and
+// throws on failure (the outbox decides whether to retry). `attachments` are
+// `{ filename, contentType, content }` with the content as a Buffer.
+const sendEmail = async ({ to, subject, html, text, attachments }) => {
+    const info = await transporter.sendMail({
+        from: process.env.EMAIL_FROM || 'Star Investments <noreply@starinvest.com>',
+        to: to,
+        subject: subject,
+        html: html,
+        text: text,
+        attachments: attachments
+    });
+    return info.messageId;
+};
+
+module.exports = { transporter, sendEmail };
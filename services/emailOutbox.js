@@ -0,0 +1,168 @@
+const EventEmitter = require('events');
+const { sendEmail } = require('./email');
+const { renderEmail } = require('./templates');
+const { logger } = require('./logger');
+
+// Helper function to give up on a send that has not settled within `ms`
+// (an SMTP server that accepts the connection but never answers would otherwise hang it)
+const withTimeout = (promise, ms) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Email send timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Durable outbox for transactional email. `enqueue` only renders and stores
+ * a message and emits `email.queued`; the outbox job delivers it, so request
+ * handlers never wait on SMTP and nothing is lost if SMTP is down or the
+ * process restarts. Each send is cut off after `sendTimeoutMs`, and the
+ * message stays claimed for `leaseMarginMs` longer than that, so a send the
+ * timeout gave up on (the transport cannot be aborted) is not started again
+ * while it may still be finishing. Failed sends
+ * are retried with exponential backoff up to `maxAttempts`, and each message
+ * records its delivery status:
+ *
+ *   pending -> sending -> sent | pending (retry) | failed
+ *
+ * Rendered bodies and attachments are dropped once a message is sent or
+ * given up on, since they can contain single-use sign-in links or account
+ * statements. Each attempt's outcome is emitted as `email.sent`,
+ * `email.retrying` or `email.failed`.
+ */
+const createEmailOutbox = ({
+    db,
+    send = sendEmail,
+    maxAttempts = Number(process.env.EMAIL_MAX_ATTEMPTS) || 5,
+    retryDelayMs = Number(process.env.EMAIL_RETRY_DELAY_MS) || 60 * 1000,
+    sendTimeoutMs = Number(process.env.EMAIL_SEND_TIMEOUT_MS) || 30 * 1000,
+    leaseMarginMs = Number(process.env.EMAIL_LEASE_MARGIN_MS) || 60 * 1000,
+    now = () => new Date()
+}) => {
+    const events = new EventEmitter();
+
+    // A message being sent is leased so the background job does not send it twice,
+    // but it is picked up again if the process dies mid-send
+    const lease = () => new Date(now().getTime() + sendTimeoutMs + leaseMarginMs).toISOString();
+
+    const deliver = async (message) => {
+        const attempts = message.attempts + 1;
+
+        // Claim the message; a racing run that claimed it first sends it instead
+        const claimed = await db.emailOutbox.updateIf(message.id, { status: message.status, attempts: message.attempts }, {
+            status: 'sending',
+            attempts,
+            nextAttemptAt: lease(),
+            updatedAt: now().toISOString()
+        });
+        if (!claimed) return null;
+
+        try {
+            const messageId = await withTimeout(send({
+                to: message.to,
+                subject: message.subject,
+                html: message.html,
+                text: message.text,
+                attachments: (message.attachments || []).map(attachment => ({
+                    ...attachment,
+                    content: Buffer.from(attachment.content, 'base64')
+                }))
+            }), sendTimeoutMs);
+
+            logger.info('Email sent', { template: message.template, to: message.to, messageId, attempts });
+            events.emit('email.sent', message);
+            return db.emailOutbox.update(message.id, {
+                status: 'sent',
+                messageId,
+                lastError: null,
+                nextAttemptAt: null,
+                html: null,
+                text: null,
+                attachments: null,
+                sentAt: now().toISOString(),
+                updatedAt: now().toISOString()
+            });
+        } catch (error) {
+            logger.warn('Email send failed', { template: message.template, to: message.to, attempts, error });
+
+            if (attempts >= maxAttempts) {
+                events.emit('email.failed', message);
+                return db.emailOutbox.update(message.id, {
+                    status: 'failed',
+                    lastError: error.message,
+                    nextAttemptAt: null,
+                    html: null,
+                    text: null,
+                    attachments: null,
+                    updatedAt: now().toISOString()
+                });
+            }
+
+            events.emit('email.retrying', message);
+            return db.emailOutbox.update(message.id, {
+                status: 'pending',
+                lastError: error.message,
+                nextAttemptAt: new Date(now().getTime() + retryDelayMs * 2 ** (attempts - 1)).toISOString(),
+                updatedAt: now().toISOString()
+            });
+        }
+    };
+
+    // Render a template and queue it for the outbox job to send straight away.
+    // Attachment content (a Buffer) is stored base64-encoded until the message is sent.
+    const enqueue = async ({ to, userId = null, template, locale, data, attachments = [] }) => {
+        const { subject, html, text, locale: resolvedLocale } = renderEmail(template, locale, data, { now });
+
+        const message = await db.emailOutbox.create({
+            userId,
+            to,
+            template,
+            locale: resolvedLocale,
+            subject,
+            html,
+            text,
+            attachments: attachments.map(attachment => ({
+                ...attachment,
+                content: attachment.content.toString('base64')
+            })),
+            status: 'pending',
+            attempts: 0,
+            nextAttemptAt: now().toISOString(),
+            messageId: null,
+            lastError: null,
+            createdAt: now().toISOString(),
+            sentAt: null
+        });
+
+        events.emit('email.queued', message);
+        return message;
+    };
+
+    // Queue an email to a user in their preferred language
+    const sendToUser = (user, template, data, { attachments } = {}) => enqueue({
+        to: user.email,
+        userId: user.id,
+        template,
+        locale: user.language,
+        data,
+        attachments
+    });
+
+    // Send new messages, retry those whose backoff has elapsed and sends abandoned mid-way
+    const processDue = async () => {
+        const due = [
+            ...await db.emailOutbox.findByStatus('pending'),
+            ...await db.emailOutbox.findByStatus('sending')
+        ].filter(message => message.nextAttemptAt && new Date(message.nextAttemptAt) <= now());
+
+        for (const message of due) {
+            await deliver(message);
+        }
+        return due.length;
+    };
+
+    return { events, enqueue, sendToUser, processDue };
+};
+
+module.exports = createEmailOutbox;
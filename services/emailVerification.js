@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+
+// Helper function to build an error the route handlers can map to a response
+const verificationError = (code, message, details = {}) => {
+    const error = new Error(message);
+    error.code = code;
+    Object.assign(error, details);
+    return error;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Email verification tokens. Tokens are stored on the user as a hash with
+ * an issue time and expiry, are cleared once used, and can only be re-sent
+ * after a per-account cooldown.
+ *
+ * The same tokens confirm a change of address: the new address is kept in
+ * `pendingEmail` and only replaces `email` once its link is followed.
+ */
+const createEmailVerificationService = ({
+    db,
+    ttlHours = Number(process.env.VERIFICATION_TOKEN_TTL_HOURS) || 24,
+    resendCooldownSeconds = Number(process.env.VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60,
+    now = () => new Date()
+}) => {
+    // Create a token plus the user fields that record it
+    const generate = () => {
+        const token = crypto.randomBytes(32).toString('hex');
+        const issuedAt = now();
+
+        return {
+            token,
+            fields: {
+                verificationTokenHash: hashToken(token),
+                verificationTokenIssuedAt: issuedAt.toISOString(),
+                verificationTokenExpiresAt: new Date(issuedAt.getTime() + ttlHours * 60 * 60 * 1000).toISOString(),
+                verificationLastSentAt: issuedAt.toISOString()
+            }
+        };
+    };
+
+    // Refuse to send another email until the resend cooldown has passed
+    const assertCooldownPassed = (user) => {
+        const retryAfter = cooldownRemaining(user);
+        if (retryAfter > 0) {
+            throw verificationError(
+                'RESEND_COOLDOWN',
+                `Please wait ${retryAfter} seconds before requesting another verification email`,
+                { retryAfter }
+            );
+        }
+    };
+
+    // Replace a user's token, enforcing the resend cooldown
+    const reissue = async (user) => {
+        assertCooldownPassed(user);
+
+        const { token, fields } = generate();
+        await db.users.update(user.id, fields);
+        return token;
+    };
+
+    // Start a change of address; returns the token to send to the new address
+    const requestEmailChange = async (user, email) => {
+        if (await db.users.findByEmail(email)) {
+            throw verificationError('EMAIL_IN_USE', 'Email already registered');
+        }
+
+        assertCooldownPassed(user);
+
+        const { token, fields } = generate();
+        await db.users.update(user.id, { ...fields, pendingEmail: email });
+        return token;
+    };
+
+    // Seconds left before another verification email may be sent
+    const cooldownRemaining = (user) => {
+        if (!user.verificationLastSentAt) return 0;
+        const elapsed = (now().getTime() - new Date(user.verificationLastSentAt).getTime()) / 1000;
+        return Math.max(0, Math.ceil(resendCooldownSeconds - elapsed));
+    };
+
+    // Mark the token's owner verified, or move them to their pending address;
+    // the token cannot be used again. Resolves with `{ user, emailChange }`,
+    // where `emailChange` is `{ from, to }` when an address was changed.
+    const verify = async (token) => {
+        const user = await db.users.findByVerificationTokenHash(hashToken(String(token)));
+
+        if (!user) {
+            throw verificationError('INVALID_VERIFICATION_TOKEN', 'Invalid or already used verification token');
+        }
+        if (new Date(user.verificationTokenExpiresAt) <= now()) {
+            throw verificationError('VERIFICATION_TOKEN_EXPIRED', 'This verification link has expired. Please request a new one.');
+        }
+
+        const cleared = {
+            verificationTokenHash: null,
+            verificationTokenIssuedAt: null,
+            verificationTokenExpiresAt: null
+        };
+
+        if (user.pendingEmail) {
+            // The address may have been taken since the change was requested
+            if (await db.users.findByEmail(user.pendingEmail)) {
+                await db.users.update(user.id, { ...cleared, pendingEmail: null });
+                throw verificationError('EMAIL_IN_USE', 'This email address is now registered to another account');
+            }
+
+            const updated = await db.users.update(user.id, {
+                ...cleared,
+                email: user.pendingEmail,
+                pendingEmail: null,
+                emailChangedAt: now().toISOString()
+            });
+            return { user: updated, emailChange: { from: user.email, to: updated.email } };
+        }
+
+        const updated = await db.users.update(user.id, {
+            ...cleared,
+            isVerified: true,
+            verifiedAt: now().toISOString()
+        });
+        return { user: updated, emailChange: null };
+    };
+
+    return { generate, reissue, requestEmailChange, verify, ttlHours };
+};
+
+module.exports = createEmailVerificationService;
@@ -0,0 +1,66 @@
+const { logger } = require('./logger');
+
+// Helper function to fail a check that has not settled within `ms`
+const withTimeout = (promise, ms) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Helper function to build a check that fails while any of `keys` is unset
+const requireEnv = (keys, env = process.env) => async () => {
+    const missing = keys.filter(key => !env[key]);
+    if (missing.length > 0) {
+        throw new Error(`Missing configuration: ${missing.join(', ')}`);
+    }
+};
+
+/**
+ * Readiness checks for the load balancer. `checks` maps a name to an async
+ * function that throws when that dependency is unusable; all of them run in
+ * parallel, each failing after `timeoutMs`, and `readiness()` resolves with
+ *
+ *   { ready, checks: { storage: { status: 'ok' | 'fail', durationMs, error? }, ... } }
+ *
+ * Changes between ready and not ready are logged once rather than on every probe.
+ */
+const createHealthService = ({
+    checks,
+    timeoutMs = Number(process.env.HEALTH_CHECK_TIMEOUT_MS) || 3000
+}) => {
+    let wasReady = null;
+
+    const runCheck = async (check) => {
+        const started = Date.now();
+        try {
+            await withTimeout(Promise.resolve().then(check), timeoutMs);
+            return { status: 'ok', durationMs: Date.now() - started };
+        } catch (error) {
+            return { status: 'fail', durationMs: Date.now() - started, error: error.message };
+        }
+    };
+
+    const readiness = async () => {
+        const names = Object.keys(checks);
+        const outcomes = await Promise.all(names.map(name => runCheck(checks[name])));
+        const results = Object.fromEntries(names.map((name, index) => [name, outcomes[index]]));
+        const ready = outcomes.every(outcome => outcome.status === 'ok');
+
+        if (ready !== wasReady) {
+            if (ready) {
+                logger.info('Service ready');
+            } else {
+                logger.warn('Service not ready', { checks: results });
+            }
+            wasReady = ready;
+        }
+
+        return { ready, checks: results };
+    };
+
+    return { readiness };
+};
+
+module.exports = { createHealthService, requireEnv };
@@ -0,0 +1,99 @@
+const { ACCOUNTS } = require('./ledger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper function to build an error the route handlers can map to a response
+const planError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+/**
+ * Plan selection and the investment lifecycle. An investment is created when
+ * the payment funding it settles successfully; it starts `active` and later
+ * becomes `matured` once its duration has run.
+ */
+const createInvestmentService = ({ db, ledger, now = () => new Date() }) => {
+    // Resolve the plan a payment is for and check the amount fits it
+    const resolvePlanForPayment = async ({ planId, planName, amount }) => {
+        const plan = planId
+            ? await db.plans.findById(planId)
+            : await db.plans.findByName(planName);
+
+        if (!plan || !plan.isActive) {
+            throw planError('PLAN_NOT_FOUND', 'Investment plan not found');
+        }
+
+        if (amount < plan.minAmount || amount > plan.maxAmount) {
+            throw planError(
+                'AMOUNT_OUT_OF_RANGE',
+                `Amount for the ${plan.name} plan must be between ${plan.minAmount.toLocaleString()} and ${plan.maxAmount.toLocaleString()} UGX`
+            );
+        }
+
+        return plan;
+    };
+
+    // Move the principal into the user's invested balance (idempotent)
+    const postPrincipal = (investment) => ledger.post({
+        idempotencyKey: `principal:${investment.id}`,
+        type: 'investment',
+        userId: investment.userId,
+        description: `Investment in ${investment.planName} plan`,
+        lines: [
+            { account: ACCOUNTS.CASH, debit: investment.principal },
+            { account: ACCOUNTS.PRINCIPAL, credit: investment.principal }
+        ],
+        effectiveDate: new Date(investment.startDate),
+        metadata: { investmentId: investment.id, transactionId: investment.transactionId }
+    });
+
+    // Create the investment funded by a successful transaction (idempotent)
+    const createFromTransaction = async (transaction) => {
+        const existing = await db.investments.findByTransactionId(transaction.id);
+        if (existing) {
+            await postPrincipal(existing);
+            return existing;
+        }
+
+        const plan = await db.plans.findById(transaction.planId);
+        if (!plan) {
+            throw planError('PLAN_NOT_FOUND', `Plan ${transaction.planId} for transaction ${transaction.id} not found`);
+        }
+
+        const startDate = now();
+        const maturityDate = new Date(startDate.getTime() + plan.durationDays * DAY_MS);
+
+        const investment = await db.investments.create({
+            userId: transaction.userId,
+            transactionId: transaction.id,
+            planId: plan.id,
+            planName: plan.name,
+            principal: Number(transaction.amount),
+            dailyReturnRate: plan.dailyReturnRate,
+            durationDays: plan.durationDays,
+            startDate: startDate.toISOString(),
+            maturityDate: maturityDate.toISOString(),
+            status: 'active',
+            accruedDays: 0,
+            createdAt: startDate.toISOString()
+        });
+
+        await postPrincipal(investment);
+        return investment;
+    };
+
+    const listForUser = async (userId) => {
+        const investments = await db.investments.findByUserId(userId);
+        return investments.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    };
+
+    return {
+        resolvePlanForPayment,
+        createFromTransaction,
+        listForUser
+    };
+};
+
+module.exports = createInvestmentService;
@@ -0,0 +1,206 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Helper function to build an error the route handlers can map to a response
+const kycError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+// Accepted document types, the extension they are saved with and the bytes every such file starts with
+const DOCUMENT_TYPES = {
+    'image/jpeg': { extension: 'jpg', signature: Buffer.from([0xff, 0xd8, 0xff]) },
+    'image/png': { extension: 'png', signature: Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+    'application/pdf': { extension: 'pdf', signature: Buffer.from('%PDF-') }
+};
+
+const DEFAULT_UPLOAD_DIR = path.join(__dirname, '..', 'data', 'kyc');
+
+/**
+ * Know-your-customer checks. A user uploads an identity document, then
+ * submits it with their full legal name and national ID number; the
+ * submission stays `pending` until an admin approves or rejects it, and only
+ * one submission per user can be pending at a time.
+ *
+ *   user.kycStatus: none -> pending -> approved | rejected (rejected may resubmit)
+ *
+ * Documents are written to `uploadDir`, outside anything served over HTTP,
+ * after their size and content type (checked against the file's first bytes,
+ * not just the header the client sent) have been checked.
+ *
+ * Approved users move from the `basic` to the `verified` tier, which raises
+ * the largest single payment they may make.
+ */
+const createKycService = ({
+    db,
+    uploadDir = process.env.KYC_UPLOAD_DIR || DEFAULT_UPLOAD_DIR,
+    maxDocumentBytes = Number(process.env.KYC_MAX_DOCUMENT_BYTES) || 5 * 1024 * 1024,
+    tierLimits = {
+        basic: Number(process.env.KYC_BASIC_PAYMENT_LIMIT) || 1000000,
+        verified: Number(process.env.KYC_VERIFIED_PAYMENT_LIMIT) || 10000000
+    },
+    now = () => new Date()
+}) => {
+    const events = new EventEmitter();
+
+    const tierFor = (user) => (user.kycStatus === 'approved' ? 'verified' : 'basic');
+
+    // The user's tier and the largest single payment it allows
+    const limitsFor = (user) => {
+        const tier = tierFor(user);
+        return { tier, maxPaymentAmount: tierLimits[tier] };
+    };
+
+    // Refuse a payment above the user's tier limit
+    const assertPaymentAllowed = (user, amount) => {
+        const { tier, maxPaymentAmount } = limitsFor(user);
+        if (amount > maxPaymentAmount) {
+            throw kycError(
+                'KYC_LIMIT_EXCEEDED',
+                tier === 'basic'
+                    ? `Payments above UGX ${maxPaymentAmount.toLocaleString('en-US')} require identity verification. Please complete KYC first.`
+                    : `The maximum payment is UGX ${maxPaymentAmount.toLocaleString('en-US')}`
+            );
+        }
+    };
+
+    // Check and store an uploaded document; it is attached to a submission later
+    const saveDocument = async ({ userId, contentType, data }) => {
+        const mimeType = String(contentType || '').split(';')[0].trim().toLowerCase();
+        const type = DOCUMENT_TYPES[mimeType];
+
+        if (!type || !Buffer.isBuffer(data)) {
+            throw kycError('UNSUPPORTED_DOCUMENT_TYPE', `Documents must be one of: ${Object.keys(DOCUMENT_TYPES).join(', ')}`);
+        }
+        if (data.length === 0) {
+            throw kycError('EMPTY_DOCUMENT', 'The document is empty');
+        }
+        if (data.length > maxDocumentBytes) {
+            throw kycError('DOCUMENT_TOO_LARGE', `Documents must be at most ${Math.floor(maxDocumentBytes / (1024 * 1024))} MB`);
+        }
+        if (!data.subarray(0, type.signature.length).equals(type.signature)) {
+            throw kycError('UNSUPPORTED_DOCUMENT_TYPE', 'The document content does not match its type');
+        }
+
+        const id = uuidv4();
+        const fileName = `${id}.${type.extension}`;
+        const directory = path.join(uploadDir, userId);
+
+        await fs.promises.mkdir(directory, { recursive: true });
+        await fs.promises.writeFile(path.join(directory, fileName), data, { mode: 0o600 });
+
+        return db.kycDocuments.create({
+            id,
+            userId,
+            contentType: mimeType,
+            size: data.length,
+            sha256: crypto.createHash('sha256').update(data).digest('hex'),
+            file: path.join(userId, fileName),
+            submissionId: null,
+            uploadedAt: now().toISOString()
+        });
+    };
+
+    // Absolute path of a stored document, for admins to view it
+    const documentPath = (document) => path.join(uploadDir, document.file);
+
+    // Submit a document for review with the user's legal name and national ID number
+    const submit = async (user, { fullName, nationalId, documentId }) => {
+        if (user.kycStatus === 'pending') {
+            throw kycError('KYC_ALREADY_PENDING', 'Your identity verification is already being reviewed');
+        }
+        if (user.kycStatus === 'approved') {
+            throw kycError('KYC_ALREADY_APPROVED', 'Your identity has already been verified');
+        }
+
+        const document = await db.kycDocuments.findById(documentId);
+        if (!document || document.userId !== user.id) {
+            throw kycError('DOCUMENT_NOT_FOUND', 'Document not found. Please upload it first.');
+        }
+        if (document.submissionId) {
+            throw kycError('DOCUMENT_ALREADY_SUBMITTED', 'This document was already submitted. Please upload it again.');
+        }
+
+        // One national ID backs one account
+        const claimed = (await db.kycSubmissions.findByNationalId(nationalId))
+            .some(submission => submission.userId !== user.id && submission.status !== 'rejected');
+        if (claimed) {
+            throw kycError('NATIONAL_ID_IN_USE', 'This national ID number is already registered to another account');
+        }
+
+        const submission = await db.kycSubmissions.create({
+            id: uuidv4(),
+            userId: user.id,
+            fullName,
+            nationalId,
+            documentId: document.id,
+            status: 'pending',
+            submittedAt: now().toISOString(),
+            reviewedAt: null,
+            reviewedBy: null,
+            rejectionReason: null
+        });
+
+        await db.kycDocuments.update(document.id, { submissionId: submission.id });
+        await db.users.update(user.id, { kycStatus: 'pending' });
+
+        return submission;
+    };
+
+    // The user's KYC status, tier and most recent submission
+    const getStatus = async (user) => {
+        const [latest] = (await db.kycSubmissions.findByUserId(user.id))
+            .sort((a, b) => b.submittedAt.localeCompare(a.submittedAt));
+
+        return {
+            status: user.kycStatus || 'none',
+            ...limitsFor(user),
+            submission: latest || null
+        };
+    };
+
+    // Record an admin's decision on a pending submission
+    const review = async (submissionId, { decision, reviewerId, reason = null }) => {
+        const submission = await db.kycSubmissions.findById(submissionId);
+        if (!submission) {
+            throw kycError('SUBMISSION_NOT_FOUND', 'KYC submission not found');
+        }
+        if (submission.status !== 'pending') {
+            throw kycError('SUBMISSION_NOT_PENDING', `This submission has already been ${submission.status}`);
+        }
+
+        const status = decision === 'approve' ? 'approved' : 'rejected';
+        const updated = await db.kycSubmissions.update(submission.id, {
+            status,
+            reviewedAt: now().toISOString(),
+            reviewedBy: reviewerId,
+            rejectionReason: status === 'rejected' ? reason : null
+        });
+
+        const user = await db.users.update(submission.userId, {
+            kycStatus: status,
+            ...(status === 'approved' && { fullName: submission.fullName, kycVerifiedAt: now().toISOString() })
+        });
+
+        events.emit(`kyc.${status}`, { submission: updated, user });
+        return updated;
+    };
+
+    return {
+        events,
+        limitsFor,
+        assertPaymentAllowed,
+        saveDocument,
+        documentPath,
+        submit,
+        getStatus,
+        review,
+        maxDocumentBytes
+    };
+};
+
+module.exports = { createKycService, DOCUMENT_TYPES };
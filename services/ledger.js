@@ -0,0 +1,117 @@
+// Ledger accounts. `user:*` accounts are per user (the journal's userId);
+// `platform:*` accounts belong to Star Investments.
+const ACCOUNTS = {
+    CASH: 'platform:cash',
+    RETURNS_EXPENSE: 'platform:returns_expense',
+    REFERRAL_EXPENSE: 'platform:referral_expense',
+    WALLET: 'user:wallet',
+    HELD: 'user:held',
+    PRINCIPAL: 'user:principal'
+};
+
+// Helper function to build an error the callers can map to a response
+const ledgerError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+/**
+ * Double-entry ledger. Every money movement is a journal whose lines must
+ * balance (total debits equal total credits). Journals carry an idempotency
+ * key, so posting the same movement twice, e.g. when a job re-runs after a
+ * crash, returns the original journal instead of moving money again.
+ *
+ * User accounts are liabilities: a credit increases what we owe the user.
+ */
+const createLedgerService = ({ db, now = () => new Date() }) => {
+    const post = async ({ idempotencyKey, type, userId, description, lines, effectiveDate, metadata }) => {
+        const existing = await db.journals.findByIdempotencyKey(idempotencyKey);
+        if (existing) return existing;
+
+        const normalised = lines.map(line => ({
+            account: line.account,
+            debit: Math.round(line.debit || 0),
+            credit: Math.round(line.credit || 0)
+        }));
+
+        const totalDebit = normalised.reduce((sum, line) => sum + line.debit, 0);
+        const totalCredit = normalised.reduce((sum, line) => sum + line.credit, 0);
+
+        if (normalised.length < 2 || totalDebit !== totalCredit || totalDebit <= 0) {
+            throw ledgerError('UNBALANCED_JOURNAL', `Journal ${idempotencyKey} does not balance`);
+        }
+
+        try {
+            return await db.journals.create({
+                idempotencyKey,
+                type,
+                userId: userId || null,
+                description: description || '',
+                lines: normalised,
+                amount: totalDebit,
+                metadata: metadata || {},
+                effectiveDate: (effectiveDate || now()).toISOString(),
+                createdAt: now().toISOString()
+            });
+        } catch (error) {
+            // Lost a race with an identical posting
+            if (error.code === 'UNIQUE_VIOLATION') {
+                return db.journals.findByIdempotencyKey(idempotencyKey);
+            }
+            throw error;
+        }
+    };
+
+    // Net credit balance of one of the user's accounts
+    const accountBalance = (journals, account) => {
+        return journals.reduce((sum, journal) => {
+            return sum + journal.lines
+                .filter(line => line.account === account)
+                .reduce((lineSum, line) => lineSum + line.credit - line.debit, 0);
+        }, 0);
+    };
+
+    const getBalance = async (userId) => {
+        const journals = await db.journals.findByUserId(userId);
+        const totalReturns = journals
+            .filter(journal => journal.type === 'accrual')
+            .reduce((sum, journal) => sum + journal.amount, 0);
+
+        return {
+            currency: 'UGX',
+            available: accountBalance(journals, ACCOUNTS.WALLET),
+            held: accountBalance(journals, ACCOUNTS.HELD),
+            invested: accountBalance(journals, ACCOUNTS.PRINCIPAL),
+            totalReturns
+        };
+    };
+
+    // A user's journals, newest first, reduced to the lines on their accounts
+    const listEntries = async (userId, { limit = 50, offset = 0 } = {}) => {
+        const journals = await db.journals.findByUserId(userId);
+        const sorted = journals.sort((a, b) => {
+            return b.effectiveDate.localeCompare(a.effectiveDate) || b.createdAt.localeCompare(a.createdAt);
+        });
+
+        return {
+            total: sorted.length,
+            entries: sorted.slice(offset, offset + limit).map(journal => ({
+                id: journal.id,
+                type: journal.type,
+                description: journal.description,
+                effectiveDate: journal.effectiveDate,
+                lines: journal.lines.filter(line => line.account.startsWith('user:')),
+                metadata: journal.metadata
+            }))
+        };
+    };
+
+    return {
+        post,
+        getBalance,
+        listEntries
+    };
+};
+
+module.exports = { createLedgerService, ACCOUNTS };
@@ -0,0 +1,112 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Per-request state (the request id) that log lines and outgoing calls pick up
+const requestContext = new AsyncLocalStorage();
+
+const currentRequestId = () => {
+    const store = requestContext.getStore();
+    return store ? store.requestId : undefined;
+};
+
+// Fields whose values are never written to the logs
+const SECRET_KEY = /pass(word)?|secret|token|authori[sz]ation|cookie|api[-_]?key|signature|^otp$|hash$/i;
+
+const PHONE_PATTERN = /(\+?256|\b0)(\d{6})(\d{3})\b/g;
+const EMAIL_PATTERN = /\b([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9.-]+\.[A-Za-z]{2,})\b/g;
+const BEARER_PATTERN = /\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi;
+
+// Keep the country code and last three digits: +256******678
+const maskPhone = (text) => text.replace(PHONE_PATTERN, (match, prefix, hidden, last) => `${prefix}${'*'.repeat(hidden.length)}${last}`);
+
+// Keep the first letter and the domain: f***@example.com
+const maskEmail = (text) => text.replace(EMAIL_PATTERN, (match, first, domain) => `${first}***@${domain}`);
+
+const maskText = (text) => maskEmail(maskPhone(text.replace(BEARER_PATTERN, '$1 [REDACTED]')));
+
+// Only the useful, safe parts of an error. Axios errors in particular carry
+// the request config, whose headers include the provider credentials.
+const serializeError = (error) => ({
+    name: error.name,
+    message: maskText(String(error.message)),
+    ...(error.code && { code: error.code }),
+    ...(error.response && { status: error.response.status }),
+    ...(error.httpStatus && { status: error.httpStatus }),
+    ...(error.config && { request: { method: error.config.method, url: error.config.url } }),
+    ...(error.stack && { stack: maskText(error.stack) })
+});
+
+/**
+ * Copy a value for logging with secrets removed and personal data masked:
+ * password, token, secret, authorization and similar fields are replaced
+ * outright, and phone numbers and email addresses anywhere in the text are
+ * partially masked.
+ */
+const redact = (value, key = '', depth = 0) => {
+    if (value === null || value === undefined) return value;
+    if (key && SECRET_KEY.test(key)) return '[REDACTED]';
+    if (value instanceof Error) return serializeError(value);
+    if (typeof value === 'string') return maskText(value);
+    if (typeof value !== 'object') return value;
+    if (value instanceof Date) return value.toISOString();
+    if (depth >= 6) return '[Truncated]';
+    if (Array.isArray(value)) return value.map(item => redact(item, '', depth + 1));
+
+    return Object.fromEntries(Object.entries(value).map(([field, item]) => [field, redact(item, field, depth + 1)]));
+};
+
+// Helper function to format a log entry for a terminal (LOG_FORMAT=pretty)
+const prettyLine = ({ time, level, msg, ...fields }) => {
+    const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+    return `${time} ${level.toUpperCase().padEnd(5)} ${msg}${extra}`;
+};
+
+/**
+ * Structured logger writing one JSON object per line:
+ *
+ *   {"time":"...","level":"info","msg":"Payment settled","requestId":"...","reference":"..."}
+ *
+ * Entries below `level` (LOG_LEVEL, default info) are dropped, every field
+ * goes through `redact`, and the current request id is added automatically.
+ * Lines go to stdout, or to stderr with LOG_OUTPUT=stderr (for command line
+ * tools whose stdout is their result).
+ * `child(bindings)` returns a logger that adds `bindings` to every entry.
+ */
+const createLogger = ({
+    level = process.env.LOG_LEVEL || 'info',
+    format = process.env.LOG_FORMAT || 'json',
+    write = (line) => (process.env.LOG_OUTPUT === 'stderr' ? process.stderr : process.stdout).write(`${line}\n`),
+    bindings = {},
+    now = () => new Date()
+} = {}) => {
+    const threshold = LEVELS[level] || LEVELS.info;
+
+    const log = (entryLevel, msg, fields = {}) => {
+        if (LEVELS[entryLevel] < threshold) return;
+
+        const requestId = currentRequestId();
+        const entry = {
+            time: now().toISOString(),
+            level: entryLevel,
+            msg: maskText(String(msg)),
+            ...(requestId && { requestId }),
+            ...redact({ ...bindings, ...fields })
+        };
+
+        write(format === 'pretty' ? prettyLine(entry) : JSON.stringify(entry));
+    };
+
+    return {
+        debug: (msg, fields) => log('debug', msg, fields),
+        info: (msg, fields) => log('info', msg, fields),
+        warn: (msg, fields) => log('warn', msg, fields),
+        error: (msg, fields) => log('error', msg, fields),
+        child: (extra) => createLogger({ level, format, write, bindings: { ...bindings, ...extra }, now })
+    };
+};
+
+// Shared application logger
+const logger = createLogger();
+
+module.exports = { logger, createLogger, redact, requestContext, currentRequestId };
@@ -0,0 +1,116 @@
+const crypto = require('crypto');
+
+// Helper function to build an error the route handlers can map to a response
+const lockoutError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Progressive lockout after repeated failed logins. Every `maxAttempts`
+ * consecutive wrong passwords lock the account, for `baseLockMinutes` the
+ * first time and twice as long each time after (up to `maxLockMinutes`).
+ * Locking issues a single-use unlock token for the account owner to email
+ * themselves out early; it expires after `unlockTokenTtlMinutes`. A
+ * successful login clears the failure count.
+ */
+const createLoginLockoutService = ({
+    db,
+    maxAttempts = Number(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5,
+    baseLockMinutes = Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+    maxLockMinutes = Number(process.env.LOGIN_LOCKOUT_MAX_MINUTES) || 24 * 60,
+    unlockTokenTtlMinutes = Number(process.env.LOGIN_UNLOCK_TOKEN_TTL_MINUTES) || 60,
+    now = () => new Date()
+}) => {
+    // Seconds until a locked account opens again, or 0 when it is not locked
+    const lockedFor = (user) => {
+        if (!user.lockedUntil) return 0;
+        const remaining = new Date(user.lockedUntil).getTime() - now().getTime();
+        return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+    };
+
+    // Count a wrong password; returns the unlock token when this locks the account.
+    // The count is compared-and-set, so failures sent in parallel are each counted once.
+    const recordFailure = async (user) => {
+        for (let current = user; current; current = await db.users.findById(user.id)) {
+            // A racing failure has just locked the account; this one belongs to that lockout
+            if (lockedFor(current) > 0) {
+                return { locked: false, attemptsRemaining: 0 };
+            }
+
+            const expected = { failedLoginAttempts: current.failedLoginAttempts, lockoutCount: current.lockoutCount };
+            const failedLoginAttempts = (current.failedLoginAttempts || 0) + 1;
+
+            if (failedLoginAttempts < maxAttempts) {
+                const updated = await db.users.updateIf(user.id, expected, {
+                    failedLoginAttempts,
+                    lastFailedLoginAt: now().toISOString()
+                });
+                if (updated) {
+                    return { locked: false, attemptsRemaining: maxAttempts - failedLoginAttempts };
+                }
+                continue;
+            }
+
+            const lockoutCount = (current.lockoutCount || 0) + 1;
+            const minutes = Math.min(baseLockMinutes * 2 ** (lockoutCount - 1), maxLockMinutes);
+            const lockedUntil = new Date(now().getTime() + minutes * 60 * 1000).toISOString();
+            const unlockToken = crypto.randomBytes(32).toString('hex');
+
+            const updated = await db.users.updateIf(user.id, expected, {
+                failedLoginAttempts: 0,
+                lockoutCount,
+                lockedUntil,
+                unlockTokenHash: hashToken(unlockToken),
+                unlockTokenExpiresAt: new Date(now().getTime() + unlockTokenTtlMinutes * 60 * 1000).toISOString(),
+                lastFailedLoginAt: now().toISOString()
+            });
+            if (updated) {
+                return { locked: true, lockedUntil, minutes, unlockToken };
+            }
+        }
+
+        return { locked: false, attemptsRemaining: 0 };
+    };
+
+    const recordSuccess = async (user) => {
+        if (!user.failedLoginAttempts && !user.lockoutCount && !user.lockedUntil) return;
+        await db.users.update(user.id, clearedFields());
+    };
+
+    // Lift a lockout using the token from the unlock email. Tokens issued before
+    // they carried an expiry count as expired.
+    const unlock = async (token) => {
+        const unlockTokenHash = hashToken(String(token));
+        const user = await db.users.findByUnlockTokenHash(unlockTokenHash);
+        if (!user) {
+            throw lockoutError('INVALID_UNLOCK_TOKEN', 'Invalid or already used unlock link');
+        }
+        if (!user.unlockTokenExpiresAt || new Date(user.unlockTokenExpiresAt) <= now()) {
+            throw lockoutError('UNLOCK_TOKEN_EXPIRED', 'This unlock link has expired. Wait for the lockout to end or reset your password.');
+        }
+
+        // Only the request that still finds the token unused gets to spend it
+        const unlocked = await db.users.updateIf(user.id, { unlockTokenHash }, clearedFields());
+        if (!unlocked) {
+            throw lockoutError('INVALID_UNLOCK_TOKEN', 'Invalid or already used unlock link');
+        }
+        return unlocked;
+    };
+
+    // Fields that reset an account's lockout state (also applied on password reset)
+    const clearedFields = () => ({
+        failedLoginAttempts: 0,
+        lockoutCount: 0,
+        lockedUntil: null,
+        unlockTokenHash: null,
+        unlockTokenExpiresAt: null
+    });
+
+    return { lockedFor, recordFailure, recordSuccess, unlock, clearedFields };
+};
+
+module.exports = createLoginLockoutService;
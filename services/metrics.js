@@ -0,0 +1,99 @@
+// Default latency buckets in seconds
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Helper function to escape a label value for the exposition format
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+// Helper function to render a label set, e.g. {method="GET",status="200"}
+const formatLabels = (labels) => {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+};
+
+// Helper function to key a series by its label values, in declared order
+const seriesKey = (labelNames, labels) => JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+
+const pickLabels = (labelNames, labels) => Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+
+/**
+ * In-process Prometheus metrics. Counters and histograms are kept in memory
+ * per label combination; gauges are read from a callback at scrape time.
+ * `render()` produces the text exposition format served on /metrics.
+ */
+const createMetricsRegistry = ({ prefix = 'starinvest_' } = {}) => {
+    const metrics = [];
+
+    const counter = (name, help, labelNames = []) => {
+        const series = new Map();
+        const metric = {
+            name: prefix + name,
+            help,
+            type: 'counter',
+            inc: (labels = {}, value = 1) => {
+                const key = seriesKey(labelNames, labels);
+                const current = series.get(key) || { labels: pickLabels(labelNames, labels), value: 0 };
+                current.value += value;
+                series.set(key, current);
+            },
+            lines: () => [...series.values()].map(({ labels, value }) => `${metric.name}${formatLabels(labels)} ${value}`)
+        };
+        metrics.push(metric);
+        return metric;
+    };
+
+    const histogram = (name, help, labelNames = [], buckets = DEFAULT_BUCKETS) => {
+        const series = new Map();
+        const metric = {
+            name: prefix + name,
+            help,
+            type: 'histogram',
+            observe: (labels = {}, value) => {
+                const key = seriesKey(labelNames, labels);
+                const current = series.get(key) || {
+                    labels: pickLabels(labelNames, labels),
+                    counts: buckets.map(() => 0),
+                    sum: 0,
+                    count: 0
+                };
+                buckets.forEach((bound, index) => {
+                    if (value <= bound) current.counts[index] += 1;
+                });
+                current.sum += value;
+                current.count += 1;
+                series.set(key, current);
+            },
+            lines: () => [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+                ...buckets.map((bound, index) => `${metric.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`),
+                `${metric.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+                `${metric.name}_sum${formatLabels(labels)} ${sum}`,
+                `${metric.name}_count${formatLabels(labels)} ${count}`
+            ])
+        };
+        metrics.push(metric);
+        return metric;
+    };
+
+    const gauge = (name, help, read) => {
+        const metric = {
+            name: prefix + name,
+            help,
+            type: 'gauge',
+            lines: () => [`${metric.name} ${read()}`]
+        };
+        metrics.push(metric);
+        return metric;
+    };
+
+    const render = () => metrics
+        .map(metric => [
+            `# HELP ${metric.name} ${metric.help}`,
+            `# TYPE ${metric.name} ${metric.type}`,
+            ...metric.lines()
+        ].join('\n'))
+        .join('\n') + '\n';
+
+    return { counter, histogram, gauge, render, contentType: 'text/plain; version=0.0.4; charset=utf-8' };
+};
+
+module.exports = { createMetricsRegistry, DEFAULT_BUCKETS };
@@ -0,0 +1,171 @@
+const { renderMessage } = require('./templates');
+const { logger } = require('./logger');
+
+// Helper function to build an error the route handlers can map to a response
+const notificationError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const CHANNELS = ['email', 'sms', 'in_app'];
+
+// Every notification type, the preference category it belongs to, and its
+// templates (`email` is null for types that are never emailed)
+const TYPES = {
+    payment_successful: { category: 'payments', message: 'paymentSuccessful', email: 'paymentReceipt' },
+    payment_failed: { category: 'payments', message: 'paymentFailed', email: 'paymentFailed' },
+    returns_credited: { category: 'returns', message: 'returnsCredited', email: null },
+    investment_matured: { category: 'investments', message: 'investmentMatured', email: 'investmentMatured' },
+    withdrawal_processed: { category: 'withdrawals', message: 'withdrawalProcessed', email: 'withdrawalProcessed' },
+    new_device_login: { category: 'security', message: 'newDeviceLogin', email: 'newDeviceLogin' },
+    two_factor_changed: { category: 'security', message: 'twoFactorChanged', email: 'twoFactorChanged' },
+    kyc_reviewed: { category: 'account', message: 'kycReviewed', email: 'kycReviewed' }
+};
+
+// Channels used for each category until a user changes them
+const DEFAULT_PREFERENCES = {
+    payments: ['email', 'sms', 'in_app'],
+    returns: ['in_app'],
+    investments: ['email', 'sms', 'in_app'],
+    withdrawals: ['email', 'sms', 'in_app'],
+    security: ['email', 'sms', 'in_app'],
+    account: ['email', 'in_app'],
+    // Monthly statements are only ever emailed (see jobs/monthlyStatements)
+    statements: ['email']
+};
+
+/**
+ * Fans account notifications out over email (through the outbox), SMS and
+ * the in-app inbox, according to each user's channel preferences. A channel
+ * that fails is logged and does not stop the others.
+ */
+const createNotificationService = ({ db, emailOutbox, sms, now = () => new Date() }) => {
+    const getPreferences = (user) => ({
+        ...DEFAULT_PREFERENCES,
+        ...(user.notificationPreferences || {})
+    });
+
+    // Replace the channels for one or more categories, e.g. { returns: ['in_app', 'sms'] }
+    const updatePreferences = async (user, changes) => {
+        if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+            throw notificationError('INVALID_PREFERENCES', 'Notification preferences must be an object of category: channels');
+        }
+
+        for (const [category, channels] of Object.entries(changes)) {
+            if (!DEFAULT_PREFERENCES[category]) {
+                throw notificationError('INVALID_PREFERENCES', `Unknown notification category "${category}". Expected one of: ${Object.keys(DEFAULT_PREFERENCES).join(', ')}`);
+            }
+            if (!Array.isArray(channels) || channels.some(channel => !CHANNELS.includes(channel))) {
+                throw notificationError('INVALID_PREFERENCES', `Channels for "${category}" must be a list drawn from: ${CHANNELS.join(', ')}`);
+            }
+        }
+
+        const notificationPreferences = { ...(user.notificationPreferences || {}) };
+        Object.entries(changes).forEach(([category, channels]) => {
+            notificationPreferences[category] = [...new Set(channels)];
+        });
+
+        const updated = await db.users.update(user.id, { notificationPreferences });
+        return getPreferences(updated);
+    };
+
+    // Send a notification of `type` to a user over each channel they have enabled
+    const notify = async (user, type, data, metadata = {}) => {
+        const definition = TYPES[type];
+        if (!definition) {
+            throw new Error(`Unknown notification type "${type}"`);
+        }
+
+        const channels = getPreferences(user)[definition.category];
+        const { title, body } = renderMessage(definition.message, user.language, data);
+        const delivered = {};
+
+        if (channels.includes('in_app')) {
+            try {
+                const notification = await db.notifications.create({
+                    userId: user.id,
+                    type,
+                    title,
+                    body,
+                    metadata,
+                    readAt: null,
+                    createdAt: now().toISOString()
+                });
+                delivered.in_app = notification.id;
+            } catch (error) {
+                logger.error('In-app notification failed', { type, userId: user.id, error });
+            }
+        }
+
+        if (channels.includes('sms') && user.phone) {
+            try {
+                const { messageId } = await sms.send({ to: user.phone, message: `Star Investments: ${body}` });
+                delivered.sms = messageId;
+            } catch (error) {
+                logger.error('SMS notification failed', { type, userId: user.id, to: user.phone, error });
+            }
+        }
+
+        if (channels.includes('email') && definition.email && user.email) {
+            try {
+                const message = await emailOutbox.sendToUser(user, definition.email, data);
+                delivered.email = message.status;
+            } catch (error) {
+                logger.error('Email notification failed', { type, userId: user.id, error });
+            }
+        }
+
+        return delivered;
+    };
+
+    // Look the user up by id first; for event listeners that only have a record's userId
+    const notifyUserId = async (userId, type, data, metadata) => {
+        const user = await db.users.findById(userId);
+        if (!user) return null;
+        return notify(user, type, data, metadata);
+    };
+
+    // A user's in-app notifications, newest first
+    const list = async (userId, { unreadOnly = false, limit = 50, offset = 0 } = {}) => {
+        const all = (await db.notifications.findByUserId(userId))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        const unread = all.filter(notification => !notification.readAt);
+        const selected = unreadOnly ? unread : all;
+
+        return {
+            total: selected.length,
+            unreadCount: unread.length,
+            notifications: selected.slice(offset, offset + limit)
+        };
+    };
+
+    const markRead = async (userId, notificationId) => {
+        const notification = await db.notifications.findById(notificationId);
+        if (!notification || notification.userId !== userId) {
+            throw notificationError('NOTIFICATION_NOT_FOUND', 'Notification not found');
+        }
+        if (notification.readAt) return notification;
+        return db.notifications.update(notification.id, { readAt: now().toISOString() });
+    };
+
+    const markAllRead = async (userId) => {
+        const unread = (await db.notifications.findByUserId(userId)).filter(notification => !notification.readAt);
+        for (const notification of unread) {
+            await db.notifications.update(notification.id, { readAt: now().toISOString() });
+        }
+        return unread.length;
+    };
+
+    return {
+        notify,
+        notifyUserId,
+        getPreferences,
+        updatePreferences,
+        list,
+        markRead,
+        markAllRead
+    };
+};
+
+module.exports = { createNotificationService, CHANNELS, TYPES, DEFAULT_PREFERENCES };
@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_LIST_FILE = path.join(__dirname, 'common-passwords.txt');
+
+// Letters commonly swapped for look-alike digits and symbols, e.g. "p@ssw0rd"
+const LOOKALIKES = { '0': 'o', '1': 'i', '3': 'e', '4': 'a', '5': 's', '7': 't', '@': 'a', '$': 's', '!': 'i' };
+
+// Lists are read once per file, however many policies use them
+const lists = new Map();
+
+// Helper function to load a password list (one per line, # for comments) as a lowercase set
+const loadList = (file) => {
+    if (!lists.has(file)) {
+        const entries = fs.readFileSync(file, 'utf8')
+            .split(/\r?\n/)
+            .map(line => line.trim().toLowerCase())
+            .filter(line => line && !line.startsWith('#'));
+        lists.set(file, new Set(entries));
+    }
+    return lists.get(file);
+};
+
+/**
+ * Rules for passwords being set (registration, reset and change). A password
+ * must be `minLength` to `maxLength` characters, must not be on the bundled
+ * list of common and breached passwords (also after stripping leading or
+ * trailing digits and symbols and undoing look-alike swaps, so "Sunsh1ne2024"
+ * counts as "sunshine"), and must not contain the account's phone number or
+ * email name. `listFile` swaps in a larger list, e.g. a breach corpus.
+ *
+ * Existing passwords keep working; the policy only applies when one is set.
+ */
+const createPasswordPolicy = ({
+    minLength = Number(process.env.PASSWORD_MIN_LENGTH) || 8,
+    maxLength = 128,
+    rejectCommon = process.env.PASSWORD_REJECT_COMMON !== 'false',
+    listFile = process.env.PASSWORD_LIST_FILE || DEFAULT_LIST_FILE
+} = {}) => {
+    const common = rejectCommon ? loadList(listFile) : new Set();
+
+    const isCommon = (password) => {
+        const lower = password.toLowerCase();
+        const core = lower.replace(/^[^a-z]+|[^a-z]+$/g, '');
+        const unswapped = lower.replace(/[01345@$!7]/g, char => LOOKALIKES[char]);
+
+        return common.has(lower) ||
+            common.has(unswapped) ||
+            (core.length >= 4 && common.has(core.replace(/[01345@$!7]/g, char => LOOKALIKES[char]))) ||
+            /^(.)\1*$/.test(lower);
+    };
+
+    // Whether the password contains the phone number (any common form) or the part of the email before the @
+    const isPersonal = (password, { phone, email } = {}) => {
+        const lower = password.toLowerCase();
+        const localNumber = phone ? String(phone).replace(/\D/g, '').slice(-9) : '';
+        const emailName = email ? String(email).toLowerCase().split('@')[0] : '';
+
+        return (localNumber.length === 9 && lower.replace(/\D/g, '').includes(localNumber)) ||
+            (emailName.length >= 4 && lower.includes(emailName));
+    };
+
+    // The first rule `password` breaks as `{ code, message }` (message without the
+    // field name, e.g. "must be at least 8 characters long"), or null when it is acceptable
+    const check = (password, account = {}) => {
+        if (password.length < minLength) {
+            return { code: 'TOO_SHORT', message: `must be at least ${minLength} characters long` };
+        }
+        if (password.length > maxLength) {
+            return { code: 'TOO_LONG', message: `must be at most ${maxLength} characters long` };
+        }
+        if (isCommon(password)) {
+            return { code: 'WEAK_PASSWORD', message: 'is too common and easy to guess. Try a longer phrase of unrelated words' };
+        }
+        if (isPersonal(password, account)) {
+            return { code: 'WEAK_PASSWORD', message: 'must not contain your phone number or email address' };
+        }
+        return null;
+    };
+
+    return { minLength, maxLength, check };
+};
+
+module.exports = { createPasswordPolicy };
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+
+// Helper function to build an error the route handlers can map to a response
+const resetError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Single-use, time-limited password reset tokens. Only a hash of each token
+ * is stored, and issuing a new token invalidates any the user still holds.
+ */
+const createPasswordResetService = ({
+    db,
+    ttlMinutes = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30,
+    now = () => new Date()
+}) => {
+    // Create a reset token for a user; returns the plain token to email them
+    const issue = async (user) => {
+        const outstanding = await db.passwordResets.findByUserId(user.id);
+        for (const reset of outstanding.filter(reset => !reset.usedAt)) {
+            await db.passwordResets.update(reset.id, { usedAt: now().toISOString(), invalidated: true });
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        await db.passwordResets.create({
+            userId: user.id,
+            tokenHash: hashToken(token),
+            expiresAt: new Date(now().getTime() + ttlMinutes * 60 * 1000).toISOString(),
+            usedAt: null,
+            createdAt: now().toISOString()
+        });
+
+        return token;
+    };
+
+    // The unused, unexpired reset a token belongs to
+    const findUsable = async (token) => {
+        const reset = await db.passwordResets.findByTokenHash(hashToken(String(token)));
+
+        if (!reset || reset.usedAt) {
+            throw resetError('INVALID_RESET_TOKEN', 'Invalid or already used reset token');
+        }
+        if (new Date(reset.expiresAt) <= now()) {
+            throw resetError('RESET_TOKEN_EXPIRED', 'This reset link has expired. Please request a new one.');
+        }
+        return reset;
+    };
+
+    // Return the user a token belongs to without using it up, e.g. to check the new password first
+    const lookup = async (token) => {
+        const reset = await findUsable(token);
+        const user = await db.users.findById(reset.userId);
+        if (!user) {
+            throw resetError('INVALID_RESET_TOKEN', 'Invalid or already used reset token');
+        }
+        return user;
+    };
+
+    // Mark a token used and return the user it belongs to; of two requests racing on one token only one gets it
+    const consume = async (token) => {
+        const reset = await findUsable(token);
+        const used = await db.passwordResets.updateIf(reset.id, { usedAt: null }, { usedAt: now().toISOString() });
+        if (!used) {
+            throw resetError('INVALID_RESET_TOKEN', 'Invalid or already used reset token');
+        }
+        return db.users.findById(reset.userId);
+    };
+
+    return { issue, lookup, consume, ttlMinutes };
+};
+
+module.exports = createPasswordResetService;
@@ -0,0 +1,151 @@
+const EventEmitter = require('events');
+const { logger } = require('./logger');
+
+// Helper function to build an error the route handlers can map to a response
+const paymentError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+// Payment status state machine. A payment starts `processing` and ends
+// exactly once: `successful` or `failed` as the provider reports it, or
+// `expired` when the provider never reported a final status in time.
+// `needs_review` parks a payment whose amount disagrees with the provider's
+// until an admin resolves it (`resolveReview`); nothing settles it automatically.
+const TRANSITIONS = {
+    processing: ['successful', 'failed', 'expired', 'needs_review']
+};
+
+const TERMINAL_STATUSES = ['successful', 'failed', 'expired'];
+
+// Outcomes an admin may give a payment in `needs_review`
+const REVIEW_OUTCOMES = ['successful', 'failed'];
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+// Whether the amount a provider reports (null when it reports none) differs from ours
+const amountDiffers = (transaction, amount) => amount !== null && amount !== undefined &&
+    amount !== Number(transaction.amount);
+
+/**
+ * Settles payment transactions. Every status change, whether it arrives by
+ * webhook, by the status endpoint or by the reconciliation job, goes through
+ * `applyStatus`, which only changes a status it has just read, so downstream
+ * effects run exactly once even when deliveries race. Provider results go
+ * through `applyProviderResult`, which parks a payment whose amount differs
+ * from the provider's in `needs_review` instead of settling it. Listeners
+ * subscribe to `payment.successful`, `payment.failed` and `payment.expired`
+ * on `events`.
+ */
+const createPaymentService = ({ db, provider, now = () => new Date() }) => {
+    const events = new EventEmitter();
+
+    // `status` is already normalised by the provider; `providerStatus` is kept for reference.
+    // Changes the state machine does not allow are refused (`refused: true`), which
+    // makes repeated and late deliveries harmless.
+    const applyStatus = async (transaction, status, providerStatus = null, details = {}) => {
+        if (transaction.status === status) {
+            return { transaction, changed: false };
+        }
+
+        if (!canTransition(transaction.status, status)) {
+            // A final status that contradicts ours needs a person to look at it
+            if (TERMINAL_STATUSES.includes(status)) {
+                logger.warn('Refused payment status change', { reference: transaction.reference, from: transaction.status, to: status });
+            }
+            return { transaction, changed: false, refused: true };
+        }
+
+        const updated = await db.transactions.updateIfStatus(transaction.id, transaction.status, {
+            status,
+            providerStatus,
+            ...details,
+            updatedAt: now().toISOString(),
+            ...(TERMINAL_STATUSES.includes(status) && { settledAt: now().toISOString() })
+        });
+
+        // A webhook or poll racing this one changed the status first; judge against that
+        if (!updated) {
+            return applyStatus(await db.transactions.findById(transaction.id), status, providerStatus, details);
+        }
+
+        if (TERMINAL_STATUSES.includes(status)) {
+            events.emit(`payment.${status}`, updated);
+        }
+
+        return { transaction: updated, changed: true };
+    };
+
+    // Apply a result the provider reported ({ status, providerStatus, amount }); a payment
+    // whose amount the provider reports differently is left for an admin to review
+    const applyProviderResult = async (transaction, { status, providerStatus = null, amount = null }, details = {}) => {
+        if (transaction.status === 'processing' && amountDiffers(transaction, amount)) {
+            logger.warn('Payment amount differs from the provider, holding for review', {
+                reference: transaction.reference,
+                amount: Number(transaction.amount),
+                providerAmount: amount,
+                providerStatus
+            });
+            return applyStatus(transaction, 'needs_review', providerStatus, { ...details, providerAmount: amount });
+        }
+        return applyStatus(transaction, status, providerStatus, details);
+    };
+
+    const applyStatusByReference = async (reference, status, providerStatus, details) => {
+        const transaction = await db.transactions.findByReference(reference);
+        if (!transaction) return null;
+        return applyStatus(transaction, status, providerStatus, details);
+    };
+
+    // Ask the payment provider for the current status and apply it. A payment whose
+    // collect call never answered has no provider id to ask about, so it waits for a
+    // webhook or for reconciliation to expire it.
+    const refreshFromProvider = async (transaction) => {
+        if (!transaction.providerTransactionId) {
+            const providerResult = { provider: transaction.provider, providerTransactionId: null, status: null, providerStatus: null, amount: null };
+            return { transaction, changed: false, providerResult };
+        }
+
+        const providerResult = await provider.getCollectionStatus(transaction.providerTransactionId);
+        const result = await applyProviderResult(transaction, providerResult);
+        return { ...result, providerResult };
+    };
+
+    // An admin's decision on a payment held for review; settles it like the provider would have
+    const resolveReview = async (transaction, status, { reviewerId, note = null }) => {
+        if (!REVIEW_OUTCOMES.includes(status)) {
+            throw paymentError('INVALID_REVIEW_OUTCOME', `A reviewed payment can only become ${REVIEW_OUTCOMES.join(' or ')}`);
+        }
+        if (transaction.status !== 'needs_review') {
+            throw paymentError('PAYMENT_NOT_IN_REVIEW', `Payment is ${transaction.status}`);
+        }
+
+        const updated = await db.transactions.updateIfStatus(transaction.id, 'needs_review', {
+            status,
+            reviewedBy: reviewerId,
+            reviewedAt: now().toISOString(),
+            reviewNote: note,
+            updatedAt: now().toISOString(),
+            settledAt: now().toISOString()
+        });
+        if (!updated) {
+            const current = await db.transactions.findById(transaction.id);
+            throw paymentError('PAYMENT_NOT_IN_REVIEW', `Payment is ${current.status}`);
+        }
+
+        events.emit(`payment.${status}`, updated);
+        return updated;
+    };
+
+    return {
+        events,
+        applyStatus,
+        applyProviderResult,
+        applyStatusByReference,
+        refreshFromProvider,
+        resolveReview
+    };
+};
+
+module.exports = { createPaymentService, canTransition, amountDiffers, TERMINAL_STATUSES, REVIEW_OUTCOMES };
@@ -0,0 +1,139 @@
+// A4 in points
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+// Advance widths (1/1000 em) of the printable ASCII characters, space to ~,
+// in the standard Helvetica fonts; used to right-align and fit text
+const WIDTHS = {
+    regular: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    bold: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+};
+
+// Helper function to keep text the standard fonts can draw (WinAnsi covers Latin-1)
+const toLatin1 = (text) => String(text).replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+
+const escapeText = (text) => text.replace(/[\\()]/g, char => `\\${char}`);
+
+const number = (value) => Number(value.toFixed(2)).toString();
+
+/**
+ * Minimal PDF writer for generated documents such as account statements:
+ * A4 pages of text in Helvetica and Helvetica-Bold, plus ruled lines.
+ * The standard fonts are built into every PDF reader, so nothing is embedded
+ * and documents stay a few kilobytes; characters outside Latin-1 print as "?".
+ *
+ * Coordinates are in points from the bottom-left corner of the page.
+ */
+const createPdfDocument = ({ title = '' } = {}) => {
+    const pages = [];
+    let current = null;
+
+    const addPage = () => {
+        current = [];
+        pages.push(current);
+        return pages.length - 1;
+    };
+
+    // Draw on an earlier page, e.g. to add "Page 1 of 3" footers at the end
+    const switchToPage = (index) => {
+        current = pages[index];
+    };
+
+    const textWidth = (text, { size = 10, bold = false } = {}) => {
+        const widths = bold ? WIDTHS.bold : WIDTHS.regular;
+        let total = 0;
+        for (const char of toLatin1(text)) {
+            const code = char.charCodeAt(0);
+            total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+        }
+        return total * size / 1000;
+    };
+
+    // `align: 'right'` puts the end of the text at x
+    const text = (value, x, y, { size = 10, bold = false, align = 'left' } = {}) => {
+        const left = align === 'right' ? x - textWidth(value, { size, bold }) : x;
+        current.push(`BT /${bold ? 'F2' : 'F1'} ${number(size)} Tf ${number(left)} ${number(y)} Td (${escapeText(toLatin1(value))}) Tj ET`);
+    };
+
+    // Shorten text with "..." so it fits in `maxWidth`
+    const fit = (value, maxWidth, options) => {
+        let fitted = String(value);
+        if (textWidth(fitted, options) <= maxWidth) return fitted;
+        while (fitted.length > 0 && textWidth(`${fitted}...`, options) > maxWidth) {
+            fitted = fitted.slice(0, -1);
+        }
+        return `${fitted}...`;
+    };
+
+    const line = (x1, y1, x2, y2, { width = 0.5, gray = 0 } = {}) => {
+        current.push(`${number(gray)} G ${number(width)} w ${number(x1)} ${number(y1)} m ${number(x2)} ${number(y2)} l S`);
+    };
+
+    const toBuffer = () => {
+        const objects = [];
+        const add = (body) => {
+            objects.push(body);
+            return objects.length;
+        };
+
+        const catalog = add(null);
+        const pageTree = add(null);
+        const regular = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        const bold = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+        const info = add(`<< /Title (${escapeText(toLatin1(title))}) /Producer (Star Investments) >>`);
+
+        const kids = pages.map((operations) => {
+            const content = operations.join('\n');
+            const stream = add(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+            return add(`<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+                `/Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${stream} 0 R >>`);
+        });
+
+        objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+        objects[pageTree - 1] = `<< /Type /Pages /Kids [${kids.map(kid => `${kid} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+
+        // Byte offsets of every object go in the cross-reference table
+        let output = '%PDF-1.4\n';
+        const offsets = objects.map((body, index) => {
+            const offset = Buffer.byteLength(output, 'latin1');
+            output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
+        });
+
+        const xref = Buffer.byteLength(output, 'latin1');
+        output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+        return Buffer.from(output, 'latin1');
+    };
+
+    return {
+        width: PAGE_WIDTH,
+        height: PAGE_HEIGHT,
+        addPage,
+        switchToPage,
+        pageCount: () => pages.length,
+        text,
+        textWidth,
+        fit,
+        line,
+        toBuffer
+    };
+};
+
+module.exports = { createPdfDocument };
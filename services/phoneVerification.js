@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const { renderMessage } = require('./templates');
+
+// Helper function to build an error the route handlers can map to a response
+const otpError = (code, message, details = {}) => {
+    const error = new Error(message);
+    error.code = code;
+    Object.assign(error, details);
+    return error;
+};
+
+// What a code can be used for; a code issued for one purpose is never accepted for another
+const PURPOSES = ['verify_phone', 'add_number', 'withdrawal'];
+
+/**
+ * One-time passcodes sent by SMS to prove control of a phone number. Codes
+ * are stored as keyed hashes, expire after `ttlMinutes`, are invalidated by
+ * the next code for the same user, number and purpose (so two accounts
+ * claiming one number never cancel each other's codes), and stop working after
+ * `maxAttempts` wrong guesses. A new code can only be requested once the
+ * resend cooldown has passed.
+ */
+const createPhoneVerificationService = ({
+    db,
+    sms,
+    secret = process.env.OTP_SECRET || process.env.JWT_SECRET,
+    codeLength = Number(process.env.OTP_LENGTH) || 6,
+    ttlMinutes = Number(process.env.OTP_TTL_MINUTES) || 10,
+    maxAttempts = Number(process.env.OTP_MAX_ATTEMPTS) || 5,
+    resendCooldownSeconds = Number(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60,
+    now = () => new Date()
+}) => {
+    const hashCode = (phone, purpose, code) => crypto
+        .createHmac('sha256', secret)
+        .update(`${phone}:${purpose}:${code}`)
+        .digest('hex');
+
+    const generateCode = () => String(crypto.randomInt(0, 10 ** codeLength)).padStart(codeLength, '0');
+
+    const assertPurpose = (purpose) => {
+        if (!PURPOSES.includes(purpose)) {
+            throw new Error(`Unknown OTP purpose "${purpose}"`);
+        }
+    };
+
+    // Codes a user was sent for a number and purpose that can still be used, newest first
+    const activeCodes = async (userId, phone, purpose) => (await db.phoneOtps.findByPhone(phone))
+        .filter(otp => otp.userId === userId && otp.purpose === purpose && otp.status === 'active')
+        .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    // Seconds left before another code may be sent to this number for this purpose
+    const cooldownRemaining = async (phone, purpose) => {
+        const [latest] = (await db.phoneOtps.findByPhone(phone))
+            .filter(otp => otp.purpose === purpose && otp.status !== 'undelivered')
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        if (!latest) return 0;
+        const elapsed = (now().getTime() - new Date(latest.createdAt).getTime()) / 1000;
+        return Math.max(0, Math.ceil(resendCooldownSeconds - elapsed));
+    };
+
+    // Text a new code to `phone`, replacing any code already sent to this user for the same purpose
+    const issue = async ({ userId = null, phone, purpose, locale }) => {
+        assertPurpose(purpose);
+
+        const retryAfter = await cooldownRemaining(phone, purpose);
+        if (retryAfter > 0) {
+            throw otpError(
+                'OTP_COOLDOWN',
+                `Please wait ${retryAfter} seconds before requesting another code`,
+                { retryAfter }
+            );
+        }
+
+        for (const otp of await activeCodes(userId, phone, purpose)) {
+            await db.phoneOtps.update(otp.id, { status: 'superseded' });
+        }
+
+        const code = generateCode();
+        const expiresAt = new Date(now().getTime() + ttlMinutes * 60 * 1000).toISOString();
+        const otp = await db.phoneOtps.create({
+            userId,
+            phone,
+            purpose,
+            codeHash: hashCode(phone, purpose, code),
+            status: 'active',
+            attempts: 0,
+            expiresAt,
+            usedAt: null,
+            createdAt: now().toISOString()
+        });
+
+        const { body } = renderMessage('phoneOtp', locale, { code, minutes: ttlMinutes });
+        // A code that never reached the phone does not count towards the cooldown
+        try {
+            await sms.send({ to: phone, message: `Star Investments: ${body}` });
+        } catch (error) {
+            await db.phoneOtps.update(otp.id, { status: 'undelivered' });
+            throw error;
+        }
+
+        return { id: otp.id, expiresAt };
+    };
+
+    // Check a code a user was sent for a number and purpose; it cannot be used again afterwards
+    const verify = async ({ userId = null, phone, purpose, code }) => {
+        assertPurpose(purpose);
+
+        // Take an attempt before checking the code, so guesses sent in parallel cannot share one
+        let otp = null;
+        while (!otp) {
+            const [current] = await activeCodes(userId, phone, purpose);
+
+            if (!current) {
+                throw otpError('OTP_INVALID', 'Invalid verification code. Please request a new one.');
+            }
+            if (new Date(current.expiresAt) <= now()) {
+                await db.phoneOtps.updateIf(current.id, { status: 'active' }, { status: 'expired' });
+                throw otpError('OTP_EXPIRED', 'This verification code has expired. Please request a new one.');
+            }
+            if (current.attempts >= maxAttempts) {
+                throw otpError('OTP_ATTEMPTS_EXCEEDED', 'Too many wrong codes. Please request a new one.');
+            }
+
+            otp = await db.phoneOtps.updateIf(
+                current.id,
+                { status: 'active', attempts: current.attempts },
+                { attempts: current.attempts + 1 }
+            );
+        }
+
+        const expected = Buffer.from(otp.codeHash, 'hex');
+        const given = Buffer.from(hashCode(phone, purpose, String(code)), 'hex');
+
+        if (!crypto.timingSafeEqual(expected, given)) {
+            if (otp.attempts >= maxAttempts) {
+                await db.phoneOtps.updateIf(otp.id, { status: 'active' }, { status: 'failed' });
+                throw otpError('OTP_ATTEMPTS_EXCEEDED', 'Too many wrong codes. Please request a new one.');
+            }
+
+            throw otpError('OTP_INVALID', 'Invalid verification code', {
+                attemptsRemaining: maxAttempts - otp.attempts
+            });
+        }
+
+        // Only one request may use a code
+        const used = await db.phoneOtps.updateIf(otp.id, { status: 'active' }, {
+            status: 'used',
+            usedAt: now().toISOString()
+        });
+        if (!used) {
+            throw otpError('OTP_INVALID', 'Invalid verification code. Please request a new one.');
+        }
+
+        return used;
+    };
+
+    return { issue, verify, ttlMinutes };
+};
+
+module.exports = { createPhoneVerificationService, PURPOSES };
@@ -0,0 +1,34 @@
+// Helper function to build a normalised payment provider error. `retryable`
+// tells callers whether trying the same request again later could succeed.
+const providerError = (code, message, { retryable = false, httpStatus = null, cause = null } = {}) => {
+    const error = new Error(message);
+    error.code = code;
+    error.retryable = retryable;
+    error.httpStatus = httpStatus;
+    error.cause = cause;
+    return error;
+};
+
+// Turn an axios error into a provider error
+const fromHttpError = (error, provider) => {
+    if (error.code && error.retryable !== undefined) return error;
+
+    const httpStatus = error.response?.status || null;
+    const providerMessage = error.response?.data?.message;
+
+    if (!httpStatus || httpStatus >= 500 || httpStatus === 429) {
+        return providerError(
+            'PROVIDER_UNAVAILABLE',
+            providerMessage || `${provider} is unavailable: ${error.message}`,
+            { retryable: true, httpStatus, cause: error }
+        );
+    }
+
+    return providerError(
+        'PROVIDER_REJECTED',
+        providerMessage || `${provider} rejected the request`,
+        { retryable: false, httpStatus, cause: error }
+    );
+};
+
+module.exports = { providerError, fromHttpError };
@@ -0,0 +1,41 @@
+const { createMarzPayProvider } = require('./marzpay');
+const createSimulatorProvider = require('./simulator');
+
+/**
+ * Payment providers. Each provider exposes the same interface, so nothing
+ * else in the app knows which one is in use:
+ *
+ *   name                                  used in webhook URLs and stored records
+ *   collect({ amount, phone, reference, description, callbackUrl })
+ *   getCollectionStatus(providerTransactionId)
+ *   disburse({ amount, phone, reference, description, callbackUrl })
+ *   getDisbursementStatus(providerTransactionId)
+ *       -> { provider, providerTransactionId, reference, status, providerStatus, amount, raw }
+ *          where status is processing | successful | failed and amount is
+ *          null when the provider does not report it
+ *   ping({ timeout })                     resolves when the provider is reachable
+ *   verifyWebhook(req)                    -> boolean
+ *   parseWebhook(req)
+ *       -> { eventId, reference, providerTransactionId, status, providerStatus, amount }
+ *
+ * Failures are thrown as provider errors (see ./errors) whose `retryable`
+ * flag says whether the same request could succeed later.
+ */
+const PROVIDERS = {
+    marzpay: createMarzPayProvider,
+    simulator: createSimulatorProvider
+};
+
+// Name of the provider PAYMENT_PROVIDER selects (MarzPay by default)
+const configuredProviderName = (env = process.env) => env.PAYMENT_PROVIDER || 'marzpay';
+
+// Build the provider named by PAYMENT_PROVIDER
+const createPaymentProvider = (name = configuredProviderName(), options) => {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown payment provider "${name}". Expected one of: ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+    return factory(options);
+};
+
+module.exports = { createPaymentProvider, configuredProviderName, PROVIDERS };
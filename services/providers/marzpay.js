@@ -0,0 +1,163 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { providerError, fromHttpError } = require('./errors');
+const { currentRequestId } = require('../logger');
+
+// Map the status strings MarzPay uses onto our own transaction statuses
+const normaliseStatus = (status) => {
+    switch (String(status || '').toLowerCase()) {
+        case 'successful':
+        case 'success':
+        case 'completed':
+            return 'successful';
+        case 'failed':
+        case 'cancelled':
+        case 'rejected':
+            return 'failed';
+        default:
+            return 'processing';
+    }
+};
+
+// MarzPay sends amounts as numbers, numeric strings or `{ raw, formatted }` objects
+const normaliseAmount = (amount) => {
+    const value = Number(amount && typeof amount === 'object' ? amount.raw : amount);
+    return amount !== null && amount !== undefined && Number.isFinite(value) ? value : null;
+};
+
+// Helper function to turn a MarzPay `data` payload into a provider result
+const normaliseTransaction = (data, provider) => {
+    const transaction = data?.transaction;
+    if (!transaction || !transaction.uuid) {
+        // The request may still have gone through, so callers should retry rather than give up
+        throw providerError('INVALID_PROVIDER_RESPONSE', 'MarzPay response did not include a transaction', { retryable: true });
+    }
+
+    return {
+        provider,
+        providerTransactionId: transaction.uuid,
+        reference: transaction.reference || null,
+        status: normaliseStatus(transaction.status),
+        providerStatus: transaction.status || null,
+        amount: normaliseAmount(transaction.amount),
+        raw: data
+    };
+};
+
+/**
+ * MarzPay payment provider (collections, disbursements and webhooks).
+ * Responses are normalised to `{ provider, providerTransactionId, reference,
+ * status, providerStatus, amount, raw }` and failures to provider errors, so nothing outside
+ * this file depends on MarzPay's wire format. `http` can be swapped for a
+ * stub in tests or for the bundled simulator.
+ */
+const createMarzPayProvider = ({
+    baseUrl = process.env.MARZPAY_API_BASE_URL,
+    authHeader = process.env.MARZPAY_AUTH_HEADER,
+    apiSecret = process.env.MARZPAY_API_SECRET,
+    timeoutMs = Number(process.env.MARZPAY_TIMEOUT_MS) || 15000,
+    http = axios,
+    name = 'marzpay'
+} = {}) => {
+    // Requests carry the id of the API request that caused them, for tracing with MarzPay
+    const request = async (method, path, body) => {
+        const requestId = currentRequestId();
+        try {
+            const response = await http.request({
+                method,
+                url: `${baseUrl}${path}`,
+                data: body,
+                timeout: timeoutMs,
+                headers: {
+                    'Authorization': `Basic ${authHeader}`,
+                    ...(body && { 'Content-Type': 'application/x-www-form-urlencoded' }),
+                    ...(requestId && { 'X-Request-Id': requestId })
+                }
+            });
+            return response.data.data;
+        } catch (error) {
+            throw fromHttpError(error, 'MarzPay');
+        }
+    };
+
+    return {
+        name,
+
+        // Request a mobile money collection (USSD prompt on the payer's phone)
+        collect: async ({ amount, phone, reference, description, callbackUrl }) => {
+            const data = await request('post', '/collect-money', {
+                amount,
+                phone_number: phone,
+                country: 'UG',
+                reference,
+                description,
+                callback_url: callbackUrl
+            });
+            return normaliseTransaction(data, name);
+        },
+
+        getCollectionStatus: async (providerTransactionId) => {
+            return normaliseTransaction(await request('get', `/collect-money/${providerTransactionId}`), name);
+        },
+
+        // Send money to a mobile money number
+        disburse: async ({ amount, phone, reference, description, callbackUrl }) => {
+            const data = await request('post', '/send-money', {
+                amount,
+                phone_number: phone,
+                country: 'UG',
+                reference,
+                description,
+                callback_url: callbackUrl
+            });
+            return normaliseTransaction(data, name);
+        },
+
+        getDisbursementStatus: async (providerTransactionId) => {
+            return normaliseTransaction(await request('get', `/send-money/${providerTransactionId}`), name);
+        },
+
+        // Readiness check: any HTTP answer means MarzPay is reachable; only
+        // network failures and timeouts count as down
+        ping: async ({ timeout = timeoutMs } = {}) => {
+            try {
+                await http.request({
+                    method: 'get',
+                    url: baseUrl,
+                    timeout,
+                    headers: { 'Authorization': `Basic ${authHeader}` }
+                });
+            } catch (error) {
+                if (error.response) return;
+                throw fromHttpError(error, 'MarzPay');
+            }
+        },
+
+        // Check a webhook's HMAC-SHA256 signature (hex) over the raw request body
+        verifyWebhook: (req) => {
+            const signature = req.get('x-marzpay-signature');
+            if (!apiSecret || !req.rawBody || !signature) return false;
+
+            const expected = crypto.createHmac('sha256', apiSecret).update(req.rawBody).digest('hex');
+            const received = String(signature).replace(/^sha256=/, '');
+
+            return expected.length === received.length &&
+                crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(received));
+        },
+
+        // Pull the transaction result out of a webhook body
+        parseWebhook: (req) => {
+            const transaction = req.body?.data?.transaction || req.body?.transaction || req.body || {};
+            return {
+                eventId: req.get('x-marzpay-event-id') || null,
+                reference: transaction.reference || null,
+                providerTransactionId: transaction.uuid || null,
+                status: transaction.status ? normaliseStatus(transaction.status) : null,
+                providerStatus: transaction.status || null,
+                amount: normaliseAmount(transaction.amount)
+            };
+        }
+    };
+};
+
+module.exports = { createMarzPayProvider, normaliseStatus };
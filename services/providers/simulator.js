@@ -0,0 +1,49 @@
+const createSimulatorEngine = require('../../simulator/engine');
+const { createMarzPayProvider } = require('./marzpay');
+
+// Only local development and tests may sign simulator webhooks with a well-known secret
+const DEFAULT_SECRET_ENVIRONMENTS = ['development', 'test'];
+
+/**
+ * Offline payment provider. It speaks to an in-process MarzPay simulator
+ * instead of the network, so payments and withdrawals settle (and their
+ * webhooks arrive) without MarzPay credentials. Phone numbers ending in
+ * SIMULATOR_FAIL_SUFFIX ("99" by default) fail; everything else succeeds.
+ * Webhooks are signed with SIMULATOR_WEBHOOK_SECRET, which must be set
+ * unless NODE_ENV is development or test (or unset).
+ */
+const createSimulatorProvider = ({
+    secret = process.env.SIMULATOR_WEBHOOK_SECRET ||
+        (DEFAULT_SECRET_ENVIRONMENTS.includes(process.env.NODE_ENV || 'development') ? 'simulator-secret' : null),
+    engine = createSimulatorEngine({ secret })
+} = {}) => {
+    if (!secret) {
+        throw new Error('SIMULATOR_WEBHOOK_SECRET is not configured');
+    }
+
+    // axios-compatible adapter: non-2xx responses reject with `error.response` like axios does
+    const http = {
+        request: async (config) => {
+            const response = await engine.handle(config);
+            if (response.status >= 400) {
+                const error = new Error(`Request failed with status code ${response.status}`);
+                error.response = response;
+                throw error;
+            }
+            return response;
+        }
+    };
+
+    return {
+        ...createMarzPayProvider({
+            baseUrl: 'http://simulator.local',
+            authHeader: 'simulator',
+            apiSecret: secret,
+            http,
+            name: 'simulator'
+        }),
+        engine
+    };
+};
+
+module.exports = createSimulatorProvider;
@@ -0,0 +1,210 @@
+const { TERMINAL_STATUSES, amountDiffers } = require('./payments');
+const { logger } = require('./logger');
+const { providerError } = require('./providers/errors');
+
+// Helper function to tell whether the provider's final status disagrees with ours.
+// `expired` and `failed` both mean no money was taken, so they agree.
+const statusDisagrees = (local, provider) => TERMINAL_STATUSES.includes(provider) &&
+    local !== provider &&
+    !(local === 'expired' && provider === 'failed');
+
+/**
+ * Reconciles local payment transactions with the payment provider.
+ *
+ * Transactions still `processing` after `staleAfterMs` (their webhook never
+ * arrived) are looked up with the provider and settled through the payment
+ * state machine. While the provider has no final answer, or cannot be
+ * reached, a transaction is checked again with exponential backoff; once it
+ * is older than `expireAfterMs` with no final status it becomes `expired`.
+ *
+ * Each run returns a report of the changes it made and of discrepancies:
+ * amounts that differ from the provider's, and final statuses that disagree
+ * with it (which the state machine never overwrites). A processing payment
+ * whose amount differs is not settled but moved to `needs_review`, so it is
+ * never funded from an amount the provider did not confirm. `since` also audits
+ * transactions that settled after that date. Reports of runs that checked
+ * anything are stored in `reconciliationReports`; `dryRun` looks without
+ * changing or storing anything.
+ */
+const createReconciliationService = ({
+    db,
+    provider,
+    payments,
+    staleAfterMs = Number(process.env.RECONCILE_STALE_AFTER_MS || process.env.PAYMENT_POLL_MIN_AGE_MS) || 2 * 60 * 1000,
+    expireAfterMs = Number(process.env.RECONCILE_EXPIRE_AFTER_MS) || 24 * 60 * 60 * 1000,
+    retryDelayMs = Number(process.env.RECONCILE_RETRY_DELAY_MS) || 60 * 1000,
+    maxRetryDelayMs = Number(process.env.RECONCILE_MAX_RETRY_DELAY_MS) || 60 * 60 * 1000,
+    now = () => new Date()
+}) => {
+    const age = (transaction) => now().getTime() - new Date(transaction.createdAt).getTime();
+
+    // Check again later, waiting twice as long after each inconclusive attempt
+    const scheduleRetry = async (transaction) => {
+        const attempts = (transaction.reconcileAttempts || 0) + 1;
+        const delay = Math.min(retryDelayMs * 2 ** (attempts - 1), maxRetryDelayMs);
+
+        await db.transactions.update(transaction.id, {
+            reconcileAttempts: attempts,
+            nextReconcileAt: new Date(now().getTime() + delay).toISOString(),
+            lastReconciledAt: now().toISOString()
+        });
+    };
+
+    // Apply a provider result ({ status, providerStatus, amount }) through the payment service,
+    // which holds a payment whose amount differs for review
+    const settle = async (transaction, providerResult, dryRun) => {
+        if (dryRun) return;
+        await payments.applyProviderResult(transaction, providerResult, {
+            reconcileAttempts: (transaction.reconcileAttempts || 0) + 1,
+            nextReconcileAt: null,
+            lastReconciledAt: now().toISOString()
+        });
+    };
+
+    // Check one transaction; `action` is what was (or, in a dry run, would be) done:
+    // successful | failed | expired | needs_review | retry | none
+    const reconcileTransaction = async (transaction, { dryRun = false } = {}) => {
+        const result = {
+            transactionId: transaction.id,
+            reference: transaction.reference,
+            status: transaction.status,
+            providerStatus: null,
+            action: 'none',
+            discrepancies: []
+        };
+        const processing = transaction.status === 'processing';
+        const expired = age(transaction) >= expireAfterMs;
+
+        let providerResult;
+        try {
+            // Nothing to look up when the collect call never answered; it expires unless a webhook arrives
+            if (!transaction.providerTransactionId) {
+                throw providerError('NO_PROVIDER_TRANSACTION', 'The provider never confirmed this collection', { retryable: false });
+            }
+            providerResult = await provider.getCollectionStatus(transaction.providerTransactionId);
+        } catch (error) {
+            result.error = error.message;
+            if (!processing) return result;
+
+            // A provider that rejects the lookup outright will never settle the payment
+            if (expired && error.retryable === false) {
+                result.action = 'expired';
+                await settle(transaction, { status: 'expired', providerStatus: transaction.providerStatus || null }, dryRun);
+            } else {
+                result.action = 'retry';
+                if (!dryRun) await scheduleRetry(transaction);
+            }
+            return result;
+        }
+
+        result.providerStatus = providerResult.status;
+
+        const amountMismatch = amountDiffers(transaction, providerResult.amount);
+        if (amountMismatch) {
+            result.discrepancies.push({ type: 'amount', local: Number(transaction.amount), provider: providerResult.amount });
+        }
+
+        if (!processing) {
+            if (statusDisagrees(transaction.status, providerResult.status)) {
+                result.discrepancies.push({ type: 'status', local: transaction.status, provider: providerResult.status });
+            }
+            return result;
+        }
+
+        if (amountMismatch) {
+            result.action = 'needs_review';
+            await settle(transaction, providerResult, dryRun);
+        } else if (providerResult.status !== 'processing') {
+            result.action = providerResult.status;
+            await settle(transaction, providerResult, dryRun);
+        } else if (expired) {
+            result.action = 'expired';
+            await settle(transaction, { status: 'expired', providerStatus: providerResult.providerStatus }, dryRun);
+        } else {
+            result.action = 'retry';
+            if (!dryRun) await scheduleRetry(transaction);
+        }
+
+        return result;
+    };
+
+    // Transactions stuck in `processing` whose backoff (unless ignored) has elapsed
+    const findDue = async ({ ignoreBackoff = false } = {}) => {
+        const processing = await db.transactions.findByStatus('processing');
+        return processing.filter(transaction => age(transaction) >= staleAfterMs &&
+            (ignoreBackoff || !transaction.nextReconcileAt || new Date(transaction.nextReconcileAt) <= now()));
+    };
+
+    const run = async ({ dryRun = false, since = null, ignoreBackoff = false, trigger = 'job' } = {}) => {
+        const startedAt = now().toISOString();
+        const due = await findDue({ ignoreBackoff });
+        const settled = since
+            ? (await db.transactions.list(transaction => TERMINAL_STATUSES.includes(transaction.status) &&
+                new Date(transaction.createdAt) >= since))
+            : [];
+
+        const report = {
+            trigger,
+            dryRun,
+            since: since ? since.toISOString() : null,
+            startedAt,
+            finishedAt: null,
+            checked: 0,
+            successful: 0,
+            failed: 0,
+            expired: 0,
+            needsReview: 0,
+            retrying: 0,
+            errors: 0,
+            changes: [],
+            discrepancies: []
+        };
+
+        for (const transaction of [...due, ...settled]) {
+            let result;
+            try {
+                result = await reconcileTransaction(transaction, { dryRun });
+            } catch (error) {
+                logger.error('Reconciliation failed', { reference: transaction.reference, error });
+                result = { action: 'none', discrepancies: [], error: error.message };
+            }
+
+            report.checked++;
+            if (result.error) report.errors++;
+            if (result.action === 'retry') report.retrying++;
+            if (result.action === 'needs_review') report.needsReview++;
+            if (['successful', 'failed', 'expired'].includes(result.action)) report[result.action]++;
+            if (['successful', 'failed', 'expired', 'needs_review'].includes(result.action)) {
+                report.changes.push({ transactionId: transaction.id, reference: transaction.reference, from: transaction.status, to: result.action });
+            }
+            for (const discrepancy of result.discrepancies) {
+                report.discrepancies.push({ transactionId: transaction.id, reference: transaction.reference, ...discrepancy });
+            }
+        }
+
+        report.finishedAt = now().toISOString();
+
+        if (report.discrepancies.length > 0) {
+            logger.warn('Payment discrepancies found', { count: report.discrepancies.length, discrepancies: report.discrepancies });
+        }
+        if (dryRun || report.checked === 0) {
+            return report;
+        }
+        return db.reconciliationReports.create(report);
+    };
+
+    // Stored reports, newest first
+    const listReports = async ({ limit, offset }) => {
+        const reports = (await db.reconciliationReports.list())
+            .sort((a, b) => b.startedAt.localeCompare(a.startedAt));
+        return { total: reports.length, reports: reports.slice(offset, offset + limit) };
+    };
+
+    return {
+        reconcileTransaction,
+        run,
+        listReports
+    };
+};
+
+module.exports = { createReconciliationService };
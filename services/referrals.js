@@ -0,0 +1,147 @@
+const crypto = require('crypto');
+const { ACCOUNTS } = require('./ledger');
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 8;
+
+// Helper function to parse REFERRAL_COMMISSION_RATES, e.g. "5,2,1" = 5% level 1, 2% level 2...
+const parseRates = (value) => {
+    return String(value || '')
+        .split(',')
+        .map(rate => Number(rate.trim()))
+        .filter(rate => Number.isFinite(rate) && rate > 0);
+};
+
+// Helper function to mask a phone number for display to another user
+const maskPhone = (phone) => {
+    return phone ? `${phone.slice(0, 5)}****${phone.slice(-3)}` : null;
+};
+
+/**
+ * Referral programme. Every user gets a shareable code; registering with it
+ * links the new user to their referrer. When a referee's investment is
+ * funded, each upline level earns the configured percentage of the principal,
+ * credited to their wallet through the ledger.
+ *
+ * `mode` is "first" (only the referee's first investment earns commission)
+ * or "every" (every investment does).
+ */
+const createReferralService = ({
+    db,
+    ledger,
+    rates = parseRates(process.env.REFERRAL_COMMISSION_RATES || '5'),
+    mode = process.env.REFERRAL_COMMISSION_MODE || 'first'
+}) => {
+    const generateCode = async () => {
+        for (let attempt = 0; attempt < 10; attempt++) {
+            const code = Array.from(crypto.randomBytes(CODE_LENGTH), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+            if (!await db.users.findByReferralCode(code)) return code;
+        }
+        throw new Error('Could not generate a unique referral code');
+    };
+
+    // Resolve the user a referral code belongs to (codes are case-insensitive)
+    const findReferrer = (code) => {
+        return db.users.findByReferralCode(String(code).trim().toUpperCase());
+    };
+
+    // Credit commission up the referral chain for a newly funded investment
+    const creditCommissions = async (investment) => {
+        if (rates.length === 0) return [];
+
+        if (mode === 'first') {
+            const investments = await db.investments.findByUserId(investment.userId);
+            const first = investments.sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0];
+            if (first && first.id !== investment.id) return [];
+        }
+
+        const referee = await db.users.findById(investment.userId);
+        const credited = [];
+        let current = referee;
+
+        for (let level = 1; level <= rates.length; level++) {
+            if (!current || !current.referredBy) break;
+
+            const referrer = await db.users.findById(current.referredBy);
+            if (!referrer || referrer.id === referee.id) break;
+
+            const amount = Math.round(investment.principal * rates[level - 1] / 100);
+            if (amount > 0) {
+                credited.push(await ledger.post({
+                    idempotencyKey: `referral:${investment.id}:${level}`,
+                    type: 'referral_commission',
+                    userId: referrer.id,
+                    description: `Level ${level} referral commission`,
+                    lines: [
+                        { account: ACCOUNTS.REFERRAL_EXPENSE, debit: amount },
+                        { account: ACCOUNTS.WALLET, credit: amount }
+                    ],
+                    metadata: { refereeId: referee.id, investmentId: investment.id, level }
+                }));
+            }
+
+            current = referrer;
+        }
+
+        return credited;
+    };
+
+    // A user's downline (up to the number of commission levels) and earnings
+    const getSummary = async (user) => {
+        const commissions = (await db.journals.findByUserId(user.id))
+            .filter(journal => journal.type === 'referral_commission');
+
+        const earnedFrom = {};
+        commissions.forEach(journal => {
+            const { refereeId } = journal.metadata;
+            earnedFrom[refereeId] = (earnedFrom[refereeId] || 0) + journal.amount;
+        });
+
+        const downline = [];
+        let frontier = [user.id];
+        for (let level = 1; level <= Math.max(rates.length, 1) && frontier.length > 0; level++) {
+            const next = [];
+            for (const userId of frontier) {
+                for (const referee of await db.users.findReferredBy(userId)) {
+                    downline.push({
+                        id: referee.id,
+                        phone: maskPhone(referee.phone),
+                        level,
+                        isVerified: referee.isVerified,
+                        joinedAt: referee.createdAt,
+                        commissionEarned: earnedFrom[referee.id] || 0
+                    });
+                    next.push(referee.id);
+                }
+            }
+            frontier = next;
+        }
+
+        return {
+            referralCode: user.referralCode,
+            referralLink: `${process.env.FRONTEND_URL}/register?ref=${user.referralCode}`,
+            commissionRates: rates,
+            totalCommission: commissions.reduce((sum, journal) => sum + journal.amount, 0),
+            downline,
+            commissions: commissions
+                .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+                .map(journal => ({
+                    id: journal.id,
+                    amount: journal.amount,
+                    level: journal.metadata.level,
+                    refereeId: journal.metadata.refereeId,
+                    investmentId: journal.metadata.investmentId,
+                    createdAt: journal.createdAt
+                }))
+        };
+    };
+
+    return {
+        generateCode,
+        findReferrer,
+        creditCommissions,
+        getSummary
+    };
+};
+
+module.exports = createReferralService;
@@ -0,0 +1,58 @@
+const { logger } = require('./logger');
+
+/**
+ * What happens once a payment settles: a successful payment funds its
+ * investment and pays referral commissions, and the payer is told the outcome
+ * either way (an expired payment is reported like a failed one, since no
+ * money was taken). Shared by the API server and the reconciliation CLI.
+ *
+ * Returns `drain()`, which resolves once every effect already started has
+ * finished, so a process can exit without cutting one short.
+ */
+const handleSettledPayments = ({ payments, investments, referrals, notifications }) => {
+    const inFlight = new Set();
+
+    const on = (event, handler) => {
+        payments.events.on(event, (transaction) => {
+            const effect = handler(transaction).finally(() => inFlight.delete(effect));
+            inFlight.add(effect);
+        });
+    };
+
+    // Create the investment a payment funds once it settles successfully
+    on('payment.successful', async (transaction) => {
+        try {
+            const investment = await investments.createFromTransaction(transaction);
+            logger.info('Investment created', { investmentId: investment.id, transactionId: transaction.id });
+
+            await referrals.creditCommissions(investment);
+        } catch (error) {
+            logger.error('Investment creation error', { error });
+        }
+    });
+
+    // Notify the payer once a payment settles either way
+    on('payment.successful', async (transaction) => {
+        try {
+            await notifications.notifyUserId(transaction.userId, 'payment_successful', { transaction }, { transactionId: transaction.id });
+        } catch (error) {
+            logger.error('Payment notification error', { error });
+        }
+    });
+
+    ['payment.failed', 'payment.expired'].forEach(event => {
+        on(event, async (transaction) => {
+            try {
+                await notifications.notifyUserId(transaction.userId, 'payment_failed', { transaction }, { transactionId: transaction.id });
+            } catch (error) {
+                logger.error('Payment notification error', { error });
+            }
+        });
+    });
+
+    return {
+        drain: () => Promise.all([...inFlight]).then(() => {})
+    };
+};
+
+module.exports = { handleSettledPayments };
@@ -0,0 +1,42 @@
+const axios = require('axios');
+
+/**
+ * Africa's Talking bulk SMS gateway. Uses the sandbox API when
+ * AFRICASTALKING_USERNAME is "sandbox".
+ */
+const createAfricasTalkingSmsGateway = ({
+    username = process.env.AFRICASTALKING_USERNAME,
+    apiKey = process.env.AFRICASTALKING_API_KEY,
+    senderId = process.env.AFRICASTALKING_SENDER_ID,
+    http = axios
+} = {}) => {
+    const baseUrl = username === 'sandbox'
+        ? 'https://api.sandbox.africastalking.com'
+        : 'https://api.africastalking.com';
+
+    return {
+        name: 'africastalking',
+
+        send: async ({ to, message }) => {
+            const body = new URLSearchParams({ username, to, message });
+            if (senderId) body.append('from', senderId);
+
+            const response = await http.post(`${baseUrl}/version1/messaging`, body.toString(), {
+                timeout: 15000,
+                headers: {
+                    'apiKey': apiKey,
+                    'Accept': 'application/json',
+                    'Content-Type': 'application/x-www-form-urlencoded'
+                }
+            });
+
+            const recipient = response.data?.SMSMessageData?.Recipients?.[0];
+            if (!recipient || recipient.status !== 'Success') {
+                throw new Error(`SMS to ${to} was not accepted: ${recipient?.status || response.data?.SMSMessageData?.Message || 'no recipient'}`);
+            }
+            return { messageId: recipient.messageId };
+        }
+    };
+};
+
+module.exports = createAfricasTalkingSmsGateway;
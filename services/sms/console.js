@@ -0,0 +1,26 @@
+const { v4: uuidv4 } = require('uuid');
+const { logger: defaultLogger } = require('../logger');
+
+// Helper function to hide one-time codes (runs of 4 to 8 digits) in a message
+const maskCodes = (message) => message.replace(/\b\d{4,8}\b/g, digits => '*'.repeat(digits.length));
+
+// Development SMS gateway: logs messages instead of sending them. The number is
+// masked like any phone number in the logs and codes in the text are hidden;
+// outside production the full text is also logged at debug level (LOG_LEVEL=debug).
+const createConsoleSmsGateway = ({
+    logger = defaultLogger,
+    production = process.env.NODE_ENV === 'production'
+} = {}) => ({
+    name: 'console',
+
+    send: async ({ to, message }) => {
+        const messageId = uuidv4();
+        logger.info('SMS not sent (console gateway)', { messageId, to, text: maskCodes(message) });
+        if (!production) {
+            logger.debug('SMS text', { messageId, text: message });
+        }
+        return { messageId };
+    }
+});
+
+module.exports = createConsoleSmsGateway;
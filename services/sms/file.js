@@ -0,0 +1,22 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_FILE = path.join(__dirname, '..', '..', 'data', 'sms.log');
+
+// Development SMS gateway: appends each message to a JSON-lines file
+const createFileSmsGateway = ({
+    file = process.env.SMS_LOG_FILE || DEFAULT_FILE,
+    now = () => new Date()
+} = {}) => ({
+    name: 'file',
+
+    send: async ({ to, message }) => {
+        const messageId = uuidv4();
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.appendFile(file, JSON.stringify({ messageId, to, message, sentAt: now().toISOString() }) + '\n');
+        return { messageId };
+    }
+});
+
+module.exports = createFileSmsGateway;
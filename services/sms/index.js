@@ -0,0 +1,24 @@
+const createConsoleSmsGateway = require('./console');
+const createFileSmsGateway = require('./file');
+const createAfricasTalkingSmsGateway = require('./africasTalking');
+
+/**
+ * SMS gateways. Each exposes `name` and `send({ to, message })`, which
+ * resolves with `{ messageId }` or throws when the message was not accepted.
+ */
+const GATEWAYS = {
+    console: createConsoleSmsGateway,
+    file: createFileSmsGateway,
+    africastalking: createAfricasTalkingSmsGateway
+};
+
+// Build the gateway named by SMS_PROVIDER (the console stand-in by default)
+const createSmsGateway = (name = process.env.SMS_PROVIDER || 'console', options) => {
+    const factory = GATEWAYS[name];
+    if (!factory) {
+        throw new Error(`Unknown SMS provider "${name}". Expected one of: ${Object.keys(GATEWAYS).join(', ')}`);
+    }
+    return factory(options);
+};
+
+module.exports = { createSmsGateway, GATEWAYS };
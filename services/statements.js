@@ -0,0 +1,266 @@
+const { toCsv } = require('./csv');
+const { createPdfDocument } = require('./pdf');
+const { money, date, dateTime } = require('./templates/format');
+
+// East Africa Time has no daylight saving, so month boundaries are a fixed offset from UTC
+const EAT_OFFSET_MS = 3 * 60 * 60 * 1000;
+
+// Journal types that change what we owe the user, and how they appear on a statement
+const ENTRY_TYPES = {
+    investment: 'deposit',
+    accrual: 'return',
+    referral_commission: 'referral_commission',
+    withdrawal: 'withdrawal'
+};
+
+const TYPE_LABELS = {
+    deposit: 'Deposit',
+    return: 'Return',
+    referral_commission: 'Referral commission',
+    withdrawal: 'Withdrawal'
+};
+
+// Helper function to find the calendar month (East Africa Time) a moment falls in
+const monthOf = (moment) => {
+    const local = new Date(moment.getTime() + EAT_OFFSET_MS);
+    const year = local.getUTCFullYear();
+    const monthIndex = local.getUTCMonth();
+
+    return {
+        key: `${year}-${String(monthIndex + 1).padStart(2, '0')}`,
+        from: new Date(Date.UTC(year, monthIndex, 1) - EAT_OFFSET_MS),
+        to: new Date(Date.UTC(year, monthIndex + 1, 1) - EAT_OFFSET_MS - 1)
+    };
+};
+
+// Helper function to find the month before the one `moment` falls in
+const previousMonth = (moment) => monthOf(new Date(monthOf(moment).from.getTime() - 1));
+
+// Net change a journal makes to the user's own accounts
+const netChange = (journal) => journal.lines
+    .filter(line => line.account.startsWith('user:'))
+    .reduce((sum, line) => sum + line.credit - line.debit, 0);
+
+const accountBalance = (journals, account) => journals.reduce((sum, journal) => sum + journal.lines
+    .filter(line => line.account === account)
+    .reduce((lineSum, line) => lineSum + line.credit - line.debit, 0), 0);
+
+const byEffectiveDate = (a, b) => a.effectiveDate.localeCompare(b.effectiveDate) || a.createdAt.localeCompare(b.createdAt);
+
+const amount = (value) => value.toLocaleString('en-US');
+
+/**
+ * Account statements built from the ledger. A user's balance is everything
+ * we owe them: their wallet, funds held for withdrawals and invested
+ * principal. Deposits, returns and referral commissions increase it and
+ * paid-out withdrawals reduce it; moves between the user's own accounts (a
+ * withdrawal hold or release, principal returned at maturity) leave it
+ * unchanged and are not listed.
+ *
+ *   closingBalance = openingBalance + deposits + returns + referralCommissions - withdrawals
+ *
+ * A statement can be sent as JSON or rendered with `toCsv` and `toPdf`.
+ */
+const createStatementService = ({ db, now = () => new Date() }) => {
+    // Look up the payment or payout reference a journal was posted for
+    const referenceFor = async (journal) => {
+        const { transactionId, withdrawalId } = journal.metadata || {};
+
+        if (journal.type === 'investment' && transactionId) {
+            const transaction = await db.transactions.findById(transactionId);
+            return transaction ? transaction.reference : null;
+        }
+        if (journal.type === 'withdrawal' && withdrawalId) {
+            const withdrawal = await db.withdrawals.findById(withdrawalId);
+            return withdrawal ? withdrawal.reference : null;
+        }
+        return null;
+    };
+
+    // The statement for a user between two moments (both inclusive)
+    const build = async (user, { from, to }) => {
+        const journals = (await db.journals.findByUserId(user.id)).sort(byEffectiveDate);
+        const before = journals.filter(journal => new Date(journal.effectiveDate) < from);
+        const upToEnd = journals.filter(journal => new Date(journal.effectiveDate) <= to);
+        const during = upToEnd.filter(journal => new Date(journal.effectiveDate) >= from);
+
+        const openingBalance = before.reduce((sum, journal) => sum + netChange(journal), 0);
+        const totals = { deposits: 0, returns: 0, referralCommissions: 0, withdrawals: 0 };
+        const entries = [];
+        let balance = openingBalance;
+
+        for (const journal of during) {
+            const change = netChange(journal);
+            if (change === 0) continue;
+
+            const type = ENTRY_TYPES[journal.type] || journal.type;
+            if (type === 'deposit') totals.deposits += change;
+            if (type === 'return') totals.returns += change;
+            if (type === 'referral_commission') totals.referralCommissions += change;
+            if (type === 'withdrawal') totals.withdrawals -= change;
+
+            balance += change;
+            entries.push({
+                date: journal.effectiveDate,
+                type,
+                description: journal.description,
+                reference: await referenceFor(journal),
+                amount: change,
+                balance
+            });
+        }
+
+        return {
+            currency: 'UGX',
+            account: {
+                userId: user.id,
+                name: user.fullName || user.displayName || null,
+                phone: user.phone,
+                email: user.email
+            },
+            period: { from: from.toISOString(), to: to.toISOString() },
+            openingBalance,
+            ...totals,
+            closingBalance: balance,
+            // Where the closing balance sits
+            closingBalances: {
+                available: accountBalance(upToEnd, 'user:wallet'),
+                held: accountBalance(upToEnd, 'user:held'),
+                invested: accountBalance(upToEnd, 'user:principal')
+            },
+            entries,
+            generatedAt: now().toISOString()
+        };
+    };
+
+    // One row per entry, between opening and closing balance rows
+    const statementToCsv = (statement) => toCsv([
+        { header: 'Date', value: row => row.date },
+        { header: 'Type', value: row => row.type },
+        { header: 'Description', value: row => row.description },
+        { header: 'Reference', value: row => row.reference },
+        { header: 'Amount (UGX)', value: row => row.amount },
+        { header: 'Balance (UGX)', value: row => row.balance }
+    ], [
+        { date: statement.period.from, type: 'opening_balance', description: 'Opening balance', balance: statement.openingBalance },
+        ...statement.entries,
+        { date: statement.period.to, type: 'closing_balance', description: 'Closing balance', balance: statement.closingBalance }
+    ]);
+
+    const statementToPdf = (statement) => {
+        const doc = createPdfDocument({ title: `Account statement ${date(statement.period.from)} - ${date(statement.period.to)}` });
+        const left = 50;
+        const right = doc.width - 50;
+        const bottom = 70;
+        let y;
+
+        const columns = { date: left, description: left + 75, reference: left + 290, amount: right - 80, balance: right };
+
+        const tableHeader = () => {
+            doc.text('Date', columns.date, y, { bold: true, size: 9 });
+            doc.text('Description', columns.description, y, { bold: true, size: 9 });
+            doc.text('Reference', columns.reference, y, { bold: true, size: 9 });
+            doc.text('Amount', columns.amount, y, { bold: true, size: 9, align: 'right' });
+            doc.text('Balance', columns.balance, y, { bold: true, size: 9, align: 'right' });
+            doc.line(left, y - 5, right, y - 5);
+            y -= 18;
+        };
+
+        const row = (cells, { bold = false } = {}) => {
+            if (y < bottom) {
+                doc.addPage();
+                y = doc.height - 60;
+                tableHeader();
+            }
+            const options = { size: 9, bold };
+            doc.text(cells.date, columns.date, y, options);
+            doc.text(doc.fit(cells.description, columns.reference - columns.description - 10, options), columns.description, y, options);
+            doc.text(doc.fit(cells.reference || '', columns.amount - columns.reference - 70, options), columns.reference, y, options);
+            doc.text(cells.amount, columns.amount, y, { ...options, align: 'right' });
+            doc.text(cells.balance, columns.balance, y, { ...options, align: 'right' });
+            y -= 14;
+        };
+
+        doc.addPage();
+        y = doc.height - 60;
+        doc.text('Star Investments', left, y, { bold: true, size: 16 });
+        doc.text('Account Statement', right, y, { bold: true, size: 16, align: 'right' });
+        y -= 30;
+
+        const details = [
+            ['Name', statement.account.name || '-'],
+            ['Phone', statement.account.phone],
+            ['Email', statement.account.email],
+            ['Period', `${date(statement.period.from)} - ${date(statement.period.to)}`],
+            ['Generated', dateTime(statement.generatedAt)]
+        ];
+        for (const [label, value] of details) {
+            doc.text(label, left, y, { bold: true });
+            doc.text(value, left + 80, y);
+            y -= 15;
+        }
+        y -= 10;
+
+        doc.text('Summary', left, y, { bold: true, size: 12 });
+        y -= 8;
+        doc.line(left, y, right, y);
+        y -= 16;
+        const summary = [
+            ['Opening balance', statement.openingBalance],
+            ['Deposits', statement.deposits],
+            ['Returns', statement.returns],
+            ['Referral commissions', statement.referralCommissions],
+            ['Withdrawals', -statement.withdrawals]
+        ];
+        for (const [label, value] of summary) {
+            doc.text(label, left, y);
+            doc.text(money(value), right, y, { align: 'right' });
+            y -= 15;
+        }
+        doc.line(left, y + 10, right, y + 10, { gray: 0.6 });
+        y -= 4;
+        doc.text('Closing balance', left, y, { bold: true });
+        doc.text(money(statement.closingBalance), right, y, { bold: true, align: 'right' });
+        y -= 15;
+        const { available, held, invested } = statement.closingBalances;
+        doc.text(`Available ${money(available)}   Held for withdrawals ${money(held)}   Invested ${money(invested)}`, left, y, { size: 8 });
+        y -= 30;
+
+        doc.text('Transactions', left, y, { bold: true, size: 12 });
+        y -= 20;
+        tableHeader();
+        row({ date: date(statement.period.from), description: 'Opening balance', amount: '', balance: amount(statement.openingBalance) }, { bold: true });
+        if (statement.entries.length === 0) {
+            row({ date: '', description: 'No transactions in this period', amount: '', balance: '' });
+        }
+        for (const entry of statement.entries) {
+            row({
+                date: date(entry.date),
+                description: `${TYPE_LABELS[entry.type] || entry.type}: ${entry.description}`,
+                reference: entry.reference,
+                amount: amount(entry.amount),
+                balance: amount(entry.balance)
+            });
+        }
+        row({ date: date(statement.period.to), description: 'Closing balance', amount: '', balance: amount(statement.closingBalance) }, { bold: true });
+
+        // Footers, once the number of pages is known
+        const pageCount = doc.pageCount();
+        for (let index = 0; index < pageCount; index++) {
+            doc.switchToPage(index);
+            doc.line(left, 45, right, 45, { gray: 0.6 });
+            doc.text('Amounts in Ugandan shillings (UGX). Dates in East Africa Time.', left, 32, { size: 8 });
+            doc.text(`Page ${index + 1} of ${pageCount}`, right, 32, { size: 8, align: 'right' });
+        }
+
+        return doc.toBuffer();
+    };
+
+    return {
+        build,
+        toCsv: statementToCsv,
+        toPdf: statementToPdf
+    };
+};
+
+module.exports = { createStatementService, monthOf, previousMonth };
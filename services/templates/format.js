@@ -0,0 +1,30 @@
+// Helper function to format an amount of money for display
+const money = (amount, currency = 'UGX') => `${currency} ${Number(amount || 0).toLocaleString('en-US')}`;
+
+// Helper function to format a timestamp as a readable date and time (East Africa Time)
+const dateTime = (value) => {
+    if (!value) return '';
+    return new Date(value).toLocaleString('en-GB', {
+        timeZone: 'Africa/Kampala',
+        dateStyle: 'medium',
+        timeStyle: 'short'
+    });
+};
+
+// Helper function to format a timestamp as a date only (East Africa Time)
+const date = (value) => {
+    if (!value) return '';
+    return new Date(value).toLocaleDateString('en-GB', {
+        timeZone: 'Africa/Kampala',
+        dateStyle: 'medium'
+    });
+};
+
+// Helper function to name the month a timestamp falls in, e.g. "September 2024" (East Africa Time)
+const month = (value) => new Date(value).toLocaleDateString('en-GB', {
+    timeZone: 'Africa/Kampala',
+    month: 'long',
+    year: 'numeric'
+});
+
+module.exports = { money, dateTime, date, month };
@@ -0,0 +1,56 @@
+const { renderHtml, renderText } = require('./layout');
+
+const LOCALES = {
+    en: require('./locales/en'),
+    lg: require('./locales/lg'),
+    sw: require('./locales/sw')
+};
+
+const DEFAULT_LOCALE = 'en';
+const SUPPORTED_LOCALES = Object.keys(LOCALES);
+
+// Helper function to pick a supported locale, e.g. "sw-KE" -> "sw", unknown -> "en"
+const resolveLocale = (locale) => {
+    const language = String(locale || '').toLowerCase().split(/[-_]/)[0];
+    return LOCALES[language] ? language : DEFAULT_LOCALE;
+};
+
+/**
+ * Render a transactional email as `{ subject, html, text, locale }`.
+ * Templates return structured content (title, paragraphs, details, an
+ * optional call-to-action and notes) that one shared layout turns into both
+ * HTML and plain text. A template missing from a locale falls back to English.
+ */
+const renderEmail = (name, locale, data = {}, { now = () => new Date() } = {}) => {
+    const resolved = resolveLocale(locale);
+    const template = LOCALES[resolved].templates[name] || LOCALES[DEFAULT_LOCALE].templates[name];
+
+    if (!template) {
+        throw new Error(`Unknown email template "${name}"`);
+    }
+
+    const content = template(data);
+    const common = { ...LOCALES[DEFAULT_LOCALE].common, ...LOCALES[resolved].common };
+    const year = now().getFullYear();
+
+    return {
+        subject: content.subject,
+        html: renderHtml(content, common, year),
+        text: renderText(content, common, year),
+        locale: resolved
+    };
+};
+
+// Render a short notification (SMS and in-app) as `{ title, body, locale }`
+const renderMessage = (name, locale, data = {}) => {
+    const resolved = resolveLocale(locale);
+    const message = (LOCALES[resolved].messages || {})[name] || LOCALES[DEFAULT_LOCALE].messages[name];
+
+    if (!message) {
+        throw new Error(`Unknown message template "${name}"`);
+    }
+
+    return { ...message(data), locale: resolved };
+};
+
+module.exports = { renderEmail, renderMessage, resolveLocale, SUPPORTED_LOCALES, DEFAULT_LOCALE };
@@ -0,0 +1,68 @@
+// Helper function to escape a value for use in HTML
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Shared HTML layout: branded header, content card and footer
+const renderHtml = (content, common, year) => {
+    const blocks = [
+        `<h2>${escapeHtml(content.title)}</h2>`,
+        ...(content.paragraphs || []).map(text => `<p>${escapeHtml(text)}</p>`),
+        ...(content.details || []).map(([label, value]) => `<p><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</p>`),
+        ...(content.action ? [
+            `<center><a href="${escapeHtml(content.action.url)}" class="button">${escapeHtml(content.action.label)}</a></center>`,
+            `<p>${escapeHtml(common.linkFallback)}</p>`,
+            `<p style="word-break: break-all; color: #667eea;">${escapeHtml(content.action.url)}</p>`
+        ] : []),
+        ...(content.notes || []).map(text => `<p><small>${escapeHtml(text)}</small></p>`)
+    ];
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <style>
+        body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+        .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+        .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+        .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+        .button { display: inline-block; padding: 15px 30px; background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+        .footer { text-align: center; margin-top: 20px; color: #666; font-size: 12px; }
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>⭐ Star Investments</h1>
+            <p>${escapeHtml(content.header)}</p>
+        </div>
+        <div class="content">
+            ${blocks.join('\n            ')}
+        </div>
+        <div class="footer">
+            <p>&copy; ${year} Star Investments. ${escapeHtml(common.rights)}</p>
+            <p>${escapeHtml(common.automated)}</p>
+        </div>
+    </div>
+</body>
+</html>
+`;
+};
+
+// Plain-text alternative for clients that do not render HTML
+const renderText = (content, common, year) => {
+    const sections = [
+        `Star Investments - ${content.title}`,
+        ...(content.paragraphs || []),
+        (content.details || []).map(([label, value]) => `${label}: ${value}`).join('\n'),
+        content.action ? `${content.action.label}: ${content.action.url}` : '',
+        ...(content.notes || []),
+        `--\n(c) ${year} Star Investments. ${common.rights}\n${common.automated}`
+    ];
+    return sections.filter(Boolean).join('\n\n') + '\n';
+};
+
+module.exports = { renderHtml, renderText, escapeHtml };
@@ -0,0 +1,335 @@
+const { money, dateTime, month } = require('../format');
+
+// English (default). Every other locale falls back to these templates and messages.
+module.exports = {
+    common: {
+        linkFallback: 'Or copy and paste this link into your browser:',
+        rights: 'All rights reserved.',
+        automated: 'This is an automated email, please do not reply.'
+    },
+
+    templates: {
+        verifyEmail: ({ verificationUrl, ttlHours }) => ({
+            subject: 'Confirm Your Email - Star Investments',
+            header: 'Welcome to Smart Investments, Daily Returns',
+            title: 'Confirm Your Email Address',
+            paragraphs: [
+                'Thank you for registering with Star Investments!',
+                'Please click the button below to verify your email address and activate your account:'
+            ],
+            action: { label: 'Verify Email Address', url: verificationUrl },
+            notes: [
+                `Note: This verification link will expire in ${ttlHours} hours.`,
+                'If you did not create an account with Star Investments, please ignore this email.'
+            ]
+        }),
+
+        passwordReset: ({ resetUrl, ttlMinutes }) => ({
+            subject: 'Reset Your Password - Star Investments',
+            header: 'Password Reset',
+            title: 'Reset Your Password',
+            paragraphs: [
+                'We received a request to reset the password for your Star Investments account.'
+            ],
+            action: { label: 'Reset Password', url: resetUrl },
+            notes: [
+                `Note: This link will expire in ${ttlMinutes} minutes and can only be used once.`,
+                'If you did not request a password reset, please ignore this email. Your password will not change.'
+            ]
+        }),
+
+        accountLocked: ({ unlockUrl, minutes }) => ({
+            subject: 'Your Account Has Been Locked - Star Investments',
+            header: 'Account Security',
+            title: 'Your Account Has Been Locked',
+            paragraphs: [
+                `We locked your Star Investments account for ${minutes} minutes after several failed login attempts.`,
+                'If this was you, you can unlock your account now:'
+            ],
+            action: { label: 'Unlock Account', url: unlockUrl },
+            notes: [
+                'If this was not you, someone may be trying to guess your password. We recommend resetting it.'
+            ]
+        }),
+
+        paymentReceipt: ({ transaction }) => ({
+            subject: 'Payment Receipt - Star Investments',
+            header: 'Payment Receipt',
+            title: 'Payment Received',
+            paragraphs: [
+                `We have received your payment for the ${transaction.planName} plan.`
+            ],
+            details: [
+                ['Amount', money(transaction.amount)],
+                ['Phone', transaction.phone],
+                ['Reference', transaction.reference],
+                ['Date', dateTime(transaction.settledAt)]
+            ]
+        }),
+
+        investmentMatured: ({ investment, totalReturns }) => ({
+            subject: 'Your Investment Has Matured - Star Investments',
+            header: 'Investment Update',
+            title: 'Your Investment Has Matured',
+            paragraphs: [
+                `Your ${investment.planName} plan has completed its ${investment.durationDays}-day term.`,
+                'Your principal has been returned to your wallet, where you can reinvest or withdraw it.'
+            ],
+            details: [
+                ['Principal', money(investment.principal)],
+                ['Total returns', money(totalReturns)],
+                ['Started', dateTime(investment.startDate)],
+                ['Matured', dateTime(investment.maturedAt)]
+            ]
+        }),
+
+        withdrawalProcessed: ({ withdrawal }) => (withdrawal.status === 'successful'
+            ? {
+                subject: 'Withdrawal Completed - Star Investments',
+                header: 'Withdrawal Update',
+                title: 'Withdrawal Completed',
+                paragraphs: [
+                    `${money(withdrawal.amount)} has been sent to your mobile money number ${withdrawal.phone}.`
+                ],
+                details: [
+                    ['Amount', money(withdrawal.amount)],
+                    ['Phone', withdrawal.phone],
+                    ['Reference', withdrawal.reference],
+                    ['Date', dateTime(withdrawal.completedAt)]
+                ]
+            }
+            : {
+                subject: 'Withdrawal Not Completed - Star Investments',
+                header: 'Withdrawal Update',
+                title: 'Withdrawal Not Completed',
+                paragraphs: [
+                    `We could not send ${money(withdrawal.amount)} to ${withdrawal.phone}.`,
+                    'The amount has been returned to your wallet. Please try again or contact support.'
+                ],
+                details: [
+                    ['Amount', money(withdrawal.amount)],
+                    ['Reference', withdrawal.reference]
+                ]
+            }),
+
+        paymentFailed: ({ transaction }) => ({
+            subject: 'Payment Not Completed - Star Investments',
+            header: 'Payment Update',
+            title: 'Payment Not Completed',
+            paragraphs: [
+                `Your payment of ${money(transaction.amount)} for the ${transaction.planName} plan was not completed, so no money was taken.`,
+                'This usually means the prompt on your phone was declined or timed out. You can try again from the app.'
+            ],
+            details: [
+                ['Phone', transaction.phone],
+                ['Reference', transaction.reference]
+            ]
+        }),
+
+        newDeviceLogin: ({ device, ip, time }) => ({
+            subject: 'New Sign-in to Your Account - Star Investments',
+            header: 'Account Security',
+            title: 'New Sign-in Detected',
+            paragraphs: [
+                'Your Star Investments account was just used to sign in from a device we have not seen before.'
+            ],
+            details: [
+                ['Device', device],
+                ['IP address', ip],
+                ['Time', dateTime(time)]
+            ],
+            notes: [
+                'If this was you, there is nothing to do. If not, reset your password now and sign out of all devices.'
+            ]
+        }),
+
+        twoFactorChanged: ({ enabled, byAdmin, time }) => (enabled
+            ? {
+                subject: 'Two-Factor Authentication Enabled - Star Investments',
+                header: 'Account Security',
+                title: 'Two-Factor Authentication Is On',
+                paragraphs: [
+                    'Signing in to your Star Investments account now needs a code from your authenticator app as well as your password.',
+                    'Keep your backup codes somewhere safe. You will need one if you lose your phone.'
+                ],
+                details: [
+                    ['Enabled', dateTime(time)]
+                ],
+                notes: [
+                    'If you did not turn this on, reset your password now and contact support.'
+                ]
+            }
+            : {
+                subject: 'Two-Factor Authentication Disabled - Star Investments',
+                header: 'Account Security',
+                title: 'Two-Factor Authentication Is Off',
+                paragraphs: [
+                    byAdmin
+                        ? 'Our support team has turned off two-factor authentication on your Star Investments account at your request.'
+                        : 'Two-factor authentication has been turned off on your Star Investments account.',
+                    'Only your password is now needed to sign in. You can turn it back on from your security settings.'
+                ],
+                details: [
+                    ['Disabled', dateTime(time)]
+                ],
+                notes: [
+                    'If you did not make this change, reset your password now and contact support immediately.'
+                ]
+            }),
+
+        monthlyStatement: ({ statement, statementUrl }) => ({
+            subject: `Your ${month(statement.period.from)} Statement - Star Investments`,
+            header: 'Account Statement',
+            title: `Your Statement for ${month(statement.period.from)}`,
+            paragraphs: [
+                'Here is a summary of your Star Investments account for the month. The full statement is attached as a PDF.'
+            ],
+            details: [
+                ['Opening balance', money(statement.openingBalance)],
+                ['Deposits', money(statement.deposits)],
+                ['Returns', money(statement.returns)],
+                ['Referral commissions', money(statement.referralCommissions)],
+                ['Withdrawals', money(statement.withdrawals)],
+                ['Closing balance', money(statement.closingBalance)]
+            ],
+            action: { label: 'View Statements', url: statementUrl },
+            notes: [
+                'You can turn off monthly statement emails in your notification settings.'
+            ]
+        }),
+
+        confirmEmailChange: ({ confirmUrl, ttlHours, email }) => ({
+            subject: 'Confirm Your New Email - Star Investments',
+            header: 'Account Security',
+            title: 'Confirm Your New Email Address',
+            paragraphs: [
+                `You asked to use ${email} for your Star Investments account.`,
+                'Please click the button below to confirm this address:'
+            ],
+            action: { label: 'Confirm Email Address', url: confirmUrl },
+            notes: [
+                `Note: This link will expire in ${ttlHours} hours. Your current address stays in use until then.`,
+                'If you did not request this change, please ignore this email.'
+            ]
+        }),
+
+        emailChangeRequested: ({ newEmail, time }) => ({
+            subject: 'Email Change Requested - Star Investments',
+            header: 'Account Security',
+            title: 'Email Change Requested',
+            paragraphs: [
+                'Someone signed in to your Star Investments account asked to move it to a new email address.',
+                'The change only takes effect once the new address is confirmed.'
+            ],
+            details: [
+                ['New email', newEmail],
+                ['Requested', dateTime(time)]
+            ],
+            notes: [
+                'If this was not you, reset your password now and contact support.'
+            ]
+        }),
+
+        emailChanged: ({ newEmail, time }) => ({
+            subject: 'Your Email Address Was Changed - Star Investments',
+            header: 'Account Security',
+            title: 'Email Address Changed',
+            paragraphs: [
+                'The email address on your Star Investments account has been changed. We will no longer send email to this address.'
+            ],
+            details: [
+                ['New email', newEmail],
+                ['Changed', dateTime(time)]
+            ],
+            notes: [
+                'If you did not make this change, contact support immediately.'
+            ]
+        }),
+
+        kycReviewed: ({ submission, maxPaymentAmount }) => (submission.status === 'approved'
+            ? {
+                subject: 'Identity Verified - Star Investments',
+                header: 'Account Update',
+                title: 'Your Identity Has Been Verified',
+                paragraphs: [
+                    'Thank you. We have verified your identity documents.',
+                    `You can now make payments of up to ${money(maxPaymentAmount)}.`
+                ]
+            }
+            : {
+                subject: 'Identity Verification Unsuccessful - Star Investments',
+                header: 'Account Update',
+                title: 'We Could Not Verify Your Identity',
+                paragraphs: [
+                    'We were unable to verify the identity documents you submitted.',
+                    'Please check the details below and submit again from the app.'
+                ],
+                details: [
+                    ['Reason', submission.rejectionReason || 'Not given']
+                ]
+            })
+    },
+
+    // Short messages for SMS and in-app notifications
+    messages: {
+        paymentSuccessful: ({ transaction }) => ({
+            title: 'Payment received',
+            body: `We received ${money(transaction.amount)} for your ${transaction.planName} plan. Your investment is now active.`
+        }),
+
+        paymentFailed: ({ transaction }) => ({
+            title: 'Payment not completed',
+            body: `Your payment of ${money(transaction.amount)} for the ${transaction.planName} plan was not completed. No money was taken.`
+        }),
+
+        returnsCredited: ({ investment, amount, accruedDays }) => ({
+            title: 'Daily return credited',
+            body: `${money(amount)} from your ${investment.planName} plan was added to your wallet (day ${accruedDays} of ${investment.durationDays}).`
+        }),
+
+        investmentMatured: ({ investment }) => ({
+            title: 'Investment matured',
+            body: `Your ${investment.planName} plan has matured and ${money(investment.principal)} was returned to your wallet.`
+        }),
+
+        withdrawalProcessed: ({ withdrawal }) => (withdrawal.status === 'successful'
+            ? {
+                title: 'Withdrawal completed',
+                body: `${money(withdrawal.amount)} has been sent to ${withdrawal.phone}.`
+            }
+            : {
+                title: 'Withdrawal not completed',
+                body: `Your withdrawal of ${money(withdrawal.amount)} was not completed. The amount is back in your wallet.`
+            }),
+
+        newDeviceLogin: ({ device }) => ({
+            title: 'New sign-in',
+            body: `Your account was signed in on a new device (${device}). If this was not you, reset your password now.`
+        }),
+
+        twoFactorChanged: ({ enabled }) => (enabled
+            ? {
+                title: 'Two-factor authentication on',
+                body: 'Two-factor authentication is now on. Signing in will need a code from your authenticator app.'
+            }
+            : {
+                title: 'Two-factor authentication off',
+                body: 'Two-factor authentication was turned off on your account. If this was not you, reset your password now.'
+            }),
+
+        phoneOtp: ({ code, minutes }) => ({
+            title: 'Verification code',
+            body: `Your verification code is ${code}. It expires in ${minutes} minutes. Never share this code with anyone.`
+        }),
+
+        kycReviewed: ({ submission }) => (submission.status === 'approved'
+            ? {
+                title: 'Identity verified',
+                body: 'Your identity has been verified and your payment limit has been raised.'
+            }
+            : {
+                title: 'Identity not verified',
+                body: `We could not verify your identity${submission.rejectionReason ? `: ${submission.rejectionReason}` : ''}. Please submit again.`
+            })
+    }
+};
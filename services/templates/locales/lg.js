@@ -0,0 +1,334 @@
+const { money, dateTime, month } = require('../format');
+
+// Luganda
+module.exports = {
+    common: {
+        linkFallback: 'Oba koppa link eno ogiteeke mu browser yo:',
+        rights: 'Eddembe lyonna likuumiddwa.',
+        automated: 'Email eno eweerezeddwa mu ngeri ya otomatiki, tozzaamu.'
+    },
+
+    templates: {
+        verifyEmail: ({ verificationUrl, ttlHours }) => ({
+            subject: 'Kakasa Email Yo - Star Investments',
+            header: 'Tukusanyukidde ku Star Investments',
+            title: 'Kakasa Endagiriro ya Email Yo',
+            paragraphs: [
+                'Webale okwewandiisa ne Star Investments!',
+                'Nyiga ku ppeesa wansi okukakasa email yo n\'okutandika okukozesa akawunti yo:'
+            ],
+            action: { label: 'Kakasa Email', url: verificationUrl },
+            notes: [
+                `Jjukira: Link eno ejja kuggwaako mu ssaawa ${ttlHours}.`,
+                'Bw\'oba tewewandiisa ku Star Investments, buuka email eno.'
+            ]
+        }),
+
+        passwordReset: ({ resetUrl, ttlMinutes }) => ({
+            subject: 'Kyusa Ekigambo Kyo eky\'Ekyama - Star Investments',
+            header: 'Okukyusa Ekigambo eky\'Ekyama',
+            title: 'Kyusa Ekigambo Kyo eky\'Ekyama',
+            paragraphs: [
+                'Tufunye okusaba okukyusa ekigambo eky\'ekyama ku akawunti yo eya Star Investments.'
+            ],
+            action: { label: 'Kyusa Ekigambo eky\'Ekyama', url: resetUrl },
+            notes: [
+                `Jjukira: Link eno ejja kuggwaako mu ddakiika ${ttlMinutes} era ekozesebwa omulundi gumu gwokka.`,
+                'Bw\'oba tosabye kukyusa kigambo kya kyama, buuka email eno. Ekigambo kyo eky\'ekyama tekijja kukyuka.'
+            ]
+        }),
+
+        accountLocked: ({ unlockUrl, minutes }) => ({
+            subject: 'Akawunti Yo Esibiddwa - Star Investments',
+            header: 'Obukuumi bw\'Akawunti',
+            title: 'Akawunti Yo Esibiddwa',
+            paragraphs: [
+                `Tusibye akawunti yo eya Star Investments okumala eddakiika ${minutes} oluvannyuma lw\'okugezaako okuyingira emirundi egiwerako nga tekigenze.`,
+                'Bw\'oba ggwe wabadde ogezaako, osobola okuggulawo akawunti yo kati:'
+            ],
+            action: { label: 'Ggulawo Akawunti', url: unlockUrl },
+            notes: [
+                'Bw\'oba si ggwe, oyinza okuba ng\'omuntu agezaako okuteebereza ekigambo kyo eky\'ekyama. Tukuwabula okukikyusa.'
+            ]
+        }),
+
+        paymentReceipt: ({ transaction }) => ({
+            subject: 'Lisiiti y\'Okusasula - Star Investments',
+            header: 'Lisiiti y\'Okusasula',
+            title: 'Ssente Zituuse',
+            paragraphs: [
+                `Tufunye ssente z\'osasudde ku nteekateeka ya ${transaction.planName}.`
+            ],
+            details: [
+                ['Omuwendo', money(transaction.amount)],
+                ['Essimu', transaction.phone],
+                ['Namba ya reference', transaction.reference],
+                ['Olunaku', dateTime(transaction.settledAt)]
+            ]
+        }),
+
+        investmentMatured: ({ investment, totalReturns }) => ({
+            subject: 'Ensimbi Zo Ezaateekebwamu Zituuse - Star Investments',
+            header: 'Amawulire ku Nsimbi Ezaateekebwamu',
+            title: 'Ensimbi Zo Ezaateekebwamu Zituuse',
+            paragraphs: [
+                `Enteekateeka yo eya ${investment.planName} emaze ennaku zaayo ${investment.durationDays}.`,
+                'Ensimbi zo enkulu zizziddwa mu wallet yo, w\'osobola okuziddamu okuziteekamu oba okuziggyayo.'
+            ],
+            details: [
+                ['Ensimbi enkulu', money(investment.principal)],
+                ['Amagoba gonna', money(totalReturns)],
+                ['Yatandika', dateTime(investment.startDate)],
+                ['Yaggwaako', dateTime(investment.maturedAt)]
+            ]
+        }),
+
+        withdrawalProcessed: ({ withdrawal }) => (withdrawal.status === 'successful'
+            ? {
+                subject: 'Ssente Ziweerezeddwa - Star Investments',
+                header: 'Amawulire ku Kuggyayo Ssente',
+                title: 'Ssente Ziweerezeddwa',
+                paragraphs: [
+                    `${money(withdrawal.amount)} ziweerezeddwa ku namba yo eya mobile money ${withdrawal.phone}.`
+                ],
+                details: [
+                    ['Omuwendo', money(withdrawal.amount)],
+                    ['Essimu', withdrawal.phone],
+                    ['Namba ya reference', withdrawal.reference],
+                    ['Olunaku', dateTime(withdrawal.completedAt)]
+                ]
+            }
+            : {
+                subject: 'Okuggyayo Ssente Tekuwedde - Star Investments',
+                header: 'Amawulire ku Kuggyayo Ssente',
+                title: 'Okuggyayo Ssente Tekuwedde',
+                paragraphs: [
+                    `Tetusobodde kuweereza ${money(withdrawal.amount)} ku ${withdrawal.phone}.`,
+                    'Ssente zizziddwa mu wallet yo. Ddamu ogezeeko oba tuukirira abakola ku bakasitoma.'
+                ],
+                details: [
+                    ['Omuwendo', money(withdrawal.amount)],
+                    ['Namba ya reference', withdrawal.reference]
+                ]
+            }),
+
+        paymentFailed: ({ transaction }) => ({
+            subject: 'Okusasula Tekuwedde - Star Investments',
+            header: 'Amawulire ku Kusasula',
+            title: 'Okusasula Tekuwedde',
+            paragraphs: [
+                `Okusasula kwo okwa ${money(transaction.amount)} ku nteekateeka ya ${transaction.planName} tekuwedde, noolwekyo tewali ssente zitooleddwa.`,
+                'Kino kitera okubaawo ng\'obubaka ku ssimu yo bugaaniddwa oba obudde bwabwo buweddeko. Osobola okuddamu okugezaako mu app.'
+            ],
+            details: [
+                ['Essimu', transaction.phone],
+                ['Namba ya reference', transaction.reference]
+            ]
+        }),
+
+        newDeviceLogin: ({ device, ip, time }) => ({
+            subject: 'Okuyingira Okupya ku Akawunti Yo - Star Investments',
+            header: 'Obukuumi bw\'Akawunti',
+            title: 'Okuyingira Okupya Kulabiddwa',
+            paragraphs: [
+                'Akawunti yo eya Star Investments yakakozesebwa okuyingira okuva ku kyuma kye tutalabangako.'
+            ],
+            details: [
+                ['Ekyuma', device],
+                ['Endagiriro ya IP', ip],
+                ['Ekiseera', dateTime(time)]
+            ],
+            notes: [
+                'Bw\'oba ggwe, tolina ky\'okola. Bw\'oba si ggwe, kyusa ekigambo kyo eky\'ekyama kati era ofulume ku byuma byonna.'
+            ]
+        }),
+
+        twoFactorChanged: ({ enabled, byAdmin, time }) => (enabled
+            ? {
+                subject: 'Okukakasa mu Mitendera Ebiri Kutandikiddwa - Star Investments',
+                header: 'Obukuumi bw\'Akawunti',
+                title: 'Okukakasa mu Mitendera Ebiri Kutandikiddwa',
+                paragraphs: [
+                    'Okuyingira ku akawunti yo eya Star Investments kati kwetaaga ennamba okuva mu app yo ey\'okukakasa wamu n\'ekigambo kyo eky\'ekyama.',
+                    'Tereka ennamba zo ez\'okwerinda mu kifo ekirungi. Ojja kwetaaga emu bw\'onoobula essimu yo.'
+                ],
+                details: [
+                    ['Kyatandikibwa', dateTime(time)]
+                ],
+                notes: [
+                    'Bw\'oba si ggwe wakitandika, kyusa ekigambo kyo eky\'ekyama kati era otuukirire abakola ku bakasitoma.'
+                ]
+            }
+            : {
+                subject: 'Okukakasa mu Mitendera Ebiri Kuggyiddwako - Star Investments',
+                header: 'Obukuumi bw\'Akawunti',
+                title: 'Okukakasa mu Mitendera Ebiri Kuggyiddwako',
+                paragraphs: [
+                    byAdmin
+                        ? 'Abakola ku bakasitoma baggyeko okukakasa mu mitendera ebiri ku akawunti yo eya Star Investments nga bw\'osabye.'
+                        : 'Okukakasa mu mitendera ebiri kuggyiddwako ku akawunti yo eya Star Investments.',
+                    'Kati ekigambo kyo eky\'ekyama kyokka kye kyetaagisa okuyingira. Osobola okukuzzaawo mu nteekateeka z\'obukuumi.'
+                ],
+                details: [
+                    ['Kyaggyibwako', dateTime(time)]
+                ],
+                notes: [
+                    'Bw\'oba tokoze nkyukakyuka eno, kyusa ekigambo kyo eky\'ekyama kati era otuukirire abakola ku bakasitoma mangu ddala.'
+                ]
+            }),
+
+        monthlyStatement: ({ statement, statementUrl }) => ({
+            subject: `Alipoota Yo eya ${month(statement.period.from)} - Star Investments`,
+            header: 'Alipoota ya Akawunti',
+            title: `Alipoota Yo eya ${month(statement.period.from)}`,
+            paragraphs: [
+                'Buno bufunze bwa akawunti yo eya Star Investments mu mwezi guno. Alipoota yonna eri ku email eno nga PDF.'
+            ],
+            details: [
+                ['Ssente ez\'okutandika', money(statement.openingBalance)],
+                ['Ssente eziteekeddwamu', money(statement.deposits)],
+                ['Amagoba', money(statement.returns)],
+                ['Kamisoni z\'okuleeta abantu', money(statement.referralCommissions)],
+                ['Ssente ezigyiddwayo', money(statement.withdrawals)],
+                ['Ssente ez\'okumaliriza', money(statement.closingBalance)]
+            ],
+            action: { label: 'Laba Alipoota', url: statementUrl },
+            notes: [
+                'Osobola okuggyako email za alipoota buli mwezi mu nteekateeka z\'obubaka.'
+            ]
+        }),
+
+        confirmEmailChange: ({ confirmUrl, ttlHours, email }) => ({
+            subject: 'Kakasa Email Yo Empya - Star Investments',
+            header: 'Obukuumi bw\'Akawunti',
+            title: 'Kakasa Endagiriro Yo Empya eya Email',
+            paragraphs: [
+                `Osabye okukozesa ${email} ku akawunti yo eya Star Investments.`,
+                'Nyiga eppeesa wansi okukakasa endagiriro eno:'
+            ],
+            action: { label: 'Kakasa Email', url: confirmUrl },
+            notes: [
+                `Jjukira: Link eno eggwaako oluvannyuma lw\'essaawa ${ttlHours}. Email yo gy\'okozesa kati esigala ekola okutuusa olwo.`,
+                'Bw\'oba tosabye nkyukakyuka eno, buuka email eno.'
+            ]
+        }),
+
+        emailChangeRequested: ({ newEmail, time }) => ({
+            subject: 'Okusaba Okukyusa Email - Star Investments',
+            header: 'Obukuumi bw\'Akawunti',
+            title: 'Okusaba Okukyusa Email',
+            paragraphs: [
+                'Omuntu ayingidde mu akawunti yo eya Star Investments asabye okugissa ku email empya.',
+                'Enkyukakyuka ekola nga email empya emaze okukakasibwa.'
+            ],
+            details: [
+                ['Email empya', newEmail],
+                ['Yasabiddwa', dateTime(time)]
+            ],
+            notes: [
+                'Bw\'oba si ggwe, kyusa ekigambo kyo eky\'ekyama kati era otuukirire abakola ku bakasitoma.'
+            ]
+        }),
+
+        emailChanged: ({ newEmail, time }) => ({
+            subject: 'Email Yo Ekyusiddwa - Star Investments',
+            header: 'Obukuumi bw\'Akawunti',
+            title: 'Email Ekyusiddwa',
+            paragraphs: [
+                'Email ku akawunti yo eya Star Investments ekyusiddwa. Tetujja kuddamu kuweereza email ku ndagiriro eno.'
+            ],
+            details: [
+                ['Email empya', newEmail],
+                ['Yakyusiddwa', dateTime(time)]
+            ],
+            notes: [
+                'Bw\'oba tokoze nkyukakyuka eno, tuukirira abakola ku bakasitoma mangu ddala.'
+            ]
+        }),
+
+        kycReviewed: ({ submission, maxPaymentAmount }) => (submission.status === 'approved'
+            ? {
+                subject: 'Obumanyirivu Bwo Bukakasiddwa - Star Investments',
+                header: 'Amawulire g\'Akawunti',
+                title: 'Obumanyirivu Bwo Bukakasiddwa',
+                paragraphs: [
+                    'Webale. Tukakasizza ebiwandiiko byo eby\'obumanyirivu.',
+                    `Kati osobola okusasula okutuuka ku ${money(maxPaymentAmount)}.`
+                ]
+            }
+            : {
+                subject: 'Okukakasa Obumanyirivu Tekwatuuse - Star Investments',
+                header: 'Amawulire g\'Akawunti',
+                title: 'Tetusobodde Kukakasa Bumanyirivu Bwo',
+                paragraphs: [
+                    'Tetusobodde kukakasa biwandiiko bye watuweereza.',
+                    'Kebera ebiri wansi oddemu okuweereza ng\'oyita mu app.'
+                ],
+                details: [
+                    ['Ensonga', submission.rejectionReason || 'Tewaliiwo']
+                ]
+            })
+    },
+
+    messages: {
+        paymentSuccessful: ({ transaction }) => ({
+            title: 'Ssente zituuse',
+            body: `Tufunye ${money(transaction.amount)} ku nteekateeka yo eya ${transaction.planName}. Ensimbi zo kati zitandise okukola.`
+        }),
+
+        paymentFailed: ({ transaction }) => ({
+            title: 'Okusasula tekuwedde',
+            body: `Okusasula kwo okwa ${money(transaction.amount)} ku nteekateeka ya ${transaction.planName} tekuwedde. Tewali ssente zitooleddwa.`
+        }),
+
+        returnsCredited: ({ investment, amount, accruedDays }) => ({
+            title: 'Amagoba g\'olunaku gateereddwamu',
+            body: `${money(amount)} okuva ku nteekateeka yo eya ${investment.planName} zongeddwa mu wallet yo (olunaku ${accruedDays} ku ${investment.durationDays}).`
+        }),
+
+        investmentMatured: ({ investment }) => ({
+            title: 'Ensimbi ezaateekebwamu zituuse',
+            body: `Enteekateeka yo eya ${investment.planName} ewedde era ${money(investment.principal)} zizziddwa mu wallet yo.`
+        }),
+
+        withdrawalProcessed: ({ withdrawal }) => (withdrawal.status === 'successful'
+            ? {
+                title: 'Ssente ziweerezeddwa',
+                body: `${money(withdrawal.amount)} ziweerezeddwa ku ${withdrawal.phone}.`
+            }
+            : {
+                title: 'Okuggyayo ssente tekuwedde',
+                body: `Okuggyayo ${money(withdrawal.amount)} tekuwedde. Ssente zizziddwa mu wallet yo.`
+            }),
+
+        newDeviceLogin: ({ device }) => ({
+            title: 'Okuyingira okupya',
+            body: `Akawunti yo eyingiddwamu ku kyuma ekipya (${device}). Bw\'oba si ggwe, kyusa ekigambo kyo eky\'ekyama kati.`
+        }),
+
+        twoFactorChanged: ({ enabled }) => (enabled
+            ? {
+                title: 'Okukakasa mu mitendera ebiri kutandikiddwa',
+                body: 'Okukakasa mu mitendera ebiri kutandikiddwa. Okuyingira kujja kwetaaga ennamba okuva mu app yo ey\'okukakasa.'
+            }
+            : {
+                title: 'Okukakasa mu mitendera ebiri kuggyiddwako',
+                body: 'Okukakasa mu mitendera ebiri kuggyiddwako ku akawunti yo. Bw\'oba si ggwe, kyusa ekigambo kyo eky\'ekyama kati.'
+            }),
+
+        phoneOtp: ({ code, minutes }) => ({
+            title: 'Ennamba ey\'okukakasa',
+            body: `Ennamba yo ey\'okukakasa ye ${code}. Eggwaako oluvannyuma lw\'eddakiika ${minutes}. Togiwa muntu yenna.`
+        }),
+
+        kycReviewed: ({ submission }) => (submission.status === 'approved'
+            ? {
+                title: 'Obumanyirivu bukakasiddwa',
+                body: 'Obumanyirivu bwo bukakasiddwa era ekkomo ly\'okusasula kwo lyongeddwa.'
+            }
+            : {
+                title: 'Obumanyirivu tebukakasiddwa',
+                body: `Tetusobodde kukakasa bumanyirivu bwo${submission.rejectionReason ? `: ${submission.rejectionReason}` : ''}. Ddamu okuweereza.`
+            })
+    }
+};
@@ -0,0 +1,334 @@
+const { money, dateTime, month } = require('../format');
+
+// Swahili
+module.exports = {
+    common: {
+        linkFallback: 'Au nakili na ubandike kiungo hiki kwenye kivinjari chako:',
+        rights: 'Haki zote zimehifadhiwa.',
+        automated: 'Hii ni barua pepe ya kiotomatiki, tafadhali usijibu.'
+    },
+
+    templates: {
+        verifyEmail: ({ verificationUrl, ttlHours }) => ({
+            subject: 'Thibitisha Barua Pepe Yako - Star Investments',
+            header: 'Karibu Star Investments, Faida Kila Siku',
+            title: 'Thibitisha Anwani Yako ya Barua Pepe',
+            paragraphs: [
+                'Asante kwa kujisajili na Star Investments!',
+                'Tafadhali bofya kitufe hapa chini ili kuthibitisha barua pepe yako na kuwezesha akaunti yako:'
+            ],
+            action: { label: 'Thibitisha Barua Pepe', url: verificationUrl },
+            notes: [
+                `Kumbuka: Kiungo hiki kitaisha muda baada ya saa ${ttlHours}.`,
+                'Ikiwa hukufungua akaunti na Star Investments, tafadhali puuza barua pepe hii.'
+            ]
+        }),
+
+        passwordReset: ({ resetUrl, ttlMinutes }) => ({
+            subject: 'Weka Upya Nenosiri Lako - Star Investments',
+            header: 'Kuweka Upya Nenosiri',
+            title: 'Weka Upya Nenosiri Lako',
+            paragraphs: [
+                'Tumepokea ombi la kuweka upya nenosiri la akaunti yako ya Star Investments.'
+            ],
+            action: { label: 'Weka Upya Nenosiri', url: resetUrl },
+            notes: [
+                `Kumbuka: Kiungo hiki kitaisha muda baada ya dakika ${ttlMinutes} na kinaweza kutumika mara moja tu.`,
+                'Ikiwa hukuomba kuweka upya nenosiri, tafadhali puuza barua pepe hii. Nenosiri lako halitabadilika.'
+            ]
+        }),
+
+        accountLocked: ({ unlockUrl, minutes }) => ({
+            subject: 'Akaunti Yako Imefungwa - Star Investments',
+            header: 'Usalama wa Akaunti',
+            title: 'Akaunti Yako Imefungwa',
+            paragraphs: [
+                `Tumefunga akaunti yako ya Star Investments kwa dakika ${minutes} baada ya majaribio kadhaa ya kuingia yaliyoshindikana.`,
+                'Ikiwa ni wewe, unaweza kufungua akaunti yako sasa:'
+            ],
+            action: { label: 'Fungua Akaunti', url: unlockUrl },
+            notes: [
+                'Ikiwa si wewe, huenda mtu anajaribu kubahatisha nenosiri lako. Tunapendekeza ulibadilishe.'
+            ]
+        }),
+
+        paymentReceipt: ({ transaction }) => ({
+            subject: 'Risiti ya Malipo - Star Investments',
+            header: 'Risiti ya Malipo',
+            title: 'Malipo Yamepokelewa',
+            paragraphs: [
+                `Tumepokea malipo yako kwa mpango wa ${transaction.planName}.`
+            ],
+            details: [
+                ['Kiasi', money(transaction.amount)],
+                ['Simu', transaction.phone],
+                ['Kumbukumbu', transaction.reference],
+                ['Tarehe', dateTime(transaction.settledAt)]
+            ]
+        }),
+
+        investmentMatured: ({ investment, totalReturns }) => ({
+            subject: 'Uwekezaji Wako Umekamilika - Star Investments',
+            header: 'Taarifa ya Uwekezaji',
+            title: 'Uwekezaji Wako Umekamilika',
+            paragraphs: [
+                `Mpango wako wa ${investment.planName} umekamilisha muda wake wa siku ${investment.durationDays}.`,
+                'Mtaji wako umerudishwa kwenye pochi yako, ambapo unaweza kuuwekeza tena au kuutoa.'
+            ],
+            details: [
+                ['Mtaji', money(investment.principal)],
+                ['Jumla ya faida', money(totalReturns)],
+                ['Ulianza', dateTime(investment.startDate)],
+                ['Ulikamilika', dateTime(investment.maturedAt)]
+            ]
+        }),
+
+        withdrawalProcessed: ({ withdrawal }) => (withdrawal.status === 'successful'
+            ? {
+                subject: 'Utoaji Umekamilika - Star Investments',
+                header: 'Taarifa ya Utoaji',
+                title: 'Utoaji Umekamilika',
+                paragraphs: [
+                    `${money(withdrawal.amount)} zimetumwa kwa namba yako ya pesa ya simu ${withdrawal.phone}.`
+                ],
+                details: [
+                    ['Kiasi', money(withdrawal.amount)],
+                    ['Simu', withdrawal.phone],
+                    ['Kumbukumbu', withdrawal.reference],
+                    ['Tarehe', dateTime(withdrawal.completedAt)]
+                ]
+            }
+            : {
+                subject: 'Utoaji Haukukamilika - Star Investments',
+                header: 'Taarifa ya Utoaji',
+                title: 'Utoaji Haukukamilika',
+                paragraphs: [
+                    `Hatukuweza kutuma ${money(withdrawal.amount)} kwa ${withdrawal.phone}.`,
+                    'Kiasi hicho kimerudishwa kwenye pochi yako. Tafadhali jaribu tena au wasiliana na huduma kwa wateja.'
+                ],
+                details: [
+                    ['Kiasi', money(withdrawal.amount)],
+                    ['Kumbukumbu', withdrawal.reference]
+                ]
+            }),
+
+        paymentFailed: ({ transaction }) => ({
+            subject: 'Malipo Hayakukamilika - Star Investments',
+            header: 'Taarifa ya Malipo',
+            title: 'Malipo Hayakukamilika',
+            paragraphs: [
+                `Malipo yako ya ${money(transaction.amount)} kwa mpango wa ${transaction.planName} hayakukamilika, kwa hivyo hakuna pesa iliyochukuliwa.`,
+                'Kwa kawaida hii inamaanisha ombi kwenye simu yako lilikataliwa au muda wake uliisha. Unaweza kujaribu tena kupitia programu.'
+            ],
+            details: [
+                ['Simu', transaction.phone],
+                ['Kumbukumbu', transaction.reference]
+            ]
+        }),
+
+        newDeviceLogin: ({ device, ip, time }) => ({
+            subject: 'Kuingia Kupya Kwenye Akaunti Yako - Star Investments',
+            header: 'Usalama wa Akaunti',
+            title: 'Kuingia Kupya Kumegunduliwa',
+            paragraphs: [
+                'Akaunti yako ya Star Investments imetumika sasa hivi kuingia kutoka kwa kifaa ambacho hatujakiona hapo awali.'
+            ],
+            details: [
+                ['Kifaa', device],
+                ['Anwani ya IP', ip],
+                ['Muda', dateTime(time)]
+            ],
+            notes: [
+                'Ikiwa ni wewe, huhitaji kufanya chochote. Ikiwa si wewe, weka upya nenosiri lako sasa na utoke kwenye vifaa vyote.'
+            ]
+        }),
+
+        twoFactorChanged: ({ enabled, byAdmin, time }) => (enabled
+            ? {
+                subject: 'Uthibitishaji wa Hatua Mbili Umewashwa - Star Investments',
+                header: 'Usalama wa Akaunti',
+                title: 'Uthibitishaji wa Hatua Mbili Umewashwa',
+                paragraphs: [
+                    'Kuingia kwenye akaunti yako ya Star Investments sasa kunahitaji nambari kutoka kwa programu yako ya uthibitishaji pamoja na nenosiri lako.',
+                    'Hifadhi nambari zako za akiba mahali salama. Utahitaji moja ukipoteza simu yako.'
+                ],
+                details: [
+                    ['Uliwashwa', dateTime(time)]
+                ],
+                notes: [
+                    'Ikiwa hukuwasha huduma hii, weka upya nenosiri lako sasa na uwasiliane na huduma kwa wateja.'
+                ]
+            }
+            : {
+                subject: 'Uthibitishaji wa Hatua Mbili Umezimwa - Star Investments',
+                header: 'Usalama wa Akaunti',
+                title: 'Uthibitishaji wa Hatua Mbili Umezimwa',
+                paragraphs: [
+                    byAdmin
+                        ? 'Timu yetu ya huduma kwa wateja imezima uthibitishaji wa hatua mbili kwenye akaunti yako ya Star Investments kwa ombi lako.'
+                        : 'Uthibitishaji wa hatua mbili umezimwa kwenye akaunti yako ya Star Investments.',
+                    'Sasa nenosiri lako pekee linahitajika kuingia. Unaweza kuuwasha tena kwenye mipangilio ya usalama.'
+                ],
+                details: [
+                    ['Ulizimwa', dateTime(time)]
+                ],
+                notes: [
+                    'Ikiwa hukufanya mabadiliko haya, weka upya nenosiri lako sasa na uwasiliane na huduma kwa wateja mara moja.'
+                ]
+            }),
+
+        monthlyStatement: ({ statement, statementUrl }) => ({
+            subject: `Taarifa Yako ya ${month(statement.period.from)} - Star Investments`,
+            header: 'Taarifa ya Akaunti',
+            title: `Taarifa Yako ya ${month(statement.period.from)}`,
+            paragraphs: [
+                'Huu ni muhtasari wa akaunti yako ya Star Investments kwa mwezi huu. Taarifa kamili imeambatishwa kama PDF.'
+            ],
+            details: [
+                ['Salio la mwanzo', money(statement.openingBalance)],
+                ['Amana', money(statement.deposits)],
+                ['Faida', money(statement.returns)],
+                ['Kamisheni za rufaa', money(statement.referralCommissions)],
+                ['Kutoa pesa', money(statement.withdrawals)],
+                ['Salio la mwisho', money(statement.closingBalance)]
+            ],
+            action: { label: 'Angalia Taarifa', url: statementUrl },
+            notes: [
+                'Unaweza kuzima barua pepe za taarifa za kila mwezi kwenye mipangilio ya arifa.'
+            ]
+        }),
+
+        confirmEmailChange: ({ confirmUrl, ttlHours, email }) => ({
+            subject: 'Thibitisha Barua Pepe Yako Mpya - Star Investments',
+            header: 'Usalama wa Akaunti',
+            title: 'Thibitisha Anwani Yako Mpya ya Barua Pepe',
+            paragraphs: [
+                `Umeomba kutumia ${email} kwa akaunti yako ya Star Investments.`,
+                'Tafadhali bofya kitufe hapa chini ili kuthibitisha anwani hii:'
+            ],
+            action: { label: 'Thibitisha Barua Pepe', url: confirmUrl },
+            notes: [
+                `Kumbuka: Kiungo hiki kitaisha muda baada ya saa ${ttlHours}. Anwani yako ya sasa itaendelea kutumika hadi wakati huo.`,
+                'Ikiwa hukuomba mabadiliko haya, tafadhali puuza barua pepe hii.'
+            ]
+        }),
+
+        emailChangeRequested: ({ newEmail, time }) => ({
+            subject: 'Ombi la Kubadilisha Barua Pepe - Star Investments',
+            header: 'Usalama wa Akaunti',
+            title: 'Ombi la Kubadilisha Barua Pepe',
+            paragraphs: [
+                'Mtu aliyeingia kwenye akaunti yako ya Star Investments ameomba kuihamishia kwenye anwani mpya ya barua pepe.',
+                'Mabadiliko yatafanyika tu baada ya anwani mpya kuthibitishwa.'
+            ],
+            details: [
+                ['Barua pepe mpya', newEmail],
+                ['Iliombwa', dateTime(time)]
+            ],
+            notes: [
+                'Ikiwa si wewe, weka upya nenosiri lako sasa na uwasiliane na huduma kwa wateja.'
+            ]
+        }),
+
+        emailChanged: ({ newEmail, time }) => ({
+            subject: 'Barua Pepe Yako Imebadilishwa - Star Investments',
+            header: 'Usalama wa Akaunti',
+            title: 'Anwani ya Barua Pepe Imebadilishwa',
+            paragraphs: [
+                'Anwani ya barua pepe ya akaunti yako ya Star Investments imebadilishwa. Hatutatuma tena barua pepe kwenye anwani hii.'
+            ],
+            details: [
+                ['Barua pepe mpya', newEmail],
+                ['Ilibadilishwa', dateTime(time)]
+            ],
+            notes: [
+                'Ikiwa hukufanya mabadiliko haya, wasiliana na huduma kwa wateja mara moja.'
+            ]
+        }),
+
+        kycReviewed: ({ submission, maxPaymentAmount }) => (submission.status === 'approved'
+            ? {
+                subject: 'Utambulisho Umethibitishwa - Star Investments',
+                header: 'Taarifa ya Akaunti',
+                title: 'Utambulisho Wako Umethibitishwa',
+                paragraphs: [
+                    'Asante. Tumethibitisha hati zako za utambulisho.',
+                    `Sasa unaweza kufanya malipo ya hadi ${money(maxPaymentAmount)}.`
+                ]
+            }
+            : {
+                subject: 'Uthibitisho wa Utambulisho Haukufaulu - Star Investments',
+                header: 'Taarifa ya Akaunti',
+                title: 'Hatukuweza Kuthibitisha Utambulisho Wako',
+                paragraphs: [
+                    'Hatukuweza kuthibitisha hati za utambulisho ulizowasilisha.',
+                    'Tafadhali angalia maelezo hapa chini na uwasilishe tena kupitia programu.'
+                ],
+                details: [
+                    ['Sababu', submission.rejectionReason || 'Haijatolewa']
+                ]
+            })
+    },
+
+    messages: {
+        paymentSuccessful: ({ transaction }) => ({
+            title: 'Malipo yamepokelewa',
+            body: `Tumepokea ${money(transaction.amount)} kwa mpango wako wa ${transaction.planName}. Uwekezaji wako sasa unaendelea.`
+        }),
+
+        paymentFailed: ({ transaction }) => ({
+            title: 'Malipo hayakukamilika',
+            body: `Malipo yako ya ${money(transaction.amount)} kwa mpango wa ${transaction.planName} hayakukamilika. Hakuna pesa iliyochukuliwa.`
+        }),
+
+        returnsCredited: ({ investment, amount, accruedDays }) => ({
+            title: 'Faida ya siku imeongezwa',
+            body: `${money(amount)} kutoka mpango wako wa ${investment.planName} zimeongezwa kwenye pochi yako (siku ${accruedDays} kati ya ${investment.durationDays}).`
+        }),
+
+        investmentMatured: ({ investment }) => ({
+            title: 'Uwekezaji umekamilika',
+            body: `Mpango wako wa ${investment.planName} umekamilika na ${money(investment.principal)} zimerudishwa kwenye pochi yako.`
+        }),
+
+        withdrawalProcessed: ({ withdrawal }) => (withdrawal.status === 'successful'
+            ? {
+                title: 'Utoaji umekamilika',
+                body: `${money(withdrawal.amount)} zimetumwa kwa ${withdrawal.phone}.`
+            }
+            : {
+                title: 'Utoaji haukukamilika',
+                body: `Utoaji wako wa ${money(withdrawal.amount)} haukukamilika. Kiasi hicho kimerudi kwenye pochi yako.`
+            }),
+
+        newDeviceLogin: ({ device }) => ({
+            title: 'Kuingia kupya',
+            body: `Akaunti yako imeingiwa kwenye kifaa kipya (${device}). Ikiwa si wewe, weka upya nenosiri lako sasa.`
+        }),
+
+        twoFactorChanged: ({ enabled }) => (enabled
+            ? {
+                title: 'Uthibitishaji wa hatua mbili umewashwa',
+                body: 'Uthibitishaji wa hatua mbili umewashwa. Kuingia kutahitaji nambari kutoka kwa programu yako ya uthibitishaji.'
+            }
+            : {
+                title: 'Uthibitishaji wa hatua mbili umezimwa',
+                body: 'Uthibitishaji wa hatua mbili umezimwa kwenye akaunti yako. Ikiwa si wewe, weka upya nenosiri lako sasa.'
+            }),
+
+        phoneOtp: ({ code, minutes }) => ({
+            title: 'Nambari ya uthibitisho',
+            body: `Nambari yako ya uthibitisho ni ${code}. Itaisha baada ya dakika ${minutes}. Usimpe mtu yeyote nambari hii.`
+        }),
+
+        kycReviewed: ({ submission }) => (submission.status === 'approved'
+            ? {
+                title: 'Utambulisho umethibitishwa',
+                body: 'Utambulisho wako umethibitishwa na kikomo chako cha malipo kimeongezwa.'
+            }
+            : {
+                title: 'Utambulisho haujathibitishwa',
+                body: `Hatukuweza kuthibitisha utambulisho wako${submission.rejectionReason ? `: ${submission.rejectionReason}` : ''}. Tafadhali wasilisha tena.`
+            })
+    }
+};
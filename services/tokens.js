@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+// Helper function to build an error the route handlers can map to a response
+const tokenError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+/**
+ * Issues short-lived JWT access tokens and opaque refresh tokens that rotate
+ * on every use. Each login creates a session; access tokens carry the session
+ * id so revoking the session (logout, password reset) also rejects access
+ * tokens that have not expired yet. Presenting a refresh token that was
+ * already rotated revokes the whole session, since it means the token leaked.
+ */
+const createTokenService = ({
+    db,
+    jwtSecret = process.env.JWT_SECRET,
+    refreshSecret = process.env.SESSION_SECRET || process.env.JWT_SECRET,
+    accessTokenTtl = process.env.ACCESS_TOKEN_TTL || '15m',
+    refreshTokenTtlDays = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30,
+    now = () => new Date()
+}) => {
+    if (!jwtSecret) {
+        throw new Error('JWT_SECRET is not configured');
+    }
+
+    // Refresh tokens are only stored as keyed hashes
+    const hashRefreshToken = (token) => {
+        return crypto.createHmac('sha256', refreshSecret).update(token).digest('hex');
+    };
+
+    const signAccessToken = (user, sessionId) => {
+        return jwt.sign(
+            { sub: user.id, sid: sessionId, phone: user.phone },
+            jwtSecret,
+            { expiresIn: accessTokenTtl }
+        );
+    };
+
+    const createRefreshToken = async (session) => {
+        const refreshToken = crypto.randomBytes(48).toString('base64url');
+        const expiresAt = new Date(now().getTime() + refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+
+        await db.sessions.createRefreshToken({
+            sessionId: session.id,
+            userId: session.userId,
+            tokenHash: hashRefreshToken(refreshToken),
+            expiresAt: expiresAt.toISOString(),
+            usedAt: null,
+            createdAt: now().toISOString()
+        });
+
+        return refreshToken;
+    };
+
+    const buildTokens = async (user, session) => {
+        const accessToken = signAccessToken(user, session.id);
+        const refreshToken = await createRefreshToken(session);
+        const { exp, iat } = jwt.decode(accessToken);
+
+        return {
+            accessToken,
+            refreshToken,
+            tokenType: 'Bearer',
+            expiresIn: exp - iat
+        };
+    };
+
+    // Start a new session for a user who has just authenticated; `stepUpAt` is
+    // set when they also entered a two-factor code
+    const issueSession = async (user, { userAgent, ip, stepUpAt } = {}) => {
+        const session = await db.sessions.create({
+            userId: user.id,
+            userAgent: userAgent || null,
+            ip: ip || null,
+            stepUpAt: stepUpAt || null,
+            revokedAt: null,
+            createdAt: now().toISOString()
+        });
+
+        return buildTokens(user, session);
+    };
+
+    // Exchange a refresh token for a new access/refresh token pair
+    const rotate = async (refreshToken) => {
+        const stored = await db.sessions.findRefreshTokenByHash(hashRefreshToken(refreshToken));
+        if (!stored) {
+            throw tokenError('INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+        }
+
+        const session = await db.sessions.findById(stored.sessionId);
+        if (!session || session.revokedAt) {
+            throw tokenError('SESSION_REVOKED', 'Session has been revoked');
+        }
+
+        if (stored.usedAt) {
+            await revokeSession(session.id, 'refresh_token_reuse');
+            throw tokenError('SESSION_REVOKED', 'Session has been revoked');
+        }
+
+        if (new Date(stored.expiresAt) <= now()) {
+            throw tokenError('REFRESH_TOKEN_EXPIRED', 'Refresh token has expired');
+        }
+
+        const user = await db.users.findById(session.userId);
+        if (!user) {
+            throw tokenError('INVALID_REFRESH_TOKEN', 'Invalid refresh token');
+        }
+
+        // Of two rotations racing on one token only the first gets a new pair; the other is a reuse
+        const used = await db.sessions.updateRefreshTokenIf(stored.id, { usedAt: null }, { usedAt: now().toISOString() });
+        if (!used) {
+            await revokeSession(session.id, 'refresh_token_reuse');
+            throw tokenError('SESSION_REVOKED', 'Session has been revoked');
+        }
+
+        return { user, tokens: await buildTokens(user, session) };
+    };
+
+    const revokeSession = async (sessionId, reason = 'logout') => {
+        const session = await db.sessions.findById(sessionId);
+        if (!session || session.revokedAt) return;
+
+        await db.sessions.update(sessionId, {
+            revokedAt: now().toISOString(),
+            revokedReason: reason
+        });
+    };
+
+    // Revoke every session a user has, e.g. after a password reset
+    const revokeAllSessions = async (userId, reason) => {
+        const sessions = await db.sessions.findByUserId(userId);
+        for (const session of sessions) {
+            await revokeSession(session.id, reason);
+        }
+    };
+
+    // Verify an access token and make sure its session is still live
+    const verifyAccessToken = async (accessToken) => {
+        let payload;
+        try {
+            payload = jwt.verify(accessToken, jwtSecret);
+        } catch (error) {
+            if (error.name === 'TokenExpiredError') {
+                throw tokenError('ACCESS_TOKEN_EXPIRED', 'Access token has expired');
+            }
+            throw tokenError('INVALID_ACCESS_TOKEN', 'Invalid access token');
+        }
+
+        const session = await db.sessions.findById(payload.sid);
+        if (!session || session.revokedAt) {
+            throw tokenError('SESSION_REVOKED', 'Session has been revoked');
+        }
+
+        return { userId: payload.sub, session };
+    };
+
+    return {
+        issueSession,
+        rotate,
+        revokeSession,
+        revokeAllSessions,
+        verifyAccessToken
+    };
+};
+
+module.exports = createTokenService;
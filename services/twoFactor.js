@@ -0,0 +1,394 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+
+// Helper function to build an error the route handlers can map to a response
+const twoFactorError = (code, message, details = {}) => {
+    const error = new Error(message);
+    error.code = code;
+    Object.assign(error, details);
+    return error;
+};
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Helper function to encode bytes as unpadded RFC 4648 base32 (what authenticator apps expect)
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, '0');
+    }
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+const base32Decode = (text) => {
+    let bits = '';
+    for (const char of text.replace(/=+$/, '').toUpperCase()) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) throw new Error('Invalid base32 character');
+        bits += value.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+// Backup codes avoid characters that are easily confused (0/o, 1/l/i)
+const BACKUP_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+const normaliseBackupCode = (code) => String(code).toLowerCase().replace(/[\s-]/g, '');
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Optional TOTP two-factor authentication (RFC 6238, as used by Google
+ * Authenticator, Authy and similar apps).
+ *
+ *   enrolment: beginEnrolment -> secret + otpauth:// URI for a QR code
+ *              confirmEnrolment(code) -> enabled, backup codes shown once
+ *
+ * Secrets are stored encrypted with a key derived from `encryptionKey`; backup
+ * codes are stored as keyed hashes and each works once. A TOTP code is not
+ * accepted twice, so a code seen over someone's shoulder cannot be replayed.
+ *
+ * Logging in with 2FA enabled takes two steps: the password check starts a
+ * short-lived challenge, and the challenge token plus a code finishes it.
+ * Sensitive actions also need a recent code on the session ("step-up"),
+ * recorded as `session.stepUpAt` and good for `stepUpTtlMinutes`.
+ */
+const createTwoFactorService = ({
+    db,
+    encryptionKey = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET,
+    issuer = process.env.TWO_FACTOR_ISSUER || 'Star Investments',
+    period = 30,
+    digits = 6,
+    window = 1,
+    backupCodeCount = 10,
+    challengeTtlMinutes = Number(process.env.TWO_FACTOR_CHALLENGE_TTL_MINUTES) || 5,
+    maxChallengeAttempts = Number(process.env.TWO_FACTOR_MAX_ATTEMPTS) || 5,
+    stepUpTtlMinutes = Number(process.env.TWO_FACTOR_STEP_UP_TTL_MINUTES) || 10,
+    now = () => new Date()
+}) => {
+    if (!encryptionKey) {
+        throw new Error('TWO_FACTOR_ENCRYPTION_KEY is not configured');
+    }
+
+    const events = new EventEmitter();
+    const key = crypto.createHash('sha256').update(`two-factor:${encryptionKey}`).digest();
+
+    const encrypt = (plain) => {
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const encrypted = Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]);
+        return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64url')).join('.');
+    };
+
+    const decrypt = (stored) => {
+        const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64url'));
+        const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+        decipher.setAuthTag(tag);
+        return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+    };
+
+    const hashBackupCode = (userId, code) => crypto
+        .createHmac('sha256', key)
+        .update(`${userId}:${normaliseBackupCode(code)}`)
+        .digest('hex');
+
+    // The TOTP code for a base32 secret at time step `step`
+    const codeAt = (secret, step) => {
+        const counter = Buffer.alloc(8);
+        counter.writeBigUInt64BE(BigInt(step));
+        const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+        const offset = hmac[hmac.length - 1] & 0x0f;
+        const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+        return String(binary % 10 ** digits).padStart(digits, '0');
+    };
+
+    const currentStep = () => Math.floor(now().getTime() / 1000 / period);
+
+    // The time step `code` belongs to (allowing `window` steps of clock drift), or null
+    const matchingStep = (secret, code) => {
+        const given = Buffer.from(String(code));
+        if (given.length !== digits) return null;
+
+        const step = currentStep();
+        for (let offset = -window; offset <= window; offset++) {
+            if (crypto.timingSafeEqual(Buffer.from(codeAt(secret, step + offset)), given)) {
+                return step + offset;
+            }
+        }
+        return null;
+    };
+
+    const generateBackupCodes = (userId) => {
+        const codes = Array.from({ length: backupCodeCount }, () => {
+            const chars = Array.from({ length: 8 }, () => BACKUP_CODE_ALPHABET[crypto.randomInt(BACKUP_CODE_ALPHABET.length)]);
+            return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+        });
+
+        return {
+            codes,
+            stored: codes.map(code => ({ hash: hashBackupCode(userId, code), usedAt: null }))
+        };
+    };
+
+    const isEnabled = (user) => Boolean(user.twoFactorEnabled);
+
+    const backupCodesRemaining = (user) => (user.twoFactorBackupCodes || []).filter(code => !code.usedAt).length;
+
+    const status = (user) => ({
+        enabled: isEnabled(user),
+        enabledAt: user.twoFactorEnabledAt || null,
+        backupCodesRemaining: isEnabled(user) ? backupCodesRemaining(user) : 0
+    });
+
+    // Start enrolment with a new secret; enrolling again before confirming replaces it
+    const beginEnrolment = async (user) => {
+        if (isEnabled(user)) {
+            throw twoFactorError('TWO_FACTOR_ALREADY_ENABLED', 'Two-factor authentication is already enabled');
+        }
+
+        const secret = base32Encode(crypto.randomBytes(20));
+        await db.users.update(user.id, { twoFactorPendingSecret: encrypt(secret) });
+
+        const label = encodeURIComponent(`${issuer}:${user.phone}`);
+        const params = new URLSearchParams({
+            secret,
+            issuer,
+            algorithm: 'SHA1',
+            digits: String(digits),
+            period: String(period)
+        });
+
+        return {
+            secret,
+            otpauthUrl: `otpauth://totp/${label}?${params.toString().replace(/\+/g, '%20')}`
+        };
+    };
+
+    // Turn 2FA on once the user proves their app produces the right codes
+    const confirmEnrolment = async (user, code) => {
+        if (isEnabled(user)) {
+            throw twoFactorError('TWO_FACTOR_ALREADY_ENABLED', 'Two-factor authentication is already enabled');
+        }
+        if (!user.twoFactorPendingSecret) {
+            throw twoFactorError('TWO_FACTOR_NOT_STARTED', 'Start two-factor setup before confirming it');
+        }
+
+        const secret = decrypt(user.twoFactorPendingSecret);
+        const step = matchingStep(secret, code);
+        if (step === null) {
+            throw twoFactorError('TWO_FACTOR_INVALID_CODE', 'Invalid authentication code');
+        }
+
+        const { codes, stored } = generateBackupCodes(user.id);
+        const updated = await db.users.update(user.id, {
+            twoFactorEnabled: true,
+            twoFactorSecret: user.twoFactorPendingSecret,
+            twoFactorPendingSecret: null,
+            twoFactorLastStep: step,
+            twoFactorBackupCodes: stored,
+            twoFactorEnabledAt: now().toISOString()
+        });
+
+        events.emit('two_factor.enabled', { user: updated });
+        return { user: updated, backupCodes: codes };
+    };
+
+    // Check a code from the user's app, or one of their backup codes (used up on success)
+    const verifyCode = async (user, code) => {
+        if (!isEnabled(user)) {
+            throw twoFactorError('TWO_FACTOR_NOT_ENABLED', 'Two-factor authentication is not enabled');
+        }
+
+        if (/^[0-9]+$/.test(String(code))) {
+            const step = matchingStep(decrypt(user.twoFactorSecret), code);
+            // Checked against the stored step, not the caller's copy, so parallel requests cannot replay one code
+            const updated = step !== null && await db.users.updateIf(
+                user.id,
+                current => current.twoFactorEnabled && (current.twoFactorLastStep ?? -1) < step,
+                { twoFactorLastStep: step }
+            );
+            if (updated) {
+                return { method: 'totp', backupCodesRemaining: backupCodesRemaining(updated) };
+            }
+        } else {
+            const hash = hashBackupCode(user.id, code);
+            let current = user;
+
+            // Use the code up only while the backup codes are still the ones it was found in
+            while (current) {
+                const codes = current.twoFactorBackupCodes || [];
+                const match = codes.find(candidate => !candidate.usedAt && candidate.hash === hash);
+                if (!match) break;
+
+                const updated = await db.users.updateIf(
+                    user.id,
+                    stored => JSON.stringify(stored.twoFactorBackupCodes || []) === JSON.stringify(codes),
+                    {
+                        twoFactorBackupCodes: codes.map(candidate => (candidate === match
+                            ? { ...candidate, usedAt: now().toISOString() }
+                            : candidate))
+                    }
+                );
+                if (updated) {
+                    return { method: 'backup_code', backupCodesRemaining: backupCodesRemaining(updated) };
+                }
+
+                current = await db.users.findById(user.id);
+            }
+        }
+
+        throw twoFactorError('TWO_FACTOR_INVALID_CODE', 'Invalid authentication code');
+    };
+
+    // Replace the user's backup codes; returns the new plain codes to show once
+    const regenerateBackupCodes = async (user) => {
+        if (!isEnabled(user)) {
+            throw twoFactorError('TWO_FACTOR_NOT_ENABLED', 'Two-factor authentication is not enabled');
+        }
+
+        const { codes, stored } = generateBackupCodes(user.id);
+        await db.users.update(user.id, { twoFactorBackupCodes: stored });
+        return codes;
+    };
+
+    // Turn 2FA off; `by` is the admin when support resets it for a locked-out user
+    const disable = async (user, { by = null } = {}) => {
+        if (!isEnabled(user)) {
+            throw twoFactorError('TWO_FACTOR_NOT_ENABLED', 'Two-factor authentication is not enabled');
+        }
+
+        const updated = await db.users.update(user.id, {
+            twoFactorEnabled: false,
+            twoFactorSecret: null,
+            twoFactorPendingSecret: null,
+            twoFactorLastStep: null,
+            twoFactorBackupCodes: [],
+            twoFactorEnabledAt: null
+        });
+
+        events.emit('two_factor.disabled', { user: updated, by });
+        return updated;
+    };
+
+    // After a correct password: returns the token the client sends back with a code
+    const startChallenge = async (user, { userAgent, ip } = {}) => {
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(now().getTime() + challengeTtlMinutes * 60 * 1000).toISOString();
+
+        await db.twoFactorChallenges.create({
+            userId: user.id,
+            tokenHash: hashToken(token),
+            status: 'pending',
+            attempts: 0,
+            userAgent: userAgent || null,
+            ip: ip || null,
+            expiresAt,
+            completedAt: null,
+            createdAt: now().toISOString()
+        });
+
+        return { challengeToken: token, expiresAt };
+    };
+
+    // Finish a login challenge with a code; resolves with the user to sign in
+    const completeChallenge = async (token, code) => {
+        const tokenHash = hashToken(String(token));
+
+        // Take an attempt before checking the code, so guesses sent in parallel cannot share one
+        let challenge = null;
+        while (!challenge) {
+            const current = await db.twoFactorChallenges.findByTokenHash(tokenHash);
+
+            if (!current || current.status !== 'pending') {
+                throw twoFactorError('TWO_FACTOR_CHALLENGE_INVALID', 'Invalid or already used login challenge. Please sign in again.');
+            }
+            if (new Date(current.expiresAt) <= now()) {
+                await db.twoFactorChallenges.update(current.id, { status: 'expired' });
+                throw twoFactorError('TWO_FACTOR_CHALLENGE_EXPIRED', 'This login has expired. Please sign in again.');
+            }
+            if (current.attempts >= maxChallengeAttempts) {
+                throw twoFactorError('TWO_FACTOR_ATTEMPTS_EXCEEDED', 'Too many wrong codes. Please sign in again.');
+            }
+
+            challenge = await db.twoFactorChallenges.updateIf(
+                current.id,
+                { status: 'pending', attempts: current.attempts },
+                { attempts: current.attempts + 1 }
+            );
+        }
+
+        const user = await db.users.findById(challenge.userId);
+        if (!user) {
+            throw twoFactorError('TWO_FACTOR_CHALLENGE_INVALID', 'Invalid or already used login challenge. Please sign in again.');
+        }
+
+        let result;
+        try {
+            result = await verifyCode(user, code);
+        } catch (error) {
+            if (error.code !== 'TWO_FACTOR_INVALID_CODE') throw error;
+
+            if (challenge.attempts >= maxChallengeAttempts) {
+                await db.twoFactorChallenges.updateIf(challenge.id, { status: 'pending' }, { status: 'failed' });
+                throw twoFactorError('TWO_FACTOR_ATTEMPTS_EXCEEDED', 'Too many wrong codes. Please sign in again.');
+            }
+
+            throw twoFactorError('TWO_FACTOR_INVALID_CODE', 'Invalid authentication code', {
+                attemptsRemaining: maxChallengeAttempts - challenge.attempts
+            });
+        }
+
+        // Only one request may turn a challenge into a session
+        const completed = await db.twoFactorChallenges.updateIf(challenge.id, { status: 'pending' }, {
+            status: 'completed',
+            completedAt: now().toISOString()
+        });
+        if (!completed) {
+            throw twoFactorError('TWO_FACTOR_CHALLENGE_INVALID', 'Invalid or already used login challenge. Please sign in again.');
+        }
+
+        return { user: await db.users.findById(user.id), ...result };
+    };
+
+    // Record a successful code on the session; returns when the step-up lapses
+    const markStepUp = async (session) => {
+        const stepUpAt = now();
+        await db.sessions.update(session.id, { stepUpAt: stepUpAt.toISOString() });
+        return new Date(stepUpAt.getTime() + stepUpTtlMinutes * 60 * 1000).toISOString();
+    };
+
+    // Whether the session may perform a sensitive action (always, when 2FA is off)
+    const stepUpSatisfied = (user, session) => {
+        if (!isEnabled(user)) return true;
+        if (!session || !session.stepUpAt) return false;
+        return now().getTime() - new Date(session.stepUpAt).getTime() < stepUpTtlMinutes * 60 * 1000;
+    };
+
+    return {
+        events,
+        isEnabled,
+        status,
+        beginEnrolment,
+        confirmEnrolment,
+        verifyCode,
+        regenerateBackupCodes,
+        disable,
+        startChallenge,
+        completeChallenge,
+        markStepUp,
+        stepUpSatisfied,
+        stepUpTtlMinutes
+    };
+};
+
+module.exports = { createTwoFactorService };
@@ -0,0 +1,340 @@
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const { ACCOUNTS } = require('./ledger');
+const { logger } = require('./logger');
+
+// Helper function to build an error the route handlers can map to a response
+const withdrawalError = (code, message) => {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+};
+
+/**
+ * Withdrawals paid out through the payment provider's disbursement API.
+ *
+ * Lifecycle:
+ *   pending_approval -> approved (admin) | rejected (admin) | cancelled (user)
+ *   approved -> processing (sent to the provider) -> successful | failed
+ *   approved -> needs_review (send outcome unknown) -> successful | failed (admin or provider)
+ *
+ * Requesting a withdrawal moves the amount from the user's wallet into a held
+ * account, so it cannot be spent twice. Success pays the hold out; rejection,
+ * cancellation or failure releases it back to the wallet. Sending is retried
+ * with backoff when the provider cannot be reached, up to `maxAttempts`. A
+ * send that still ends in a retryable error may have reached the provider, so
+ * it keeps its hold in `needs_review` until the provider reports it or an
+ * admin resolves it; only a refusal releases the hold on its own.
+ */
+const createWithdrawalService = ({
+    db,
+    ledger,
+    provider,
+    approvalThreshold = Number(process.env.WITHDRAWAL_APPROVAL_THRESHOLD) || 1000000,
+    maxAttempts = Number(process.env.WITHDRAWAL_MAX_ATTEMPTS) || 3,
+    retryDelayMs = Number(process.env.WITHDRAWAL_RETRY_DELAY_MS) || 60 * 1000,
+    now = () => new Date()
+}) => {
+    const events = new EventEmitter();
+    const userLocks = new Map();
+
+    // Immediate sends lease the retry slot so the background job leaves them alone,
+    // but still picks them up if the process dies mid-send
+    const lease = () => new Date(now().getTime() + retryDelayMs).toISOString();
+
+    // Run `fn` after any other balance-changing call for the same user finishes
+    const withUserLock = (userId, fn) => {
+        const previous = userLocks.get(userId) || Promise.resolve();
+        const current = previous.catch(() => {}).then(fn);
+        userLocks.set(userId, current);
+        current.finally(() => {
+            if (userLocks.get(userId) === current) userLocks.delete(userId);
+        }).catch(() => {});
+        return current;
+    };
+
+    const releaseHold = (withdrawal, reason) => ledger.post({
+        idempotencyKey: `withdrawal_release:${withdrawal.id}`,
+        type: 'withdrawal_release',
+        userId: withdrawal.userId,
+        description: `Withdrawal ${reason}, funds returned`,
+        lines: [
+            { account: ACCOUNTS.HELD, debit: withdrawal.amount },
+            { account: ACCOUNTS.WALLET, credit: withdrawal.amount }
+        ],
+        metadata: { withdrawalId: withdrawal.id }
+    });
+
+    const settlePayout = (withdrawal) => ledger.post({
+        idempotencyKey: `withdrawal_paid:${withdrawal.id}`,
+        type: 'withdrawal',
+        userId: withdrawal.userId,
+        description: `Withdrawal to ${withdrawal.phone}`,
+        lines: [
+            { account: ACCOUNTS.HELD, debit: withdrawal.amount },
+            { account: ACCOUNTS.CASH, credit: withdrawal.amount }
+        ],
+        metadata: { withdrawalId: withdrawal.id }
+    });
+
+    // Move a withdrawal to a terminal state and settle its hold. The status is
+    // compared-and-set first so only the caller that wins the transition moves
+    // money; returns null when a racing call changed the status first.
+    const finish = async (withdrawal, status, details = {}) => {
+        const updated = await db.withdrawals.updateIfStatus(withdrawal.id, withdrawal.status, {
+            status,
+            ...details,
+            completedAt: now().toISOString(),
+            updatedAt: now().toISOString()
+        });
+        if (!updated) return null;
+
+        if (status === 'successful') {
+            await settlePayout(updated);
+        } else {
+            await releaseHold(updated, status);
+        }
+
+        events.emit(`withdrawal.${status}`, updated);
+        return updated;
+    };
+
+    // Helper function to refuse a withdrawal that is no longer in the state the caller saw
+    const stateChanged = async (withdrawalId) => {
+        const current = await db.withdrawals.findById(withdrawalId);
+        return withdrawalError('INVALID_STATE', `Withdrawal is ${current.status}`);
+    };
+
+    // `confirm` (e.g. consuming the user's verification code) runs only once the
+    // request has passed every check, so a refused request leaves it unspent
+    const request = (user, { amount }, { confirm } = {}) => withUserLock(user.id, async () => {
+        const { available } = await ledger.getBalance(user.id);
+        if (amount > available) {
+            throw withdrawalError('INSUFFICIENT_FUNDS', 'Insufficient available balance');
+        }
+
+        if (confirm) await confirm();
+
+        const needsApproval = amount >= approvalThreshold;
+        const withdrawal = await db.withdrawals.create({
+            userId: user.id,
+            phone: user.phone,
+            amount,
+            reference: uuidv4(),
+            status: needsApproval ? 'pending_approval' : 'approved',
+            attempts: 0,
+            nextAttemptAt: needsApproval ? null : lease(),
+            providerTransactionId: null,
+            lastError: null,
+            createdAt: now().toISOString()
+        });
+
+        await ledger.post({
+            idempotencyKey: `withdrawal_hold:${withdrawal.id}`,
+            type: 'withdrawal_hold',
+            userId: user.id,
+            description: `Withdrawal to ${user.phone} requested`,
+            lines: [
+                { account: ACCOUNTS.WALLET, debit: amount },
+                { account: ACCOUNTS.HELD, credit: amount }
+            ],
+            metadata: { withdrawalId: withdrawal.id }
+        });
+
+        return needsApproval ? withdrawal : dispatch(withdrawal);
+    });
+
+    const approve = async (withdrawalId, admin) => {
+        const withdrawal = await db.withdrawals.findById(withdrawalId);
+        if (!withdrawal) {
+            throw withdrawalError('WITHDRAWAL_NOT_FOUND', 'Withdrawal not found');
+        }
+        if (withdrawal.status !== 'pending_approval') {
+            throw withdrawalError('INVALID_STATE', `Withdrawal is ${withdrawal.status}`);
+        }
+
+        const approved = await db.withdrawals.updateIfStatus(withdrawal.id, 'pending_approval', {
+            status: 'approved',
+            approvedBy: admin.id,
+            approvedAt: now().toISOString(),
+            nextAttemptAt: lease(),
+            updatedAt: now().toISOString()
+        });
+        if (!approved) {
+            throw await stateChanged(withdrawal.id);
+        }
+
+        return dispatch(approved);
+    };
+
+    const reject = async (withdrawalId, admin, reason) => {
+        const withdrawal = await db.withdrawals.findById(withdrawalId);
+        if (!withdrawal) {
+            throw withdrawalError('WITHDRAWAL_NOT_FOUND', 'Withdrawal not found');
+        }
+        if (withdrawal.status !== 'pending_approval') {
+            throw withdrawalError('INVALID_STATE', `Withdrawal is ${withdrawal.status}`);
+        }
+
+        const rejected = await finish(withdrawal, 'rejected', {
+            rejectedBy: admin.id,
+            rejectionReason: reason || null
+        });
+        if (!rejected) {
+            throw await stateChanged(withdrawal.id);
+        }
+
+        return rejected;
+    };
+
+    const cancel = async (withdrawalId, user) => {
+        const withdrawal = await db.withdrawals.findById(withdrawalId);
+        if (!withdrawal || withdrawal.userId !== user.id) {
+            throw withdrawalError('WITHDRAWAL_NOT_FOUND', 'Withdrawal not found');
+        }
+        if (withdrawal.status !== 'pending_approval') {
+            throw withdrawalError('INVALID_STATE', 'Only withdrawals awaiting approval can be cancelled');
+        }
+
+        const cancelled = await finish(withdrawal, 'cancelled');
+        if (!cancelled) {
+            throw await stateChanged(withdrawal.id);
+        }
+
+        return cancelled;
+    };
+
+    // Send an approved withdrawal to the provider, scheduling a retry on failure
+    const dispatch = async (withdrawal) => {
+        const attempts = withdrawal.attempts + 1;
+
+        try {
+            const result = await provider.disburse({
+                amount: withdrawal.amount,
+                phone: withdrawal.phone,
+                reference: withdrawal.reference,
+                description: 'Star Investments withdrawal',
+                callbackUrl: `${process.env.BACKEND_URL}/api/webhooks/${provider.name}`
+            });
+
+            const updated = await db.withdrawals.updateIfStatus(withdrawal.id, 'approved', {
+                status: 'processing',
+                attempts,
+                nextAttemptAt: null,
+                provider: provider.name,
+                providerTransactionId: result.providerTransactionId,
+                lastError: null,
+                updatedAt: now().toISOString()
+            });
+
+            // Another send of the same withdrawal got there first and owns it now
+            if (!updated) return db.withdrawals.findById(withdrawal.id);
+
+            return applyProviderStatus(updated, result.status, result.providerStatus);
+        } catch (error) {
+            // The provider refused the payout outright, so retrying will not help
+            const permanent = error.retryable === false;
+            const lastError = error.message;
+
+            let settled;
+            if (permanent) {
+                settled = await finish(withdrawal, 'failed', { attempts, lastError });
+            } else if (attempts >= maxAttempts) {
+                // A timeout or garbled answer may hide a payout that went through
+                logger.warn('Withdrawal send outcome unknown, holding for review', { reference: withdrawal.reference, attempts, error });
+                settled = await db.withdrawals.updateIfStatus(withdrawal.id, 'approved', {
+                    status: 'needs_review',
+                    attempts,
+                    lastError,
+                    nextAttemptAt: null,
+                    updatedAt: now().toISOString()
+                });
+            } else {
+                settled = await db.withdrawals.updateIfStatus(withdrawal.id, 'approved', {
+                    attempts,
+                    lastError,
+                    nextAttemptAt: new Date(now().getTime() + retryDelayMs * 2 ** (attempts - 1)).toISOString(),
+                    updatedAt: now().toISOString()
+                });
+            }
+
+            return settled || db.withdrawals.findById(withdrawal.id);
+        }
+    };
+
+    // Apply a status reported by the provider to a withdrawal it has (or may have) received
+    const applyProviderStatus = async (withdrawal, status, providerStatus = null) => {
+        if (!['processing', 'needs_review'].includes(withdrawal.status) || status === 'processing') {
+            return withdrawal;
+        }
+        // A racing callback or poll finished it first and has already announced it
+        return (await finish(withdrawal, status, { providerStatus })) || db.withdrawals.findById(withdrawal.id);
+    };
+
+    const applyStatusByReference = async (reference, status, providerStatus) => {
+        const withdrawal = await db.withdrawals.findByReference(reference);
+        if (!withdrawal) return null;
+        return applyProviderStatus(withdrawal, status, providerStatus);
+    };
+
+    // Retry due sends and poll the provider for withdrawals still processing
+    const processDue = async () => {
+        const approved = await db.withdrawals.findByStatus('approved');
+        for (const withdrawal of approved) {
+            if (withdrawal.nextAttemptAt && new Date(withdrawal.nextAttemptAt) <= now()) {
+                await dispatch(withdrawal);
+            }
+        }
+
+        const processing = await db.withdrawals.findByStatus('processing');
+        for (const withdrawal of processing) {
+            try {
+                const result = await provider.getDisbursementStatus(withdrawal.providerTransactionId);
+                await applyProviderStatus(withdrawal, result.status, result.providerStatus);
+            } catch (error) {
+                logger.error('Withdrawal status check failed', { reference: withdrawal.reference, error });
+            }
+        }
+    };
+
+    // An admin's decision on a withdrawal held for review, after checking with the provider
+    const resolveReview = async (withdrawalId, admin, status, note) => {
+        const withdrawal = await db.withdrawals.findById(withdrawalId);
+        if (!withdrawal) {
+            throw withdrawalError('WITHDRAWAL_NOT_FOUND', 'Withdrawal not found');
+        }
+        if (withdrawal.status !== 'needs_review') {
+            throw withdrawalError('INVALID_STATE', `Withdrawal is ${withdrawal.status}`);
+        }
+
+        const resolved = await finish(withdrawal, status, {
+            reviewedBy: admin.id,
+            reviewNote: note
+        });
+        if (!resolved) {
+            throw await stateChanged(withdrawal.id);
+        }
+
+        return resolved;
+    };
+
+    const listForUser = async (userId) => {
+        const withdrawals = await db.withdrawals.findByUserId(userId);
+        return withdrawals.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    };
+
+    return {
+        events,
+        request,
+        approve,
+        reject,
+        cancel,
+        resolveReview,
+        dispatch,
+        applyStatusByReference,
+        processDue,
+        listForUser
+    };
+};
+
+module.exports = createWithdrawalService;
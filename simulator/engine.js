@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { logger: defaultLogger } = require('../services/logger');
+
+// Helper function to build a MarzPay-style error response
+const errorResponse = (status, message) => ({
+    status,
+    data: { status: 'error', message }
+});
+
+// Helper function to shape a stored transaction like MarzPay does
+const toTransaction = (transaction) => ({
+    uuid: transaction.uuid,
+    reference: transaction.reference,
+    status: transaction.status,
+    amount: transaction.amount,
+    phone_number: transaction.phone,
+    type: transaction.type,
+    created_at: transaction.createdAt,
+    updated_at: transaction.updatedAt
+});
+
+/**
+ * In-process imitation of the MarzPay API for offline development and
+ * integration tests. Collections and payouts start `pending` and, after
+ * `delayMs`, become `successful`, or `failed` when the phone number ends with
+ * `failSuffix`. Each transition is posted to the request's callback URL,
+ * signed the way MarzPay signs webhooks.
+ *
+ * `handle` takes an axios-style request config and resolves with
+ * `{ status, data }`, so it can sit behind an HTTP server or be called
+ * directly by the simulator provider.
+ */
+const createSimulatorEngine = ({
+    secret = process.env.MARZPAY_API_SECRET,
+    delayMs = Number(process.env.SIMULATOR_DELAY_MS) || 3000,
+    failSuffix = process.env.SIMULATOR_FAIL_SUFFIX || '99',
+    postCallback = (url, body, headers) => axios.post(url, body, { headers }),
+    logger = defaultLogger,
+    now = () => new Date()
+} = {}) => {
+    const transactions = new Map();
+    const references = new Map();
+    const timers = new Set();
+
+    const sendCallback = async (transaction) => {
+        if (!transaction.callbackUrl) return;
+
+        const body = JSON.stringify({ transaction: toTransaction(transaction) });
+        const headers = {
+            'Content-Type': 'application/json',
+            'x-marzpay-event-id': `${transaction.uuid}:${transaction.status}`
+        };
+        if (secret) {
+            headers['x-marzpay-signature'] = crypto.createHmac('sha256', secret).update(body).digest('hex');
+        }
+
+        try {
+            await postCallback(transaction.callbackUrl, body, headers);
+        } catch (error) {
+            logger.warn('Simulator callback failed', { reference: transaction.reference, error });
+        }
+    };
+
+    // Move a pending transaction to a final status and notify the callback URL
+    const settle = async (uuid, status) => {
+        const transaction = transactions.get(uuid);
+        if (!transaction || transaction.status !== 'pending') return null;
+
+        transaction.status = status;
+        transaction.updatedAt = now().toISOString();
+        await sendCallback(transaction);
+        return toTransaction(transaction);
+    };
+
+    const create = (type, body = {}) => {
+        const amount = Number(body.amount);
+        const phone = String(body.phone_number || '');
+
+        if (!Number.isFinite(amount) || amount <= 0) {
+            return errorResponse(422, 'The amount field must be a positive number');
+        }
+        if (!/^\+?\d{9,15}$/.test(phone)) {
+            return errorResponse(422, 'The phone number field is invalid');
+        }
+        if (!body.reference) {
+            return errorResponse(422, 'The reference field is required');
+        }
+
+        // References are unique per type; repeating one returns the original
+        const existing = transactions.get(references.get(`${type}:${body.reference}`));
+        if (existing) {
+            return { status: 200, data: { status: 'success', data: { transaction: toTransaction(existing) } } };
+        }
+
+        const transaction = {
+            uuid: uuidv4(),
+            type,
+            reference: body.reference,
+            amount,
+            phone,
+            description: body.description || null,
+            callbackUrl: body.callback_url || null,
+            status: 'pending',
+            createdAt: now().toISOString(),
+            updatedAt: now().toISOString()
+        };
+        transactions.set(transaction.uuid, transaction);
+        references.set(`${type}:${transaction.reference}`, transaction.uuid);
+
+        const outcome = phone.endsWith(failSuffix) ? 'failed' : 'successful';
+        const timer = setTimeout(() => {
+            timers.delete(timer);
+            settle(transaction.uuid, outcome);
+        }, delayMs);
+        timer.unref();
+        timers.add(timer);
+
+        return {
+            status: 200,
+            data: {
+                status: 'success',
+                message: type === 'collection' ? 'Collection initiated' : 'Payout initiated',
+                data: {
+                    transaction: toTransaction(transaction),
+                    ...(type === 'collection' && { collection: { provider: 'simulator', mode: 'sandbox' } })
+                }
+            }
+        };
+    };
+
+    const find = (type, uuid) => {
+        const transaction = transactions.get(uuid);
+        if (!transaction || transaction.type !== type) {
+            return errorResponse(404, 'Transaction not found');
+        }
+        return { status: 200, data: { status: 'success', data: { transaction: toTransaction(transaction) } } };
+    };
+
+    // Route a request the way the MarzPay API would
+    const handle = async ({ method = 'get', url, data }) => {
+        const path = new URL(url, 'http://simulator').pathname;
+        const body = typeof data === 'string' ? Object.fromEntries(new URLSearchParams(data)) : data;
+        const verb = method.toLowerCase();
+        let match;
+
+        if (verb === 'post' && path.endsWith('/collect-money')) return create('collection', body);
+        if (verb === 'post' && path.endsWith('/send-money')) return create('payout', body);
+        if (verb === 'get' && (match = path.match(/\/collect-money\/([^/]+)$/))) return find('collection', match[1]);
+        if (verb === 'get' && (match = path.match(/\/send-money\/([^/]+)$/))) return find('payout', match[1]);
+
+        return errorResponse(404, 'Route not found');
+    };
+
+    // Cancel pending transitions (used on shutdown)
+    const reset = () => {
+        timers.forEach(timer => clearTimeout(timer));
+        timers.clear();
+        transactions.clear();
+        references.clear();
+    };
+
+    return { handle, settle, reset };
+};
+
+module.exports = createSimulatorEngine;
@@ -0,0 +1,61 @@
+require('dotenv').config();
+const express = require('express');
+const createSimulatorEngine = require('./engine');
+const { logger } = require('../services/logger');
+
+/**
+ * Stand-alone MarzPay simulator. Point MARZPAY_API_BASE_URL at it
+ * (e.g. http://localhost:4010/api/v1) to run the real MarzPay provider
+ * against it. Callbacks are signed with MARZPAY_API_SECRET, just like the
+ * real API, so webhooks verify unchanged.
+ *
+ * Besides the MarzPay routes, POST /simulator/transactions/:uuid/settle with
+ * `{ "status": "successful" | "failed" }` settles a pending transaction
+ * immediately, which is handy in integration tests.
+ */
+const app = express();
+const PORT = process.env.SIMULATOR_PORT || 4010;
+const engine = createSimulatorEngine();
+
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
+app.post('/simulator/transactions/:uuid/settle', async (req, res) => {
+    const { status } = req.body;
+
+    if (!['successful', 'failed'].includes(status)) {
+        return res.status(400).json({
+            status: 'error',
+            message: 'Status must be successful or failed'
+        });
+    }
+
+    const transaction = await engine.settle(req.params.uuid, status);
+    if (!transaction) {
+        return res.status(404).json({
+            status: 'error',
+            message: 'No pending transaction with that uuid'
+        });
+    }
+
+    res.status(200).json({ status: 'success', data: { transaction } });
+});
+
+// Everything else is treated as a MarzPay API call
+app.use(async (req, res) => {
+    try {
+        const { status, data } = await engine.handle({
+            method: req.method,
+            url: req.originalUrl,
+            data: req.body
+        });
+        res.status(status).json(data);
+    } catch (error) {
+        logger.error('Simulator error', { error });
+        res.status(500).json({ status: 'error', message: 'Simulator error' });
+    }
+});
+
+app.listen(PORT, () => {
+    logger.info('MarzPay simulator running', { port: PORT });
+});
@@ -0,0 +1,112 @@
+const fs = require('fs');
+const path = require('path');
+const MemoryStore = require('./memoryStore');
+
+// Helper function to check whether a process id belongs to a running process
+const isRunning = (pid) => {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+};
+
+/**
+ * File-backed store. Keeps the working set in memory like MemoryStore and
+ * writes the whole dataset to a JSON file after every change. Writes go to a
+ * temporary file first and are renamed into place so a crash mid-write never
+ * leaves a truncated database behind.
+ *
+ * Because every write replaces the whole file, only one process may use it at
+ * a time: opening the store takes a lock file (`<file>.lock`, holding the pid)
+ * and fails with STORE_LOCKED while another running process holds it. With
+ * `readOnly` the store takes no lock and never writes, so it can be read
+ * while the API server is running; changes then only live in memory.
+ */
+class FileStore extends MemoryStore {
+    constructor(filePath, { readOnly = false } = {}) {
+        super();
+        this.filePath = filePath;
+        this.lockPath = `${filePath}.lock`;
+        this.readOnly = readOnly;
+        this.locked = false;
+        this.writeQueue = Promise.resolve();
+    }
+
+    async lock() {
+        if (this.readOnly || this.locked) return;
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        for (let attempt = 0; attempt < 2; attempt++) {
+            try {
+                await fs.promises.writeFile(this.lockPath, String(process.pid), { flag: 'wx' });
+                this.locked = true;
+                return;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+
+            const holder = Number(await fs.promises.readFile(this.lockPath, 'utf8').catch(() => ''));
+            if (holder && holder !== process.pid && isRunning(holder)) {
+                const error = new Error(`${this.filePath} is in use by process ${holder}`);
+                error.code = 'STORE_LOCKED';
+                throw error;
+            }
+
+            // Left behind by a process that exited without closing the store
+            await fs.promises.rm(this.lockPath, { force: true });
+        }
+
+        throw new Error(`Could not lock ${this.filePath}`);
+    }
+
+    async load() {
+        try {
+            const contents = await fs.promises.readFile(this.filePath, 'utf8');
+            this.data = JSON.parse(contents);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            if (!this.readOnly) await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        }
+    }
+
+    // Serialise writes so two changes never race on the same temp file
+    async persist() {
+        if (this.readOnly) return;
+
+        const snapshot = JSON.stringify(this.data);
+        const tempPath = `${this.filePath}.tmp`;
+
+        this.writeQueue = this.writeQueue
+            .catch(() => {})
+            .then(async () => {
+                await fs.promises.writeFile(tempPath, snapshot);
+                await fs.promises.rename(tempPath, this.filePath);
+            });
+
+        return this.writeQueue;
+    }
+
+    // Health check: the data directory is still writable and the last write succeeded
+    async check() {
+        await super.check();
+        await fs.promises.access(path.dirname(this.filePath), fs.constants.W_OK);
+        await this.writeQueue;
+    }
+
+    // Wait for queued writes to reach the disk (used on shutdown)
+    async flush() {
+        await this.writeQueue;
+    }
+
+    // Finish writing and release the lock so another process can open the file
+    async close() {
+        await this.flush();
+        if (!this.locked) return;
+        await fs.promises.rm(this.lockPath, { force: true });
+        this.locked = false;
+    }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,70 @@
+const path = require('path');
+const MemoryStore = require('./memoryStore');
+const FileStore = require('./fileStore');
+const migrations = require('./migrations');
+const createUserRepository = require('./repositories/users');
+const createTransactionRepository = require('./repositories/transactions');
+const createSessionRepository = require('./repositories/sessions');
+const createWebhookEventRepository = require('./repositories/webhookEvents');
+const createPlanRepository = require('./repositories/plans');
+const createInvestmentRepository = require('./repositories/investments');
+const createJournalRepository = require('./repositories/journals');
+const createWithdrawalRepository = require('./repositories/withdrawals');
+const createPasswordResetRepository = require('./repositories/passwordResets');
+const createAuditLogRepository = require('./repositories/auditLogs');
+const createIdempotencyKeyRepository = require('./repositories/idempotencyKeys');
+const createEmailOutboxRepository = require('./repositories/emailOutbox');
+const createNotificationRepository = require('./repositories/notifications');
+const createPhoneOtpRepository = require('./repositories/phoneOtps');
+const createKycDocumentRepository = require('./repositories/kycDocuments');
+const createKycSubmissionRepository = require('./repositories/kycSubmissions');
+const createTwoFactorChallengeRepository = require('./repositories/twoFactorChallenges');
+const createReconciliationReportRepository = require('./repositories/reconciliationReports');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'star-invest.json');
+
+/**
+ * Create the storage layer. `driver` is "file" (default) or "memory"; the
+ * memory driver keeps nothing between restarts and is meant for tests.
+ * `readOnly` opens the file without locking it or writing to it.
+ */
+const createStorage = (options = {}) => {
+    const driver = options.driver || process.env.STORAGE_DRIVER || 'file';
+
+    let store;
+    if (driver === 'memory') {
+        store = new MemoryStore();
+    } else if (driver === 'file') {
+        store = new FileStore(options.file || process.env.STORAGE_FILE || DEFAULT_FILE, { readOnly: options.readOnly });
+    } else {
+        throw new Error(`Unknown storage driver "${driver}"`);
+    }
+
+    return {
+        store,
+        init: () => store.migrate(migrations),
+        check: () => store.check(),
+        flush: () => store.flush(),
+        close: () => store.close(),
+        users: createUserRepository(store),
+        transactions: createTransactionRepository(store),
+        sessions: createSessionRepository(store),
+        webhookEvents: createWebhookEventRepository(store),
+        plans: createPlanRepository(store),
+        investments: createInvestmentRepository(store),
+        journals: createJournalRepository(store),
+        withdrawals: createWithdrawalRepository(store),
+        passwordResets: createPasswordResetRepository(store),
+        auditLogs: createAuditLogRepository(store),
+        idempotencyKeys: createIdempotencyKeyRepository(store),
+        emailOutbox: createEmailOutboxRepository(store),
+        notifications: createNotificationRepository(store),
+        phoneOtps: createPhoneOtpRepository(store),
+        kycDocuments: createKycDocumentRepository(store),
+        kycSubmissions: createKycSubmissionRepository(store),
+        twoFactorChallenges: createTwoFactorChallengeRepository(store),
+        reconciliationReports: createReconciliationReportRepository(store)
+    };
+};
+
+module.exports = { createStorage, MemoryStore, FileStore };
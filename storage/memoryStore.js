@@ -0,0 +1,257 @@
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('../services/logger');
+
+// Deep copy so callers can never mutate stored records by accident
+const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+
+// Helper function to check whether a record matches an equality filter or predicate
+const matches = (record, filter) => {
+    if (!filter) return true;
+    if (typeof filter === 'function') return filter(record);
+    return Object.keys(filter).every(key => record[key] === filter[key]);
+};
+
+/**
+ * In-memory table store. Every table is keyed by `id` and can declare unique
+ * and non-unique indexes on other fields. The file-backed store extends this
+ * class and only adds loading and persisting.
+ */
+class MemoryStore {
+    constructor() {
+        this.data = { meta: { schemaVersion: 0, tables: {} }, tables: {} };
+        this.indexes = {};
+    }
+
+    // Run every migration newer than the stored schema version
+    async migrate(migrations) {
+        await this.lock();
+        await this.load();
+
+        const pending = migrations
+            .filter(migration => migration.version > this.data.meta.schemaVersion)
+            .sort((a, b) => a.version - b.version);
+
+        for (const migration of pending) {
+            migration.up(this.schema());
+            this.data.meta.schemaVersion = migration.version;
+            logger.info('Applied migration', { version: migration.version, name: migration.name });
+        }
+
+        this.rebuildIndexes();
+
+        if (pending.length > 0) {
+            await this.persist();
+        }
+    }
+
+    // Schema builder handed to migrations
+    schema() {
+        return {
+            createTable: (name, { unique = [], indexes = [] } = {}) => {
+                if (this.data.meta.tables[name]) {
+                    throw new Error(`Table "${name}" already exists`);
+                }
+                this.data.meta.tables[name] = { unique, indexes };
+                this.data.tables[name] = [];
+            },
+            addIndex: (name, field, { unique = false } = {}) => {
+                const definition = this.tableDefinition(name);
+                const list = unique ? definition.unique : definition.indexes;
+                if (!list.includes(field)) list.push(field);
+            },
+            dropIndex: (name, field) => {
+                const definition = this.tableDefinition(name);
+                definition.unique = definition.unique.filter(f => f !== field);
+                definition.indexes = definition.indexes.filter(f => f !== field);
+            },
+            updateAll: (name, fn) => {
+                this.tableDefinition(name);
+                this.data.tables[name] = this.data.tables[name].map(record => fn(record) || record);
+            },
+            rows: (name) => {
+                this.tableDefinition(name);
+                return clone(this.data.tables[name]);
+            }
+        };
+    }
+
+    // Locking is a no-op for the in-memory store, which no other process can see
+    async lock() {}
+
+    // Loading is a no-op for the in-memory store
+    async load() {}
+
+    // Persisting is a no-op for the in-memory store
+    async persist() {}
+
+    // Health check: the store has been loaded and migrated
+    async check() {
+        if (this.data.meta.schemaVersion === 0) {
+            throw new Error('Storage has not been initialised');
+        }
+    }
+
+    // Wait for pending writes; nothing is ever pending in memory
+    async flush() {}
+
+    // Release the store once the process is done with it
+    async close() {}
+
+    tableDefinition(table) {
+        const definition = this.data.meta.tables[table];
+        if (!definition) {
+            throw new Error(`Unknown table "${table}"`);
+        }
+        return definition;
+    }
+
+    rebuildIndexes() {
+        this.indexes = {};
+        for (const table of Object.keys(this.data.meta.tables)) {
+            const { unique, indexes } = this.data.meta.tables[table];
+            this.indexes[table] = { id: new Map() };
+            for (const field of [...unique, ...indexes]) {
+                this.indexes[table][field] = new Map();
+            }
+            for (const record of this.data.tables[table]) {
+                this.indexRecord(table, record);
+            }
+        }
+    }
+
+    indexRecord(table, record) {
+        const { unique, indexes } = this.tableDefinition(table);
+        this.indexes[table].id.set(record.id, record);
+        for (const field of unique) {
+            if (record[field] !== undefined && record[field] !== null) {
+                this.indexes[table][field].set(record[field], record);
+            }
+        }
+        for (const field of indexes) {
+            if (record[field] === undefined || record[field] === null) continue;
+            const bucket = this.indexes[table][field].get(record[field]) || new Set();
+            bucket.add(record);
+            this.indexes[table][field].set(record[field], bucket);
+        }
+    }
+
+    unindexRecord(table, record) {
+        const { unique, indexes } = this.tableDefinition(table);
+        this.indexes[table].id.delete(record.id);
+        for (const field of unique) {
+            if (this.indexes[table][field].get(record[field]) === record) {
+                this.indexes[table][field].delete(record[field]);
+            }
+        }
+        for (const field of indexes) {
+            const bucket = this.indexes[table][field].get(record[field]);
+            if (!bucket) continue;
+            bucket.delete(record);
+            if (bucket.size === 0) this.indexes[table][field].delete(record[field]);
+        }
+    }
+
+    // Throw if a record would violate one of the table's unique indexes
+    assertUnique(table, record, existing) {
+        const { unique } = this.tableDefinition(table);
+        for (const field of ['id', ...unique]) {
+            if (record[field] === undefined || record[field] === null) continue;
+            const owner = this.indexes[table][field].get(record[field]);
+            if (owner && owner !== existing) {
+                const error = new Error(`Duplicate value for ${table}.${field}`);
+                error.code = 'UNIQUE_VIOLATION';
+                error.field = field;
+                throw error;
+            }
+        }
+    }
+
+    async insert(table, record) {
+        this.tableDefinition(table);
+        const stored = clone({ id: uuidv4(), ...record });
+        this.assertUnique(table, stored);
+        this.data.tables[table].push(stored);
+        this.indexRecord(table, stored);
+        await this.persist();
+        return clone(stored);
+    }
+
+    async update(table, id, changes) {
+        this.tableDefinition(table);
+        const existing = this.indexes[table].id.get(id);
+        if (!existing) return null;
+
+        const updated = clone({ ...existing, ...changes, id });
+        this.assertUnique(table, updated, existing);
+
+        this.unindexRecord(table, existing);
+        Object.keys(existing).forEach(key => delete existing[key]);
+        Object.assign(existing, updated);
+        this.indexRecord(table, existing);
+
+        await this.persist();
+        return clone(existing);
+    }
+
+    // Update only while the record still matches `expected` (an equality filter or
+    // predicate), so of two writers racing on the same record only one wins. Returns null otherwise.
+    async updateWhere(table, id, expected, changes) {
+        this.tableDefinition(table);
+        const existing = this.indexes[table].id.get(id);
+        if (!existing || !matches(existing, expected)) return null;
+        return this.update(table, id, changes);
+    }
+
+    async remove(table, id) {
+        this.tableDefinition(table);
+        const existing = this.indexes[table].id.get(id);
+        if (!existing) return false;
+
+        this.unindexRecord(table, existing);
+        this.data.tables[table] = this.data.tables[table].filter(record => record !== existing);
+        await this.persist();
+        return true;
+    }
+
+    async get(table, id) {
+        this.tableDefinition(table);
+        return clone(this.indexes[table].id.get(id)) || null;
+    }
+
+    // Look up a single record, using an index when the field has one
+    async findOne(table, field, value) {
+        const definition = this.tableDefinition(table);
+        const index = this.indexes[table][field];
+
+        if (index && (field === 'id' || definition.unique.includes(field))) {
+            return clone(index.get(value)) || null;
+        }
+        if (index) {
+            const bucket = index.get(value);
+            return bucket ? clone(bucket.values().next().value) : null;
+        }
+        return clone(this.data.tables[table].find(record => record[field] === value)) || null;
+    }
+
+    // Find every record matching an equality filter or predicate function
+    async findMany(table, filter) {
+        const definition = this.tableDefinition(table);
+        let candidates = this.data.tables[table];
+
+        // Narrow the scan with the first indexed field in the filter
+        if (filter && typeof filter === 'object') {
+            const indexedField = Object.keys(filter).find(field => definition.indexes.includes(field));
+            if (indexedField) {
+                candidates = [...(this.indexes[table][indexedField].get(filter[indexedField]) || [])];
+            }
+        }
+
+        return candidates.filter(record => matches(record, filter)).map(clone);
+    }
+
+    async count(table, filter) {
+        return (await this.findMany(table, filter)).length;
+    }
+}
+
+module.exports = MemoryStore;
@@ -0,0 +1,320 @@
+const crypto = require('crypto');
+
+// Schema migrations, applied in order by version. Never edit a migration that
+// has shipped; add a new one instead.
+module.exports = [
+    {
+        version: 1,
+        name: 'create_users_and_transactions',
+        up: (schema) => {
+            schema.createTable('users', {
+                unique: ['phone', 'email'],
+                indexes: ['verificationToken']
+            });
+            schema.createTable('transactions', {
+                unique: ['reference'],
+                indexes: ['phone', 'status']
+            });
+        }
+    },
+    {
+        version: 2,
+        name: 'create_sessions_and_refresh_tokens',
+        up: (schema) => {
+            schema.createTable('sessions', {
+                indexes: ['userId']
+            });
+            schema.createTable('refreshTokens', {
+                unique: ['tokenHash'],
+                indexes: ['sessionId']
+            });
+        }
+    },
+    {
+        version: 3,
+        name: 'create_webhook_events',
+        up: (schema) => {
+            schema.createTable('webhookEvents', {
+                unique: ['eventKey'],
+                indexes: ['reference']
+            });
+        }
+    },
+    {
+        version: 4,
+        name: 'create_plans_and_investments',
+        up: (schema) => {
+            schema.createTable('plans', {
+                unique: ['name']
+            });
+            schema.createTable('investments', {
+                unique: ['transactionId'],
+                indexes: ['userId', 'status']
+            });
+            schema.addIndex('transactions', 'userId');
+
+            // Investments now live in their own table, and every user gets a role
+            schema.updateAll('users', (user) => {
+                const { investments, ...rest } = user;
+                return { role: 'user', ...rest };
+            });
+        }
+    },
+    {
+        version: 5,
+        name: 'create_ledger_journals',
+        up: (schema) => {
+            schema.createTable('journals', {
+                unique: ['idempotencyKey'],
+                indexes: ['userId', 'type']
+            });
+        }
+    },
+    {
+        version: 6,
+        name: 'create_withdrawals',
+        up: (schema) => {
+            schema.createTable('withdrawals', {
+                unique: ['reference'],
+                indexes: ['userId', 'status', 'providerTransactionId']
+            });
+        }
+    },
+    {
+        version: 7,
+        name: 'add_user_referral_codes',
+        up: (schema) => {
+            const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+            const issued = new Set();
+            const newCode = () => {
+                let code;
+                do {
+                    code = Array.from(crypto.randomBytes(8), byte => alphabet[byte % alphabet.length]).join('');
+                } while (issued.has(code));
+                issued.add(code);
+                return code;
+            };
+
+            // `referralCode` used to hold the code typed in at registration; it is
+            // now the user's own shareable code
+            schema.updateAll('users', (user) => ({
+                ...user,
+                referralCode: newCode(),
+                referredByCode: user.referralCode || null,
+                referredBy: null
+            }));
+            schema.addIndex('users', 'referralCode', { unique: true });
+            schema.addIndex('users', 'referredBy');
+        }
+    },
+    {
+        version: 8,
+        name: 'create_password_resets',
+        up: (schema) => {
+            schema.createTable('passwordResets', {
+                unique: ['tokenHash'],
+                indexes: ['userId']
+            });
+        }
+    },
+    {
+        version: 9,
+        name: 'hash_email_verification_tokens',
+        up: (schema) => {
+            // Outstanding plain tokens keep working until the usual 24 hour expiry
+            const issuedAt = new Date();
+            const expiresAt = new Date(issuedAt.getTime() + 24 * 60 * 60 * 1000);
+
+            schema.updateAll('users', (user) => {
+                const { verificationToken, ...rest } = user;
+                return {
+                    ...rest,
+                    verificationTokenHash: verificationToken
+                        ? crypto.createHash('sha256').update(verificationToken).digest('hex')
+                        : null,
+                    verificationTokenIssuedAt: verificationToken ? issuedAt.toISOString() : null,
+                    verificationTokenExpiresAt: verificationToken ? expiresAt.toISOString() : null,
+                    verificationLastSentAt: verificationToken ? user.createdAt : null
+                };
+            });
+            schema.dropIndex('users', 'verificationToken');
+            schema.addIndex('users', 'verificationTokenHash');
+            schema.addIndex('users', 'isVerified');
+        }
+    },
+    {
+        version: 10,
+        name: 'create_audit_logs',
+        up: (schema) => {
+            schema.createTable('auditLogs', {
+                indexes: ['actorId', 'targetId', 'action']
+            });
+            schema.updateAll('users', (user) => ({
+                isSuspended: false,
+                ...user
+            }));
+        }
+    },
+    {
+        version: 11,
+        name: 'link_transactions_to_users',
+        up: (schema) => {
+            // Older transactions only recorded the paying phone number
+            const userIdsByPhone = {};
+            schema.rows('users').forEach(user => {
+                userIdsByPhone[user.phone] = user.id;
+            });
+
+            schema.updateAll('transactions', (transaction) => ({
+                ...transaction,
+                userId: transaction.userId || userIdsByPhone[transaction.phone] || null
+            }));
+            schema.updateAll('users', (user) => ({
+                mobileMoneyNumbers: [],
+                ...user
+            }));
+        }
+    },
+    {
+        version: 12,
+        name: 'create_idempotency_keys',
+        up: (schema) => {
+            schema.createTable('idempotencyKeys', {
+                unique: ['scopedKey']
+            });
+        }
+    },
+    {
+        version: 13,
+        name: 'add_login_lockout',
+        up: (schema) => {
+            schema.updateAll('users', (user) => ({
+                failedLoginAttempts: 0,
+                lockoutCount: 0,
+                lockedUntil: null,
+                unlockTokenHash: null,
+                ...user
+            }));
+            schema.addIndex('users', 'unlockTokenHash', { unique: true });
+        }
+    },
+    {
+        version: 14,
+        name: 'create_email_outbox',
+        up: (schema) => {
+            schema.createTable('emailOutbox', {
+                indexes: ['status', 'userId']
+            });
+            schema.updateAll('users', (user) => ({
+                language: 'en',
+                ...user
+            }));
+        }
+    },
+    {
+        version: 15,
+        name: 'create_notifications',
+        up: (schema) => {
+            schema.createTable('notifications', {
+                indexes: ['userId']
+            });
+            schema.updateAll('users', (user) => ({
+                notificationPreferences: {},
+                ...user
+            }));
+        }
+    },
+    {
+        version: 16,
+        name: 'create_phone_otps',
+        up: (schema) => {
+            schema.createTable('phoneOtps', {
+                indexes: ['phone']
+            });
+            // Existing accounts confirm their number with a code at their next login
+            schema.updateAll('users', (user) => ({
+                phoneVerified: false,
+                phoneVerifiedAt: null,
+                ...user
+            }));
+        }
+    },
+    {
+        version: 17,
+        name: 'lowercase_user_emails',
+        up: (schema) => {
+            // Emails are now lowercased on input, so stored ones must match. An
+            // address that would then clash with another account is left as is.
+            const taken = new Set(schema.rows('users').map(user => user.email));
+            schema.updateAll('users', (user) => {
+                const email = user.email.toLowerCase();
+                if (email === user.email || taken.has(email)) return user;
+                taken.add(email);
+                return { ...user, email };
+            });
+        }
+    },
+    {
+        version: 18,
+        name: 'create_kyc',
+        up: (schema) => {
+            schema.createTable('kycDocuments', {
+                indexes: ['userId']
+            });
+            schema.createTable('kycSubmissions', {
+                indexes: ['userId', 'status', 'nationalId']
+            });
+            schema.updateAll('users', (user) => ({
+                displayName: null,
+                fullName: null,
+                pendingEmail: null,
+                kycStatus: 'none',
+                ...user
+            }));
+        }
+    },
+    {
+        version: 19,
+        name: 'create_two_factor',
+        up: (schema) => {
+            schema.createTable('twoFactorChallenges', {
+                unique: ['tokenHash'],
+                indexes: ['userId']
+            });
+            schema.updateAll('users', (user) => ({
+                twoFactorEnabled: false,
+                twoFactorSecret: null,
+                twoFactorPendingSecret: null,
+                twoFactorLastStep: null,
+                twoFactorBackupCodes: [],
+                twoFactorEnabledAt: null,
+                ...user
+            }));
+        }
+    },
+    {
+        version: 20,
+        name: 'add_statement_period',
+        up: (schema) => {
+            schema.updateAll('users', (user) => ({
+                lastStatementPeriod: null,
+                ...user
+            }));
+        }
+    },
+    {
+        version: 21,
+        name: 'create_reconciliation_reports',
+        up: (schema) => {
+            schema.createTable('reconciliationReports', {
+                indexes: ['trigger']
+            });
+            schema.updateAll('transactions', (transaction) => ({
+                reconcileAttempts: 0,
+                nextReconcileAt: null,
+                lastReconciledAt: null,
+                ...transaction
+            }));
+        }
+    }
+];
@@ -0,0 +1,10 @@
+const TABLE = 'auditLogs';
+
+// Data access for the admin audit trail (append-only)
+const createAuditLogRepository = (store) => ({
+    create: (entry) => store.insert(TABLE, entry),
+
+    list: (filter) => store.findMany(TABLE, filter)
+});
+
+module.exports = createAuditLogRepository;
@@ -0,0 +1,19 @@
+const TABLE = 'emailOutbox';
+
+// Data access for queued transactional emails
+const createEmailOutboxRepository = (store) => ({
+    create: (message) => store.insert(TABLE, message),
+
+    update: (id, changes) => store.update(TABLE, id, changes),
+
+    // Returns null when the message no longer matches `expected`
+    updateIf: (id, expected, changes) => store.updateWhere(TABLE, id, expected, changes),
+
+    findById: (id) => store.get(TABLE, id),
+
+    findByUserId: (userId) => store.findMany(TABLE, { userId }),
+
+    findByStatus: (status) => store.findMany(TABLE, { status })
+});
+
+module.exports = createEmailOutboxRepository;
@@ -0,0 +1,19 @@
+const TABLE = 'idempotencyKeys';
+
+// Data access for Idempotency-Key records and the responses cached against them
+const createIdempotencyKeyRepository = (store) => ({
+    create: (record) => store.insert(TABLE, record),
+
+    update: (id, changes) => store.update(TABLE, id, changes),
+
+    // Returns null when the record no longer matches `expected`
+    updateIf: (id, expected, changes) => store.updateWhere(TABLE, id, expected, changes),
+
+    remove: (id) => store.remove(TABLE, id),
+
+    findByScopedKey: (scopedKey) => store.findOne(TABLE, 'scopedKey', scopedKey),
+
+    list: (filter) => store.findMany(TABLE, filter)
+});
+
+module.exports = createIdempotencyKeyRepository;
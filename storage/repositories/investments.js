@@ -0,0 +1,18 @@
+const TABLE = 'investments';
+
+// Data access for investments created from settled payments
+const createInvestmentRepository = (store) => ({
+    create: (investment) => store.insert(TABLE, investment),
+
+    update: (id, changes) => store.update(TABLE, id, changes),
+
+    findById: (id) => store.get(TABLE, id),
+
+    findByTransactionId: (transactionId) => store.findOne(TABLE, 'transactionId', transactionId),
+
+    findByUserId: (userId) => store.findMany(TABLE, { userId }),
+
+    findByStatus: (status) => store.findMany(TABLE, { status })
+});
+
+module.exports = createInvestmentRepository;
@@ -0,0 +1,15 @@
+const TABLE = 'journals';
+
+// Data access for ledger journals. Each journal stores its debit/credit lines
+// inline so a posting is written in a single insert.
+const createJournalRepository = (store) => ({
+    create: (journal) => store.insert(TABLE, journal),
+
+    findByIdempotencyKey: (idempotencyKey) => store.findOne(TABLE, 'idempotencyKey', idempotencyKey),
+
+    findByUserId: (userId) => store.findMany(TABLE, { userId }),
+
+    list: (filter) => store.findMany(TABLE, filter)
+});
+
+module.exports = createJournalRepository;
@@ -0,0 +1,14 @@
+const TABLE = 'kycDocuments';
+
+// Data access for uploaded identity documents (the files themselves live on disk)
+const createKycDocumentRepository = (store) => ({
+    create: (document) => store.insert(TABLE, document),
+
+    update: (id, changes) => store.update(TABLE, id, changes),
+
+    findById: (id) => store.get(TABLE, id),
+
+    findByUserId: (userId) => store.findMany(TABLE, { userId })
+});
+
+module.exports = createKycDocumentRepository;
@@ -0,0 +1,18 @@
+const TABLE = 'kycSubmissions';
+
+// Data access for KYC submissions and their review outcome
+const createKycSubmissionRepository = (store) => ({
+    create: (submission) => store.insert(TABLE, submission),
+
+    update: (id, changes) => store.update(TABLE, id, changes),
+
+    findById: (id) => store.get(TABLE, id),
+
+    findByUserId: (userId) => store.findMany(TABLE, { userId }),
+
+    findByNationalId: (nationalId) => store.findMany(TABLE, { nationalId }),
+
+    list: (filter) => store.findMany(TABLE, filter)
+});
+
+module.exports = createKycSubmissionRepository;
@@ -0,0 +1,14 @@
+const TABLE = 'notifications';
+
+// Data access for in-app notifications
+const createNotificationRepository = (store) => ({
+    create: (notification) => store.insert(TABLE, notification),
+
+    update: (id, changes) => store.update(TABLE, id, changes),
+
+    findById: (id) => store.get(TABLE, id),
+
+    findByUserId: (userId) => store.findMany(TABLE, { userId })
+});
+
+module.exports = createNotificationRepository;
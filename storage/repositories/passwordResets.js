@@ -0,0 +1,17 @@
+const TABLE = 'passwordResets';
+
+// Data access for password reset tokens (stored as hashes only)
+const createPasswordResetRepository = (store) => ({
+    create: (reset) => store.insert(TABLE, reset),
+
+    update: (id, changes) => store.update(TABLE, id, changes),
+
+    // Returns null when the reset no longer matches `expected`
+    updateIf: (id, expected, changes) => store.updateWhere(TABLE, id, expected, changes),
+
+    findByTokenHash: (tokenHash) => store.findOne(TABLE, 'tokenHash', tokenHash),
+
+    findByUserId: (userId) => store.findMany(TABLE, { userId })
+});
+
+module.exports = createPasswordResetRepository;
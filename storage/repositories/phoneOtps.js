@@ -0,0 +1,17 @@
+const TABLE = 'phoneOtps';
+
+// Data access for SMS one-time passcodes (stored as hashes only)
+const createPhoneOtpRepository = (store) => ({
+    create: (otp) => store.insert(TABLE, otp),
+
+    update: (id, changes) => store.update(TABLE, id, changes),
+
+    // Returns null when the code no longer matches `expected`
+    updateIf: (id, expected, changes) => store.updateWhere(TABLE, id, expected, changes),
+
+    findByPhone: (phone) => store.findMany(TABLE, { phone }),
+
+    remove: (id) => store.remove(TABLE, id)
+});
+
+module.exports = createPhoneOtpRepository;
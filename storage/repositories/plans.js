@@ -0,0 +1,16 @@
+const TABLE = 'plans';
+
+// Data access for the investment plan catalogue
+const createPlanRepository = (store) => ({
+    create: (plan) => store.insert(TABLE, plan),
+
+    update: (id, changes) => store.update(TABLE, id, changes),
+
+    findById: (id) => store.get(TABLE, id),
+
+    findByName: (name) => store.findOne(TABLE, 'name', name),
+
+    list: (filter) => store.findMany(TABLE, filter)
+});
+
+module.exports = createPlanRepository;
@@ -0,0 +1,12 @@
+const TABLE = 'reconciliationReports';
+
+// Data access for payment reconciliation runs and the discrepancies they found (append-only)
+const createReconciliationReportRepository = (store) => ({
+    create: (report) => store.insert(TABLE, report),
+
+    findById: (id) => store.get(TABLE, id),
+
+    list: (filter) => store.findMany(TABLE, filter)
+});
+
+module.exports = createReconciliationReportRepository;
@@ -0,0 +1,30 @@
+const SESSIONS = 'sessions';
+const REFRESH_TOKENS = 'refreshTokens';
+
+// Data access for login sessions and the refresh tokens rotated within them
+const createSessionRepository = (store) => ({
+    create: (session) => store.insert(SESSIONS, session),
+
+    update: (id, changes) => store.update(SESSIONS, id, changes),
+
+    findById: (id) => store.get(SESSIONS, id),
+
+    findByUserId: (userId) => store.findMany(SESSIONS, { userId }),
+
+    remove: (id) => store.remove(SESSIONS, id),
+
+    createRefreshToken: (token) => store.insert(REFRESH_TOKENS, token),
+
+    updateRefreshToken: (id, changes) => store.update(REFRESH_TOKENS, id, changes),
+
+    // Returns null when the refresh token no longer matches `expected`
+    updateRefreshTokenIf: (id, expected, changes) => store.updateWhere(REFRESH_TOKENS, id, expected, changes),
+
+    findRefreshTokenByHash: (tokenHash) => store.findOne(REFRESH_TOKENS, 'tokenHash', tokenHash),
+
+    findRefreshTokensBySessionId: (sessionId) => store.findMany(REFRESH_TOKENS, { sessionId }),
+
+    removeRefreshToken: (id) => store.remove(REFRESH_TOKENS, id)
+});
+
+module.exports = createSessionRepository;
@@ -0,0 +1,27 @@
+const TABLE = 'transactions';
+
+// Data access for payment transactions. `id` and `reference` are uuids we
+// generate per payment (older records used the provider's uuid as `id`);
+// `providerTransactionId` is the provider's uuid once it accepts the collection.
+const createTransactionRepository = (store) => ({
+    create: (transaction) => store.insert(TABLE, transaction),
+
+    update: (id, changes) => store.update(TABLE, id, changes),
+
+    // Returns null when the status is no longer `status`
+    updateIfStatus: (id, status, changes) => store.updateWhere(TABLE, id, { status }, changes),
+
+    findById: (id) => store.get(TABLE, id),
+
+    findByReference: (reference) => store.findOne(TABLE, 'reference', reference),
+
+    findByPhone: (phone) => store.findMany(TABLE, { phone }),
+
+    findByUserId: (userId) => store.findMany(TABLE, { userId }),
+
+    findByStatus: (status) => store.findMany(TABLE, { status }),
+
+    list: (filter) => store.findMany(TABLE, filter)
+});
+
+module.exports = createTransactionRepository;
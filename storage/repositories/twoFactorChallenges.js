@@ -0,0 +1,15 @@
+const TABLE = 'twoFactorChallenges';
+
+// Data access for two-step login challenges (tokens stored as hashes only)
+const createTwoFactorChallengeRepository = (store) => ({
+    create: (challenge) => store.insert(TABLE, challenge),
+
+    update: (id, changes) => store.update(TABLE, id, changes),
+
+    // Returns null when the challenge no longer matches `expected`
+    updateIf: (id, expected, changes) => store.updateWhere(TABLE, id, expected, changes),
+
+    findByTokenHash: (tokenHash) => store.findOne(TABLE, 'tokenHash', tokenHash)
+});
+
+module.exports = createTwoFactorChallengeRepository;
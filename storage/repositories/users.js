@@ -0,0 +1,31 @@
+const TABLE = 'users';
+
+// Data access for user accounts
+const createUserRepository = (store) => ({
+    create: (user) => store.insert(TABLE, user),
+
+    update: (id, changes) => store.update(TABLE, id, changes),
+
+    // Returns null when the user no longer matches `expected` (a filter or predicate)
+    updateIf: (id, expected, changes) => store.updateWhere(TABLE, id, expected, changes),
+
+    findById: (id) => store.get(TABLE, id),
+
+    findByPhone: (phone) => store.findOne(TABLE, 'phone', phone),
+
+    findByEmail: (email) => store.findOne(TABLE, 'email', email),
+
+    findByVerificationTokenHash: (tokenHash) => store.findOne(TABLE, 'verificationTokenHash', tokenHash),
+
+    findByUnlockTokenHash: (tokenHash) => store.findOne(TABLE, 'unlockTokenHash', tokenHash),
+
+    findByReferralCode: (code) => store.findOne(TABLE, 'referralCode', code),
+
+    findReferredBy: (userId) => store.findMany(TABLE, { referredBy: userId }),
+
+    list: (filter) => store.findMany(TABLE, filter),
+
+    remove: (id) => store.remove(TABLE, id)
+});
+
+module.exports = createUserRepository;
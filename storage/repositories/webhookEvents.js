@@ -0,0 +1,12 @@
+const TABLE = 'webhookEvents';
+
+// Data access for webhook deliveries we have already processed
+const createWebhookEventRepository = (store) => ({
+    create: (event) => store.insert(TABLE, event),
+
+    findByEventKey: (eventKey) => store.findOne(TABLE, 'eventKey', eventKey),
+
+    findByReference: (reference) => store.findMany(TABLE, { reference })
+});
+
+module.exports = createWebhookEventRepository;
@@ -0,0 +1,21 @@
+const TABLE = 'withdrawals';
+
+// Data access for withdrawal (payout) requests
+const createWithdrawalRepository = (store) => ({
+    create: (withdrawal) => store.insert(TABLE, withdrawal),
+
+    update: (id, changes) => store.update(TABLE, id, changes),
+
+    // Returns null when the status is no longer `status`
+    updateIfStatus: (id, status, changes) => store.updateWhere(TABLE, id, { status }, changes),
+
+    findById: (id) => store.get(TABLE, id),
+
+    findByReference: (reference) => store.findOne(TABLE, 'reference', reference),
+
+    findByUserId: (userId) => store.findMany(TABLE, { userId }),
+
+    findByStatus: (status) => store.findMany(TABLE, { status })
+});
+
+module.exports = createWithdrawalRepository;
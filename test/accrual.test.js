@@ -0,0 +1,131 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDb, createClock, createPlan, createUser } = require('./helpers');
+const { createLedgerService } = require('../services/ledger');
+const createInvestmentService = require('../services/investments');
+const createAccrualJob = require('../jobs/accrual');
+
+// A funded 30-day plan: 100,000 UGX at 2% a day
+const setup = async () => {
+    const db = await createTestDb();
+    const clock = createClock();
+    const ledger = createLedgerService({ db, now: clock.now });
+    const investments = createInvestmentService({ db, ledger, now: clock.now });
+    const accrual = createAccrualJob({ db, ledger, now: clock.now });
+
+    const plan = await createPlan(db);
+    const user = await createUser(db);
+    const investment = await investments.createFromTransaction({
+        id: 'txn-1',
+        userId: user.id,
+        planId: plan.id,
+        amount: 100000
+    });
+
+    return { db, clock, ledger, accrual, user, investment };
+};
+
+const accrualKeys = async (db, userId) => (await db.journals.findByUserId(userId))
+    .filter(journal => journal.type === 'accrual')
+    .map(journal => journal.idempotencyKey)
+    .sort();
+
+test('credits one journal per elapsed day, keyed by investment and day', async () => {
+    const { db, clock, ledger, accrual, user, investment } = await setup();
+
+    clock.advanceDays(10);
+    const summary = await accrual.runOnce();
+
+    assert.equal(summary.daysCredited, 10);
+    const keys = await accrualKeys(db, user.id);
+    assert.equal(keys.length, 10);
+    assert.ok(keys.includes(`accrual:${investment.id}:1`));
+    assert.ok(keys.includes(`accrual:${investment.id}:10`));
+
+    const balance = await ledger.getBalance(user.id);
+    assert.equal(balance.available, 10 * 2000);
+    assert.equal(balance.invested, 100000);
+    assert.equal((await db.investments.findById(investment.id)).accruedDays, 10);
+});
+
+test('does not credit a part day', async () => {
+    const { clock, accrual } = await setup();
+
+    clock.advance(23 * 60 * 60 * 1000);
+    const summary = await accrual.runOnce();
+
+    assert.equal(summary.daysCredited, 0);
+});
+
+test('re-running for the same day credits nothing twice', async () => {
+    const { db, clock, ledger, accrual, user, investment } = await setup();
+
+    clock.advanceDays(5);
+    await accrual.runOnce();
+    const again = await accrual.runOnce();
+    assert.equal(again.daysCredited, 0);
+
+    // A crash after posting but before the investment was updated: the ledger keys still hold
+    await db.investments.update(investment.id, { accruedDays: 0 });
+    await accrual.runOnce();
+
+    assert.equal((await accrualKeys(db, user.id)).length, 5);
+    assert.equal((await ledger.getBalance(user.id)).available, 5 * 2000);
+});
+
+test('announces credited returns only once the investment records them', async () => {
+    const { db, clock, accrual, investment } = await setup();
+    const credited = [];
+    accrual.events.on('returns.credited', event => credited.push(event));
+
+    // The investment update fails after the journals were posted
+    const update = db.investments.update;
+    db.investments.update = async () => {
+        throw new Error('Disk full');
+    };
+    clock.advanceDays(3);
+    await accrual.runOnce();
+    assert.deepEqual(credited, []);
+
+    db.investments.update = update;
+    await accrual.runOnce();
+
+    assert.equal(credited.length, 1);
+    assert.equal(credited[0].accruedDays, 3);
+    assert.equal(credited[0].investment.accruedDays, 3);
+    assert.equal((await db.investments.findById(investment.id)).accruedDays, 3);
+});
+
+test('matures after 30 days and returns the principal once', async () => {
+    const { db, clock, ledger, accrual, user, investment } = await setup();
+    const matured = [];
+    accrual.events.on('investment.matured', item => matured.push(item));
+
+    clock.advanceDays(12);
+    await accrual.runOnce();
+    clock.advanceDays(25);
+    const summary = await accrual.runOnce();
+
+    assert.equal(summary.daysCredited, 18);
+    assert.deepEqual(summary.matured, [investment.id]);
+    assert.equal(matured.length, 1);
+
+    const stored = await db.investments.findById(investment.id);
+    assert.equal(stored.status, 'matured');
+    assert.equal(stored.accruedDays, 30);
+
+    const journals = await db.journals.findByUserId(user.id);
+    assert.equal(journals.filter(journal => journal.idempotencyKey === `maturity:${investment.id}`).length, 1);
+    assert.equal((await accrualKeys(db, user.id)).length, 30);
+
+    const balance = await ledger.getBalance(user.id);
+    assert.equal(balance.available, 100000 + 30 * 2000);
+    assert.equal(balance.invested, 0);
+    assert.equal(balance.totalReturns, 30 * 2000);
+
+    // Matured investments are no longer active, so later runs leave them alone
+    clock.advanceDays(1);
+    const later = await accrual.runOnce();
+    assert.equal(later.investments, 0);
+    assert.equal((await ledger.getBalance(user.id)).available, 160000);
+});
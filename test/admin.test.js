@@ -0,0 +1,196 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { createTestDb, createUser } = require('./helpers');
+const createAdminRouter = require('../routes/admin');
+const { notFound, errorHandler } = require('../middleware/errors');
+const createAuditLog = require('../services/audit');
+const { createLedgerService } = require('../services/ledger');
+const createInvestmentService = require('../services/investments');
+const { createKycService } = require('../services/kyc');
+const { createPaymentService } = require('../services/payments');
+
+const MISSING_ID = 'no-such-id';
+
+// The admin API as the server mounts it, signed in as an admin
+const setup = async ({ provider = null } = {}) => {
+    const db = await createTestDb();
+    const ledger = createLedgerService({ db });
+    const investments = createInvestmentService({ db, ledger });
+    const kyc = createKycService({ db });
+    const payments = createPaymentService({ db, provider });
+
+    const admin = await createUser(db, { email: 'admin@example.com', phone: '+256700000001', role: 'admin' });
+    const user = await createUser(db);
+    const submission = await db.kycSubmissions.create({
+        userId: user.id,
+        documentId: 'document-1',
+        fullName: 'Test User',
+        nationalId: 'CM12345678ABCD',
+        status: 'pending',
+        submittedAt: new Date().toISOString()
+    });
+
+    const requireAuth = async (req, res, next) => {
+        req.user = await db.users.findById(admin.id);
+        next();
+    };
+
+    const app = express();
+    app.use(express.json());
+    app.use('/api/admin', createAdminRouter({
+        db,
+        requireAuth,
+        audit: createAuditLog({ db }),
+        tokens: { revokeAllSessions: async () => {} },
+        payments,
+        investments,
+        ledger,
+        kyc
+    }));
+    app.use(notFound);
+    app.use(errorHandler);
+
+    // Send one request to the router and return the status and JSON body
+    const request = async (method, path, body) => {
+        const server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        try {
+            const response = await fetch(`http://127.0.0.1:${server.address().port}/api/admin${path}`, {
+                method,
+                headers: { 'Content-Type': 'application/json' },
+                body: body && JSON.stringify(body)
+            });
+            return { status: response.status, body: await response.json() };
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    };
+
+    return { db, user, submission, payments, request };
+};
+
+const USER_ROUTES = [
+    ['GET', id => `/users/${id}`],
+    ['GET', id => `/users/${id}/transactions`],
+    ['GET', id => `/users/${id}/investments`],
+    ['POST', id => `/users/${id}/unsuspend`],
+    ['POST', id => `/users/${id}/role`, { role: 'support' }]
+];
+
+const KYC_ROUTES = [
+    ['GET', id => `/kyc/${id}`],
+    ['POST', id => `/kyc/${id}/approve`],
+    ['POST', id => `/kyc/${id}/reject`, { reason: 'Document is unreadable' }]
+];
+
+for (const [method, path, body] of USER_ROUTES) {
+    const route = `${method} ${path(':id')}`;
+
+    test(`${route} answers for an existing user`, async () => {
+        const { user, request } = await setup();
+
+        const response = await request(method, path(user.id), body);
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.success, true);
+    });
+
+    test(`${route} answers 404 for an unknown user`, async () => {
+        const { request } = await setup();
+
+        const response = await request(method, path(MISSING_ID), body);
+
+        assert.equal(response.status, 404);
+        assert.equal(response.body.code, 'NOT_FOUND');
+    });
+}
+
+for (const [method, path, body] of KYC_ROUTES) {
+    const route = `${method} ${path(':id')}`;
+
+    test(`${route} answers for an existing submission`, async () => {
+        const { submission, request } = await setup();
+
+        const response = await request(method, path(submission.id), body);
+
+        assert.equal(response.status, 200);
+        assert.equal(response.body.data.submission.id, submission.id);
+    });
+
+    test(`${route} answers 404 for an unknown submission`, async () => {
+        const { request } = await setup();
+
+        const response = await request(method, path(MISSING_ID), body);
+
+        assert.equal(response.status, 404);
+        assert.equal(response.body.code, 'SUBMISSION_NOT_FOUND');
+    });
+}
+
+test('reviewing a submission twice is refused with 409', async () => {
+    const { db, user, submission, request } = await setup();
+
+    await request('POST', `/kyc/${submission.id}/approve`);
+    const response = await request('POST', `/kyc/${submission.id}/reject`, { reason: 'Changed my mind' });
+
+    assert.equal(response.status, 409);
+    assert.equal(response.body.code, 'SUBMISSION_NOT_PENDING');
+    assert.equal((await db.users.findById(user.id)).kycStatus, 'approved');
+});
+
+test('POST /transactions/:id/resolve settles a payment held for review and audits it', async () => {
+    const { db, user, payments, request } = await setup();
+    const settled = [];
+    payments.events.on('payment.successful', transaction => settled.push(transaction.id));
+
+    const transaction = await db.transactions.create({
+        reference: 'ref-review',
+        userId: user.id,
+        amount: 200000,
+        providerAmount: 150000,
+        status: 'needs_review',
+        createdAt: new Date().toISOString()
+    });
+
+    const response = await request('POST', `/transactions/${transaction.id}/resolve`, { status: 'successful', note: 'Top-up received' });
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.transaction.status, 'successful');
+    assert.deepEqual(settled, [transaction.id]);
+
+    const [entry] = await db.auditLogs.list({ action: 'transactions.resolve' });
+    assert.equal(entry.targetId, transaction.id);
+    assert.equal(entry.details.to, 'successful');
+
+    const again = await request('POST', `/transactions/${transaction.id}/resolve`, { status: 'failed', note: 'Changed my mind' });
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'PAYMENT_NOT_IN_REVIEW');
+});
+
+test('POST /transactions/:id/reconcile answers 502 only when the provider fails', async () => {
+    const unreachable = Object.assign(new Error('MarzPay is unreachable'), { code: 'PROVIDER_UNAVAILABLE', retryable: true });
+    const failing = (error) => ({
+        getCollectionStatus: async () => {
+            throw error;
+        }
+    });
+    const providers = [
+        [failing(unreachable), 502],
+        [failing(new TypeError('Cannot read properties of undefined')), 500]
+    ];
+
+    for (const [provider, status] of providers) {
+        const { db, user, request } = await setup({ provider });
+        const transaction = await db.transactions.create({
+            reference: 'ref-stuck',
+            providerTransactionId: 'provider-stuck',
+            userId: user.id,
+            amount: 200000,
+            status: 'processing',
+            createdAt: new Date().toISOString()
+        });
+
+        const response = await request('POST', `/transactions/${transaction.id}/reconcile`);
+        assert.equal(response.status, status);
+    }
+});
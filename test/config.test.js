@@ -0,0 +1,64 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseOrigins, checkStartupConfig } = require('../services/config');
+
+// A production environment that passes every check
+const PRODUCTION_ENV = {
+    NODE_ENV: 'production',
+    JWT_SECRET: 'a'.repeat(32),
+    TWO_FACTOR_ENCRYPTION_KEY: 'b'.repeat(32),
+    PAYMENT_PROVIDER: 'marzpay',
+    METRICS_TOKEN: 'c'.repeat(32)
+};
+
+const check = (env, cors = parseOrigins('https://app.example.com')) => checkStartupConfig({
+    requiredSecrets: ['JWT_SECRET', 'TWO_FACTOR_ENCRYPTION_KEY'],
+    cors,
+    env
+});
+
+test('a complete production configuration has no problems', () => {
+    assert.deepEqual(check(PRODUCTION_ENV), []);
+});
+
+test('production requires a real metrics token', () => {
+    assert.deepEqual(check({ ...PRODUCTION_ENV, METRICS_TOKEN: undefined }), ['METRICS_TOKEN must be set so /metrics is not public']);
+    assert.deepEqual(check({ ...PRODUCTION_ENV, METRICS_TOKEN: 'changeme' }), ['METRICS_TOKEN still has an example value']);
+
+    // Outside production /metrics may stay open for local scraping
+    assert.deepEqual(check({ ...PRODUCTION_ENV, NODE_ENV: 'development', METRICS_TOKEN: undefined }), []);
+});
+
+test('a required secret must be set to a real value', () => {
+    assert.deepEqual(check({ ...PRODUCTION_ENV, JWT_SECRET: undefined }), ['JWT_SECRET is not set']);
+
+    // Even outside production
+    assert.deepEqual(check({ ...PRODUCTION_ENV, NODE_ENV: 'development', JWT_SECRET: 'Your-JWT-Secret' }), ['JWT_SECRET still has an example value']);
+});
+
+test('production refuses short signing keys, an open CORS policy and the simulator', () => {
+    assert.deepEqual(check({ ...PRODUCTION_ENV, TWO_FACTOR_ENCRYPTION_KEY: 'short-but-not-an-example' }), [
+        'TWO_FACTOR_ENCRYPTION_KEY must be at least 32 characters long'
+    ]);
+    assert.deepEqual(check(PRODUCTION_ENV, parseOrigins('')), [
+        'CORS_ORIGINS (or FRONTEND_URL) must list the front-end origins allowed to call the API'
+    ]);
+    assert.deepEqual(check({ ...PRODUCTION_ENV, PAYMENT_PROVIDER: 'simulator' }), [
+        'PAYMENT_PROVIDER=simulator only takes pretend payments and cannot be used in production'
+    ]);
+
+    // None of these stop a development server
+    const development = { ...PRODUCTION_ENV, NODE_ENV: 'development', TWO_FACTOR_ENCRYPTION_KEY: 'short-but-not-an-example', PAYMENT_PROVIDER: 'simulator' };
+    assert.deepEqual(check(development, parseOrigins('')), []);
+});
+
+test('CORS origins must be http(s) URLs and are reduced to their origin', () => {
+    assert.deepEqual(parseOrigins(' https://app.example.com/dashboard , http://localhost:3000,ftp://files.example.com, nonsense '), {
+        origins: ['https://app.example.com', 'http://localhost:3000'],
+        invalid: ['ftp://files.example.com', 'nonsense']
+    });
+
+    assert.deepEqual(check(PRODUCTION_ENV, parseOrigins('https://app.example.com,nonsense')), [
+        'CORS origin "nonsense" is not a valid http(s) URL'
+    ]);
+});
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDb, createClock } = require('./helpers');
+const createEmailOutbox = require('../services/emailOutbox');
+
+const SEND_TIMEOUT_MS = 1000;
+
+const setup = async (send) => {
+    const db = await createTestDb();
+    const clock = createClock();
+    const outbox = createEmailOutbox({ db, send, sendTimeoutMs: SEND_TIMEOUT_MS, leaseMarginMs: 1000, now: clock.now });
+
+    const message = await outbox.enqueue({
+        to: 'user@example.com',
+        template: 'verifyEmail',
+        data: { verificationUrl: 'http://localhost/verify-email?token=abc', ttlHours: 24 }
+    });
+
+    return { db, clock, outbox, message };
+};
+
+test('two runs of the outbox job send a message once', async () => {
+    const sent = [];
+    const { db, outbox, message } = await setup(async (email) => {
+        sent.push(email.to);
+        return 'message-1';
+    });
+
+    await Promise.all([outbox.processDue(), outbox.processDue()]);
+
+    assert.equal(sent.length, 1);
+    assert.equal((await db.emailOutbox.findById(message.id)).status, 'sent');
+});
+
+test('a send cut off by the timeout is not started again while it may still be finishing', async () => {
+    const sent = [];
+    const { clock, outbox } = await setup(async (email) => {
+        sent.push(email.to);
+        return new Promise(() => {});
+    });
+
+    // The first send hangs; check again once its timeout has passed on the clock
+    const first = outbox.processDue();
+    await new Promise(resolve => setImmediate(resolve));
+    clock.advance(SEND_TIMEOUT_MS);
+    await outbox.processDue();
+
+    assert.equal(sent.length, 1);
+
+    // The lease runs out eventually, so a send lost with its process is retried
+    clock.advance(1000);
+    const second = outbox.processDue();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(sent.length, 2);
+
+    // Both hung sends give up after the (real) send timeout
+    await Promise.all([first, second]);
+});
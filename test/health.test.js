@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers');
+const { createHealthService, requireEnv } = require('../services/health');
+
+test('the service is ready only when every check passes', async () => {
+    let storageUp = true;
+    const health = createHealthService({
+        checks: {
+            storage: async () => {
+                if (!storageUp) throw new Error('Storage has not been initialised');
+            },
+            config: requireEnv(['JWT_SECRET'], { JWT_SECRET: 'set' })
+        }
+    });
+
+    const ready = await health.readiness();
+    assert.equal(ready.ready, true);
+    assert.deepEqual(Object.values(ready.checks).map(check => check.status), ['ok', 'ok']);
+
+    storageUp = false;
+    const notReady = await health.readiness();
+    assert.equal(notReady.ready, false);
+    assert.equal(notReady.checks.storage.status, 'fail');
+    assert.equal(notReady.checks.storage.error, 'Storage has not been initialised');
+    assert.equal(notReady.checks.config.status, 'ok');
+});
+
+test('a check that hangs fails after the timeout', async () => {
+    const health = createHealthService({
+        checks: { provider: () => new Promise(() => {}) },
+        timeoutMs: 20
+    });
+
+    const { ready, checks } = await health.readiness();
+
+    assert.equal(ready, false);
+    assert.equal(checks.provider.error, 'Timed out after 20ms');
+});
+
+test('missing configuration is named', async () => {
+    await assert.rejects(requireEnv(['MARZPAY_API_BASE_URL', 'MARZPAY_AUTH_HEADER'], { MARZPAY_AUTH_HEADER: 'x' })(), {
+        message: 'Missing configuration: MARZPAY_API_BASE_URL'
+    });
+});
@@ -0,0 +1,70 @@
+// Keep the structured logs out of the test output unless asked for
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+
+const { createStorage } = require('../storage');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// A migrated in-memory storage layer, fresh for every test
+const createTestDb = async () => {
+    const db = createStorage({ driver: 'memory' });
+    await db.init();
+    return db;
+};
+
+// Clock the services can be given as `now`, moved forward by the test
+const createClock = (start = '2024-01-01T08:00:00.000Z') => {
+    let current = new Date(start).getTime();
+
+    return {
+        now: () => new Date(current),
+        advance: (ms) => {
+            current += ms;
+        },
+        advanceDays: (days) => {
+            current += days * DAY_MS;
+        }
+    };
+};
+
+const createPlan = (db, overrides = {}) => db.plans.create({
+    name: 'Gold',
+    minAmount: 50000,
+    maxAmount: 5000000,
+    dailyReturnRate: 2,
+    durationDays: 30,
+    isActive: true,
+    ...overrides
+});
+
+const createUser = (db, overrides = {}) => db.users.create({
+    name: 'Test User',
+    email: 'test.user@example.com',
+    phone: '+256700123456',
+    role: 'user',
+    isVerified: true,
+    phoneVerified: true,
+    createdAt: new Date().toISOString(),
+    ...overrides
+});
+
+// SMS gateway that keeps messages instead of sending them
+const createFakeSms = () => {
+    const sent = [];
+
+    return {
+        name: 'fake',
+        sent,
+        send: async ({ to, message }) => {
+            sent.push({ to, message });
+            return { messageId: `fake-${sent.length}` };
+        },
+        // The digits of the last code texted to `to`
+        lastCode: (to) => {
+            const message = [...sent].reverse().find(item => item.to === to);
+            return message ? message.message.match(/\b\d{4,8}\b/)[0] : null;
+        }
+    };
+};
+
+module.exports = { DAY_MS, createTestDb, createClock, createPlan, createUser, createFakeSms };
@@ -0,0 +1,58 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDb, createClock } = require('./helpers');
+const createIdempotency = require('../middleware/idempotency');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Just enough of an Express request and response for the middleware
+const fakeRequest = (key) => ({
+    user: { id: 'user-1' },
+    method: 'POST',
+    baseUrl: '/api/payment',
+    path: '/initiate',
+    body: { amount: 200000 },
+    get: (name) => (name === 'Idempotency-Key' ? key : undefined)
+});
+
+const fakeResponse = () => ({
+    statusCode: 200,
+    headers: {},
+    set(name, value) {
+        this.headers[name] = value;
+    },
+    status(code) {
+        this.statusCode = code;
+        return this;
+    },
+    json(body) {
+        this.body = body;
+        return this;
+    },
+    on() {}
+});
+
+// Run the middleware; resolves with the error passed to next, or null when the handler would run
+const run = (idempotency, req, res) => new Promise(resolve => {
+    idempotency(req, res, error => resolve(error || null));
+});
+
+test('two retries of an expired key cannot both claim it', async () => {
+    const db = await createTestDb();
+    const clock = createClock();
+    const idempotency = createIdempotency({ db, windowMs: HOUR_MS, now: clock.now });
+
+    // The first request finished and its key has since expired
+    const first = fakeResponse();
+    assert.equal(await run(idempotency, fakeRequest('key-1'), first), null);
+    first.json({ success: true });
+    clock.advance(2 * HOUR_MS);
+
+    const results = await Promise.all([
+        run(idempotency, fakeRequest('key-1'), fakeResponse()),
+        run(idempotency, fakeRequest('key-1'), fakeResponse())
+    ]);
+
+    assert.equal(results.filter(error => error === null).length, 1);
+    assert.equal(results.find(Boolean).code, 'REQUEST_IN_PROGRESS');
+});
@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDb, createClock } = require('./helpers');
+const createIdempotencyCleanupJob = require('../jobs/idempotencyCleanup');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+test('purges idempotency keys once their window has passed', async () => {
+    const db = await createTestDb();
+    const clock = createClock();
+    const job = createIdempotencyCleanupJob({ db, now: clock.now });
+
+    const record = (scopedKey, expiresInMs) => db.idempotencyKeys.create({
+        scopedKey,
+        userId: 'user-1',
+        requestHash: 'hash',
+        state: 'completed',
+        responseStatus: 200,
+        responseBody: { success: true },
+        createdAt: clock.now().toISOString(),
+        expiresAt: new Date(clock.now().getTime() + expiresInMs).toISOString()
+    });
+
+    await record('user-1:POST:/api/payment/initiate:a', HOUR_MS);
+    await record('user-1:POST:/api/payment/initiate:b', 24 * HOUR_MS);
+
+    assert.equal(await job.runOnce(), 0);
+
+    clock.advance(HOUR_MS);
+    assert.equal(await job.runOnce(), 1);
+
+    const remaining = await db.idempotencyKeys.list();
+    assert.deepEqual(remaining.map(item => item.scopedKey), ['user-1:POST:/api/payment/initiate:b']);
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDb, createClock, createPlan, createUser, DAY_MS } = require('./helpers');
+const { createLedgerService } = require('../services/ledger');
+const createInvestmentService = require('../services/investments');
+
+const setup = async () => {
+    const db = await createTestDb();
+    const clock = createClock();
+    const ledger = createLedgerService({ db, now: clock.now });
+    const investments = createInvestmentService({ db, ledger, now: clock.now });
+    const plan = await createPlan(db);
+    const user = await createUser(db);
+
+    return { db, clock, ledger, investments, plan, user };
+};
+
+test('a payment is matched to an active plan whose limits fit the amount', async () => {
+    const { db, investments, plan } = await setup();
+    await createPlan(db, { name: 'Retired', isActive: false });
+
+    assert.equal((await investments.resolvePlanForPayment({ planId: plan.id, amount: 200000 })).id, plan.id);
+    assert.equal((await investments.resolvePlanForPayment({ planName: 'Gold', amount: 50000 })).id, plan.id);
+
+    await assert.rejects(investments.resolvePlanForPayment({ planId: 'no-such-plan', amount: 200000 }), { code: 'PLAN_NOT_FOUND' });
+    await assert.rejects(investments.resolvePlanForPayment({ planName: 'Retired', amount: 200000 }), { code: 'PLAN_NOT_FOUND' });
+    await assert.rejects(investments.resolvePlanForPayment({ planId: plan.id, amount: 49999 }), { code: 'AMOUNT_OUT_OF_RANGE' });
+    await assert.rejects(investments.resolvePlanForPayment({ planId: plan.id, amount: 5000001 }), { code: 'AMOUNT_OUT_OF_RANGE' });
+});
+
+test('a settled payment creates one investment and invests its principal once', async () => {
+    const { db, ledger, investments, plan, user } = await setup();
+    const transaction = await db.transactions.create({
+        reference: 'ref-1',
+        userId: user.id,
+        amount: '200000',
+        planId: plan.id,
+        status: 'successful',
+        createdAt: new Date().toISOString()
+    });
+
+    const investment = await investments.createFromTransaction(transaction);
+    const again = await investments.createFromTransaction(transaction);
+
+    assert.equal(again.id, investment.id);
+    assert.equal(investment.principal, 200000);
+    assert.equal(investment.status, 'active');
+    assert.equal(new Date(investment.maturityDate) - new Date(investment.startDate), plan.durationDays * DAY_MS);
+    assert.equal((await investments.listForUser(user.id)).length, 1);
+    assert.equal((await ledger.getBalance(user.id)).invested, 200000);
+});
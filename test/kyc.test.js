@@ -0,0 +1,99 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createTestDb, createUser } = require('./helpers');
+const { createKycService } = require('../services/kyc');
+
+const uploadDir = fs.mkdtempSync(path.join(os.tmpdir(), 'kyc-test-'));
+after(() => fs.rmSync(uploadDir, { recursive: true, force: true }));
+
+const PNG = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(32)]);
+const DETAILS = { fullName: 'Test User', nationalId: 'CM12345678ABCD' };
+
+const setup = async () => {
+    const db = await createTestDb();
+    const kyc = createKycService({ db, uploadDir, maxDocumentBytes: 1024, tierLimits: { basic: 1000000, verified: 10000000 } });
+    const user = await createUser(db, { kycStatus: 'none' });
+
+    // Upload a document and submit it with the user's details
+    const submit = async (owner = user, details = DETAILS) => {
+        const document = await kyc.saveDocument({ userId: owner.id, contentType: 'image/png', data: PNG });
+        return kyc.submit(await db.users.findById(owner.id), { ...details, documentId: document.id });
+    };
+
+    return { db, kyc, user, submit };
+};
+
+test('a document is stored only when its type, size and content check out', async () => {
+    const { kyc, user } = await setup();
+
+    const document = await kyc.saveDocument({ userId: user.id, contentType: 'image/png; charset=binary', data: PNG });
+    assert.equal(document.contentType, 'image/png');
+    assert.ok(fs.readFileSync(kyc.documentPath(document)).equals(PNG));
+
+    const refusals = [
+        [{ contentType: 'image/gif', data: PNG }, 'UNSUPPORTED_DOCUMENT_TYPE'],
+        [{ contentType: 'image/png', data: Buffer.alloc(0) }, 'EMPTY_DOCUMENT'],
+        [{ contentType: 'image/png', data: Buffer.concat([PNG, Buffer.alloc(1024)]) }, 'DOCUMENT_TOO_LARGE'],
+        // A PDF sent with an image's content type
+        [{ contentType: 'image/png', data: Buffer.from('%PDF-1.7 ...') }, 'UNSUPPORTED_DOCUMENT_TYPE']
+    ];
+    for (const [upload, code] of refusals) {
+        await assert.rejects(kyc.saveDocument({ userId: user.id, ...upload }), { code });
+    }
+});
+
+test('a submission stays pending until approved, which raises the payment limit', async () => {
+    const { db, kyc, user, submit } = await setup();
+    const approved = [];
+    kyc.events.on('kyc.approved', ({ submission }) => approved.push(submission.id));
+
+    assert.throws(() => kyc.assertPaymentAllowed(user, 2000000), { code: 'KYC_LIMIT_EXCEEDED' });
+
+    const submission = await submit();
+    assert.equal(submission.status, 'pending');
+    assert.equal((await kyc.getStatus(await db.users.findById(user.id))).status, 'pending');
+    await assert.rejects(submit(), { code: 'KYC_ALREADY_PENDING' });
+
+    await kyc.review(submission.id, { decision: 'approve', reviewerId: 'admin-1' });
+    await assert.rejects(kyc.review(submission.id, { decision: 'reject', reviewerId: 'admin-1' }), { code: 'SUBMISSION_NOT_PENDING' });
+
+    const verified = await db.users.findById(user.id);
+    assert.equal(verified.kycStatus, 'approved');
+    assert.deepEqual(kyc.limitsFor(verified), { tier: 'verified', maxPaymentAmount: 10000000 });
+    assert.doesNotThrow(() => kyc.assertPaymentAllowed(verified, 2000000));
+    assert.deepEqual(approved, [submission.id]);
+    await assert.rejects(submit(), { code: 'KYC_ALREADY_APPROVED' });
+});
+
+test('a rejected user may resubmit with a new upload', async () => {
+    const { db, kyc, user, submit } = await setup();
+
+    const first = await submit();
+    const rejected = await kyc.review(first.id, { decision: 'reject', reviewerId: 'admin-1', reason: 'Document is unreadable' });
+    assert.equal(rejected.rejectionReason, 'Document is unreadable');
+    assert.equal((await db.users.findById(user.id)).kycStatus, 'rejected');
+
+    // The rejected document cannot be reused
+    await assert.rejects(
+        kyc.submit(await db.users.findById(user.id), { ...DETAILS, documentId: first.documentId }),
+        { code: 'DOCUMENT_ALREADY_SUBMITTED' }
+    );
+
+    const second = await submit();
+    assert.equal(second.status, 'pending');
+    assert.equal((await kyc.getStatus(await db.users.findById(user.id))).submission.id, second.id);
+});
+
+test('a national ID or document cannot back another account', async () => {
+    const { db, kyc, user, submit } = await setup();
+    const other = await createUser(db, { email: 'other@example.com', phone: '+256700000009', kycStatus: 'none' });
+
+    await submit();
+    await assert.rejects(submit(other), { code: 'NATIONAL_ID_IN_USE' });
+
+    const document = await kyc.saveDocument({ userId: user.id, contentType: 'image/png', data: PNG });
+    await assert.rejects(kyc.submit(other, { ...DETAILS, nationalId: 'CM99999999ZZZZ', documentId: document.id }), { code: 'DOCUMENT_NOT_FOUND' });
+});
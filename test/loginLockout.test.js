@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDb, createClock, createUser } = require('./helpers');
+const createLoginLockoutService = require('../services/loginLockout');
+
+const setup = async () => {
+    const db = await createTestDb();
+    const clock = createClock();
+    const loginLockout = createLoginLockoutService({ db, maxAttempts: 3, baseLockMinutes: 15, now: clock.now });
+    const user = await createUser(db);
+
+    return { db, clock, loginLockout, user };
+};
+
+test('locks the account after too many wrong passwords and doubles the next lockout', async () => {
+    const { db, clock, loginLockout, user } = await setup();
+
+    assert.deepEqual(await loginLockout.recordFailure(user), { locked: false, attemptsRemaining: 2 });
+    assert.deepEqual(await loginLockout.recordFailure(await db.users.findById(user.id)), { locked: false, attemptsRemaining: 1 });
+    const first = await loginLockout.recordFailure(await db.users.findById(user.id));
+    assert.equal(first.locked, true);
+    assert.equal(first.minutes, 15);
+
+    clock.advance(15 * 60 * 1000);
+    for (let attempt = 0; attempt < 2; attempt++) {
+        await loginLockout.recordFailure(await db.users.findById(user.id));
+    }
+    const second = await loginLockout.recordFailure(await db.users.findById(user.id));
+    assert.equal(second.minutes, 30);
+});
+
+test('wrong passwords sent in parallel are each counted and lock the account once', async () => {
+    const { db, loginLockout, user } = await setup();
+
+    // Every request read the user before any failure was written
+    const results = await Promise.all(Array.from({ length: 5 }, () => loginLockout.recordFailure(user)));
+
+    assert.equal(results.filter(result => result.locked).length, 1);
+    const stored = await db.users.findById(user.id);
+    assert.equal(stored.lockoutCount, 1);
+    assert.ok(loginLockout.lockedFor(stored) > 0);
+});
+
+test('an unlock link works once and only until it expires', async () => {
+    const { db, clock, loginLockout, user } = await setup();
+
+    const lockAccount = async () => {
+        for (let attempt = 0; attempt < 2; attempt++) {
+            await loginLockout.recordFailure(await db.users.findById(user.id));
+        }
+        return loginLockout.recordFailure(await db.users.findById(user.id));
+    };
+
+    const { unlockToken } = await lockAccount();
+    const unlocked = await loginLockout.unlock(unlockToken);
+    assert.equal(loginLockout.lockedFor(unlocked), 0);
+    await assert.rejects(loginLockout.unlock(unlockToken), { code: 'INVALID_UNLOCK_TOKEN' });
+
+    const { unlockToken: stale } = await lockAccount();
+    clock.advance(61 * 60 * 1000);
+    await assert.rejects(loginLockout.unlock(stale), { code: 'UNLOCK_TOKEN_EXPIRED' });
+});
@@ -0,0 +1,19 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const MemoryStore = require('../storage/memoryStore');
+const migrations = require('../storage/migrations');
+
+test('transactions recorded before accounts owned them are linked to the user with that phone', async () => {
+    const store = new MemoryStore();
+    await store.migrate(migrations.filter(migration => migration.version < 11));
+
+    const user = await store.insert('users', { phone: '+256700123456', email: 'user@example.com' });
+    const owned = await store.insert('transactions', { reference: 'ref-owned', phone: '+256700123456', amount: 200000 });
+    const orphan = await store.insert('transactions', { reference: 'ref-orphan', phone: '+256700999999', amount: 200000 });
+
+    await store.migrate(migrations);
+
+    assert.equal((await store.get('transactions', owned.id)).userId, user.id);
+    assert.equal((await store.get('transactions', orphan.id)).userId, null);
+    assert.deepEqual((await store.get('users', user.id)).mobileMoneyNumbers, []);
+});
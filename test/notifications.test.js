@@ -0,0 +1,98 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDb, createUser, createFakeSms } = require('./helpers');
+const { createNotificationService, DEFAULT_PREFERENCES } = require('../services/notifications');
+const createAfricasTalkingSmsGateway = require('../services/sms/africasTalking');
+
+const TRANSACTION = { amount: 200000, reference: 'ref-1', planName: 'Gold', createdAt: '2024-01-01T08:00:00.000Z' };
+
+const setup = async ({ sms = createFakeSms(), emailOutbox } = {}) => {
+    const db = await createTestDb();
+    const emails = [];
+    const notifications = createNotificationService({
+        db,
+        sms,
+        emailOutbox: emailOutbox || {
+            sendToUser: async (user, template) => {
+                emails.push({ to: user.email, template });
+                return { status: 'pending' };
+            }
+        }
+    });
+    const user = await createUser(db);
+
+    return { db, sms, emails, notifications, user };
+};
+
+test('preferences replace only the categories given and refuse unknown ones', async () => {
+    const { db, notifications, user } = await setup();
+
+    const preferences = await notifications.updatePreferences(user, { returns: ['in_app', 'sms', 'sms'] });
+    assert.deepEqual(preferences.returns, ['in_app', 'sms']);
+    assert.deepEqual(preferences.payments, DEFAULT_PREFERENCES.payments);
+
+    const refusals = [
+        null,
+        ['returns'],
+        { marketing: ['email'] },
+        { returns: 'sms' },
+        { returns: ['carrier_pigeon'] }
+    ];
+    for (const changes of refusals) {
+        await assert.rejects(notifications.updatePreferences(user, changes), { code: 'INVALID_PREFERENCES' }, JSON.stringify(changes));
+    }
+
+    const stored = await db.users.findById(user.id);
+    assert.deepEqual(notifications.getPreferences(stored).returns, ['in_app', 'sms']);
+});
+
+test('a notification goes out on every channel the user chose', async () => {
+    const { db, sms, emails, notifications, user } = await setup();
+
+    const delivered = await notifications.notify(user, 'payment_successful', { transaction: TRANSACTION }, { transactionId: 'transaction-1' });
+
+    assert.deepEqual(Object.keys(delivered).sort(), ['email', 'in_app', 'sms']);
+    assert.equal(sms.sent.length, 1);
+    assert.equal(sms.sent[0].to, user.phone);
+    assert.deepEqual(emails, [{ to: user.email, template: 'paymentReceipt' }]);
+
+    const [inbox] = await db.notifications.findByUserId(user.id);
+    assert.equal(inbox.type, 'payment_successful');
+    assert.deepEqual(inbox.metadata, { transactionId: 'transaction-1' });
+
+    // Turning SMS off for payments leaves the other channels alone
+    const quiet = await notifications.updatePreferences(user, { payments: ['in_app'] });
+    assert.deepEqual(quiet.payments, ['in_app']);
+    await notifications.notify(await db.users.findById(user.id), 'payment_successful', { transaction: TRANSACTION });
+    assert.equal(sms.sent.length, 1);
+    assert.equal(emails.length, 1);
+    assert.equal((await db.notifications.findByUserId(user.id)).length, 2);
+});
+
+test('a failing channel does not stop the others', async () => {
+    const sms = {
+        name: 'broken',
+        send: async () => {
+            throw new Error('SMS gateway unreachable');
+        }
+    };
+    const { db, emails, notifications, user } = await setup({ sms });
+
+    const delivered = await notifications.notify(user, 'payment_failed', { transaction: TRANSACTION });
+
+    assert.deepEqual(Object.keys(delivered).sort(), ['email', 'in_app']);
+    assert.equal(emails.length, 1);
+    assert.equal((await db.notifications.findByUserId(user.id)).length, 1);
+});
+
+test('the Africa\'s Talking gateway reports a message it did not accept', async () => {
+    const reply = (status) => ({
+        post: async () => ({ data: { SMSMessageData: { Recipients: [{ status, messageId: 'ATXid_1' }] } } })
+    });
+
+    const accepted = createAfricasTalkingSmsGateway({ username: 'sandbox', apiKey: 'key', http: reply('Success') });
+    assert.deepEqual(await accepted.send({ to: '+256700123456', message: 'Hello' }), { messageId: 'ATXid_1' });
+
+    const refused = createAfricasTalkingSmsGateway({ username: 'sandbox', apiKey: 'key', http: reply('InvalidPhoneNumber') });
+    await assert.rejects(refused.send({ to: '+256700123456', message: 'Hello' }), /InvalidPhoneNumber/);
+});
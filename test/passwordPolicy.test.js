@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createPasswordPolicy } = require('../services/passwordPolicy');
+
+const policy = createPasswordPolicy({ minLength: 8 });
+
+// The code of the first rule a password breaks, or null
+const codeOf = (password, account) => {
+    const problem = policy.check(password, account);
+    return problem ? problem.code : null;
+};
+
+test('a password must be 8 to 128 characters long', () => {
+    assert.equal(codeOf('Vx9#kq2'), 'TOO_SHORT');
+    assert.equal(codeOf('Vx9#kq2m'), null);
+    assert.equal(codeOf('correct horse '.repeat(10)), 'TOO_LONG');
+});
+
+test('common passwords are refused, also behind digits, symbols and look-alikes', () => {
+    for (const password of ['password', 'QWERTY123', 'Sunsh1ne2024', 'p@ssw0rd!', 'aaaaaaaaaa']) {
+        assert.equal(codeOf(password), 'WEAK_PASSWORD', password);
+    }
+    assert.equal(codeOf('Correct horse battery staple'), null);
+});
+
+test('a password may not contain the account\'s phone number or email name', () => {
+    const account = { phone: '+256700123456', email: 'jane.doe@example.com' };
+
+    assert.equal(codeOf('my0700123456pass', account), 'WEAK_PASSWORD');
+    assert.equal(codeOf('256-700-123-456!', account), 'WEAK_PASSWORD');
+    assert.equal(codeOf('Jane.Doe rules 42', account), 'WEAK_PASSWORD');
+    assert.equal(codeOf('Correct horse battery staple', account), null);
+
+    // Too short an email name to be worth refusing
+    assert.equal(codeOf('Bob and the kites', { email: 'bob@example.com' }), null);
+});
+
+test('the common password list can be turned off', () => {
+    const lenient = createPasswordPolicy({ minLength: 8, rejectCommon: false });
+    assert.equal(lenient.check('password1'), null);
+});
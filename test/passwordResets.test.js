@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDb, createClock, createUser } = require('./helpers');
+const createPasswordResetService = require('../services/passwordResets');
+
+const setup = async () => {
+    const db = await createTestDb();
+    const clock = createClock();
+    const passwordResets = createPasswordResetService({ db, ttlMinutes: 30, now: clock.now });
+    const user = await createUser(db);
+
+    return { clock, passwordResets, user };
+};
+
+test('a reset token works once and not after it expires', async () => {
+    const { clock, passwordResets, user } = await setup();
+
+    const token = await passwordResets.issue(user);
+    assert.equal((await passwordResets.consume(token)).id, user.id);
+    await assert.rejects(passwordResets.consume(token), { code: 'INVALID_RESET_TOKEN' });
+
+    const late = await passwordResets.issue(user);
+    clock.advance(31 * 60 * 1000);
+    await assert.rejects(passwordResets.consume(late), { code: 'RESET_TOKEN_EXPIRED' });
+});
+
+test('a reset token used twice in parallel resets the password only once', async () => {
+    const { passwordResets, user } = await setup();
+
+    const token = await passwordResets.issue(user);
+    const results = await Promise.allSettled([passwordResets.consume(token), passwordResets.consume(token)]);
+
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    assert.equal(results.find(result => result.status === 'rejected').reason.code, 'INVALID_RESET_TOKEN');
+});
@@ -0,0 +1,262 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDb, createPlan, createUser } = require('./helpers');
+const createSimulatorEngine = require('../simulator/engine');
+const createSimulatorProvider = require('../services/providers/simulator');
+const { createPaymentService } = require('../services/payments');
+const { handleSettledPayments } = require('../services/settlement');
+const { createLedgerService } = require('../services/ledger');
+const createInvestmentService = require('../services/investments');
+const createReferralService = require('../services/referrals');
+const { createReconciliationService } = require('../services/reconciliation');
+
+const SECRET = 'test-webhook-secret';
+
+// The payment stack the API server builds, on the simulator and a memory store
+const setup = async () => {
+    const db = await createTestDb();
+    const callbacks = [];
+    const engine = createSimulatorEngine({
+        secret: SECRET,
+        delayMs: 60 * 60 * 1000,
+        postCallback: async (url, body, headers) => callbacks.push({ url, body, headers })
+    });
+    const provider = createSimulatorProvider({ secret: SECRET, engine });
+    const payments = createPaymentService({ db, provider });
+    const ledger = createLedgerService({ db });
+    const investments = createInvestmentService({ db, ledger });
+    const referrals = createReferralService({ db, ledger });
+    const notified = [];
+    const notifications = {
+        notifyUserId: async (userId, type) => notified.push({ userId, type })
+    };
+    const settlement = handleSettledPayments({ payments, investments, referrals, notifications });
+
+    const plan = await createPlan(db);
+    const user = await createUser(db);
+
+    // What POST /api/payments/initiate does once the request is validated
+    const initiate = async ({ amount = 200000, phone = user.phone } = {}) => {
+        const reference = `ref-${callbacks.length}-${Date.now()}`;
+        const transaction = await db.transactions.create({
+            reference,
+            provider: provider.name,
+            providerTransactionId: null,
+            userId: user.id,
+            phone,
+            amount,
+            planId: plan.id,
+            planName: plan.name,
+            status: 'processing',
+            createdAt: new Date().toISOString()
+        });
+
+        const collection = await provider.collect({
+            amount,
+            phone,
+            reference,
+            description: `Investment: ${plan.name} Plan`,
+            callbackUrl: 'http://localhost/api/webhooks/simulator'
+        });
+
+        return db.transactions.update(transaction.id, { providerTransactionId: collection.providerTransactionId });
+    };
+
+    return { db, engine, provider, payments, ledger, settlement, callbacks, notified, user, initiate };
+};
+
+// Helper function to shape a simulator callback like the Express request the webhook route sees
+const webhookRequest = ({ body, headers }) => ({
+    rawBody: body,
+    body: JSON.parse(body),
+    get: (name) => headers[name.toLowerCase()]
+});
+
+test('a successful payment webhook funds the investment exactly once', async () => {
+    const { db, engine, provider, payments, ledger, settlement, callbacks, notified, user, initiate } = await setup();
+
+    const transaction = await initiate();
+    assert.equal(transaction.status, 'processing');
+
+    await engine.settle(transaction.providerTransactionId, 'successful');
+    assert.equal(callbacks.length, 1);
+
+    const req = webhookRequest(callbacks[0]);
+    assert.equal(provider.verifyWebhook(req), true);
+
+    const parsed = provider.parseWebhook(req);
+    assert.equal(parsed.reference, transaction.reference);
+    assert.equal(parsed.status, 'successful');
+
+    const first = await payments.applyStatusByReference(parsed.reference, parsed.status, parsed.providerStatus);
+    assert.equal(first.changed, true);
+
+    // A repeated delivery changes nothing
+    const repeat = await payments.applyStatusByReference(parsed.reference, parsed.status, parsed.providerStatus);
+    assert.equal(repeat.changed, false);
+
+    await settlement.drain();
+
+    const investment = await db.investments.findByTransactionId(transaction.id);
+    assert.ok(investment);
+    assert.equal(investment.principal, 200000);
+    assert.equal(investment.status, 'active');
+    assert.equal((await db.investments.findByUserId(user.id)).length, 1);
+
+    assert.equal((await ledger.getBalance(user.id)).invested, 200000);
+    assert.deepEqual(notified, [{ userId: user.id, type: 'payment_successful' }]);
+});
+
+test('a webhook with a bad signature is not trusted', async () => {
+    const { engine, provider, callbacks, initiate } = await setup();
+
+    const transaction = await initiate();
+    await engine.settle(transaction.providerTransactionId, 'successful');
+
+    const tampered = { ...callbacks[0], body: callbacks[0].body.replace('successful', 'failed') };
+    assert.equal(provider.verifyWebhook(webhookRequest(tampered)), false);
+});
+
+test('a failed payment found by polling creates no investment', async () => {
+    const { db, engine, payments, settlement, notified, user, initiate } = await setup();
+
+    const transaction = await initiate({ phone: '+256700123499' });
+    await engine.settle(transaction.providerTransactionId, 'failed');
+
+    const result = await payments.refreshFromProvider(transaction);
+    assert.equal(result.changed, true);
+    assert.equal(result.transaction.status, 'failed');
+
+    await settlement.drain();
+
+    assert.equal(await db.investments.findByTransactionId(transaction.id), null);
+    assert.deepEqual(notified, [{ userId: user.id, type: 'payment_failed' }]);
+});
+
+test('a late contradicting status does not reopen a settled payment', async () => {
+    const { payments, settlement, initiate } = await setup();
+
+    const transaction = await initiate();
+    const settled = await payments.applyStatus(transaction, 'successful', 'completed');
+    const late = await payments.applyStatus(settled.transaction, 'failed', 'failed');
+
+    assert.equal(late.changed, false);
+    assert.equal(late.refused, true);
+    assert.equal(late.transaction.status, 'successful');
+    await settlement.drain();
+});
+
+test('a webhook and a poll racing on the same payment settle it once', async () => {
+    const { db, payments, initiate } = await setup();
+    const succeeded = [];
+    payments.events.on('payment.successful', item => succeeded.push(item));
+
+    const transaction = await initiate();
+
+    // Both read the row while it was still processing
+    const [webhook, poll] = await Promise.all([
+        payments.applyStatus(transaction, 'successful', 'successful'),
+        payments.applyStatus(transaction, 'successful', 'successful')
+    ]);
+
+    assert.deepEqual([webhook.changed, poll.changed].sort(), [false, true]);
+    assert.equal(succeeded.length, 1);
+
+    const late = await payments.applyStatus(transaction, 'failed', 'failed');
+    assert.equal(late.refused, true);
+    assert.equal((await db.transactions.findById(transaction.id)).status, 'successful');
+});
+
+test('reconciliation leaves a payment whose provider amount differs for review instead of funding it', async () => {
+    const { db, engine, provider, payments, settlement, notified, initiate } = await setup();
+    const reconciliation = createReconciliationService({ db, provider, payments, staleAfterMs: 0 });
+
+    // The provider collected less than we recorded
+    const transaction = await initiate({ amount: 150000 });
+    await db.transactions.update(transaction.id, { amount: 200000 });
+    await engine.settle(transaction.providerTransactionId, 'successful');
+
+    const report = await reconciliation.run();
+    await settlement.drain();
+
+    assert.equal(report.needsReview, 1);
+    assert.equal(report.successful, 0);
+    assert.deepEqual(report.discrepancies.map(({ type, local, provider: reported }) => ({ type, local, reported })), [
+        { type: 'amount', local: 200000, reported: 150000 }
+    ]);
+    assert.equal((await db.transactions.findById(transaction.id)).status, 'needs_review');
+    assert.equal(await db.investments.findByTransactionId(transaction.id), null);
+    assert.deepEqual(notified, []);
+
+    // Nothing settles it automatically afterwards
+    const late = await payments.applyStatus(await db.transactions.findById(transaction.id), 'successful', 'successful');
+    assert.equal(late.refused, true);
+});
+
+test('polling a short-paid collection holds it for review instead of funding it', async () => {
+    const { db, engine, payments, settlement, notified, initiate } = await setup();
+
+    const transaction = await initiate({ amount: 150000 });
+    await db.transactions.update(transaction.id, { amount: 200000 });
+    await engine.settle(transaction.providerTransactionId, 'successful');
+
+    const result = await payments.refreshFromProvider(await db.transactions.findById(transaction.id));
+    await settlement.drain();
+
+    assert.equal(result.transaction.status, 'needs_review');
+    assert.equal(result.transaction.providerAmount, 150000);
+    assert.equal(await db.investments.findByTransactionId(transaction.id), null);
+    assert.deepEqual(notified, []);
+});
+
+test('an admin resolves a payment held for review and it settles like any other', async () => {
+    const { db, payments, settlement, notified, user, initiate } = await setup();
+
+    const transaction = await initiate();
+    const { transaction: held } = await payments.applyProviderResult(transaction, { status: 'successful', providerStatus: 'successful', amount: 190000 });
+    assert.equal(held.status, 'needs_review');
+
+    await assert.rejects(payments.resolveReview(held, 'expired', { reviewerId: 'admin-1' }), { code: 'INVALID_REVIEW_OUTCOME' });
+
+    const resolved = await payments.resolveReview(held, 'successful', { reviewerId: 'admin-1', note: 'Collected in full per statement' });
+    await settlement.drain();
+
+    assert.equal(resolved.status, 'successful');
+    assert.equal(resolved.reviewedBy, 'admin-1');
+    assert.ok(await db.investments.findByTransactionId(transaction.id));
+    assert.deepEqual(notified, [{ userId: user.id, type: 'payment_successful' }]);
+
+    // Only once
+    await assert.rejects(payments.resolveReview(held, 'failed', { reviewerId: 'admin-1' }), { code: 'PAYMENT_NOT_IN_REVIEW' });
+});
+
+test('a payment whose collect call never answered expires without a provider lookup', async () => {
+    const { db, provider, payments, settlement, notified, user } = await setup();
+    const lookups = [];
+    const reconciliation = createReconciliationService({
+        db,
+        provider: { ...provider, getCollectionStatus: async (id) => lookups.push(id) },
+        payments,
+        staleAfterMs: 0,
+        expireAfterMs: 0
+    });
+
+    const transaction = await db.transactions.create({
+        reference: 'ref-unanswered',
+        providerTransactionId: null,
+        userId: user.id,
+        amount: 200000,
+        status: 'processing',
+        createdAt: new Date().toISOString()
+    });
+
+    const polled = await payments.refreshFromProvider(transaction);
+    assert.equal(polled.changed, false);
+
+    await reconciliation.run();
+    await settlement.drain();
+
+    assert.deepEqual(lookups, []);
+    assert.equal((await db.transactions.findById(transaction.id)).status, 'expired');
+    assert.deepEqual(notified, [{ userId: user.id, type: 'payment_failed' }]);
+});
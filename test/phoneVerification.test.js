@@ -0,0 +1,157 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDb, createClock, createUser, createFakeSms } = require('./helpers');
+const { createPhoneVerificationService } = require('../services/phoneVerification');
+
+const setup = async (options = {}) => {
+    const db = await createTestDb();
+    const clock = createClock();
+    const sms = createFakeSms();
+    const otps = createPhoneVerificationService({
+        db,
+        sms,
+        secret: 'test-otp-secret',
+        ttlMinutes: 10,
+        maxAttempts: 3,
+        resendCooldownSeconds: 60,
+        now: clock.now,
+        ...options
+    });
+    const user = await createUser(db, { phoneVerified: false });
+
+    return { db, clock, sms, otps, user };
+};
+
+// A six digit code that is not `code`
+const wrongCode = (code) => String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+test('texts a code that verifies the number once', async () => {
+    const { sms, otps, user } = await setup();
+
+    await otps.issue({ userId: user.id, phone: user.phone, purpose: 'verify_phone' });
+    assert.equal(sms.sent.length, 1);
+    assert.match(sms.sent[0].message, /^Star Investments: Your verification code is \d{6}\./);
+
+    const code = sms.lastCode(user.phone);
+    const used = await otps.verify({ userId: user.id, phone: user.phone, purpose: 'verify_phone', code });
+    assert.equal(used.status, 'used');
+
+    await assert.rejects(
+        otps.verify({ userId: user.id, phone: user.phone, purpose: 'verify_phone', code }),
+        { code: 'OTP_INVALID' }
+    );
+});
+
+test('a code is only accepted for the purpose it was sent for', async () => {
+    const { sms, otps, user } = await setup();
+
+    await otps.issue({ userId: user.id, phone: user.phone, purpose: 'withdrawal' });
+
+    await assert.rejects(
+        otps.verify({ userId: user.id, phone: user.phone, purpose: 'verify_phone', code: sms.lastCode(user.phone) }),
+        { code: 'OTP_INVALID' }
+    );
+});
+
+test('stops accepting a code after too many wrong guesses', async () => {
+    const { sms, otps, user } = await setup();
+
+    await otps.issue({ userId: user.id, phone: user.phone, purpose: 'verify_phone' });
+    const code = sms.lastCode(user.phone);
+    const attempt = (value) => otps.verify({ userId: user.id, phone: user.phone, purpose: 'verify_phone', code: value });
+
+    await assert.rejects(attempt(wrongCode(code)), { code: 'OTP_INVALID', attemptsRemaining: 2 });
+    await assert.rejects(attempt(wrongCode(code)), { code: 'OTP_INVALID', attemptsRemaining: 1 });
+    await assert.rejects(attempt(wrongCode(code)), { code: 'OTP_ATTEMPTS_EXCEEDED' });
+    await assert.rejects(attempt(code), { code: 'OTP_INVALID' });
+});
+
+test('wrong guesses sent in parallel cannot get past the attempt limit', async () => {
+    const { db, sms, otps, user } = await setup();
+
+    await otps.issue({ userId: user.id, phone: user.phone, purpose: 'verify_phone' });
+    const code = sms.lastCode(user.phone);
+    const attempt = (value) => otps.verify({ userId: user.id, phone: user.phone, purpose: 'verify_phone', code: value });
+
+    const results = await Promise.allSettled(Array.from({ length: 6 }, () => attempt(wrongCode(code))));
+
+    assert.equal(results.filter(result => result.reason.code === 'OTP_INVALID').length, 2);
+    const [otp] = await db.phoneOtps.findByPhone(user.phone);
+    assert.equal(otp.attempts, 3);
+    assert.equal(otp.status, 'failed');
+    await assert.rejects(attempt(code), { code: 'OTP_INVALID' });
+});
+
+test('a code submitted twice in parallel is only used once', async () => {
+    const { sms, otps, user } = await setup();
+    const request = { userId: user.id, phone: user.phone, purpose: 'verify_phone' };
+
+    await otps.issue(request);
+    const code = sms.lastCode(user.phone);
+
+    const results = await Promise.allSettled([otps.verify({ ...request, code }), otps.verify({ ...request, code })]);
+
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+});
+
+test('codes expire and resending waits for the cooldown', async () => {
+    const { clock, sms, otps, user } = await setup();
+    const request = { userId: user.id, phone: user.phone, purpose: 'verify_phone' };
+
+    await otps.issue(request);
+    const first = sms.lastCode(user.phone);
+
+    await assert.rejects(otps.issue(request), { code: 'OTP_COOLDOWN', retryAfter: 60 });
+
+    clock.advance(11 * 60 * 1000);
+    await assert.rejects(otps.verify({ ...request, code: first }), { code: 'OTP_EXPIRED' });
+
+    await otps.issue(request);
+    assert.equal(sms.sent.length, 2);
+});
+
+test('a new code replaces the previous one', async () => {
+    const { db, clock, sms, otps, user } = await setup();
+    const request = { userId: user.id, phone: user.phone, purpose: 'verify_phone' };
+
+    const first = await otps.issue(request);
+    clock.advance(61 * 1000);
+    await otps.issue(request);
+
+    assert.equal((await db.phoneOtps.findByPhone(user.phone)).find(otp => otp.id === first.id).status, 'superseded');
+    const used = await otps.verify({ ...request, code: sms.lastCode(user.phone) });
+    assert.equal(used.status, 'used');
+});
+
+test('a code sent to another account for the same number neither replaces nor unlocks this one', async () => {
+    const { db, clock, sms, otps, user } = await setup();
+    const other = await createUser(db, { phone: '+256700654321', email: 'other@example.com', phoneVerified: false });
+    const request = { userId: user.id, phone: user.phone, purpose: 'add_number' };
+
+    await otps.issue(request);
+    const code = sms.lastCode(user.phone);
+
+    clock.advance(61 * 1000);
+    await otps.issue({ ...request, userId: other.id });
+    await assert.rejects(
+        otps.verify({ ...request, userId: other.id, code }),
+        { code: 'OTP_INVALID' }
+    );
+
+    const used = await otps.verify({ ...request, code });
+    assert.equal(used.status, 'used');
+});
+
+test('a code the gateway could not deliver does not start the cooldown', async () => {
+    const { db, user } = await setup();
+    const sms = createFakeSms();
+    const failing = { ...sms, send: async () => { throw new Error('Gateway down'); } };
+    const otps = createPhoneVerificationService({ db, sms: failing, secret: 'test-otp-secret' });
+    const request = { userId: user.id, phone: user.phone, purpose: 'verify_phone' };
+
+    await assert.rejects(otps.issue(request), /Gateway down/);
+
+    const working = createPhoneVerificationService({ db, sms, secret: 'test-otp-secret' });
+    await working.issue(request);
+    assert.equal(sms.sent.length, 1);
+});
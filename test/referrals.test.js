@@ -0,0 +1,96 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDb, createPlan, createUser } = require('./helpers');
+const { createPaymentService } = require('../services/payments');
+const { handleSettledPayments } = require('../services/settlement');
+const { createLedgerService } = require('../services/ledger');
+const createInvestmentService = require('../services/investments');
+const createReferralService = require('../services/referrals');
+
+// A referral chain grandparent <- parent <- referee, paid 5% at level 1 and 2% at level 2
+const setup = async ({ mode = 'first' } = {}) => {
+    const db = await createTestDb();
+    const payments = createPaymentService({ db, provider: null });
+    const ledger = createLedgerService({ db });
+    const investments = createInvestmentService({ db, ledger });
+    const referrals = createReferralService({ db, ledger, rates: [5, 2], mode });
+    const notifications = { notifyUserId: async () => {} };
+    const settlement = handleSettledPayments({ payments, investments, referrals, notifications });
+
+    const plan = await createPlan(db);
+    const grandparent = await createUser(db, { email: 'grandparent@example.com', phone: '+256700000001' });
+    const parent = await createUser(db, { email: 'parent@example.com', phone: '+256700000002', referredBy: grandparent.id });
+    const referee = await createUser(db, { email: 'referee@example.com', phone: '+256700000003', referredBy: parent.id });
+
+    // Settle a successful payment from `user` and wait for the investment and commissions
+    const pay = async (user, amount = 200000) => {
+        const transaction = await db.transactions.create({
+            reference: `ref-${user.id}-${Date.now()}-${Math.random()}`,
+            userId: user.id,
+            phone: user.phone,
+            amount,
+            planId: plan.id,
+            planName: plan.name,
+            status: 'processing',
+            createdAt: new Date().toISOString()
+        });
+        await payments.applyStatus(transaction, 'successful', 'successful');
+        await settlement.drain();
+        return db.investments.findByTransactionId(transaction.id);
+    };
+
+    const commissions = async (user) => (await db.journals.findByUserId(user.id))
+        .filter(journal => journal.type === 'referral_commission');
+
+    return { db, ledger, referrals, grandparent, parent, referee, pay, commissions };
+};
+
+test('a settled payment credits commission up each referral level', async () => {
+    const { ledger, grandparent, parent, referee, pay, commissions } = await setup();
+
+    await pay(referee, 200000);
+
+    assert.equal((await ledger.getBalance(parent.id)).available, 10000);
+    assert.equal((await ledger.getBalance(grandparent.id)).available, 4000);
+    assert.deepEqual((await commissions(parent)).map(journal => journal.metadata.level), [1]);
+    assert.deepEqual((await commissions(grandparent)).map(journal => journal.metadata.level), [2]);
+    assert.deepEqual(await commissions(referee), []);
+});
+
+test('crediting the same investment again posts nothing new', async () => {
+    const { ledger, referrals, parent, referee, pay, commissions } = await setup();
+
+    const investment = await pay(referee);
+    await referrals.creditCommissions(investment);
+
+    assert.equal((await commissions(parent)).length, 1);
+    assert.equal((await ledger.getBalance(parent.id)).available, 10000);
+});
+
+test('only the first investment earns commission unless every investment does', async () => {
+    const first = await setup();
+    await first.pay(first.referee);
+    await first.pay(first.referee);
+    assert.equal((await first.commissions(first.parent)).length, 1);
+
+    const every = await setup({ mode: 'every' });
+    await every.pay(every.referee);
+    await every.pay(every.referee);
+    assert.equal((await every.commissions(every.parent)).length, 2);
+});
+
+test('nobody earns commission on their own investment', async () => {
+    const { db, ledger, grandparent, parent, pay, commissions } = await setup();
+
+    // A user who referred themselves, and a loop back to the payer two levels up
+    const self = await createUser(db, { email: 'self@example.com', phone: '+256700000004' });
+    await db.users.update(self.id, { referredBy: self.id });
+    await db.users.update(grandparent.id, { referredBy: parent.id });
+
+    await pay(await db.users.findById(self.id));
+    await pay(parent);
+
+    assert.deepEqual(await commissions(self), []);
+    assert.equal((await ledger.getBalance(grandparent.id)).available, 10000);
+    assert.deepEqual(await commissions(parent), []);
+});
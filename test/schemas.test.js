@@ -0,0 +1,95 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { validate } = require('../middleware/validate');
+const authSchemas = require('../schemas/auth');
+const adminSchemas = require('../schemas/admin');
+const withdrawalSchemas = require('../schemas/withdrawals');
+
+const PASSWORD = 'Correct horse battery staple';
+
+// Run `validate(schema)` on a request; resolves with the checked request and the error passed on, if any
+const run = (schema, request) => new Promise(resolve => {
+    const req = { params: {}, query: {}, body: {}, ...request };
+    validate(schema)(req, {}, error => resolve({ req, error: error || null }));
+});
+
+test('registration input is normalised and undeclared fields are dropped', async () => {
+    const { req, error } = await run(authSchemas.register, {
+        body: {
+            phone: '0700 123 456',
+            email: '  Jane.Doe@Example.COM ',
+            password: PASSWORD,
+            confirmPassword: PASSWORD,
+            referralCode: ' ab12cd34 ',
+            role: 'admin'
+        }
+    });
+
+    assert.equal(error, null);
+    assert.deepEqual(req.body, {
+        phone: '+256700123456',
+        email: 'jane.doe@example.com',
+        password: PASSWORD,
+        confirmPassword: PASSWORD,
+        referralCode: 'AB12CD34'
+    });
+});
+
+test('every failing field is reported at once', async () => {
+    const { error } = await run(authSchemas.register, {
+        body: {
+            phone: '+1 555 0100',
+            password: 'password1',
+            confirmPassword: 'password2',
+            language: 'fr'
+        }
+    });
+
+    assert.equal(error.status, 400);
+    assert.equal(error.code, 'VALIDATION_FAILED');
+    assert.deepEqual(error.details.map(({ field, code }) => [field, code]), [
+        ['phone', 'INVALID_FORMAT'],
+        ['email', 'REQUIRED'],
+        ['password', 'WEAK_PASSWORD'],
+        ['confirmPassword', 'MISMATCH'],
+        ['language', 'NOT_ALLOWED']
+    ]);
+});
+
+test('a password is taken exactly as typed and checked against the account\'s own details', async () => {
+    const { error } = await run(authSchemas.register, {
+        body: { phone: '+256700123456', email: 'jane@example.com', password: 'x0700123456x', confirmPassword: 'x0700123456x' }
+    });
+    assert.deepEqual(error.details.map(({ field, code }) => [field, code]), [['password', 'WEAK_PASSWORD']]);
+
+    const { req } = await run(authSchemas.login, { body: { phone: '+256700123456', password: '  spaced  ' } });
+    assert.equal(req.body.password, '  spaced  ');
+});
+
+test('query strings are coerced, defaulted and bounded', async () => {
+    const { req, error } = await run(adminSchemas.listUsers, { query: { q: 'Jane', limit: '25', offset: '' } });
+    assert.equal(error, null);
+    assert.deepEqual(req.query, { q: 'jane', limit: 25, offset: 0 });
+
+    const tooMany = await run(adminSchemas.listUsers, { query: { limit: '500' } });
+    assert.deepEqual(tooMany.error.details.map(({ field, code }) => [field, code]), [['limit', 'TOO_LARGE']]);
+
+    const range = await run(adminSchemas.exportTransactions, { query: { from: '2024-01-01', to: '2024-01-31', status: 'pending' } });
+    assert.deepEqual(range.error.details.map(({ field, code }) => [field, code]), [['status', 'NOT_ALLOWED']]);
+
+    const { req: exported } = await run(adminSchemas.exportTransactions, { query: { from: '2024-01-01', to: '2024-01-31' } });
+    assert.equal(exported.query.to.toISOString(), '2024-01-31T23:59:59.999Z');
+});
+
+test('withdrawal amounts must be whole shillings within the limits', async () => {
+    const { req } = await run(withdrawalSchemas.request, { body: { amount: '1000', otp: '123456' } });
+    assert.deepEqual(req.body, { amount: 1000, otp: '123456' });
+
+    for (const [amount, code] of [[1000.5, 'INVALID_TYPE'], [100, 'TOO_SMALL'], [20000000, 'TOO_LARGE'], ['lots', 'INVALID_TYPE']]) {
+        const { error } = await run(withdrawalSchemas.request, { body: { amount } });
+        assert.deepEqual(error.details.map(detail => detail.code), [code], `amount ${amount}`);
+    }
+
+    const { error } = await run(withdrawalSchemas.request, { body: { amount: 1000, otp: '12ab' } });
+    assert.deepEqual(error.details.map(({ field, code }) => [field, code]), [['otp', 'INVALID_FORMAT']]);
+});
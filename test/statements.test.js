@@ -0,0 +1,150 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDb, createClock, createUser, DAY_MS } = require('./helpers');
+const { createLedgerService, ACCOUNTS } = require('../services/ledger');
+const { createStatementService, monthOf, previousMonth } = require('../services/statements');
+const { createPdfDocument } = require('../services/pdf');
+const { toCsv } = require('../services/csv');
+const createMonthlyStatementJob = require('../jobs/monthlyStatements');
+
+// Post a journal for `user` dated `effectiveDate`, moving `amount` from one account to another
+const postJournal = (ledger, user, { key, type, debit, credit, amount, effectiveDate, description = type }) => ledger.post({
+    idempotencyKey: `${key}:${user.id}`,
+    type,
+    userId: user.id,
+    description,
+    lines: [
+        { account: debit, debit: amount },
+        { account: credit, credit: amount }
+    ],
+    effectiveDate: new Date(effectiveDate)
+});
+
+// A user with a deposit in January and a return, a commission and a paid-out withdrawal in February (EAT)
+const setup = async () => {
+    const db = await createTestDb();
+    const ledger = createLedgerService({ db });
+    const statements = createStatementService({ db });
+    const user = await createUser(db, { fullName: 'Test User' });
+
+    await postJournal(ledger, user, { key: 'deposit', type: 'investment', debit: ACCOUNTS.CASH, credit: ACCOUNTS.PRINCIPAL, amount: 200000, effectiveDate: '2024-01-15T09:00:00.000Z' });
+    await postJournal(ledger, user, { key: 'return', type: 'accrual', debit: ACCOUNTS.RETURNS_EXPENSE, credit: ACCOUNTS.WALLET, amount: 4000, effectiveDate: '2024-02-01T09:00:00.000Z' });
+    await postJournal(ledger, user, { key: 'commission', type: 'referral_commission', debit: ACCOUNTS.REFERRAL_EXPENSE, credit: ACCOUNTS.WALLET, amount: 1000, effectiveDate: '2024-02-10T09:00:00.000Z' });
+    await postJournal(ledger, user, { key: 'hold', type: 'withdrawal_hold', debit: ACCOUNTS.WALLET, credit: ACCOUNTS.HELD, amount: 3000, effectiveDate: '2024-02-20T09:00:00.000Z' });
+    await postJournal(ledger, user, { key: 'payout', type: 'withdrawal', debit: ACCOUNTS.HELD, credit: ACCOUNTS.CASH, amount: 3000, effectiveDate: '2024-02-21T09:00:00.000Z' });
+
+    return { db, ledger, statements, user };
+};
+
+test('months follow East Africa Time', () => {
+    // 22:30 UTC on 31 January is already 1 February in Kampala
+    const february = monthOf(new Date('2024-01-31T22:30:00.000Z'));
+    assert.equal(february.key, '2024-02');
+    assert.equal(february.from.toISOString(), '2024-01-31T21:00:00.000Z');
+    assert.equal(february.to.toISOString(), '2024-02-29T20:59:59.999Z');
+    assert.equal(previousMonth(new Date('2024-03-01T00:00:00.000Z')).key, '2024-02');
+});
+
+test('a statement\'s totals add up to the ledger', async () => {
+    const { ledger, statements, user } = await setup();
+
+    const statement = await statements.build(user, monthOf(new Date('2024-02-15T00:00:00.000Z')));
+
+    assert.equal(statement.openingBalance, 200000);
+    assert.equal(statement.deposits, 0);
+    assert.equal(statement.returns, 4000);
+    assert.equal(statement.referralCommissions, 1000);
+    assert.equal(statement.withdrawals, 3000);
+    assert.equal(statement.closingBalance, 202000);
+
+    // The hold moved money between the user's own accounts, so it is not listed
+    assert.deepEqual(statement.entries.map(entry => [entry.type, entry.amount, entry.balance]), [
+        ['return', 4000, 204000],
+        ['referral_commission', 1000, 205000],
+        ['withdrawal', -3000, 202000]
+    ]);
+
+    const balance = await ledger.getBalance(user.id);
+    assert.deepEqual(statement.closingBalances, { available: balance.available, held: balance.held, invested: balance.invested });
+    assert.equal(balance.available + balance.held + balance.invested, statement.closingBalance);
+});
+
+test('a statement renders as CSV and as a PDF', async () => {
+    const { statements, user } = await setup();
+    const statement = await statements.build(user, monthOf(new Date('2024-02-15T00:00:00.000Z')));
+
+    const rows = statements.toCsv(statement).trimEnd().split('\r\n');
+    assert.equal(rows[0], 'Date,Type,Description,Reference,Amount (UGX),Balance (UGX)');
+    assert.equal(rows.length, statement.entries.length + 3);
+    assert.match(rows[1], /opening_balance,Opening balance,,,200000$/);
+    assert.match(rows[rows.length - 1], /closing_balance,Closing balance,,,202000$/);
+
+    const pdf = statements.toPdf(statement).toString('latin1');
+    assert.ok(pdf.startsWith('%PDF-1.4'));
+    assert.ok(pdf.trimEnd().endsWith('%%EOF'));
+    assert.match(pdf, /\(Closing balance\) Tj/);
+});
+
+test('CSV fields are quoted and formulas defused', () => {
+    const csv = toCsv([
+        { header: 'Name', value: row => row.name },
+        { header: 'Amount', value: row => row.amount }
+    ], [
+        { name: 'Doe, "Jane"', amount: -500 },
+        { name: '=HYPERLINK("http://example.com")', amount: null },
+        { name: 'Line one\nline two', amount: 0 }
+    ]);
+
+    assert.equal(csv, [
+        'Name,Amount',
+        '"Doe, ""Jane""",-500',
+        '"\'=HYPERLINK(""http://example.com"")",',
+        '"Line one\nline two",0',
+        ''
+    ].join('\r\n'));
+});
+
+test('PDF text is escaped, limited to Latin-1 and its cross-reference offsets point at objects', () => {
+    const doc = createPdfDocument({ title: 'Test' });
+    doc.addPage();
+    doc.text('Balance (UGX) \\ 100 €', 50, 700);
+    assert.equal(doc.fit('A long description that will not fit', 60), 'A long des...');
+
+    const pdf = doc.toBuffer().toString('latin1');
+    assert.match(pdf, /\(Balance \\\(UGX\\\) \\\\ 100 \?\) Tj/);
+
+    const xref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+    assert.ok(pdf.slice(xref).startsWith('xref'));
+    const offsets = pdf.slice(xref).match(/^\d{10} 00000 n $/gm).map(entry => Number(entry.slice(0, 10)));
+    offsets.forEach((offset, index) => assert.ok(pdf.slice(offset).startsWith(`${index + 1} 0 obj`)));
+});
+
+test('the monthly job emails each statement once per period', async () => {
+    const { db, statements, user } = await setup();
+    const clock = createClock('2024-03-01T09:00:00.000Z');
+    const sent = [];
+    const emailOutbox = {
+        sendToUser: async (recipient, template, data, { attachments }) => sent.push({ userId: recipient.id, period: data.statement.period, attachments })
+    };
+    const preferences = { [user.id]: ['email'] };
+    const notifications = { getPreferences: (recipient) => ({ statements: preferences[recipient.id] || [] }) };
+    const job = createMonthlyStatementJob({ db, statements, emailOutbox, notifications, now: clock.now });
+
+    // Someone with nothing to report, and someone who turned statement emails off
+    const idle = await createUser(db, { email: 'idle@example.com', phone: '+256700000002' });
+    preferences[idle.id] = ['email'];
+    await createUser(db, { email: 'quiet@example.com', phone: '+256700000003' });
+
+    assert.equal(await job.runOnce(), 1);
+    assert.equal(await job.runOnce(), 0);
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].userId, user.id);
+    assert.equal(sent[0].attachments[0].filename, 'star-investments-statement-2024-02.pdf');
+    assert.equal((await db.users.findById(user.id)).lastStatementPeriod, '2024-02');
+    assert.equal((await db.users.findById(idle.id)).lastStatementPeriod, '2024-02');
+
+    // The next month brings the next statement
+    clock.advance(31 * DAY_MS);
+    assert.equal(await job.runOnce(), 1);
+    assert.equal((await db.users.findById(user.id)).lastStatementPeriod, '2024-03');
+});
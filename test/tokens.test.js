@@ -0,0 +1,34 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDb, createUser } = require('./helpers');
+const createTokenService = require('../services/tokens');
+
+const setup = async () => {
+    const db = await createTestDb();
+    const tokens = createTokenService({ db, jwtSecret: 'test-jwt-secret', refreshSecret: 'test-refresh-secret' });
+    const user = await createUser(db);
+
+    return { db, tokens, user };
+};
+
+test('a rotated refresh token presented again revokes the session', async () => {
+    const { tokens, user } = await setup();
+
+    const { refreshToken } = await tokens.issueSession(user);
+    const { tokens: rotated } = await tokens.rotate(refreshToken);
+
+    await assert.rejects(tokens.rotate(refreshToken), { code: 'SESSION_REVOKED' });
+    await assert.rejects(tokens.rotate(rotated.refreshToken), { code: 'SESSION_REVOKED' });
+});
+
+test('two rotations of one refresh token in parallel count as reuse', async () => {
+    const { tokens, user } = await setup();
+
+    const { accessToken, refreshToken } = await tokens.issueSession(user);
+    const results = await Promise.allSettled([tokens.rotate(refreshToken), tokens.rotate(refreshToken)]);
+
+    assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+    const winner = results.find(result => result.status === 'fulfilled').value;
+    await assert.rejects(tokens.rotate(winner.tokens.refreshToken), { code: 'SESSION_REVOKED' });
+    await assert.rejects(tokens.verifyAccessToken(accessToken), { code: 'SESSION_REVOKED' });
+});
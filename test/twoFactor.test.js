@@ -0,0 +1,182 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { createTestDb, createClock, createUser } = require('./helpers');
+const { createTwoFactorService } = require('../services/twoFactor');
+
+// What an authenticator app shows for a base32 secret at time `at` (RFC 6238, SHA-1, 6 digits, 30s)
+const totp = (secret, at) => {
+    const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+    const bits = [...secret].map(char => alphabet.indexOf(char).toString(2).padStart(5, '0')).join('');
+    const key = Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(Math.floor(at.getTime() / 30000)));
+    const hmac = crypto.createHmac('sha1', key).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    return String((hmac.readUInt32BE(offset) & 0x7fffffff) % 1000000).padStart(6, '0');
+};
+
+const setup = async () => {
+    const db = await createTestDb();
+    const clock = createClock();
+    const twoFactor = createTwoFactorService({
+        db,
+        encryptionKey: 'test-two-factor-key',
+        maxChallengeAttempts: 3,
+        challengeTtlMinutes: 5,
+        now: clock.now
+    });
+    const user = await createUser(db);
+
+    return { db, clock, twoFactor, user };
+};
+
+// Enrol the user and move past the time step the confirmation code used
+const enrol = async ({ db, clock, twoFactor, user }) => {
+    const { secret } = await twoFactor.beginEnrolment(user);
+    const { backupCodes } = await twoFactor.confirmEnrolment(await db.users.findById(user.id), totp(secret, clock.now()));
+    clock.advance(30 * 1000);
+
+    return { secret, backupCodes, user: await db.users.findById(user.id) };
+};
+
+test('enrolment needs a code from the app and returns single-use backup codes', async () => {
+    const context = await setup();
+    const { db, clock, twoFactor, user } = context;
+
+    const { secret, otpauthUrl } = await twoFactor.beginEnrolment(user);
+    assert.match(otpauthUrl, /^otpauth:\/\/totp\/Star%20Investments%3A%2B256700123456\?secret=[A-Z2-7]+&/);
+
+    const pending = await db.users.findById(user.id);
+    assert.notEqual(pending.twoFactorPendingSecret, secret);
+    await assert.rejects(twoFactor.confirmEnrolment(pending, '000000'), { code: 'TWO_FACTOR_INVALID_CODE' });
+
+    const { user: enabled, backupCodes } = await twoFactor.confirmEnrolment(pending, totp(secret, clock.now()));
+    assert.equal(twoFactor.isEnabled(enabled), true);
+    assert.equal(backupCodes.length, 10);
+    assert.equal(twoFactor.status(enabled).backupCodesRemaining, 10);
+
+    const first = await twoFactor.verifyCode(enabled, backupCodes[0].toUpperCase());
+    assert.deepEqual(first, { method: 'backup_code', backupCodesRemaining: 9 });
+    await assert.rejects(
+        twoFactor.verifyCode(await db.users.findById(user.id), backupCodes[0]),
+        { code: 'TWO_FACTOR_INVALID_CODE' }
+    );
+});
+
+test('a TOTP code is accepted once and then refused as a replay', async () => {
+    const context = await setup();
+    const { db, clock, twoFactor } = context;
+    const { secret, user } = await enrol(context);
+
+    const code = totp(secret, clock.now());
+    const result = await twoFactor.verifyCode(user, code);
+    assert.equal(result.method, 'totp');
+
+    await assert.rejects(twoFactor.verifyCode(await db.users.findById(user.id), code), { code: 'TWO_FACTOR_INVALID_CODE' });
+
+    clock.advance(30 * 1000);
+    await twoFactor.verifyCode(await db.users.findById(user.id), totp(secret, clock.now()));
+});
+
+test('a TOTP or backup code sent twice in parallel is only accepted once', async () => {
+    const context = await setup();
+    const { db, clock, twoFactor } = context;
+    const { secret, backupCodes, user } = await enrol(context);
+
+    // Both requests start from the same signed-in copy of the user
+    for (const code of [totp(secret, clock.now()), backupCodes[0]]) {
+        const results = await Promise.allSettled([twoFactor.verifyCode(user, code), twoFactor.verifyCode(user, code)]);
+
+        assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+        assert.equal(results.find(result => result.status === 'rejected').reason.code, 'TWO_FACTOR_INVALID_CODE');
+    }
+
+    // Two different backup codes used at once are both used up
+    await Promise.all([twoFactor.verifyCode(user, backupCodes[1]), twoFactor.verifyCode(user, backupCodes[2])]);
+    assert.equal(twoFactor.status(await db.users.findById(user.id)).backupCodesRemaining, 7);
+});
+
+test('login challenges complete with a valid code and cannot be reused', async () => {
+    const context = await setup();
+    const { clock, twoFactor } = context;
+    const { secret, user } = await enrol(context);
+
+    const { challengeToken } = await twoFactor.startChallenge(user, { ip: '127.0.0.1' });
+
+    await assert.rejects(twoFactor.completeChallenge(challengeToken, '000000'), {
+        code: 'TWO_FACTOR_INVALID_CODE',
+        attemptsRemaining: 2
+    });
+
+    const { user: signedIn, method } = await twoFactor.completeChallenge(challengeToken, totp(secret, clock.now()));
+    assert.equal(signedIn.id, user.id);
+    assert.equal(method, 'totp');
+
+    clock.advance(30 * 1000);
+    await assert.rejects(
+        twoFactor.completeChallenge(challengeToken, totp(secret, clock.now())),
+        { code: 'TWO_FACTOR_CHALLENGE_INVALID' }
+    );
+});
+
+test('login challenges fail after too many wrong codes or once expired', async () => {
+    const context = await setup();
+    const { clock, twoFactor } = context;
+    const { secret, user } = await enrol(context);
+
+    const locked = await twoFactor.startChallenge(user);
+    await assert.rejects(twoFactor.completeChallenge(locked.challengeToken, '000000'), { code: 'TWO_FACTOR_INVALID_CODE' });
+    await assert.rejects(twoFactor.completeChallenge(locked.challengeToken, '000000'), { code: 'TWO_FACTOR_INVALID_CODE' });
+    await assert.rejects(twoFactor.completeChallenge(locked.challengeToken, '000000'), { code: 'TWO_FACTOR_ATTEMPTS_EXCEEDED' });
+    await assert.rejects(
+        twoFactor.completeChallenge(locked.challengeToken, totp(secret, clock.now())),
+        { code: 'TWO_FACTOR_CHALLENGE_INVALID' }
+    );
+
+    const expired = await twoFactor.startChallenge(user);
+    clock.advance(6 * 60 * 1000);
+    await assert.rejects(
+        twoFactor.completeChallenge(expired.challengeToken, totp(secret, clock.now())),
+        { code: 'TWO_FACTOR_CHALLENGE_EXPIRED' }
+    );
+});
+
+test('wrong codes sent in parallel each use up an attempt', async () => {
+    const context = await setup();
+    const { clock, twoFactor } = context;
+    const { secret, user } = await enrol(context);
+
+    const { challengeToken } = await twoFactor.startChallenge(user);
+    const results = await Promise.allSettled([1, 2, 3, 4].map(() => twoFactor.completeChallenge(challengeToken, '000000')));
+    const codes = results.map(result => result.reason.code).sort();
+
+    assert.deepEqual(codes, [
+        'TWO_FACTOR_ATTEMPTS_EXCEEDED',
+        'TWO_FACTOR_ATTEMPTS_EXCEEDED',
+        'TWO_FACTOR_INVALID_CODE',
+        'TWO_FACTOR_INVALID_CODE'
+    ]);
+    await assert.rejects(
+        twoFactor.completeChallenge(challengeToken, totp(secret, clock.now())),
+        { code: 'TWO_FACTOR_CHALLENGE_INVALID' }
+    );
+});
+
+test('step-up lasts for its time limit and is not needed without 2FA', async () => {
+    const context = await setup();
+    const { db, clock, twoFactor } = context;
+    const session = await db.sessions.create({ userId: context.user.id, createdAt: clock.now().toISOString() });
+
+    assert.equal(twoFactor.stepUpSatisfied(context.user, session), true);
+
+    const { user } = await enrol(context);
+    assert.equal(twoFactor.stepUpSatisfied(user, session), false);
+
+    await twoFactor.markStepUp(session);
+    assert.equal(twoFactor.stepUpSatisfied(user, await db.sessions.findById(session.id)), true);
+
+    clock.advance(twoFactor.stepUpTtlMinutes * 60 * 1000);
+    assert.equal(twoFactor.stepUpSatisfied(user, await db.sessions.findById(session.id)), false);
+});
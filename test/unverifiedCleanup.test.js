@@ -0,0 +1,37 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDb, createClock, createUser } = require('./helpers');
+const createTokenService = require('../services/tokens');
+const createUnverifiedCleanupJob = require('../jobs/unverifiedCleanup');
+
+test('purges stale unverified registrations with their sessions and phone codes', async () => {
+    const db = await createTestDb();
+    const clock = createClock();
+    const tokens = createTokenService({ db, jwtSecret: 'test-jwt-secret', refreshSecret: 'test-refresh-secret', now: clock.now });
+    const job = createUnverifiedCleanupJob({ db, maxAgeDays: 7, now: clock.now });
+
+    const stale = await createUser(db, { isVerified: false, createdAt: clock.now().toISOString() });
+    const verified = await createUser(db, {
+        email: 'verified@example.com',
+        phone: '+256700654321',
+        createdAt: clock.now().toISOString()
+    });
+
+    const { refreshToken } = await tokens.issueSession(stale);
+    await tokens.issueSession(verified);
+    await db.phoneOtps.create({ userId: stale.id, phone: stale.phone, purpose: 'verify_phone', status: 'active', createdAt: clock.now().toISOString() });
+    await db.phoneOtps.create({ userId: null, phone: stale.phone, purpose: 'verify_phone', status: 'active', createdAt: clock.now().toISOString() });
+
+    clock.advanceDays(6);
+    assert.equal(await job.runOnce(), 0);
+
+    clock.advanceDays(2);
+    assert.equal(await job.runOnce(), 1);
+
+    assert.equal(await db.users.findById(stale.id), null);
+    assert.ok(await db.users.findById(verified.id));
+    assert.deepEqual(await db.sessions.findByUserId(stale.id), []);
+    assert.equal((await db.sessions.findByUserId(verified.id)).length, 1);
+    await assert.rejects(tokens.rotate(refreshToken), { code: 'INVALID_REFRESH_TOKEN' });
+    assert.deepEqual((await db.phoneOtps.findByPhone(stale.phone)).map(otp => otp.userId), [null]);
+});
@@ -0,0 +1,124 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const express = require('express');
+const { createTestDb, createPlan, createUser } = require('./helpers');
+const createSimulatorEngine = require('../simulator/engine');
+const createSimulatorProvider = require('../services/providers/simulator');
+const { createPaymentService } = require('../services/payments');
+const createWebhookRouter = require('../routes/webhooks');
+const { notFound, errorHandler } = require('../middleware/errors');
+
+const SECRET = 'test-webhook-secret';
+
+// The webhook route as the server mounts it, on the simulator and a memory store
+const setup = async () => {
+    const db = await createTestDb();
+    const engine = createSimulatorEngine({ secret: SECRET, delayMs: 60 * 60 * 1000, postCallback: async () => {} });
+    const provider = createSimulatorProvider({ secret: SECRET, engine });
+    const payments = createPaymentService({ db, provider });
+    const withdrawals = { applyStatusByReference: async () => null };
+
+    const plan = await createPlan(db);
+    const user = await createUser(db);
+
+    const app = express();
+    app.use(express.json({
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        }
+    }));
+    app.use('/api/webhooks', createWebhookRouter({ db, provider, payments, withdrawals }));
+    app.use(notFound);
+    app.use(errorHandler);
+
+    // What POST /api/payment/initiate does; `confirmed: false` is a collect call that never answered
+    const initiate = async (amount = 200000, { confirmed = true } = {}) => {
+        const reference = crypto.randomUUID();
+        const transaction = await db.transactions.create({
+            reference,
+            provider: provider.name,
+            providerTransactionId: null,
+            userId: user.id,
+            phone: user.phone,
+            amount,
+            planId: plan.id,
+            status: 'processing',
+            createdAt: new Date().toISOString()
+        });
+
+        const collection = await provider.collect({ amount, phone: user.phone, reference, description: 'Test', callbackUrl: null });
+        if (!confirmed) return { ...transaction, providerTransactionId: collection.providerTransactionId };
+
+        return db.transactions.update(transaction.id, { providerTransactionId: collection.providerTransactionId });
+    };
+
+    // Post a correctly signed callback carrying `transaction`
+    const deliver = async (transaction) => {
+        const body = JSON.stringify({ transaction });
+        const server = app.listen(0);
+        await new Promise(resolve => server.once('listening', resolve));
+        try {
+            const response = await fetch(`http://127.0.0.1:${server.address().port}/api/webhooks/simulator`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-marzpay-signature': crypto.createHmac('sha256', SECRET).update(body).digest('hex')
+                },
+                body
+            });
+            return { status: response.status, body: await response.json() };
+        } finally {
+            await new Promise(resolve => server.close(resolve));
+        }
+    };
+
+    return { db, initiate, deliver };
+};
+
+test('a matching callback settles the transaction', async () => {
+    const { db, initiate, deliver } = await setup();
+    const transaction = await initiate();
+
+    const response = await deliver({ uuid: transaction.providerTransactionId, reference: transaction.reference, status: 'successful', amount: 200000 });
+
+    assert.equal(response.status, 200);
+    assert.equal((await db.transactions.findById(transaction.id)).status, 'successful');
+});
+
+test('a callback carrying another transaction\'s provider id is refused without settling', async () => {
+    const { db, initiate, deliver } = await setup();
+    const transaction = await initiate();
+    const other = await initiate();
+
+    const response = await deliver({ uuid: other.providerTransactionId, reference: transaction.reference, status: 'successful', amount: 200000 });
+
+    assert.equal(response.status, 422);
+    assert.equal(response.body.code, 'TRANSACTION_MISMATCH');
+    assert.equal((await db.transactions.findById(transaction.id)).status, 'processing');
+});
+
+test('a callback for a different amount is acknowledged and holds the payment for review', async () => {
+    const { db, initiate, deliver } = await setup();
+    const transaction = await initiate();
+    const callback = { uuid: transaction.providerTransactionId, reference: transaction.reference, status: 'successful', amount: 2000000 };
+
+    const response = await deliver(callback);
+
+    assert.equal(response.status, 200);
+    assert.equal(response.body.data.status, 'needs_review');
+    assert.equal((await db.transactions.findById(transaction.id)).status, 'needs_review');
+    assert.equal((await db.webhookEvents.findByReference(transaction.reference)).length, 1);
+});
+
+test('a callback for a collection we never heard back about supplies its provider id and settles it', async () => {
+    const { db, initiate, deliver } = await setup();
+    const transaction = await initiate(200000, { confirmed: false });
+
+    const response = await deliver({ uuid: transaction.providerTransactionId, reference: transaction.reference, status: 'successful', amount: 200000 });
+
+    assert.equal(response.status, 200);
+    const stored = await db.transactions.findById(transaction.id);
+    assert.equal(stored.status, 'successful');
+    assert.equal(stored.providerTransactionId, transaction.providerTransactionId);
+});
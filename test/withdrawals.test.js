@@ -0,0 +1,231 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createTestDb, createClock, createUser } = require('./helpers');
+const createSimulatorEngine = require('../simulator/engine');
+const createSimulatorProvider = require('../services/providers/simulator');
+const { createLedgerService, ACCOUNTS } = require('../services/ledger');
+const createWithdrawalService = require('../services/withdrawals');
+
+const setup = async ({ phone = '+256700123456', provider, ...options } = {}) => {
+    const db = await createTestDb();
+    const clock = createClock();
+    const engine = createSimulatorEngine({
+        secret: 'test-webhook-secret',
+        delayMs: 60 * 60 * 1000,
+        postCallback: async () => {}
+    });
+    const ledger = createLedgerService({ db, now: clock.now });
+    const withdrawals = createWithdrawalService({
+        db,
+        ledger,
+        provider: provider || createSimulatorProvider({ secret: 'test-webhook-secret', engine }),
+        approvalThreshold: 1000000,
+        now: clock.now,
+        ...options
+    });
+
+    // 500,000 UGX of returns in the wallet
+    const user = await createUser(db, { phone });
+    await ledger.post({
+        idempotencyKey: `test-funds:${user.id}`,
+        type: 'accrual',
+        userId: user.id,
+        lines: [
+            { account: ACCOUNTS.RETURNS_EXPENSE, debit: 500000 },
+            { account: ACCOUNTS.WALLET, credit: 500000 }
+        ]
+    });
+
+    return { db, clock, engine, ledger, withdrawals, user };
+};
+
+test('holds the amount while the payout is processing and pays it out on success', async () => {
+    const { engine, ledger, withdrawals, user } = await setup();
+
+    const withdrawal = await withdrawals.request(user, { amount: 200000 });
+    assert.equal(withdrawal.status, 'processing');
+    assert.ok(withdrawal.providerTransactionId);
+
+    let balance = await ledger.getBalance(user.id);
+    assert.equal(balance.available, 300000);
+    assert.equal(balance.held, 200000);
+
+    await engine.settle(withdrawal.providerTransactionId, 'successful');
+    await withdrawals.processDue();
+
+    const [stored] = await withdrawals.listForUser(user.id);
+    assert.equal(stored.status, 'successful');
+
+    balance = await ledger.getBalance(user.id);
+    assert.equal(balance.available, 300000);
+    assert.equal(balance.held, 0);
+});
+
+test('releases the hold when the payout fails', async () => {
+    const { engine, ledger, withdrawals, user } = await setup({ phone: '+256700123499' });
+    const failed = [];
+    withdrawals.events.on('withdrawal.failed', item => failed.push(item));
+
+    const withdrawal = await withdrawals.request(user, { amount: 200000 });
+    await engine.settle(withdrawal.providerTransactionId, 'failed');
+    await withdrawals.applyStatusByReference(withdrawal.reference, 'failed', 'failed');
+
+    // A repeated callback does not release the hold twice
+    await withdrawals.applyStatusByReference(withdrawal.reference, 'failed', 'failed');
+
+    assert.equal(failed.length, 1);
+    const balance = await ledger.getBalance(user.id);
+    assert.equal(balance.available, 500000);
+    assert.equal(balance.held, 0);
+});
+
+test('a payout result that races a poll releases the hold and announces it once', async () => {
+    const { db, ledger, withdrawals, user } = await setup();
+    const failed = [];
+    withdrawals.events.on('withdrawal.failed', item => failed.push(item));
+
+    const withdrawal = await withdrawals.request(user, { amount: 200000 });
+    await Promise.all([
+        withdrawals.applyStatusByReference(withdrawal.reference, 'failed', 'failed'),
+        withdrawals.applyStatusByReference(withdrawal.reference, 'failed', 'failed')
+    ]);
+
+    assert.equal(failed.length, 1);
+    assert.equal((await db.withdrawals.findById(withdrawal.id)).status, 'failed');
+    assert.equal((await ledger.getBalance(user.id)).available, 500000);
+});
+
+test('large withdrawals wait for approval and a rejection releases the hold', async () => {
+    const { ledger, withdrawals, user } = await setup({ approvalThreshold: 100000 });
+
+    const withdrawal = await withdrawals.request(user, { amount: 150000 });
+    assert.equal(withdrawal.status, 'pending_approval');
+    assert.equal((await ledger.getBalance(user.id)).held, 150000);
+
+    const rejected = await withdrawals.reject(withdrawal.id, { id: 'admin-1' }, 'Unusual activity');
+    assert.equal(rejected.status, 'rejected');
+
+    const balance = await ledger.getBalance(user.id);
+    assert.equal(balance.available, 500000);
+    assert.equal(balance.held, 0);
+
+    await assert.rejects(withdrawals.approve(withdrawal.id, { id: 'admin-1' }), { code: 'INVALID_STATE' });
+});
+
+for (const [name, decide] of [
+    ['cancel', (withdrawals, withdrawal, user) => withdrawals.cancel(withdrawal.id, user)],
+    ['reject', (withdrawals, withdrawal) => withdrawals.reject(withdrawal.id, { id: 'admin-2' }, 'Unusual activity')]
+]) {
+    test(`an approval racing a ${name} lets only one of them through`, async () => {
+        const { db, engine, ledger, withdrawals, user } = await setup({ approvalThreshold: 100000 });
+
+        const withdrawal = await withdrawals.request(user, { amount: 200000 });
+        const [approval, decision] = await Promise.allSettled([
+            withdrawals.approve(withdrawal.id, { id: 'admin-1' }),
+            decide(withdrawals, withdrawal, user)
+        ]);
+
+        const outcomes = [approval, decision].map(result => result.status);
+        assert.deepEqual(outcomes.sort(), ['fulfilled', 'rejected']);
+        const loser = approval.status === 'rejected' ? approval : decision;
+        assert.equal(loser.reason.code, 'INVALID_STATE');
+
+        // Whichever won, a successful payout callback must not also release the hold
+        const stored = await db.withdrawals.findById(withdrawal.id);
+        if (stored.status === 'processing') {
+            await engine.settle(stored.providerTransactionId, 'successful');
+            await withdrawals.applyStatusByReference(stored.reference, 'successful', 'successful');
+        }
+
+        const balance = await ledger.getBalance(user.id);
+        assert.equal(balance.available, approval.status === 'fulfilled' ? 300000 : 500000);
+        assert.equal(balance.held, 0);
+    });
+}
+
+test('refuses more than the available balance', async () => {
+    const { withdrawals, user } = await setup();
+
+    await withdrawals.request(user, { amount: 400000 });
+    await assert.rejects(withdrawals.request(user, { amount: 200000 }), { code: 'INSUFFICIENT_FUNDS' });
+});
+
+// A provider that never answers a payout
+const unreachableProvider = (calls) => ({
+    name: 'fake',
+    disburse: async (request) => {
+        calls.push(request);
+        const error = new Error('connect ECONNREFUSED');
+        error.retryable = true;
+        throw error;
+    },
+    getDisbursementStatus: async () => {
+        throw new Error('not expected');
+    }
+});
+
+test('retries an unreachable provider and keeps the hold for review after the last attempt', async () => {
+    const calls = [];
+    const { clock, ledger, withdrawals, user } = await setup({ provider: unreachableProvider(calls), maxAttempts: 2, retryDelayMs: 1000 });
+
+    const withdrawal = await withdrawals.request(user, { amount: 100000 });
+    assert.equal(withdrawal.status, 'approved');
+    assert.equal(withdrawal.attempts, 1);
+    assert.equal((await ledger.getBalance(user.id)).held, 100000);
+
+    // Not due yet
+    await withdrawals.processDue();
+    assert.equal(calls.length, 1);
+
+    clock.advance(1000);
+    await withdrawals.processDue();
+    assert.equal(calls.length, 2);
+
+    // The payout may have gone through, so nothing goes back to the wallet yet
+    const [stored] = await withdrawals.listForUser(user.id);
+    assert.equal(stored.status, 'needs_review');
+    assert.equal(stored.lastError, 'connect ECONNREFUSED');
+
+    clock.advance(60 * 1000);
+    await withdrawals.processDue();
+    assert.equal(calls.length, 2);
+
+    const balance = await ledger.getBalance(user.id);
+    assert.equal(balance.available, 400000);
+    assert.equal(balance.held, 100000);
+});
+
+test('a withdrawal held for review is settled by a late provider result or by an admin', async () => {
+    const { ledger, withdrawals, user } = await setup({ provider: unreachableProvider([]), maxAttempts: 1 });
+    const admin = { id: 'admin-1' };
+
+    const paid = await withdrawals.request(user, { amount: 100000 });
+    const refunded = await withdrawals.request(user, { amount: 50000 });
+    assert.equal(paid.status, 'needs_review');
+    assert.equal(refunded.status, 'needs_review');
+
+    assert.equal((await withdrawals.applyStatusByReference(paid.reference, 'successful', 'successful')).status, 'successful');
+
+    const resolved = await withdrawals.resolveReview(refunded.id, admin, 'failed', 'Provider has no record of it');
+    assert.equal(resolved.status, 'failed');
+    assert.equal(resolved.reviewedBy, admin.id);
+    await assert.rejects(withdrawals.resolveReview(refunded.id, admin, 'successful', 'Again'), { code: 'INVALID_STATE' });
+
+    const balance = await ledger.getBalance(user.id);
+    assert.equal(balance.available, 400000);
+    assert.equal(balance.held, 0);
+});
+
+test('a refused request does not run its confirmation', async () => {
+    const { withdrawals, user } = await setup();
+    let confirmed = 0;
+    const confirm = async () => {
+        confirmed++;
+    };
+
+    await assert.rejects(withdrawals.request(user, { amount: 600000 }, { confirm }), { code: 'INSUFFICIENT_FUNDS' });
+    assert.equal(confirmed, 0);
+
+    await withdrawals.request(user, { amount: 100000 }, { confirm });
+    assert.equal(confirmed, 1);
+});